@@ -0,0 +1,40 @@
+/**
+ * Express Application
+ * Middleware and routes of the Auto-Registration API, without a listening
+ * socket or background workers (see server.js), so tests can mount it
+ */
+
+import express from 'express';
+import cors from 'cors';
+import { requestLogger } from './middleware/requestLogger.js';
+import { handleBodyErrors } from './middleware/validateRequest.js';
+import { handleUnexpectedError } from './utils/errors.js';
+import studentRoutes from './routes/students.js';
+import enrollmentRoutes from './routes/enrollments.js';
+import reportRoutes from './routes/reports.js';
+import departmentRoutes from './routes/departments.js';
+import registrationRoutes from './routes/registrations.js';
+import docsRoutes from './routes/docs.js';
+
+export const app = express();
+
+// Middleware
+app.use(cors()); // Allow requests from Google Apps Script
+app.use(requestLogger);
+app.use(express.json({ limit: '1mb' }));
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+    res.json({ status: 'OK', timestamp: new Date().toISOString() });
+});
+
+// Routes
+app.use('/api/students', studentRoutes);
+app.use('/api', enrollmentRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/departments', departmentRoutes);
+app.use('/api/registrations', registrationRoutes);
+app.use('/api', docsRoutes);
+
+app.use(handleBodyErrors);
+app.use(handleUnexpectedError); // Anything a route did not catch, as JSON
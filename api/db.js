@@ -0,0 +1,14 @@
+/**
+ * Database Connection
+ * Shared NeonDB connection pool for all API routes
+ */
+
+import 'dotenv/config';
+import pg from 'pg';
+
+const { Pool } = pg;
+
+export const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+});
@@ -0,0 +1,99 @@
+/**
+ * API Key Authentication Middleware
+ * Accepts the key via "X-API-Key", "Authorization: Bearer <key>" or,
+ * for clients that cannot set headers (Sheets IMPORTDATA), "?apiKey=<key>"
+ *
+ * Keys live in the api_key table (see scripts/manage_api_keys.js) and carry
+ * scopes such as "students:write" or "reports:read". Requests fail closed:
+ * without a valid, unexpired, unrevoked key holding the route's scope they
+ * are rejected. Set API_AUTH_DISABLED=true to skip checks in local development.
+ */
+
+import { pool } from '../db.js';
+import { hashApiKey, hasScope } from '../utils/apiKeys.js';
+import { logger } from '../../etl/utils/logger.js';
+
+const AUTH_DISABLED = process.env.API_AUTH_DISABLED === 'true';
+
+if (AUTH_DISABLED) {
+    logger.warn('API_AUTH_DISABLED=true - API key checks are OFF (development only)');
+}
+
+/**
+ * Read the API key from the request
+ */
+function getRequestApiKey(req) {
+    return req.headers['x-api-key'] ||
+        req.headers['authorization']?.replace('Bearer ', '') ||
+        req.query?.apiKey;
+}
+
+/**
+ * Build middleware that requires a key holding the given scope
+ * @param {string} scope - e.g. 'students:write'
+ */
+export function requireScope(scope) {
+    return async (req, res, next) => {
+        if (AUTH_DISABLED) {
+            req.apiKey = { id: null, name: 'development', scopes: ['*'] };
+            return next();
+        }
+
+        const apiKey = getRequestApiKey(req);
+
+        if (!apiKey) {
+            logger.warn('Unauthorized request - missing API key');
+            return res.status(401).json({
+                success: false,
+                error: 'Unauthorized: Missing API key'
+            });
+        }
+
+        let result;
+        try {
+            result = await pool.query(
+                `SELECT api_key_id, key_name, scopes
+                 FROM api_key
+                 WHERE key_hash = $1
+                   AND revoked_at IS NULL
+                   AND (expires_at IS NULL OR expires_at > NOW())`,
+                [hashApiKey(apiKey)]
+            );
+        } catch (error) {
+            logger.error('API key lookup failed', error);
+            return res.status(500).json({
+                success: false,
+                errors: ['Internal server error: ' + error.message]
+            });
+        }
+
+        if (result.rows.length === 0) {
+            logger.warn('Unauthorized request - invalid API key');
+            return res.status(401).json({
+                success: false,
+                error: 'Unauthorized: Invalid API key'
+            });
+        }
+
+        const key = result.rows[0];
+
+        if (!hasScope(key.scopes, scope)) {
+            logger.warn(`Forbidden - key "${key.key_name}" lacks scope ${scope}`, { apiKeyId: key.api_key_id, scope });
+            return res.status(403).json({
+                success: false,
+                error: `Forbidden: API key lacks scope "${scope}"`
+            });
+        }
+
+        // Record usage without slowing the request (at most once a minute per key)
+        pool.query(
+            `UPDATE api_key SET last_used_at = NOW()
+             WHERE api_key_id = $1
+               AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+            [key.api_key_id]
+        ).catch(error => logger.warn('Failed to update last_used_at', { error: error.message }));
+
+        req.apiKey = { id: key.api_key_id, name: key.key_name, scopes: key.scopes };
+        next();
+    };
+}
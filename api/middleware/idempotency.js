@@ -0,0 +1,161 @@
+/**
+ * Idempotency Middleware
+ * Honours the "Idempotency-Key" request header on POST endpoints
+ *
+ * - First request with a key: runs normally, response is stored
+ * - Same key + same body: stored response is replayed (no second insert)
+ * - Same key + different body: 422
+ * - Same key while the first request is still running: 409 with
+ *   code "request_in_progress" (a duplicate email is a 409 without a code)
+ *
+ * Keys are scoped to the caller's API key, method and path, so clients
+ * cannot replay each other's responses and a key may be reused on another
+ * endpoint. 5xx responses are not stored, so the client may retry with the same key.
+ */
+
+import crypto from 'crypto';
+import { pool } from '../db.js';
+import { logger } from '../../etl/utils/logger.js';
+
+// Keys older than this are forgotten and may be reused
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24;
+
+// An unfinished key older than this is assumed abandoned (crashed request)
+const LOCK_TIMEOUT_SECONDS = 60;
+
+/**
+ * JSON.stringify with sorted object keys, so key order does not change the hash
+ */
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJSON).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).sort();
+        return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * SHA-256 of method, path and body
+ */
+function hashRequest(req) {
+    return crypto
+        .createHash('sha256')
+        .update(`${req.method} ${req.originalUrl}\n${canonicalJSON(req.body)}`)
+        .digest('hex');
+}
+
+// Matches one key row; the first four query parameters are keyScope()
+const KEY_MATCH = 'api_key_id = $1 AND request_method = $2 AND request_path = $3 AND idempotency_key = $4';
+
+/**
+ * Primary key of a request's key row: [api_key_id, method, path, key]
+ * (api_key_id 0 when API auth is disabled)
+ */
+function keyScope(key, req) {
+    return [req.apiKey?.id ?? 0, req.method, `${req.baseUrl}${req.path}`, key];
+}
+
+/**
+ * Try to claim a key for this request
+ * @returns {Promise<Object|null>} - Existing key row, or null if we claimed it
+ */
+async function claimKey(scope, requestHash) {
+    // Forget expired keys and abandoned in-flight requests for this key
+    await pool.query(
+        `DELETE FROM idempotency_key
+         WHERE ${KEY_MATCH}
+           AND (created_at < NOW() - make_interval(hours => $5)
+                OR (completed_at IS NULL AND created_at < NOW() - make_interval(secs => $6)))`,
+        [...scope, KEY_TTL_HOURS, LOCK_TIMEOUT_SECONDS]
+    );
+
+    const inserted = await pool.query(
+        `INSERT INTO idempotency_key (api_key_id, request_method, request_path, idempotency_key, request_hash)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT DO NOTHING
+         RETURNING idempotency_key`,
+        [...scope, requestHash]
+    );
+
+    if (inserted.rows.length > 0) return null;
+
+    const existing = await pool.query(`SELECT * FROM idempotency_key WHERE ${KEY_MATCH}`, scope);
+
+    // Deleted between our INSERT and SELECT - treat as claimed on retry
+    return existing.rows[0] || claimKey(scope, requestHash);
+}
+
+export const idempotency = async (req, res, next) => {
+    const key = req.headers['idempotency-key'];
+    if (!key) return next();
+
+    if (key.length > 255) {
+        return res.status(400).json({
+            success: false,
+            errors: ['Idempotency-Key must be at most 255 characters']
+        });
+    }
+
+    const requestHash = hashRequest(req);
+    const scope = keyScope(key, req);
+
+    let existing;
+    try {
+        existing = await claimKey(scope, requestHash);
+    } catch (error) {
+        logger.error('Idempotency lookup failed', error);
+        return res.status(500).json({
+            success: false,
+            errors: ['Internal server error: ' + error.message]
+        });
+    }
+
+    if (existing) {
+        if (existing.request_hash !== requestHash) {
+            logger.warn('Idempotency-Key reused with a different request', { idempotencyKey: key });
+            return res.status(422).json({
+                success: false,
+                errors: ['Idempotency-Key was already used with a different request body']
+            });
+        }
+
+        if (existing.response_status === null) {
+            res.set('Retry-After', '1');
+            return res.status(409).json({
+                success: false,
+                code: 'request_in_progress',
+                errors: ['A request with this Idempotency-Key is still being processed']
+            });
+        }
+
+        logger.info('Replaying stored response', { idempotencyKey: key });
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response_status).json(existing.response_body);
+    }
+
+    // Capture the response so it can be replayed later
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+        const status = res.statusCode;
+        const store = status >= 500
+            ? pool.query(`DELETE FROM idempotency_key WHERE ${KEY_MATCH}`, scope)
+            : pool.query(
+                `UPDATE idempotency_key
+                 SET response_status = $5, response_body = $6, completed_at = CURRENT_TIMESTAMP
+                 WHERE ${KEY_MATCH}`,
+                [...scope, status, JSON.stringify(body)]
+            );
+
+        // Send only once the outcome is stored, so an immediate retry is replayed
+        store
+            .catch(error => logger.error('Failed to store idempotent response', error, { idempotencyKey: key }))
+            .finally(() => originalJson(body));
+
+        return res;
+    };
+
+    next();
+};
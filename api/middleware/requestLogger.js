@@ -0,0 +1,44 @@
+/**
+ * Request Logging Middleware
+ * Gives every request an id and logs one entry when the response finishes
+ *
+ * The id is taken from an incoming "X-Request-Id" header (so callers can
+ * correlate retries) or generated, echoed back in the response header, and
+ * attached as requestId to everything logged while handling the request.
+ */
+
+import crypto from 'crypto';
+import { logger } from '../../etl/utils/logger.js';
+
+// Incoming ids are only trusted if they look like an id, not arbitrary text
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+export function requestLogger(req, res, next) {
+    const incoming = req.headers['x-request-id'];
+    const requestId = REQUEST_ID_PATTERN.test(incoming || '') ? incoming : crypto.randomUUID();
+    const startTime = process.hrtime.bigint();
+
+    req.id = requestId;
+    req.log = logger.child({ requestId });
+    res.set('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+        const fields = {
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            durationMs: Math.round(durationMs * 10) / 10,
+            apiKeyId: req.apiKey?.id ?? undefined
+        };
+        const message = `${req.method} ${fields.path} ${res.statusCode}`;
+
+        if (res.statusCode >= 500) {
+            req.log.error(message, fields);
+        } else {
+            req.log.info(message, fields);
+        }
+    });
+
+    logger.runWithContext({ requestId }, next);
+}
@@ -0,0 +1,62 @@
+/**
+ * Request Validation Middleware
+ * Checks path parameters, query parameters, headers and JSON bodies against
+ * the OpenAPI document (api/openapi.js) before a route runs
+ *
+ * Invalid requests get a 400 with the usual error envelope plus field paths:
+ *   { success: false, errors: ["body.year must be <= 4"],
+ *     details: [{ path: "body.year", message: "body.year must be <= 4" }] }
+ *
+ * Routes add it after requireScope(), so callers without a valid key get the
+ * 401/403 first. Routes keep their own checks for what a schema cannot express
+ * (unknown departments, dates of birth, ...).
+ */
+
+import { findOperation, validateRequestAgainst } from '../utils/openapiValidator.js';
+import { sendValidationError } from '../utils/errors.js';
+import { logger } from '../../etl/utils/logger.js';
+
+/**
+ * Build middleware that checks the request against its documented operation
+ * @param {Object} [options]
+ * @param {boolean} [options.body=true] - false for routes that validate the body
+ *        themselves (POST /api/students, which publishes student.rejected events)
+ */
+export function validateRequest({ body = true } = {}) {
+    return (req, res, next) => {
+        const match = findOperation(req.method, `${req.baseUrl}${req.path}`);
+        if (!match) return next();
+
+        const details = validateRequestAgainst(match.operation, {
+            params: match.params,
+            query: req.query,
+            headers: req.headers,
+            body: req.body
+        }, { body });
+
+        if (details.length > 0) {
+            logger.warn(`Request does not match the API schema: ${details.map(d => d.message).join('; ')}`,
+                { operation: match.operation.operation.operationId });
+            return sendValidationError(res, details);
+        }
+
+        next();
+    };
+}
+
+/**
+ * Error handler for bodies express.json() could not read
+ * Malformed JSON and oversized bodies get the error envelope instead of an HTML page
+ */
+export function handleBodyErrors(error, req, res, next) {
+    if (error.type === 'entity.parse.failed') {
+        return sendValidationError(res, [{ path: 'body', message: `body is not valid JSON: ${error.message}` }]);
+    }
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({
+            success: false,
+            errors: [`Request body too large (limit ${error.limit} bytes)`]
+        });
+    }
+    next(error);
+}
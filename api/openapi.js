@@ -0,0 +1,837 @@
+/**
+ * OpenAPI Document
+ * OpenAPI 3.0 description of every API route, served at /api/openapi.json
+ * (browsable at /api/docs) and used by middleware/validateRequest.js to
+ * validate requests before they reach the routes
+ *
+ * Student request fields take their limits from the shared student schema
+ * (etl/utils/studentSchema.js), like apps-script/Validation.gs does. When a
+ * route changes, change its operation here too; npm run check:api compares
+ * a running API's responses with this document.
+ */
+
+import { STUDENT_SCHEMA } from '../etl/utils/studentSchema.js';
+
+const MAX_CLIENT_KEY_LENGTH = 255;
+
+const schemaRef = name => ({ $ref: `#/components/schemas/${name}` });
+const responseRef = name => ({ $ref: `#/components/responses/${name}` });
+const parameterRef = name => ({ $ref: `#/components/parameters/${name}` });
+
+/**
+ * Response with a JSON body
+ */
+function jsonResponse(description, schema) {
+    return { description, content: { 'application/json': { schema } } };
+}
+
+/**
+ * Success envelope: { success: true, message?, data, ...extra }
+ */
+function success(data, extra = {}) {
+    return {
+        type: 'object',
+        required: ['success', 'data', ...Object.keys(extra)],
+        properties: {
+            success: { type: 'boolean', enum: [true] },
+            message: { type: 'string' },
+            data,
+            ...extra
+        }
+    };
+}
+
+/**
+ * Request body with a JSON schema
+ */
+function jsonBody(schema, description) {
+    return { required: true, description, content: { 'application/json': { schema } } };
+}
+
+/**
+ * Query parameter
+ */
+function query(name, schema, description, required = false) {
+    return { name, in: 'query', required, description, schema };
+}
+
+/**
+ * Operation that needs an API key with `scope`
+ * 401/403/500 are added to every protected operation
+ */
+function secured(scope, { description, responses, ...operation }) {
+    return {
+        ...operation,
+        description: `${description}\n\nRequires an API key with the \`${scope}\` scope.`,
+        'x-required-scope': scope,
+        security: [{ ApiKeyHeader: [] }, { BearerAuth: [] }, { ApiKeyQuery: [] }],
+        responses: {
+            ...responses,
+            401: responseRef('Unauthorized'),
+            403: responseRef('Forbidden'),
+            500: responseRef('ServerError')
+        }
+    };
+}
+
+/**
+ * Request properties of a student, in the API's camelCase names
+ */
+function studentInputProperties() {
+    const fields = STUDENT_SCHEMA;
+    return {
+        firstName: { type: 'string', maxLength: fields.firstName.maxLength, example: 'Asha' },
+        lastName: { type: 'string', maxLength: fields.lastName.maxLength, example: 'Rao' },
+        email: { type: 'string', maxLength: fields.email.maxLength, example: 'asha.rao@university.edu' },
+        dateOfBirth: {
+            type: 'string',
+            description: `YYYY-MM-DD or DD/MM/YYYY, at least ${fields.dateOfBirth.minAgeYears} years ago`,
+            example: '2004-05-15'
+        },
+        year: {
+            description: `Year of study, ${fields.year.min}-${fields.year.max} (numeric strings and words like "2nd" are accepted)`,
+            oneOf: [
+                { type: 'integer', minimum: fields.year.min, maximum: fields.year.max },
+                { type: 'string' }
+            ],
+            example: 2
+        },
+        phoneNumber: {
+            type: 'string',
+            description: `${fields.phoneNumber.minDigits}-${fields.phoneNumber.maxDigits} digits; digits, +, - and spaces only`,
+            example: '+91-9876543210'
+        },
+        department: {
+            type: 'string',
+            description: 'Department name or alias (e.g. "CS"); see GET /api/departments',
+            example: 'Computer Science'
+        }
+    };
+}
+
+const STUDENT_REQUIRED = Object.keys(STUDENT_SCHEMA).filter(field => STUDENT_SCHEMA[field].required);
+
+const components = {
+    securitySchemes: {
+        ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        BearerAuth: { type: 'http', scheme: 'bearer', description: 'Authorization: Bearer <API key>' },
+        ApiKeyQuery: {
+            type: 'apiKey',
+            in: 'query',
+            name: 'apiKey',
+            description: 'For clients that cannot set headers (Sheets IMPORTDATA)'
+        }
+    },
+
+    schemas: {
+        Error: {
+            type: 'object',
+            description: 'Every failed request (except 401/403). "details" is set for invalid input.',
+            required: ['success', 'errors'],
+            properties: {
+                success: { type: 'boolean', enum: [false] },
+                errors: { type: 'array', items: { type: 'string' } },
+                details: { type: 'array', items: schemaRef('FieldError') },
+                code: {
+                    type: 'string',
+                    enum: ['request_in_progress'],
+                    description: 'Set on a 409 for an Idempotency-Key whose first request is still running; ' +
+                        'retry after Retry-After seconds'
+                }
+            }
+        },
+        FieldError: {
+            type: 'object',
+            required: ['path', 'message'],
+            properties: {
+                path: {
+                    type: 'string',
+                    description: 'Where the problem is: body.<field>, query.<name>, path.<name> or header.<name>',
+                    example: 'body.students[2].email'
+                },
+                message: { type: 'string' }
+            }
+        },
+        AuthError: {
+            type: 'object',
+            required: ['success', 'error'],
+            properties: {
+                success: { type: 'boolean', enum: [false] },
+                error: { type: 'string', example: 'Unauthorized: Missing API key' }
+            }
+        },
+
+        StudentRegistration: {
+            type: 'object',
+            description: 'A new student. Values are cleaned (trimmed, lowercased email, department ' +
+                'alias resolved) and checked against the shared student schema.',
+            required: STUDENT_REQUIRED,
+            properties: studentInputProperties()
+        },
+        StudentUpdate: {
+            type: 'object',
+            description: 'Any subset of the registration fields',
+            minProperties: 1,
+            additionalProperties: false,
+            properties: studentInputProperties()
+        },
+        Student: {
+            type: 'object',
+            required: ['studentId', 'firstName', 'lastName', 'email', 'dateOfBirth', 'year',
+                'phoneNumber', 'departmentId', 'department'],
+            properties: {
+                studentId: { type: 'integer', example: 42 },
+                firstName: { type: 'string' },
+                lastName: { type: 'string' },
+                email: { type: 'string', format: 'email' },
+                dateOfBirth: { type: 'string', format: 'date' },
+                year: { type: 'integer', minimum: 1, maximum: 4 },
+                phoneNumber: { type: 'string' },
+                departmentId: { type: 'integer' },
+                department: { type: 'string' }
+            }
+        },
+        StudentCreated: {
+            type: 'object',
+            required: ['studentId', 'email'],
+            properties: {
+                studentId: { type: 'integer', example: 42 },
+                email: { type: 'string', format: 'email' }
+            }
+        },
+        StudentDeleted: {
+            type: 'object',
+            required: ['studentId', 'email', 'deletedEnrollments'],
+            properties: {
+                studentId: { type: 'integer' },
+                email: { type: 'string', format: 'email' },
+                deletedEnrollments: { type: 'integer', minimum: 0 }
+            }
+        },
+        Pagination: {
+            type: 'object',
+            required: ['total', 'limit', 'offset'],
+            properties: {
+                total: { type: 'integer', minimum: 0 },
+                limit: { type: 'integer', minimum: 1 },
+                offset: { type: 'integer', minimum: 0 }
+            }
+        },
+        BatchResult: {
+            type: 'object',
+            required: ['index', 'status'],
+            properties: {
+                index: { type: 'integer', minimum: 0, description: 'Position in the request' },
+                status: { type: 'string', enum: ['created', 'duplicate', 'invalid', 'error'] },
+                email: { type: 'string', nullable: true },
+                studentId: { type: 'integer', description: 'Set when status is "created"' },
+                errors: { type: 'array', items: { type: 'string' } }
+            }
+        },
+        BatchSummary: {
+            type: 'object',
+            required: ['total', 'created', 'duplicate', 'invalid', 'error'],
+            properties: {
+                total: { type: 'integer' },
+                created: { type: 'integer' },
+                duplicate: { type: 'integer' },
+                invalid: { type: 'integer' },
+                error: { type: 'integer' }
+            }
+        },
+
+        QueuedRegistration: {
+            type: 'object',
+            description: 'A StudentRegistration plus an optional clientKey. The fields are validated ' +
+                'by the queue worker; invalid rows end up with status "invalid".',
+            minProperties: 1,
+            properties: {
+                clientKey: {
+                    type: 'string',
+                    minLength: 1,
+                    maxLength: MAX_CLIENT_KEY_LENGTH,
+                    description: 'Queueing the same key again returns the existing entry',
+                    example: 'sheet-id:12:3f9a...'
+                }
+            }
+        },
+        QueueItem: {
+            type: 'object',
+            required: ['queueId', 'status', 'attempts', 'studentId', 'error', 'nextAttemptAt', 'updatedAt'],
+            properties: {
+                queueId: { type: 'integer', example: 17 },
+                status: {
+                    type: 'string',
+                    enum: ['queued', 'processing', 'registered', 'duplicate', 'invalid', 'failed']
+                },
+                attempts: { type: 'integer', minimum: 0 },
+                studentId: { type: 'integer', nullable: true },
+                error: { type: 'string', nullable: true },
+                nextAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+                updatedAt: { type: 'string', format: 'date-time' }
+            }
+        },
+        QueueResult: {
+            type: 'object',
+            allOf: [
+                schemaRef('QueueItem'),
+                {
+                    type: 'object',
+                    required: ['index', 'queued'],
+                    properties: {
+                        index: { type: 'integer', minimum: 0 },
+                        queued: { type: 'boolean', description: 'false when the clientKey was already queued' }
+                    }
+                }
+            ]
+        },
+
+        Enrollment: {
+            type: 'object',
+            required: ['enrollmentId', 'studentId', 'courseId', 'courseName', 'courseCredits',
+                'grade', 'gradePoints', 'enrollmentDate'],
+            properties: {
+                enrollmentId: { type: 'integer' },
+                studentId: { type: 'integer' },
+                courseId: { type: 'string', example: 'CS101' },
+                courseName: { type: 'string' },
+                courseCredits: { type: 'integer' },
+                grade: { type: 'string', nullable: true, example: 'A-' },
+                gradePoints: { type: 'number', nullable: true, example: 3.7 },
+                enrollmentDate: { type: 'string', format: 'date' }
+            }
+        },
+        StudentEnrollments: {
+            type: 'object',
+            required: ['studentId', 'gpa', 'enrollments'],
+            properties: {
+                studentId: { type: 'integer' },
+                gpa: { type: 'number', nullable: true },
+                enrollments: { type: 'array', items: schemaRef('Enrollment') }
+            }
+        },
+        PendingGrade: {
+            type: 'object',
+            required: ['enrollmentId', 'studentName', 'studentEmail', 'courseId', 'courseName',
+                'enrollmentDate', 'daysSinceEnrollment'],
+            properties: {
+                enrollmentId: { type: 'integer' },
+                studentName: { type: 'string' },
+                studentEmail: { type: 'string' },
+                courseId: { type: 'string' },
+                courseName: { type: 'string' },
+                enrollmentDate: { type: 'string', format: 'date' },
+                daysSinceEnrollment: { type: 'integer' }
+            }
+        },
+
+        Department: {
+            type: 'object',
+            required: ['departmentId', 'departmentName', 'departmentHead', 'aliases'],
+            properties: {
+                departmentId: { type: 'integer' },
+                departmentName: { type: 'string', example: 'Computer Science' },
+                departmentHead: { type: 'string', nullable: true },
+                aliases: { type: 'array', items: { type: 'string' }, example: ['cs', 'comp sci'] }
+            }
+        },
+        DepartmentAlias: {
+            type: 'object',
+            required: ['alias', 'departmentId'],
+            properties: {
+                alias: { type: 'string', description: 'Normalized (lowercase, punctuation removed)', example: 'comp sci' },
+                departmentId: { type: 'integer' }
+            }
+        },
+
+        ReportInfo: {
+            type: 'object',
+            required: ['name', 'path', 'filters'],
+            properties: {
+                name: { type: 'string', example: 'student-gpa' },
+                path: { type: 'string', example: '/api/reports/student-gpa' },
+                filters: { type: 'array', items: { type: 'string' } }
+            }
+        },
+        DepartmentStats: {
+            type: 'object',
+            description: 'get_department_stats() result',
+            required: ['department_id', 'department_name', 'total_students', 'total_courses', 'total_enrollments'],
+            properties: {
+                department_id: { type: 'integer' },
+                department_name: { type: 'string' },
+                total_students: { type: 'integer' },
+                total_courses: { type: 'integer' },
+                total_enrollments: { type: 'integer' },
+                average_gpa: { type: 'number', nullable: true },
+                students_per_year: {
+                    type: 'object',
+                    nullable: true,
+                    additionalProperties: { type: 'integer' },
+                    description: 'Students per year of study, keyed "1".."4"'
+                }
+            }
+        }
+    },
+
+    parameters: {
+        StudentId: {
+            name: 'id',
+            in: 'path',
+            required: true,
+            description: 'Student ID',
+            schema: { type: 'integer', minimum: 1 }
+        },
+        Format: query('format', { type: 'string', example: 'csv' },
+            '"csv" for text/csv (also chosen by "Accept: text/csv"), otherwise JSON')
+    },
+
+    responses: {
+        BadRequest: jsonResponse('Invalid input', schemaRef('Error')),
+        Unauthorized: jsonResponse('Missing or invalid API key', schemaRef('AuthError')),
+        Forbidden: jsonResponse('The API key lacks the required scope', schemaRef('AuthError')),
+        NotFound: jsonResponse('Not found', schemaRef('Error')),
+        Conflict: jsonResponse('Conflicts with existing data', schemaRef('Error')),
+        PayloadTooLarge: jsonResponse('Too many rows (MAX_BATCH_SIZE, default 500)', schemaRef('Error')),
+        ServerError: jsonResponse('Unexpected or database error', schemaRef('Error'))
+    }
+};
+
+const paths = {
+    '/health': {
+        get: {
+            tags: ['Meta'],
+            operationId: 'getHealth',
+            summary: 'Health check',
+            security: [],
+            responses: {
+                200: jsonResponse('API is up', {
+                    type: 'object',
+                    required: ['status', 'timestamp'],
+                    properties: {
+                        status: { type: 'string', enum: ['OK'] },
+                        timestamp: { type: 'string', format: 'date-time' }
+                    }
+                })
+            }
+        }
+    },
+    '/api/openapi.json': {
+        get: {
+            tags: ['Meta'],
+            operationId: 'getOpenApiDocument',
+            summary: 'This document',
+            security: [],
+            responses: {
+                200: jsonResponse('OpenAPI 3.0 document', { type: 'object' })
+            }
+        }
+    },
+    '/api/docs': {
+        get: {
+            tags: ['Meta'],
+            operationId: 'getApiDocs',
+            summary: 'Interactive documentation (Swagger UI)',
+            security: [],
+            responses: {
+                200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } }
+            }
+        }
+    },
+
+    '/api/students': {
+        post: secured('students:write', {
+            tags: ['Students'],
+            operationId: 'registerStudent',
+            summary: 'Register a student',
+            description: 'Used by the Apps Script for each new sheet row. Send an Idempotency-Key so ' +
+                'a retry after a timeout replays the original response instead of failing with 409.',
+            parameters: [{
+                name: 'Idempotency-Key',
+                in: 'header',
+                required: false,
+                description: 'Retries with the same key and body replay the stored response',
+                schema: { type: 'string', maxLength: 255 }
+            }],
+            requestBody: jsonBody(schemaRef('StudentRegistration')),
+            responses: {
+                201: jsonResponse('Registered', success(schemaRef('StudentCreated'))),
+                400: responseRef('BadRequest'),
+                409: jsonResponse('Email already registered, or (with code "request_in_progress") the ' +
+                    'first request with this Idempotency-Key is still running', schemaRef('Error')),
+                422: jsonResponse('Idempotency-Key reused with a different body', schemaRef('Error'))
+            }
+        }),
+        get: secured('students:read', {
+            tags: ['Students'],
+            operationId: 'listStudents',
+            summary: 'List students',
+            description: 'Filter, sort and paginate students',
+            parameters: [
+                query('department', { type: 'string' }, 'Department name or alias'),
+                query('departmentId', { type: 'integer', minimum: 1 }),
+                query('year', { type: 'string', example: '2' }, 'Year of study, 1-4'),
+                query('email', { type: 'string' }, 'Case-insensitive substring of the email'),
+                // Same keys as STUDENT_SORT_COLUMNS in routes/students.js
+                query('sort', {
+                    type: 'string',
+                    enum: ['studentId', 'firstName', 'lastName', 'email', 'dateOfBirth', 'year',
+                        'phoneNumber', 'departmentId', 'department'],
+                    default: 'studentId'
+                }),
+                query('order', { type: 'string', default: 'asc' }, '"asc" or "desc"'),
+                query('limit', { type: 'integer', minimum: 1, maximum: 200, default: 50 }),
+                query('offset', { type: 'integer', minimum: 0, default: 0 })
+            ],
+            responses: {
+                200: jsonResponse('Page of students', success(
+                    { type: 'array', items: schemaRef('Student') },
+                    { pagination: schemaRef('Pagination') }
+                )),
+                400: responseRef('BadRequest')
+            }
+        })
+    },
+    '/api/students/batch': {
+        post: secured('students:write', {
+            tags: ['Students'],
+            operationId: 'registerStudentsBatch',
+            summary: 'Register many students',
+            description: 'Every row is validated and inserted on its own, so one bad row does not ' +
+                'fail the rest; the response has one result per row. A bare array is also accepted.',
+            requestBody: jsonBody({
+                oneOf: [
+                    {
+                        type: 'object',
+                        required: ['students'],
+                        properties: {
+                            students: {
+                                type: 'array',
+                                minItems: 1,
+                                items: { type: 'object', description: 'StudentRegistration fields' }
+                            }
+                        }
+                    },
+                    { type: 'array', minItems: 1, items: { type: 'object' } }
+                ]
+            }),
+            responses: {
+                200: jsonResponse('Per-row results', {
+                    type: 'object',
+                    required: ['success', 'summary', 'results'],
+                    properties: {
+                        success: { type: 'boolean', enum: [true] },
+                        summary: schemaRef('BatchSummary'),
+                        results: { type: 'array', items: schemaRef('BatchResult') }
+                    }
+                }),
+                400: responseRef('BadRequest'),
+                413: responseRef('PayloadTooLarge')
+            }
+        })
+    },
+    '/api/students/{id}': {
+        parameters: [parameterRef('StudentId')],
+        get: secured('students:read', {
+            tags: ['Students'],
+            operationId: 'getStudent',
+            summary: 'Get a student',
+            description: 'One student with department details',
+            responses: {
+                200: jsonResponse('Student', success(schemaRef('Student'))),
+                400: responseRef('BadRequest'),
+                404: responseRef('NotFound')
+            }
+        }),
+        patch: secured('students:write', {
+            tags: ['Students'],
+            operationId: 'updateStudent',
+            summary: 'Update a student',
+            description: 'Only the supplied fields are validated and written',
+            requestBody: jsonBody(schemaRef('StudentUpdate')),
+            responses: {
+                200: jsonResponse('Updated student', success(schemaRef('Student'))),
+                400: responseRef('BadRequest'),
+                404: responseRef('NotFound'),
+                409: responseRef('Conflict')
+            }
+        }),
+        delete: secured('students:write', {
+            tags: ['Students'],
+            operationId: 'deleteStudent',
+            summary: 'Delete a student',
+            description: 'Removes the student and their enrollments',
+            responses: {
+                200: jsonResponse('Deleted', success(schemaRef('StudentDeleted'))),
+                400: responseRef('BadRequest'),
+                404: responseRef('NotFound')
+            }
+        })
+    },
+
+    '/api/registrations/queue': {
+        post: secured('students:write', {
+            tags: ['Registrations'],
+            operationId: 'queueRegistrations',
+            summary: 'Queue registrations',
+            description: 'Accepts one registration or { registrations: [...] } and returns 202 at once; ' +
+                'the queue worker registers them and retries database failures. Poll ' +
+                'GET /api/registrations/status for the outcome.',
+            // One schema for both forms: a oneOf would let { registrations: [...] } match
+            // QueuedRegistration and skip checking the array
+            requestBody: jsonBody({
+                allOf: [
+                    schemaRef('QueuedRegistration'),
+                    {
+                        type: 'object',
+                        properties: {
+                            registrations: { type: 'array', minItems: 1, items: schemaRef('QueuedRegistration') }
+                        }
+                    }
+                ]
+            }),
+            responses: {
+                202: jsonResponse('Queued; data is one QueueResult, or an array for { registrations }', success({
+                    oneOf: [schemaRef('QueueResult'), { type: 'array', items: schemaRef('QueueResult') }]
+                })),
+                400: responseRef('BadRequest'),
+                413: responseRef('PayloadTooLarge')
+            }
+        })
+    },
+    '/api/registrations/status': {
+        get: secured('students:read', {
+            tags: ['Registrations'],
+            operationId: 'getRegistrationStatus',
+            summary: 'Status of queued registrations',
+            description: 'Current status of the given queue ids; unknown ids are listed in "missing"',
+            parameters: [
+                query('ids', { type: 'string', example: '17,18,19' }, 'Comma-separated queue ids', true)
+            ],
+            responses: {
+                200: jsonResponse('Queue entries', success(
+                    { type: 'array', items: schemaRef('QueueItem') },
+                    { missing: { type: 'array', items: { type: 'integer' } } }
+                )),
+                400: responseRef('BadRequest')
+            }
+        })
+    },
+
+    '/api/enrollments': {
+        post: secured('enrollments:write', {
+            tags: ['Enrollments'],
+            operationId: 'enrollStudent',
+            summary: 'Enroll a student in a course',
+            description: 'Runs enroll_student()',
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['studentId', 'courseId'],
+                properties: {
+                    studentId: { type: 'integer', minimum: 1 },
+                    courseId: { type: 'string', maxLength: 10, example: 'CS101' },
+                    enrollmentDate: { type: 'string', description: 'Defaults to today', example: '2026-01-15' }
+                }
+            }),
+            responses: {
+                201: jsonResponse('Enrolled', success(schemaRef('Enrollment'))),
+                400: responseRef('BadRequest'),
+                404: responseRef('NotFound'),
+                409: responseRef('Conflict')
+            }
+        })
+    },
+    '/api/enrollments/{studentId}/{courseId}/grade': {
+        patch: secured('enrollments:write', {
+            tags: ['Enrollments'],
+            operationId: 'setGrade',
+            summary: 'Set a grade',
+            description: 'Runs update_student_grade()',
+            parameters: [
+                { name: 'studentId', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } },
+                { name: 'courseId', in: 'path', required: true, schema: { type: 'string', example: 'CS101' } }
+            ],
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['grade'],
+                properties: {
+                    grade: { type: 'string', description: 'A, A-, B, B-, C, C-, D or F', example: 'B' }
+                }
+            }),
+            responses: {
+                200: jsonResponse('Updated enrollment', success(schemaRef('Enrollment'))),
+                400: responseRef('BadRequest'),
+                404: responseRef('NotFound')
+            }
+        })
+    },
+    '/api/students/{id}/enrollments': {
+        parameters: [parameterRef('StudentId')],
+        get: secured('enrollments:read', {
+            tags: ['Enrollments'],
+            operationId: 'listStudentEnrollments',
+            summary: "A student's enrollments and GPA",
+            description: 'Enrollments ordered by date, with the GPA from get_student_gpa()',
+            responses: {
+                200: jsonResponse('Enrollments', success(schemaRef('StudentEnrollments'))),
+                400: responseRef('BadRequest'),
+                404: responseRef('NotFound')
+            }
+        })
+    },
+    '/api/grades/pending': {
+        get: secured('enrollments:read', {
+            tags: ['Enrollments'],
+            operationId: 'listPendingGrades',
+            summary: 'Enrollments waiting for a grade',
+            description: 'Runs get_pending_grades()',
+            parameters: [query('courseId', { type: 'string' }, 'Only this course')],
+            responses: {
+                200: jsonResponse('Pending grades', success({ type: 'array', items: schemaRef('PendingGrade') }))
+            }
+        })
+    },
+
+    '/api/reports': {
+        get: secured('reports:read', {
+            tags: ['Reports'],
+            operationId: 'listReports',
+            summary: 'Available reports',
+            description: 'Report names and the filters each one supports',
+            responses: {
+                200: jsonResponse('Reports', success({ type: 'array', items: schemaRef('ReportInfo') }))
+            }
+        })
+    },
+    '/api/reports/departments/{id}/stats': {
+        get: secured('reports:read', {
+            tags: ['Reports'],
+            operationId: 'getDepartmentStats',
+            summary: 'Department statistics',
+            description: 'Runs get_department_stats()',
+            parameters: [
+                { name: 'id', in: 'path', required: true, description: 'Department ID', schema: { type: 'integer', minimum: 1 } },
+                parameterRef('Format')
+            ],
+            responses: {
+                200: {
+                    description: 'Statistics',
+                    content: {
+                        'application/json': { schema: success(schemaRef('DepartmentStats')) },
+                        'text/csv': { schema: { type: 'string' } }
+                    }
+                },
+                400: responseRef('BadRequest'),
+                404: responseRef('NotFound')
+            }
+        })
+    },
+    '/api/reports/{name}': {
+        get: secured('reports:read', {
+            tags: ['Reports'],
+            operationId: 'getReport',
+            summary: 'Run a report',
+            description: 'One reporting view (student-gpa, course-statistics, department-summary, ' +
+                'enrollments), filtered by the parameters that report supports (see GET /api/reports). ' +
+                'Rows have the view\'s columns.',
+            parameters: [
+                { name: 'name', in: 'path', required: true, schema: { type: 'string', example: 'student-gpa' } },
+                query('department', { type: 'string' }, 'Department name or alias'),
+                query('courseId', { type: 'string' }),
+                query('year', { type: 'string' }, 'Year of study, 1-4'),
+                parameterRef('Format')
+            ],
+            responses: {
+                200: {
+                    description: 'Report rows',
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                required: ['success', 'report', 'count', 'data'],
+                                properties: {
+                                    success: { type: 'boolean', enum: [true] },
+                                    report: { type: 'string' },
+                                    count: { type: 'integer' },
+                                    data: { type: 'array', items: { type: 'object' } }
+                                }
+                            }
+                        },
+                        'text/csv': { schema: { type: 'string' } }
+                    }
+                },
+                400: responseRef('BadRequest'),
+                404: responseRef('NotFound')
+            }
+        })
+    },
+
+    '/api/departments': {
+        get: secured('departments:read', {
+            tags: ['Departments'],
+            operationId: 'listDepartments',
+            summary: 'List departments',
+            description: 'Departments with their aliases',
+            responses: {
+                200: jsonResponse('Departments', success({ type: 'array', items: schemaRef('Department') }))
+            }
+        })
+    },
+    '/api/departments/aliases': {
+        post: secured('departments:write', {
+            tags: ['Departments'],
+            operationId: 'addDepartmentAlias',
+            summary: 'Add a department alias',
+            description: 'Give either department (name or existing alias) or departmentId',
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['alias'],
+                properties: {
+                    alias: { type: 'string', example: 'Comp. Sci.' },
+                    department: { type: 'string', example: 'Computer Science' },
+                    departmentId: { type: 'integer', minimum: 1 }
+                }
+            }),
+            responses: {
+                201: jsonResponse('Alias added', success(schemaRef('DepartmentAlias'))),
+                400: responseRef('BadRequest'),
+                409: responseRef('Conflict')
+            }
+        })
+    },
+    '/api/departments/aliases/{alias}': {
+        delete: secured('departments:write', {
+            tags: ['Departments'],
+            operationId: 'removeDepartmentAlias',
+            summary: 'Remove a department alias',
+            description: 'The alias is normalized before lookup, so "Comp. Sci." removes "comp sci"',
+            parameters: [{ name: 'alias', in: 'path', required: true, schema: { type: 'string' } }],
+            responses: {
+                200: jsonResponse('Alias removed', success(schemaRef('DepartmentAlias'))),
+                404: responseRef('NotFound')
+            }
+        })
+    }
+};
+
+export const openApiDocument = {
+    openapi: '3.0.3',
+    info: {
+        title: 'Sheet2DB Auto-Registration API',
+        version: '1.0.0',
+        description: 'Student registration from Google Sheets, enrollments, reports and departments.\n\n' +
+            'Successful responses are { success: true, message?, data }. Failures are ' +
+            '{ success: false, errors: [...] }; invalid input also gets details: [{ path, message }]. ' +
+            'A missing or invalid API key (401) or a missing scope (403) returns { success: false, error }.'
+    },
+    tags: [
+        { name: 'Students' },
+        { name: 'Registrations', description: 'Queued registration for the Apps Script' },
+        { name: 'Enrollments' },
+        { name: 'Reports', description: 'Reporting views as JSON or CSV' },
+        { name: 'Departments' },
+        { name: 'Meta' }
+    ],
+    paths,
+    components
+};
@@ -0,0 +1,185 @@
+/**
+ * Department Routes
+ * Department listing and administration of department aliases
+ * (the alternate names accepted by the API and ETL, e.g. "CS", "Comp Sci")
+ *
+ * Mounted at /api/departments
+ */
+
+import express from 'express';
+import { pool } from '../db.js';
+import { requireScope } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { parsePositiveInt } from '../utils/params.js';
+import { sendDatabaseError } from '../utils/errors.js';
+import { getDepartmentResolver, invalidateDepartmentResolver } from '../utils/departments.js';
+import { normalizeDepartmentKey } from '../../etl/utils/departments.js';
+import { logger } from '../../etl/utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/departments
+ * List departments with their aliases
+ */
+router.get('/', requireScope('departments:read'), validateRequest(), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT
+                d.department_id,
+                d.department_name,
+                d.department_head,
+                COALESCE(
+                    ARRAY_AGG(a.alias ORDER BY a.alias) FILTER (WHERE a.alias IS NOT NULL),
+                    '{}'
+                ) AS aliases
+            FROM department d
+            LEFT JOIN department_alias a ON a.department_id = d.department_id
+            GROUP BY d.department_id
+            ORDER BY d.department_id
+        `);
+
+        res.json({
+            success: true,
+            data: result.rows.map(row => ({
+                departmentId: row.department_id,
+                departmentName: row.department_name,
+                departmentHead: row.department_head,
+                aliases: row.aliases
+            }))
+        });
+
+    } catch (error) {
+        sendDatabaseError(res, error);
+    }
+});
+
+/**
+ * POST /api/departments/aliases
+ * Add an alias for a department
+ *
+ * Body: {
+ *   alias: string (e.g. "Comp. Sci."; stored normalized as "comp sci"),
+ *   department: string (name or existing alias)  - or -  departmentId: number
+ * }
+ */
+router.post('/aliases', requireScope('departments:write'), validateRequest(), async (req, res) => {
+    const { alias, department, departmentId } = req.body || {};
+    const errors = [];
+
+    const key = normalizeDepartmentKey(alias);
+    if (!key || key.length > 100) {
+        errors.push('alias is required (max 100 characters)');
+    }
+
+    let targetId = null;
+    if (departmentId !== undefined) {
+        targetId = parsePositiveInt(departmentId);
+        if (!targetId) errors.push('departmentId must be a positive integer');
+    } else if (department !== undefined) {
+        try {
+            const departments = await getDepartmentResolver();
+            targetId = departments.resolve(department)?.departmentId ?? null;
+            if (!targetId) {
+                const suggestion = departments.suggest(department);
+                errors.push(`Unknown department: "${department}".` +
+                    (suggestion ? ` Did you mean "${suggestion}"?` : ''));
+            }
+        } catch (error) {
+            return sendDatabaseError(res, error);
+        }
+    } else {
+        errors.push('Provide department or departmentId');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            errors: errors
+        });
+    }
+
+    try {
+        // Same normalization as normalizeDepartmentKey(), so "Comp. Sci." matches a department named "Comp Sci"
+        const existing = await pool.query(
+            `SELECT department_name FROM department
+             WHERE TRIM(REGEXP_REPLACE(LOWER(department_name), '[^a-z0-9]+', ' ', 'g')) = $1`,
+            [key]
+        );
+        if (existing.rows.length > 0) {
+            return res.status(409).json({
+                success: false,
+                errors: [`"${alias}" is already the name of department "${existing.rows[0].department_name}"`]
+            });
+        }
+
+        const result = await pool.query(
+            `INSERT INTO department_alias (alias, department_id)
+             VALUES ($1, $2)
+             ON CONFLICT (alias) DO NOTHING
+             RETURNING alias, department_id`,
+            [key, targetId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(409).json({
+                success: false,
+                errors: [`Alias "${key}" already exists`]
+            });
+        }
+
+        invalidateDepartmentResolver();
+        logger.success(`Department alias "${key}" → department ${targetId}`, { alias: key, departmentId: targetId });
+
+        res.status(201).json({
+            success: true,
+            message: 'Department alias added',
+            data: {
+                alias: result.rows[0].alias,
+                departmentId: result.rows[0].department_id
+            }
+        });
+
+    } catch (error) {
+        sendDatabaseError(res, error);
+    }
+});
+
+/**
+ * DELETE /api/departments/aliases/:alias
+ * Remove a department alias
+ */
+router.delete('/aliases/:alias', requireScope('departments:write'), validateRequest(), async (req, res) => {
+    const key = normalizeDepartmentKey(req.params.alias);
+
+    try {
+        const result = await pool.query(
+            'DELETE FROM department_alias WHERE alias = $1 RETURNING alias, department_id',
+            [key]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                errors: [`Alias "${key}" not found`]
+            });
+        }
+
+        invalidateDepartmentResolver();
+        logger.success(`Department alias "${key}" removed`, { alias: key });
+
+        res.json({
+            success: true,
+            message: 'Department alias removed',
+            data: {
+                alias: result.rows[0].alias,
+                departmentId: result.rows[0].department_id
+            }
+        });
+
+    } catch (error) {
+        sendDatabaseError(res, error);
+    }
+});
+
+export default router;
@@ -0,0 +1,62 @@
+/**
+ * API Documentation Routes
+ * The OpenAPI document (api/openapi.js) and a Swagger UI page for it,
+ * both public so clients can be generated from /api/openapi.json
+ *
+ * Mounted at /api
+ */
+
+import express from 'express';
+import { openApiDocument } from '../openapi.js';
+
+const router = express.Router();
+
+// Swagger UI is loaded from jsDelivr, pinned with Subresource Integrity.
+// The hashes are of the files in the npm tarball (jsDelivr serves them
+// unchanged); after a version bump, recompute them and check /api/docs loads:
+//   npm pack swagger-ui-dist@<version> && tar xzf swagger-ui-dist-<version>.tgz
+//   echo "sha384-$(openssl dgst -sha384 -binary package/swagger-ui-bundle.js | openssl base64 -A)"
+//   echo "sha384-$(openssl dgst -sha384 -binary package/swagger-ui.css | openssl base64 -A)"
+const SWAGGER_UI_URL = 'https://cdn.jsdelivr.net/npm/swagger-ui-dist@5.33.0';
+const SWAGGER_UI_JS_SRI = 'sha384-YDALVcy8kj8yltLBVi1vBiBAUqdxvus673gM8XKwiy6aDUJFXivF/KCufekjYbVf';
+const SWAGGER_UI_CSS_SRI = 'sha384-Ov4/wv3j2bmct8cDc5X4ngJZohVPzEmc6uDPH8WeljUxO5vtoykvMEfbu9Vh6RaW';
+
+/**
+ * Swagger UI page that loads the document from specUrl
+ */
+function docsPage(specUrl) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${openApiDocument.info.title}</title>
+    <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css" integrity="${SWAGGER_UI_CSS_SRI}" crossorigin="anonymous">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js" integrity="${SWAGGER_UI_JS_SRI}" crossorigin="anonymous"></script>
+    <script>
+        window.ui = SwaggerUIBundle({ url: '${specUrl}', dom_id: '#swagger-ui', persistAuthorization: true });
+    </script>
+</body>
+</html>
+`;
+}
+
+/**
+ * GET /api/openapi.json
+ * The OpenAPI 3.0 document
+ */
+router.get('/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+});
+
+/**
+ * GET /api/docs
+ * Swagger UI for the document ("Authorize" takes an API key)
+ */
+router.get('/docs', (req, res) => {
+    res.type('html').send(docsPage(`${req.baseUrl}/openapi.json`));
+});
+
+export default router;
@@ -0,0 +1,247 @@
+/**
+ * Enrollment Routes
+ * Thin HTTP layer over the enrollment functions in sql/procedures.sql
+ * (enroll_student, update_student_grade, get_student_gpa, get_pending_grades)
+ *
+ * Mounted at /api
+ */
+
+import express from 'express';
+import { pool } from '../db.js';
+import { requireScope } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { parsePositiveInt } from '../utils/params.js';
+import { sendDatabaseError } from '../utils/errors.js';
+import { cleanString, isValidGrade, parseDate } from '../../etl/utils/validators.js';
+import { logger } from '../../etl/utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * Format a DATE column as YYYY-MM-DD
+ */
+function formatDate(value) {
+    return value instanceof Date ? value.toISOString().split('T')[0] : value;
+}
+
+/**
+ * Convert an enrollment row into the API response shape
+ */
+function formatEnrollment(row) {
+    return {
+        enrollmentId: row.enrollment_id,
+        studentId: row.student_id,
+        courseId: row.course_id,
+        courseName: row.course_name,
+        courseCredits: row.course_credits,
+        grade: row.grade,
+        gradePoints: row.grade_points === null ? null : parseFloat(row.grade_points),
+        enrollmentDate: formatDate(row.enrollment_date)
+    };
+}
+
+// Enrollment + course join used by every read in this router
+const ENROLLMENT_DETAILS_SELECT = `
+    SELECT
+        e.enrollment_id,
+        e.student_id,
+        e.course_id,
+        c.course_name,
+        c.course_credits,
+        e.grade,
+        grade_to_points(e.grade) AS grade_points,
+        e.enrollment_date
+    FROM enrollment e
+    JOIN course c ON e.course_id = c.course_id
+`;
+
+/**
+ * POST /api/enrollments
+ * Enroll a student in a course via enroll_student()
+ *
+ * Body: {
+ *   studentId: number,
+ *   courseId: string (e.g. "CS101"),
+ *   enrollmentDate: string (optional, defaults to today)
+ * }
+ */
+router.post('/enrollments', requireScope('enrollments:write'), validateRequest(), async (req, res) => {
+    const { studentId, courseId, enrollmentDate } = req.body || {};
+    const errors = [];
+
+    const parsedStudentId = parsePositiveInt(studentId);
+    if (!parsedStudentId) {
+        errors.push('studentId must be a positive integer');
+    }
+
+    const cleanCourseId = cleanString(courseId)?.toUpperCase();
+    if (!cleanCourseId || cleanCourseId.length > 10) {
+        errors.push('courseId is required (max 10 characters)');
+    }
+
+    const parsedDate = enrollmentDate === undefined ? null : parseDate(enrollmentDate);
+    if (enrollmentDate !== undefined && !parsedDate) {
+        errors.push('Invalid enrollmentDate');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            errors: errors
+        });
+    }
+
+    try {
+        // Let the function's DEFAULT CURRENT_DATE apply when no date is given
+        const result = parsedDate
+            ? await pool.query('SELECT enroll_student($1, $2, $3) AS enrollment_id', [parsedStudentId, cleanCourseId, parsedDate])
+            : await pool.query('SELECT enroll_student($1, $2) AS enrollment_id', [parsedStudentId, cleanCourseId]);
+
+        const enrollment = await pool.query(
+            `${ENROLLMENT_DETAILS_SELECT} WHERE e.enrollment_id = $1`,
+            [result.rows[0].enrollment_id]
+        );
+
+        logger.success(`Student ${parsedStudentId} enrolled in ${cleanCourseId}`, { studentId: parsedStudentId, courseId: cleanCourseId });
+
+        res.status(201).json({
+            success: true,
+            message: 'Student enrolled successfully',
+            data: formatEnrollment(enrollment.rows[0])
+        });
+
+    } catch (error) {
+        sendDatabaseError(res, error);
+    }
+});
+
+/**
+ * PATCH /api/enrollments/:studentId/:courseId/grade
+ * Set the grade for an enrollment via update_student_grade()
+ *
+ * Body: { grade: 'A' | 'A-' | 'B' | 'B-' | 'C' | 'C-' | 'D' | 'F' }
+ */
+router.patch('/enrollments/:studentId/:courseId/grade', requireScope('enrollments:write'), validateRequest(), async (req, res) => {
+    const studentId = parsePositiveInt(req.params.studentId);
+    const courseId = req.params.courseId.toUpperCase();
+    const grade = cleanString(req.body?.grade)?.toUpperCase();
+    const errors = [];
+
+    if (!studentId) {
+        errors.push('Student ID must be a positive integer');
+    }
+
+    if (!grade || !isValidGrade(grade)) {
+        errors.push('Invalid grade. Must be one of: A, A-, B, B-, C, C-, D, F');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            errors: errors
+        });
+    }
+
+    try {
+        await pool.query('SELECT update_student_grade($1, $2, $3)', [studentId, courseId, grade]);
+
+        const enrollment = await pool.query(
+            `${ENROLLMENT_DETAILS_SELECT} WHERE e.student_id = $1 AND e.course_id = $2`,
+            [studentId, courseId]
+        );
+
+        logger.success(`Grade ${grade} set for student ${studentId} in ${courseId}`, { studentId, courseId, grade });
+
+        res.json({
+            success: true,
+            message: 'Grade updated successfully',
+            data: formatEnrollment(enrollment.rows[0])
+        });
+
+    } catch (error) {
+        sendDatabaseError(res, error);
+    }
+});
+
+/**
+ * GET /api/students/:id/enrollments
+ * List a student's enrollments together with their GPA
+ */
+router.get('/students/:id/enrollments', requireScope('enrollments:read'), validateRequest(), async (req, res) => {
+    const studentId = parsePositiveInt(req.params.id);
+    if (!studentId) {
+        return res.status(400).json({
+            success: false,
+            errors: ['Student ID must be a positive integer']
+        });
+    }
+
+    try {
+        const student = await pool.query(
+            'SELECT student_id, get_student_gpa(student_id) AS gpa FROM student WHERE student_id = $1',
+            [studentId]
+        );
+
+        if (student.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                errors: [`Student ${studentId} not found`]
+            });
+        }
+
+        const result = await pool.query(
+            `${ENROLLMENT_DETAILS_SELECT}
+             WHERE e.student_id = $1
+             ORDER BY e.enrollment_date, e.course_id`,
+            [studentId]
+        );
+
+        const { gpa } = student.rows[0];
+
+        res.json({
+            success: true,
+            data: {
+                studentId,
+                gpa: gpa === null ? null : parseFloat(gpa),
+                enrollments: result.rows.map(formatEnrollment)
+            }
+        });
+
+    } catch (error) {
+        sendDatabaseError(res, error);
+    }
+});
+
+/**
+ * GET /api/grades/pending
+ * Enrollments still waiting for a grade, via get_pending_grades()
+ *
+ * Query: { courseId: string (optional) }
+ */
+router.get('/grades/pending', requireScope('enrollments:read'), validateRequest(), async (req, res) => {
+    const courseId = cleanString(req.query.courseId)?.toUpperCase();
+
+    try {
+        const result = courseId
+            ? await pool.query('SELECT * FROM get_pending_grades() WHERE course_id = $1', [courseId])
+            : await pool.query('SELECT * FROM get_pending_grades()');
+
+        res.json({
+            success: true,
+            data: result.rows.map(row => ({
+                enrollmentId: row.enrollment_id,
+                studentName: row.student_name,
+                studentEmail: row.student_email,
+                courseId: row.course_id,
+                courseName: row.course_name,
+                enrollmentDate: formatDate(row.enrollment_date),
+                daysSinceEnrollment: row.days_since_enrollment
+            }))
+        });
+
+    } catch (error) {
+        sendDatabaseError(res, error);
+    }
+});
+
+export default router;
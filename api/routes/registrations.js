@@ -0,0 +1,173 @@
+/**
+ * Registration Queue Routes
+ * Outbox for the Apps Script: rows are accepted at once and registered by
+ * the queue worker (api/workers/registrationQueue.js), which retries
+ * transient failures; clients poll for the outcome
+ *
+ * Mounted at /api/registrations
+ */
+
+import express from 'express';
+import { pool } from '../db.js';
+import { requireScope } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { parsePositiveInt } from '../utils/params.js';
+import { sendDatabaseError } from '../utils/errors.js';
+import { logger } from '../../etl/utils/logger.js';
+
+const router = express.Router();
+
+// Upper bound on rows per queue request and ids per status request
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE, 10) || 500;
+
+const CLIENT_KEY_MAX = 255;
+
+/**
+ * Queue row -> response item
+ */
+function toQueueItem(row) {
+    return {
+        queueId: row.queue_id,
+        status: row.status,
+        attempts: row.attempts,
+        studentId: row.student_id,
+        error: row.last_error,
+        nextAttemptAt: row.status === 'queued' ? row.next_attempt_at : null,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * POST /api/registrations/queue
+ * Queue one or more registrations; returns 202 before anything is validated
+ *
+ * Body: <student, same shape as POST /api/students>
+ *   or: { registrations: [ <student>, ... ] }
+ *
+ * Each student may carry a "clientKey" (e.g. spreadsheet + row + data hash).
+ * Queueing a key again returns the existing entry instead of a new one;
+ * an entry that had "failed" is queued again with fresh attempts.
+ */
+router.post('/queue', requireScope('students:write'), validateRequest(), async (req, res) => {
+    const single = !Array.isArray(req.body?.registrations);
+    const registrations = single ? [req.body] : req.body.registrations;
+
+    const errors = [];
+    if (registrations.length === 0) {
+        errors.push('"registrations" must be a non-empty array');
+    } else if (registrations.length > MAX_BATCH_SIZE) {
+        return res.status(413).json({
+            success: false,
+            errors: [`Batch too large: ${registrations.length} rows (max ${MAX_BATCH_SIZE})`]
+        });
+    }
+    registrations.forEach((item, index) => {
+        const prefix = single ? '' : `registrations[${index}]: `;
+        if (!item || typeof item !== 'object' || Array.isArray(item) || Object.keys(item).length === 0) {
+            errors.push(`${prefix}must be a student object`);
+        } else if (item.clientKey !== undefined &&
+            (typeof item.clientKey !== 'string' || !item.clientKey || item.clientKey.length > CLIENT_KEY_MAX)) {
+            errors.push(`${prefix}clientKey must be a string of 1-${CLIENT_KEY_MAX} characters`);
+        }
+    });
+
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, errors });
+    }
+
+    let client;
+    try {
+        client = await pool.connect();
+    } catch (error) {
+        return sendDatabaseError(res, error);
+    }
+
+    const data = [];
+
+    try {
+        await client.query('BEGIN');
+
+        for (const [index, { clientKey = null, ...payload }] of registrations.entries()) {
+            let result = await client.query(`
+                INSERT INTO registration_queue (client_key, payload)
+                VALUES ($1, $2)
+                ON CONFLICT (client_key) DO UPDATE
+                SET status = 'queued', attempts = 0, next_attempt_at = NOW(),
+                    last_error = NULL, payload = EXCLUDED.payload, updated_at = NOW()
+                WHERE registration_queue.status = 'failed'
+                RETURNING *
+            `, [clientKey, JSON.stringify(payload)]);
+
+            // Key already queued and not failed: report the existing entry
+            const queued = result.rows.length > 0;
+            if (!queued) {
+                result = await client.query('SELECT * FROM registration_queue WHERE client_key = $1', [clientKey]);
+            }
+
+            data.push({ index, queued, ...toQueueItem(result.rows[0]) });
+        }
+
+        await client.query('COMMIT');
+
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        return sendDatabaseError(res, error);
+
+    } finally {
+        client.release();
+    }
+
+    const newlyQueued = data.filter(item => item.queued).length;
+    logger.info(`Queued ${newlyQueued} of ${data.length} registrations`, { rows: data.length, queued: newlyQueued });
+
+    res.status(202).json({
+        success: true,
+        message: `${newlyQueued} registrations queued`,
+        data: single ? data[0] : data
+    });
+});
+
+/**
+ * GET /api/registrations/status?ids=1,2,3
+ * Current status of queued registrations
+ *
+ * Statuses: queued, processing, registered, duplicate, invalid, failed.
+ * Ids that do not exist are listed in "missing".
+ */
+router.get('/status', requireScope('students:read'), validateRequest(), async (req, res) => {
+    const raw = String(req.query.ids ?? '').split(',').map(id => id.trim()).filter(Boolean);
+    const ids = raw.map(parsePositiveInt);
+
+    if (raw.length === 0 || ids.includes(null)) {
+        return res.status(400).json({
+            success: false,
+            errors: ['ids must be a comma-separated list of queue ids']
+        });
+    }
+    if (ids.length > MAX_BATCH_SIZE) {
+        return res.status(400).json({
+            success: false,
+            errors: [`Too many ids: ${ids.length} (max ${MAX_BATCH_SIZE})`]
+        });
+    }
+
+    try {
+        const result = await pool.query(
+            'SELECT * FROM registration_queue WHERE queue_id = ANY($1::INT[]) ORDER BY queue_id',
+            [ids]
+        );
+
+        const found = new Set(result.rows.map(row => row.queue_id));
+
+        res.json({
+            success: true,
+            data: result.rows.map(toQueueItem),
+            missing: [...new Set(ids)].filter(id => !found.has(id))
+        });
+
+    } catch (error) {
+        sendDatabaseError(res, error);
+    }
+});
+
+export default router;
@@ -0,0 +1,234 @@
+/**
+ * Report Routes
+ * Serves the reporting views in sql/views.sql as JSON or CSV
+ *
+ * CSV is returned when the client sends "Accept: text/csv" or "?format=csv",
+ * so a sheet can pull a report with:
+ *   =IMPORTDATA("https://<host>/api/reports/student-gpa?format=csv&apiKey=<key>")
+ *
+ * Mounted at /api/reports
+ */
+
+import express from 'express';
+import { pool } from '../db.js';
+import { requireScope } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { parsePositiveInt } from '../utils/params.js';
+import { sendDatabaseError } from '../utils/errors.js';
+import { toCSV } from '../utils/csv.js';
+import { getDepartmentResolver } from '../utils/departments.js';
+import { cleanString, isValidYear, parseYear } from '../../etl/utils/validators.js';
+
+const router = express.Router();
+
+// pg type OIDs that arrive as strings but are numbers (int8, numeric, float8)
+const NUMERIC_TYPE_IDS = new Set([20, 1700, 701]);
+// pg type OID for DATE
+const DATE_TYPE_ID = 1082;
+
+/**
+ * Report definitions
+ * Each report is one view plus the filters it supports (query param -> column)
+ */
+const REPORTS = {
+    'student-gpa': {
+        view: 'vw_student_gpa',
+        filters: { department: 'department_name', year: 'student_year' },
+        orderBy: 'gpa DESC NULLS LAST, student_id'
+    },
+    'course-statistics': {
+        view: 'vw_course_statistics',
+        filters: { department: 'department_name', courseId: 'course_id' },
+        orderBy: 'course_id'
+    },
+    'department-summary': {
+        view: 'vw_department_summary',
+        filters: { department: 'department_name' },
+        orderBy: 'department_id'
+    },
+    'enrollments': {
+        view: 'vw_enrollment_report',
+        filters: { department: 'student_department', courseId: 'course_id', year: 'student_year' },
+        orderBy: 'enrollment_date, enrollment_id'
+    }
+};
+
+/**
+ * Turn pg string-encoded numbers and dates into plain JSON values
+ */
+function normalizeRows(result) {
+    const numeric = result.fields.filter(f => NUMERIC_TYPE_IDS.has(f.dataTypeID)).map(f => f.name);
+    const dates = result.fields.filter(f => f.dataTypeID === DATE_TYPE_ID).map(f => f.name);
+
+    return result.rows.map(row => {
+        const out = { ...row };
+        for (const name of numeric) {
+            if (out[name] !== null) out[name] = Number(out[name]);
+        }
+        for (const name of dates) {
+            if (out[name] instanceof Date) out[name] = out[name].toISOString().split('T')[0];
+        }
+        return out;
+    });
+}
+
+/**
+ * Did the client ask for CSV?
+ */
+function wantsCSV(req) {
+    if (req.query.format !== undefined) {
+        return String(req.query.format).toLowerCase() === 'csv';
+    }
+    return req.accepts(['application/json', 'text/csv']) === 'text/csv';
+}
+
+/**
+ * Send report rows as CSV or JSON
+ */
+function sendReport(req, res, name, result) {
+    const rows = normalizeRows(result);
+
+    if (wantsCSV(req)) {
+        res.type('text/csv');
+        res.set('Content-Disposition', `inline; filename="${name}.csv"`);
+        return res.send(toCSV(rows, result.fields.map(f => f.name)));
+    }
+
+    res.json({
+        success: true,
+        report: name,
+        count: rows.length,
+        data: rows
+    });
+}
+
+/**
+ * GET /api/reports
+ * List the available reports and their filters
+ */
+router.get('/', requireScope('reports:read'), validateRequest(), (req, res) => {
+    res.json({
+        success: true,
+        data: Object.entries(REPORTS).map(([name, report]) => ({
+            name,
+            path: `/api/reports/${name}`,
+            filters: Object.keys(report.filters)
+        }))
+    });
+});
+
+/**
+ * GET /api/reports/departments/:id/stats
+ * Department statistics from get_department_stats()
+ */
+router.get('/departments/:id/stats', requireScope('reports:read'), validateRequest(), async (req, res) => {
+    const departmentId = parsePositiveInt(req.params.id);
+    if (!departmentId) {
+        return res.status(400).json({
+            success: false,
+            errors: ['Department ID must be a positive integer']
+        });
+    }
+
+    try {
+        const result = await pool.query('SELECT get_department_stats($1) AS stats', [departmentId]);
+        const stats = result.rows[0].stats;
+
+        if (!stats) {
+            return res.status(404).json({
+                success: false,
+                errors: [`Department ${departmentId} not found`]
+            });
+        }
+
+        if (wantsCSV(req)) {
+            // Flatten students_per_year into year_1..year_4 columns
+            const { students_per_year: perYear, ...row } = stats;
+            for (const year of [1, 2, 3, 4]) {
+                row[`year_${year}_students`] = perYear?.[year] ?? 0;
+            }
+            res.type('text/csv');
+            res.set('Content-Disposition', `inline; filename="department-${departmentId}-stats.csv"`);
+            return res.send(toCSV([row]));
+        }
+
+        res.json({
+            success: true,
+            data: stats
+        });
+
+    } catch (error) {
+        sendDatabaseError(res, error);
+    }
+});
+
+/**
+ * GET /api/reports/:name
+ * Serve one reporting view, filtered by the query parameters it supports
+ *
+ * Query (depending on report): {
+ *   department: string (name or alias),
+ *   courseId: string,
+ *   year: number (1-4),
+ *   format: 'json' | 'csv'
+ * }
+ */
+router.get('/:name', requireScope('reports:read'), validateRequest(), async (req, res) => {
+    const name = req.params.name;
+    const report = REPORTS[name];
+
+    if (!report) {
+        return res.status(404).json({
+            success: false,
+            errors: [`Unknown report: ${name}. Available: ${Object.keys(REPORTS).join(', ')}`]
+        });
+    }
+
+    const errors = [];
+    const conditions = [];
+    const params = [];
+
+    for (const [param, column] of Object.entries(report.filters)) {
+        const raw = req.query[param];
+        if (raw === undefined || raw === '') continue;
+
+        let value;
+        if (param === 'department') {
+            value = (await getDepartmentResolver()).resolveName(raw);
+            if (!value) errors.push(`Unknown department: ${raw}`);
+        } else if (param === 'year') {
+            value = parseYear(raw);
+            if (!value || !isValidYear(value)) errors.push('Year must be between 1 and 4');
+        } else {
+            value = cleanString(raw)?.toUpperCase();
+        }
+
+        if (value) {
+            params.push(value);
+            conditions.push(`${column} = $${params.length}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            errors: errors
+        });
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+        const result = await pool.query(
+            `SELECT * FROM ${report.view} ${where} ORDER BY ${report.orderBy}`,
+            params
+        );
+
+        sendReport(req, res, name, result);
+
+    } catch (error) {
+        sendDatabaseError(res, error);
+    }
+});
+
+export default router;
@@ -0,0 +1,664 @@
+/**
+ * Student Routes
+ * Registration, lookup, update and removal of students
+ *
+ * Mounted at /api/students
+ */
+
+import express from 'express';
+import { pool } from '../db.js';
+import { requireScope } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { parseNonNegativeInt, parsePositiveInt } from '../utils/params.js';
+import { sendValidationError } from '../utils/errors.js';
+import { getDepartmentResolver } from '../utils/departments.js';
+import { insertStudent, validateStudentInput } from '../utils/students.js';
+import { isValidYear, parseYear } from '../../etl/utils/validators.js';
+import { publishWebhookEvents, studentRegisteredEvent, studentRejectedEvent } from '../../etl/utils/webhooks.js';
+import { logger } from '../../etl/utils/logger.js';
+
+const router = express.Router();
+
+// Upper bound on rows accepted by POST /api/students/batch
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE, 10) || 500;
+
+/**
+ * POST /api/students
+ * Register a new student from Google Sheets
+ *
+ * Body: StudentRegistration in api/openapi.js, checked here by validateStudentInput
+ * rather than validateRequest so invalid registrations publish student.rejected
+ * Returns 201 with data: { studentId, email }
+ *
+ * Headers: Idempotency-Key (optional) - retries with the same key and body
+ * replay the original response instead of failing with 409
+ */
+router.post('/', requireScope('students:write'), validateRequest({ body: false }), idempotency, async (req, res) => {
+    logger.debug('Received registration request', { body: req.body });
+
+    const departments = await getDepartmentResolver();
+    const { errors, invalidFields, student } = validateStudentInput(req.body, departments);
+
+    // If validation errors, return 400
+    // (webhook events are not awaited: publishing never throws and must not delay the response)
+    if (errors.length > 0) {
+        logger.warn('Validation failed', { errors });
+        publishWebhookEvents(pool, [studentRejectedEvent(req.body, 'invalid', errors, 'api')]);
+        return sendValidationError(res, errors.map((message, i) => ({ path: `body.${invalidFields[i]}`, message })));
+    }
+
+    try {
+        // Get department_id
+        const deptResult = await pool.query(
+            'SELECT department_id FROM department WHERE department_name = $1',
+            [student.department]
+        );
+
+        if (deptResult.rows.length === 0) {
+            const deptErrors = [`Department "${student.department}" not found in database`];
+            publishWebhookEvents(pool, [studentRejectedEvent(student, 'invalid', deptErrors, 'api')]);
+            return res.status(400).json({
+                success: false,
+                errors: deptErrors
+            });
+        }
+
+        const departmentId = deptResult.rows[0].department_id;
+
+        // ON CONFLICT DO NOTHING, so a concurrent registration of the same
+        // email gets the 409 below rather than a unique violation
+        const studentId = await insertStudent(pool, student, departmentId);
+
+        if (studentId === null) {
+            publishWebhookEvents(pool, [
+                studentRejectedEvent(student, 'duplicate', ['Student with this email already exists'], 'api')
+            ]);
+            return res.status(409).json({
+                success: false,
+                errors: ['Student with this email already exists']
+            });
+        }
+
+        logger.success(`Student registered: ${studentId}`, { studentId });
+        publishWebhookEvents(pool, [studentRegisteredEvent(student, studentId, 'api')]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Student registered successfully',
+            data: {
+                studentId,
+                email: student.email
+            }
+        });
+
+    } catch (error) {
+        logger.error('Database error', error);
+
+        res.status(500).json({
+            success: false,
+            errors: ['Internal server error: ' + error.message]
+        });
+    }
+});
+
+/**
+ * POST /api/students/batch
+ * Register many students in one request (e.g. a pasted block of sheet rows)
+ *
+ * Body: { students: [ <same shape as POST /api/students> ] }
+ *
+ * Every row is validated independently and inserted inside one transaction,
+ * each behind its own savepoint so a failing row does not abort the rest.
+ * The response carries one result per input index:
+ *   { index, status: 'created' | 'duplicate' | 'invalid' | 'error', ... }
+ */
+router.post('/batch', requireScope('students:write'), validateRequest(), async (req, res) => {
+    const students = Array.isArray(req.body) ? req.body : req.body?.students;
+
+    if (!Array.isArray(students) || students.length === 0) {
+        return res.status(400).json({
+            success: false,
+            errors: ['Body must contain a non-empty "students" array']
+        });
+    }
+
+    if (students.length > MAX_BATCH_SIZE) {
+        return res.status(413).json({
+            success: false,
+            errors: [`Batch too large: ${students.length} rows (max ${MAX_BATCH_SIZE})`]
+        });
+    }
+
+    logger.info(`Received batch registration request: ${students.length} rows`, { rows: students.length });
+
+    const results = new Array(students.length);
+    const validRows = [];
+
+    // 1. Validate every row up front
+    const departments = await getDepartmentResolver();
+    students.forEach((body, index) => {
+        const { errors, student } = validateStudentInput(body, departments);
+        if (errors.length > 0) {
+            results[index] = { index, status: 'invalid', email: student.email, errors };
+        } else {
+            validRows.push({ index, student });
+        }
+    });
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        // 2. Insert valid rows, one savepoint per row
+        for (const { index, student } of validRows) {
+            const departmentId = departments.getId(student.department);
+            if (!departmentId) {
+                results[index] = {
+                    index,
+                    status: 'invalid',
+                    email: student.email,
+                    errors: [`Department "${student.department}" not found in database`]
+                };
+                continue;
+            }
+
+            await client.query('SAVEPOINT batch_row');
+
+            try {
+                const studentId = await insertStudent(client, student, departmentId);
+
+                await client.query('RELEASE SAVEPOINT batch_row');
+
+                if (studentId === null) {
+                    results[index] = {
+                        index,
+                        status: 'duplicate',
+                        email: student.email,
+                        errors: ['Student with this email already exists']
+                    };
+                } else {
+                    results[index] = {
+                        index,
+                        status: 'created',
+                        email: student.email,
+                        studentId
+                    };
+                }
+            } catch (error) {
+                await client.query('ROLLBACK TO SAVEPOINT batch_row');
+                results[index] = {
+                    index,
+                    status: 'error',
+                    email: student.email,
+                    errors: [error.message]
+                };
+            }
+        }
+
+        await client.query('COMMIT');
+
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        logger.error('Batch registration failed', error);
+
+        return res.status(500).json({
+            success: false,
+            errors: ['Internal server error: ' + error.message]
+        });
+
+    } finally {
+        client.release();
+    }
+
+    const summary = { total: students.length, created: 0, duplicate: 0, invalid: 0, error: 0 };
+    const events = [];
+    const cleaned = new Map(validRows.map(({ index, student }) => [index, student]));
+    for (const result of results) {
+        summary[result.status]++;
+
+        const row = cleaned.get(result.index) ?? students[result.index];
+        if (result.status === 'created') {
+            events.push(studentRegisteredEvent(row, result.studentId, 'batch'));
+        } else if (result.status === 'duplicate' || result.status === 'invalid') {
+            events.push(studentRejectedEvent(row, result.status, result.errors, 'batch'));
+        }
+    }
+    publishWebhookEvents(pool, events);
+
+    logger.success('Batch processed', summary);
+
+    res.json({
+        success: true,
+        summary,
+        results
+    });
+});
+
+/**
+ * Columns that GET /api/students may sort on (API name -> SQL expression)
+ */
+const STUDENT_SORT_COLUMNS = {
+    studentId: 's.student_id',
+    firstName: 's.student_first_name',
+    lastName: 's.student_last_name',
+    email: 's.student_email',
+    dateOfBirth: 's.student_date_of_birth',
+    year: 's.student_year',
+    phoneNumber: 's.student_phone_number',
+    departmentId: 's.department_id',
+    department: 'd.department_name'
+};
+
+// Student + department join (same shape as vw_student_details)
+const STUDENT_DETAILS_SELECT = `
+    SELECT
+        s.student_id,
+        s.student_first_name,
+        s.student_last_name,
+        s.student_email,
+        s.student_date_of_birth,
+        s.student_year,
+        s.student_phone_number,
+        s.department_id,
+        d.department_name
+    FROM student s
+    JOIN department d ON s.department_id = d.department_id
+`;
+
+/**
+ * Convert a student details row into the API response shape
+ */
+function formatStudent(row) {
+    return {
+        studentId: row.student_id,
+        firstName: row.student_first_name,
+        lastName: row.student_last_name,
+        email: row.student_email,
+        dateOfBirth: row.student_date_of_birth instanceof Date
+            ? row.student_date_of_birth.toISOString().split('T')[0]
+            : row.student_date_of_birth,
+        year: row.student_year,
+        phoneNumber: row.student_phone_number,
+        departmentId: row.department_id,
+        department: row.department_name
+    };
+}
+
+/**
+ * GET /api/students
+ * List students with optional filtering, sorting and pagination
+ *
+ * Query: {
+ *   department: string (name or alias, e.g. "CS"),
+ *   departmentId: number,
+ *   year: number (1-4),
+ *   email: string (case-insensitive substring),
+ *   sort: string (one of STUDENT_SORT_COLUMNS, default studentId),
+ *   order: 'asc' | 'desc' (default asc),
+ *   limit: number (1-200, default 50),
+ *   offset: number (default 0)
+ * }
+ */
+router.get('/', requireScope('students:read'), validateRequest(), async (req, res) => {
+    const {
+        department,
+        departmentId,
+        year,
+        email,
+        sort = 'studentId',
+        order = 'asc'
+    } = req.query;
+
+    const errors = [];
+    const conditions = [];
+    const params = [];
+
+    // 1. Department filter (by name/alias or by id)
+    if (department !== undefined) {
+        const standardizedDept = (await getDepartmentResolver()).resolveName(department);
+        if (!standardizedDept) {
+            errors.push(`Unknown department: ${department}`);
+        } else {
+            params.push(standardizedDept);
+            conditions.push(`d.department_name = $${params.length}`);
+        }
+    }
+
+    if (departmentId !== undefined) {
+        const parsedDeptId = parsePositiveInt(departmentId);
+        if (!parsedDeptId) {
+            errors.push('departmentId must be a positive integer');
+        } else {
+            params.push(parsedDeptId);
+            conditions.push(`s.department_id = $${params.length}`);
+        }
+    }
+
+    // 2. Year filter
+    if (year !== undefined) {
+        const parsedYear = parseYear(year);
+        if (!parsedYear || !isValidYear(parsedYear)) {
+            errors.push('Year must be between 1 and 4');
+        } else {
+            params.push(parsedYear);
+            conditions.push(`s.student_year = $${params.length}`);
+        }
+    }
+
+    // 3. Email substring filter
+    if (email !== undefined && String(email).trim() !== '') {
+        const pattern = String(email).trim().replace(/[\\%_]/g, '\\$&');
+        params.push(`%${pattern}%`);
+        conditions.push(`s.student_email ILIKE $${params.length}`);
+    }
+
+    // 4. Sorting (whitelisted columns only)
+    const sortColumn = STUDENT_SORT_COLUMNS[sort];
+    if (!sortColumn) {
+        errors.push(`Invalid sort column: ${sort}. Must be one of: ${Object.keys(STUDENT_SORT_COLUMNS).join(', ')}`);
+    }
+
+    const sortOrder = String(order).toLowerCase();
+    if (!['asc', 'desc'].includes(sortOrder)) {
+        errors.push('order must be "asc" or "desc"');
+    }
+
+    // 5. Pagination
+    const limit = req.query.limit === undefined ? 50 : parsePositiveInt(req.query.limit);
+    if (!limit || limit > 200) {
+        errors.push('limit must be between 1 and 200');
+    }
+
+    const offset = req.query.offset === undefined ? 0 : parseNonNegativeInt(req.query.offset);
+    if (offset === null) {
+        errors.push('offset must be a non-negative integer');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            errors: errors
+        });
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+        const countResult = await pool.query(
+            `SELECT COUNT(*) FROM student s
+             JOIN department d ON s.department_id = d.department_id
+             ${where}`,
+            params
+        );
+
+        // Tie-break on student_id so pages are stable
+        const result = await pool.query(
+            `${STUDENT_DETAILS_SELECT}
+             ${where}
+             ORDER BY ${sortColumn} ${sortOrder.toUpperCase()}, s.student_id ${sortOrder.toUpperCase()}
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, offset]
+        );
+
+        res.json({
+            success: true,
+            data: result.rows.map(formatStudent),
+            pagination: {
+                total: parseInt(countResult.rows[0].count, 10),
+                limit,
+                offset
+            }
+        });
+
+    } catch (error) {
+        logger.error('Database error', error);
+
+        res.status(500).json({
+            success: false,
+            errors: ['Internal server error: ' + error.message]
+        });
+    }
+});
+
+/**
+ * GET /api/students/:id
+ * Fetch a single student with department details
+ */
+router.get('/:id', requireScope('students:read'), validateRequest(), async (req, res) => {
+    const studentId = parsePositiveInt(req.params.id);
+    if (!studentId) {
+        return res.status(400).json({
+            success: false,
+            errors: ['Student ID must be a positive integer']
+        });
+    }
+
+    try {
+        const result = await pool.query(
+            `${STUDENT_DETAILS_SELECT} WHERE s.student_id = $1`,
+            [studentId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                errors: [`Student ${studentId} not found`]
+            });
+        }
+
+        res.json({
+            success: true,
+            data: formatStudent(result.rows[0])
+        });
+
+    } catch (error) {
+        logger.error('Database error', error);
+
+        res.status(500).json({
+            success: false,
+            errors: ['Internal server error: ' + error.message]
+        });
+    }
+});
+
+/**
+ * Student fields that PATCH /api/students/:id may change (API name -> column)
+ */
+const STUDENT_UPDATE_COLUMNS = {
+    firstName: 'student_first_name',
+    lastName: 'student_last_name',
+    email: 'student_email',
+    dateOfBirth: 'student_date_of_birth',
+    year: 'student_year',
+    phoneNumber: 'student_phone_number'
+};
+
+/**
+ * PATCH /api/students/:id
+ * Update some fields of an existing student (e.g. a typo fixed in the sheet)
+ *
+ * Body: StudentUpdate in api/openapi.js (any subset of the POST /api/students fields)
+ * Only the supplied fields are validated and written.
+ */
+router.patch('/:id', requireScope('students:write'), validateRequest(), async (req, res) => {
+    const studentId = parsePositiveInt(req.params.id);
+    if (!studentId) {
+        return res.status(400).json({
+            success: false,
+            errors: ['Student ID must be a positive integer']
+        });
+    }
+
+    const body = req.body || {};
+    const knownFields = [...Object.keys(STUDENT_UPDATE_COLUMNS), 'department'];
+    const unknownFields = Object.keys(body).filter(field => !knownFields.includes(field));
+
+    if (unknownFields.length > 0) {
+        return res.status(400).json({
+            success: false,
+            errors: [`Unknown field(s): ${unknownFields.join(', ')}`]
+        });
+    }
+
+    const departments = await getDepartmentResolver();
+    const { errors, invalidFields, student } = validateStudentInput(body, departments, { partial: true });
+    const details = errors.map((message, i) => ({ path: `body.${invalidFields[i]}`, message }));
+
+    if (Object.keys(student).length === 0) {
+        details.push({ path: 'body', message: `Provide at least one of: ${knownFields.join(', ')}` });
+    }
+
+    if (details.length > 0) {
+        logger.warn('Validation failed', { errors: details.map(detail => detail.message) });
+        return sendValidationError(res, details);
+    }
+
+    try {
+        const assignments = [];
+        const params = [];
+
+        for (const [field, column] of Object.entries(STUDENT_UPDATE_COLUMNS)) {
+            if (student[field] !== undefined) {
+                params.push(student[field]);
+                assignments.push(`${column} = $${params.length}`);
+            }
+        }
+
+        // Resolve department name to id
+        if (student.department !== undefined) {
+            const deptResult = await pool.query(
+                'SELECT department_id FROM department WHERE department_name = $1',
+                [student.department]
+            );
+
+            if (deptResult.rows.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    errors: [`Department "${student.department}" not found in database`]
+                });
+            }
+
+            params.push(deptResult.rows[0].department_id);
+            assignments.push(`department_id = $${params.length}`);
+        }
+
+        params.push(studentId);
+        const result = await pool.query(
+            `UPDATE student SET ${assignments.join(', ')}
+             WHERE student_id = $${params.length}
+             RETURNING student_id`,
+            params
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                errors: [`Student ${studentId} not found`]
+            });
+        }
+
+        const updated = await pool.query(
+            `${STUDENT_DETAILS_SELECT} WHERE s.student_id = $1`,
+            [studentId]
+        );
+
+        logger.success(`Student updated: ${studentId}`, { studentId, fields: Object.keys(student) });
+
+        res.json({
+            success: true,
+            message: 'Student updated successfully',
+            data: formatStudent(updated.rows[0])
+        });
+
+    } catch (error) {
+        // 23505 = unique_violation (student_email)
+        if (error.code === '23505') {
+            return res.status(409).json({
+                success: false,
+                errors: ['Student with this email already exists']
+            });
+        }
+
+        logger.error('Database error', error);
+
+        res.status(500).json({
+            success: false,
+            errors: ['Internal server error: ' + error.message]
+        });
+    }
+});
+
+/**
+ * DELETE /api/students/:id
+ * Remove a student; their enrollments go with them (ON DELETE CASCADE)
+ */
+router.delete('/:id', requireScope('students:write'), validateRequest(), async (req, res) => {
+    const studentId = parsePositiveInt(req.params.id);
+    if (!studentId) {
+        return res.status(400).json({
+            success: false,
+            errors: ['Student ID must be a positive integer']
+        });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        // Lock the student row so the enrollment count matches what the cascade removes
+        const existing = await client.query(
+            'SELECT student_id FROM student WHERE student_id = $1 FOR UPDATE',
+            [studentId]
+        );
+
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                success: false,
+                errors: [`Student ${studentId} not found`]
+            });
+        }
+
+        const enrollmentCount = await client.query(
+            'SELECT COUNT(*) FROM enrollment WHERE student_id = $1',
+            [studentId]
+        );
+
+        const result = await client.query(
+            'DELETE FROM student WHERE student_id = $1 RETURNING student_id, student_email',
+            [studentId]
+        );
+
+        await client.query('COMMIT');
+
+        const deletedEnrollments = parseInt(enrollmentCount.rows[0].count, 10);
+        logger.success(`Student deleted: ${studentId} (${deletedEnrollments} enrollments)`, { studentId, deletedEnrollments });
+
+        res.json({
+            success: true,
+            message: 'Student deleted successfully',
+            data: {
+                studentId: result.rows[0].student_id,
+                email: result.rows[0].student_email,
+                deletedEnrollments
+            }
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        logger.error('Database error', error);
+
+        res.status(500).json({
+            success: false,
+            errors: ['Internal server error: ' + error.message]
+        });
+
+    } finally {
+        client.release();
+    }
+});
+
+export default router;
@@ -0,0 +1,60 @@
+/**
+ * API Key Helpers
+ * Key generation, hashing and the list of known scopes
+ *
+ * Keys are shown once at creation; only their SHA-256 hash is stored.
+ */
+
+import crypto from 'crypto';
+
+// Prefix makes keys recognizable in config files and secret scanners
+const KEY_PREFIX = 's2db_';
+
+/**
+ * Scopes that can be granted to a key
+ * '*' grants every scope
+ */
+export const API_SCOPES = [
+    'students:read',
+    'students:write',
+    'enrollments:read',
+    'enrollments:write',
+    'reports:read',
+    'departments:read',
+    'departments:write',
+    '*'
+];
+
+/**
+ * Generate a new random API key
+ * @returns {{ key: string, prefix: string, hash: string }}
+ */
+export function generateApiKey() {
+    const key = KEY_PREFIX + crypto.randomBytes(32).toString('hex');
+    return {
+        key,
+        prefix: getKeyPrefix(key),
+        hash: hashApiKey(key)
+    };
+}
+
+/**
+ * SHA-256 hash of a key (hex)
+ */
+export function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Short, non-secret identifier shown in listings
+ */
+export function getKeyPrefix(key) {
+    return key.slice(0, KEY_PREFIX.length + 8);
+}
+
+/**
+ * Does a key's scope list grant the requested scope?
+ */
+export function hasScope(scopes, scope) {
+    return scopes.includes('*') || scopes.includes(scope);
+}
@@ -0,0 +1,52 @@
+/**
+ * CSV Helpers
+ * Serializes query results for spreadsheet imports (e.g. IMPORTDATA)
+ */
+
+// Text starting with one of these is read as a formula by Sheets/Excel
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a single CSV cell (RFC 4180)
+ * Text that a spreadsheet would run as a formula (a student named
+ * "=HYPERLINK(...)") gets a leading ' so IMPORTDATA shows it as text.
+ * Numbers are left alone, so negative values stay numeric.
+ */
+function escapeCell(value) {
+    if (value === null || value === undefined) return '';
+
+    let str = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && FORMULA_START.test(str)) {
+        str = `'${str}`;
+    }
+    if (/[",\r\n]/.test(str)) {
+        return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+}
+
+/**
+ * Convert an array of row objects to CSV text with a header row
+ * @param {Array<Object>} rows - Rows to serialize
+ * @param {Array<string>} columns - Column order (defaults to keys of the first row)
+ * @returns {string} - CSV document
+ */
+export function toCSV(rows, columns = Object.keys(rows[0] || {})) {
+    const lines = [columns.map(escapeCell).join(',')];
+
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeCell(row[column])).join(','));
+    }
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Undo the formula guard escapeCell() adds, for CSVs read back in
+ * (e.g. rejected rows exported, corrected and imported again)
+ */
+export function stripFormulaGuard(value) {
+    return typeof value === 'string' && value.startsWith("'") && FORMULA_START.test(value.slice(1))
+        ? value.slice(1)
+        : value;
+}
@@ -0,0 +1,40 @@
+/**
+ * Department Lookup
+ * Cached department resolver shared by the API routes
+ *
+ * The department and department_alias tables change rarely, so they are
+ * loaded once and refreshed after DEPARTMENT_CACHE_TTL_SECONDS (default 60)
+ * or immediately when an alias is added/removed through /api/departments.
+ */
+
+import { pool } from '../db.js';
+import { loadDepartmentResolver } from '../../etl/utils/departments.js';
+
+const CACHE_TTL_MS = (parseInt(process.env.DEPARTMENT_CACHE_TTL_SECONDS, 10) || 60) * 1000;
+
+let cached = null;
+let loadedAt = 0;
+
+/**
+ * Get the current department resolver, reloading it when stale
+ */
+export async function getDepartmentResolver() {
+    if (!cached || Date.now() - loadedAt > CACHE_TTL_MS) {
+        const loading = loadDepartmentResolver(pool);
+        cached = loading;
+        loadedAt = Date.now();
+
+        // Do not cache a failed load
+        loading.catch(() => {
+            if (cached === loading) cached = null;
+        });
+    }
+    return cached;
+}
+
+/**
+ * Force the next lookup to reload departments and aliases
+ */
+export function invalidateDepartmentResolver() {
+    cached = null;
+}
@@ -0,0 +1,380 @@
+/**
+ * Registration Error Digest
+ * Summary email of what went wrong with registrations over a period, built
+ * from the database (replaces the Apps Script sendDailyErrorEmail, which
+ * only saw the sheet):
+ *   rejected     API, batch and queue registrations that failed validation
+ *                (student.rejected events in event_log)
+ *   duplicates   registrations whose email was already registered, from the
+ *                API and from ETL runs (duplicate_email rows)
+ *   quarantined  student rows the ETL moved to etl_rejected_row
+ * plus registrations and errors per department.
+ *
+ * Recipients subscribe per department in digest_subscription
+ * (see scripts/manage_digest.js); a subscription without a department gets
+ * every department, including rows whose department is unknown.
+ */
+
+import { loadDepartmentResolver } from '../../etl/utils/departments.js';
+import { STUDENT_SCHEMA, findRawValue } from '../../etl/utils/studentSchema.js';
+import { logger } from '../../etl/utils/logger.js';
+
+// Entries listed per section; the rest are only counted
+const MAX_LISTED = 50;
+
+const UNKNOWN_DEPARTMENT = '(unknown)';
+
+/**
+ * Read the period's events and quarantined rows
+ * @param {pg.Pool|pg.PoolClient} db
+ * @param {Object} period
+ * @param {Date} period.since
+ * @param {Date} period.until
+ * @returns {Promise<Object>} - { since, until, registrations, rejections, duplicates, quarantined }
+ */
+export async function collectDigestData(db, { since, until }) {
+    const departments = await loadDepartmentResolver(db);
+    const departmentOf = text => departments.resolveName(text) ?? UNKNOWN_DEPARTMENT;
+
+    const events = await db.query(`
+        SELECT event_type, payload->'data' AS data, created_at
+        FROM event_log
+        WHERE event_type IN ('student.registered', 'student.rejected')
+          AND created_at >= $1::TIMESTAMPTZ AND created_at < $2::TIMESTAMPTZ
+        ORDER BY created_at
+    `, [since.toISOString(), until.toISOString()]);
+
+    const rows = await db.query(`
+        SELECT source_file, row_number, raw_data, rule, error_message, created_at
+        FROM etl_rejected_row
+        WHERE entity = 'student' AND status <> 'dry_run'
+          AND created_at >= $1::TIMESTAMPTZ AND created_at < $2::TIMESTAMPTZ
+        ORDER BY rejected_row_id
+    `, [since.toISOString(), until.toISOString()]);
+
+    const data = { since, until, registrations: [], rejections: [], duplicates: [], quarantined: [] };
+
+    for (const { event_type: type, data: event, created_at: at } of events.rows) {
+        const entry = {
+            at,
+            email: event.email,
+            name: [event.firstName, event.lastName].filter(Boolean).join(' '),
+            department: departmentOf(event.department),
+            source: event.source,
+            errors: event.errors ?? []
+        };
+
+        if (type === 'student.registered') {
+            data.registrations.push(entry);
+        } else if (event.reason === 'duplicate') {
+            data.duplicates.push(entry);
+        } else if (event.source !== 'etl') {
+            // Pending-registration rejections from the ETL are also in etl_rejected_row
+            data.rejections.push(entry);
+        }
+    }
+
+    for (const row of rows.rows) {
+        const entry = {
+            at: row.created_at,
+            email: findRawValue(row.raw_data, STUDENT_SCHEMA.email) ?? null,
+            name: [
+                findRawValue(row.raw_data, STUDENT_SCHEMA.firstName),
+                findRawValue(row.raw_data, STUDENT_SCHEMA.lastName)
+            ].filter(Boolean).join(' '),
+            department: departmentOf(findRawValue(row.raw_data, STUDENT_SCHEMA.department)),
+            source: 'etl',
+            sourceFile: row.source_file,
+            rowNumber: row.row_number,
+            rule: row.rule,
+            errors: [row.error_message]
+        };
+
+        if (row.rule === 'duplicate_email') {
+            data.duplicates.push(entry);
+        } else {
+            data.quarantined.push(entry);
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Digest for one recipient
+ * @param {Object} data - collectDigestData() result
+ * @param {Array<string>|null} [departments] - Canonical names to include, or null for all
+ * @returns {Object} - { since, until, departments, totals, byDepartment, byRule, rejections, duplicates, quarantined }
+ */
+export function buildDigest(data, departments = null) {
+    const include = entry => departments === null || departments.includes(entry.department);
+
+    const registrations = data.registrations.filter(include);
+    const rejections = data.rejections.filter(include);
+    const duplicates = data.duplicates.filter(include);
+    const quarantined = data.quarantined.filter(include);
+
+    const byDepartment = new Map();
+    const count = (entries, key) => {
+        for (const entry of entries) {
+            if (!byDepartment.has(entry.department)) {
+                byDepartment.set(entry.department, { registered: 0, rejected: 0, duplicates: 0, quarantined: 0 });
+            }
+            byDepartment.get(entry.department)[key]++;
+        }
+    };
+    count(registrations, 'registered');
+    count(rejections, 'rejected');
+    count(duplicates, 'duplicates');
+    count(quarantined, 'quarantined');
+
+    const byRule = new Map();
+    for (const entry of quarantined) {
+        byRule.set(entry.rule, (byRule.get(entry.rule) ?? 0) + 1);
+    }
+
+    return {
+        since: data.since,
+        until: data.until,
+        departments,
+        totals: {
+            registered: registrations.length,
+            rejected: rejections.length,
+            duplicates: duplicates.length,
+            quarantined: quarantined.length,
+            errors: rejections.length + duplicates.length + quarantined.length
+        },
+        byDepartment: [...byDepartment]
+            .map(([department, counts]) => ({ department, ...counts }))
+            .sort((a, b) => a.department.localeCompare(b.department)),
+        byRule: [...byRule]
+            .map(([rule, rows]) => ({ rule, rows }))
+            .sort((a, b) => b.rows - a.rows),
+        rejections,
+        duplicates,
+        quarantined
+    };
+}
+
+/**
+ * "2026-03-01 14:05 UTC"
+ */
+function formatTime(date) {
+    return new Date(date).toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+}
+
+/**
+ * Email subject for a digest
+ */
+export function digestSubject(digest) {
+    const { rejected, duplicates, quarantined } = digest.totals;
+    const scope = digest.departments ? ` - ${digest.departments.join(', ')}` : '';
+    return `Registration errors${scope}: ${rejected} rejected, ${duplicates} duplicates, ` +
+        `${quarantined} quarantined (${formatTime(digest.until).slice(0, 10)})`;
+}
+
+/**
+ * One line describing an entry
+ */
+function describeEntry(entry) {
+    const who = [entry.name, entry.email && `<${entry.email}>`].filter(Boolean).join(' ') || '(no name or email)';
+    const where = entry.sourceFile ? `${entry.sourceFile} row ${entry.rowNumber}` : entry.source;
+    return { who, where, errors: entry.errors.filter(Boolean).join('; ') };
+}
+
+/**
+ * Plain-text version of a digest
+ */
+export function renderDigestText(digest) {
+    const lines = [
+        'Registration Error Digest',
+        `${formatTime(digest.since)} - ${formatTime(digest.until)}`,
+        digest.departments ? `Departments: ${digest.departments.join(', ')}` : 'Departments: all',
+        '',
+        `Registered:   ${digest.totals.registered}`,
+        `Rejected:     ${digest.totals.rejected}`,
+        `Duplicates:   ${digest.totals.duplicates}`,
+        `Quarantined:  ${digest.totals.quarantined}`
+    ];
+
+    if (digest.byDepartment.length > 0) {
+        lines.push('', 'By department:');
+        for (const row of digest.byDepartment) {
+            lines.push(`  ${row.department}: ${row.registered} registered, ${row.rejected} rejected, ` +
+                `${row.duplicates} duplicates, ${row.quarantined} quarantined`);
+        }
+    }
+
+    const section = (title, entries) => {
+        if (entries.length === 0) return;
+        lines.push('', `${title} (${entries.length}):`);
+        for (const entry of entries.slice(0, MAX_LISTED)) {
+            const { who, where, errors } = describeEntry(entry);
+            lines.push(`  - ${formatTime(entry.at)}  ${who}  [${entry.department}, ${where}]`);
+            if (errors) lines.push(`      ${errors}`);
+        }
+        if (entries.length > MAX_LISTED) {
+            lines.push(`  ... and ${entries.length - MAX_LISTED} more`);
+        }
+    };
+
+    section('Rejected registrations', digest.rejections);
+    section('Duplicate registrations', digest.duplicates);
+
+    if (digest.byRule.length > 0) {
+        lines.push('', 'Quarantined ETL rows by rule:');
+        for (const { rule, rows } of digest.byRule) {
+            lines.push(`  ${rule}: ${rows}`);
+        }
+    }
+    section('Quarantined ETL rows', digest.quarantined);
+
+    if (digest.totals.errors === 0) {
+        lines.push('', 'No registration errors in this period.');
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * HTML version of a digest
+ */
+export function renderDigestHtml(digest) {
+    const cell = 'style="padding:4px 8px;border:1px solid #ddd;text-align:left"';
+    const table = (headers, rows) => [
+        '<table style="border-collapse:collapse;font-size:13px">',
+        `<tr>${headers.map(h => `<th ${cell}>${escapeHtml(h)}</th>`).join('')}</tr>`,
+        ...rows.map(row => `<tr>${row.map(value => `<td ${cell}>${escapeHtml(value)}</td>`).join('')}</tr>`),
+        '</table>'
+    ].join('\n');
+
+    const parts = [
+        '<div style="font-family:Arial,sans-serif">',
+        '<h2>Registration Error Digest</h2>',
+        `<p>${escapeHtml(formatTime(digest.since))} - ${escapeHtml(formatTime(digest.until))}<br>`,
+        `Departments: ${escapeHtml(digest.departments ? digest.departments.join(', ') : 'all')}</p>`,
+        table(['Registered', 'Rejected', 'Duplicates', 'Quarantined'], [[
+            digest.totals.registered, digest.totals.rejected, digest.totals.duplicates, digest.totals.quarantined
+        ]])
+    ];
+
+    if (digest.byDepartment.length > 0) {
+        parts.push('<h3>By department</h3>', table(
+            ['Department', 'Registered', 'Rejected', 'Duplicates', 'Quarantined'],
+            digest.byDepartment.map(row => [row.department, row.registered, row.rejected, row.duplicates, row.quarantined])
+        ));
+    }
+
+    const section = (title, entries) => {
+        if (entries.length === 0) return;
+        parts.push(`<h3>${escapeHtml(title)} (${entries.length})</h3>`, table(
+            ['Time', 'Student', 'Department', 'Source', 'Errors'],
+            entries.slice(0, MAX_LISTED).map(entry => {
+                const { who, where, errors } = describeEntry(entry);
+                return [formatTime(entry.at), who, entry.department, where, errors];
+            })
+        ));
+        if (entries.length > MAX_LISTED) {
+            parts.push(`<p>... and ${entries.length - MAX_LISTED} more</p>`);
+        }
+    };
+
+    section('Rejected registrations', digest.rejections);
+    section('Duplicate registrations', digest.duplicates);
+
+    if (digest.byRule.length > 0) {
+        parts.push('<h3>Quarantined ETL rows by rule</h3>',
+            table(['Rule', 'Rows'], digest.byRule.map(({ rule, rows }) => [rule, rows])));
+    }
+    section('Quarantined ETL rows', digest.quarantined);
+
+    if (digest.totals.errors === 0) {
+        parts.push('<p>No registration errors in this period.</p>');
+    }
+
+    parts.push('</div>');
+    return parts.join('\n');
+}
+
+/**
+ * Recipients and the departments each one follows
+ * @returns {Promise<Map<string, Array<string>|null>>} - email -> department names, or null for all
+ */
+export async function loadDigestRecipients(db) {
+    const result = await db.query(`
+        SELECT s.email, d.department_name
+        FROM digest_subscription s
+        LEFT JOIN department d ON d.department_id = s.department_id
+        ORDER BY s.email, d.department_name
+    `);
+
+    const recipients = new Map();
+    for (const { email, department_name: department } of result.rows) {
+        if (department === null) {
+            recipients.set(email, null);
+        } else if (recipients.get(email) !== null) {
+            recipients.set(email, [...(recipients.get(email) ?? []), department]);
+        }
+    }
+    return recipients;
+}
+
+/**
+ * Send the period's digest to every subscriber and record the run in digest_run
+ * A recipient whose departments had no errors is skipped unless sendEmpty is set.
+ * @param {pg.Pool} db
+ * @param {Object} transport - createMailTransport() result
+ * @param {Object} options
+ * @param {Date} options.since
+ * @param {Date} [options.until=now]
+ * @param {boolean} [options.sendEmpty=false]
+ * @returns {Promise<Object>} - { recipients, sent, skipped, failed }
+ */
+export async function sendDigests(db, transport, { since, until = new Date(), sendEmpty = false }) {
+    const summary = { recipients: 0, sent: 0, skipped: 0, failed: 0 };
+
+    const recipients = await loadDigestRecipients(db);
+    summary.recipients = recipients.size;
+
+    const data = recipients.size > 0 ? await collectDigestData(db, { since, until }) : null;
+
+    for (const [email, departments] of recipients) {
+        const digest = buildDigest(data, departments);
+        if (digest.totals.errors === 0 && !sendEmpty) {
+            summary.skipped++;
+            continue;
+        }
+
+        try {
+            await transport.send({
+                to: email,
+                subject: digestSubject(digest),
+                text: renderDigestText(digest),
+                html: renderDigestHtml(digest)
+            });
+            summary.sent++;
+        } catch (error) {
+            logger.warn(`Digest to ${email} not sent (${transport.name}): ${error.message}`);
+            summary.failed++;
+        }
+    }
+
+    await db.query(`
+        INSERT INTO digest_run (period_start, period_end, transport, recipients, sent, failed)
+        VALUES ($1::TIMESTAMPTZ, $2::TIMESTAMPTZ, $3, $4, $5, $6)
+    `, [since.toISOString(), until.toISOString(), transport.name, summary.recipients, summary.sent, summary.failed]);
+
+    logger.info(`Registration digest sent via ${transport.name}`, summary);
+    return summary;
+}
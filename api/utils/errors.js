@@ -0,0 +1,85 @@
+/**
+ * Database Error Mapping
+ * Turns PostgreSQL / PL/pgSQL errors into HTTP responses
+ */
+
+import { logger } from '../../etl/utils/logger.js';
+
+/**
+ * Map a database error to an HTTP status code
+ *
+ * RAISE EXCEPTION in sql/procedures.sql uses the default SQLSTATE (P0001),
+ * so those are told apart by message:
+ *   "... does not exist" / "... not found"  -> 404
+ *   "... already enrolled ..."              -> 409
+ *   "Invalid ..."                           -> 400
+ *
+ * @param {Error} error - Error thrown by pg
+ * @returns {number} - HTTP status code
+ */
+export function getDatabaseErrorStatus(error) {
+    if (error.code === 'P0001') {
+        if (/does not exist|not found/i.test(error.message)) return 404;
+        if (/already enrolled/i.test(error.message)) return 409;
+        if (/^invalid/i.test(error.message)) return 400;
+    }
+
+    switch (error.code) {
+        case '23505': // unique_violation
+            return 409;
+        case '23503': // foreign_key_violation
+        case '23514': // check_violation
+        case '22P02': // invalid_text_representation
+        case '22007': // invalid_datetime_format
+        case '22008': // datetime_field_overflow
+            return 400;
+        default:
+            return 500;
+    }
+}
+
+/**
+ * Send the error response for a failed database call
+ * Client errors carry the database message; anything else is a 500
+ */
+export function sendDatabaseError(res, error) {
+    const status = getDatabaseErrorStatus(error);
+
+    if (status === 500) {
+        logger.error('Database error', error);
+        return res.status(500).json({
+            success: false,
+            errors: ['Internal server error: ' + error.message]
+        });
+    }
+
+    logger.warn(`Request rejected (${status}): ${error.message}`, { status });
+    return res.status(status).json({
+        success: false,
+        errors: [error.message]
+    });
+}
+
+/**
+ * Send a 400 for invalid input
+ * "errors" keeps the plain messages every client already shows; "details"
+ * says where each one applies
+ * @param {Array<{ path: string, message: string }>} details - e.g. { path: 'body.email', message }
+ */
+export function sendValidationError(res, details) {
+    return res.status(400).json({
+        success: false,
+        errors: details.map(detail => detail.message),
+        details
+    });
+}
+
+/**
+ * Final error handler (registered last in server.js)
+ * Errors a route did not catch, such as a failed department lookup while the
+ * database is down, get the JSON error envelope instead of Express's HTML page
+ */
+export function handleUnexpectedError(error, req, res, next) {
+    if (res.headersSent) return next(error);
+    return sendDatabaseError(res, error);
+}
@@ -0,0 +1,106 @@
+/**
+ * Mail Transports
+ * Where the registration error digest is sent, chosen with DIGEST_TRANSPORT:
+ *   console  print the plain-text version (default, for local testing)
+ *   file     write <timestamp>-<recipient>.txt/.html to DIGEST_OUTBOX_DIR (default logs/digests)
+ *   smtp     send with nodemailer through SMTP_HOST
+ *
+ * A transport is { name, send(message) } where message is
+ *   { to, subject, text, html }
+ *
+ * Settings:
+ *   DIGEST_TRANSPORT     console | file | smtp
+ *   DIGEST_FROM          sender address (default SMTP_USER)
+ *   DIGEST_OUTBOX_DIR    file transport directory
+ *   SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE (true for port 465), SMTP_USER, SMTP_PASS
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+export const MAIL_TRANSPORTS = ['console', 'file', 'smtp'];
+
+/**
+ * Print messages to stdout
+ */
+export function createConsoleTransport() {
+    return {
+        name: 'console',
+        async send({ to, subject, text }) {
+            console.log(`\n📧 To: ${to}\n   Subject: ${subject}\n`);
+            console.log(text);
+        }
+    };
+}
+
+/**
+ * Write each message as a .txt and .html pair
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Output directory
+ */
+export function createFileTransport({ dir = process.env.DIGEST_OUTBOX_DIR || 'logs/digests' } = {}) {
+    return {
+        name: 'file',
+        async send({ to, subject, text, html }) {
+            await fs.mkdir(dir, { recursive: true });
+
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const base = path.join(dir, `${stamp}-${to.replace(/[^a-zA-Z0-9@._-]/g, '_')}`);
+
+            await fs.writeFile(`${base}.txt`, `To: ${to}\nSubject: ${subject}\n\n${text}`);
+            await fs.writeFile(`${base}.html`, html);
+        }
+    };
+}
+
+/**
+ * Send through an SMTP server
+ * @param {Object} [options] - Defaults from the SMTP_* settings
+ */
+export function createSmtpTransport({
+    host = process.env.SMTP_HOST,
+    port = parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure = process.env.SMTP_SECURE === 'true',
+    user = process.env.SMTP_USER,
+    pass = process.env.SMTP_PASS,
+    from = process.env.DIGEST_FROM || process.env.SMTP_USER
+} = {}) {
+    if (!host) {
+        throw new Error('SMTP_HOST is required for the smtp transport');
+    }
+    if (!from) {
+        throw new Error('DIGEST_FROM (or SMTP_USER) is required for the smtp transport');
+    }
+
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        async send({ to, subject, text, html }) {
+            await transporter.sendMail({ from, to, subject, text, html });
+        }
+    };
+}
+
+/**
+ * Build a transport by name
+ * @param {string} [name] - Defaults to DIGEST_TRANSPORT, then 'console'
+ */
+export function createMailTransport(name = process.env.DIGEST_TRANSPORT || 'console') {
+    switch (name) {
+        case 'console':
+            return createConsoleTransport();
+        case 'file':
+            return createFileTransport();
+        case 'smtp':
+            return createSmtpTransport();
+        default:
+            throw new Error(`Unknown mail transport "${name}". Use one of: ${MAIL_TRANSPORTS.join(', ')}`);
+    }
+}
@@ -0,0 +1,371 @@
+/**
+ * OpenAPI Validation
+ * Compiles the schemas in api/openapi.js with Ajv and checks requests
+ * (middleware/validateRequest.js) and responses (scripts/check_api_contract.js)
+ * against them
+ *
+ * Problems are reported as field errors, { path, message }, where path is
+ * "body.students[2].email", "query.limit", "path.id" or "header.idempotency-key".
+ */
+
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { openApiDocument } from '../openapi.js';
+
+const DOCUMENT_ID = 'openapi.json';
+const JSON_TYPE = 'application/json';
+
+// OpenAPI fields that Ajv should accept but not treat as JSON Schema
+const OPENAPI_KEYWORDS = ['example', 'openapi', 'info', 'tags', 'paths', 'components', 'security'];
+
+const PARAMETER_LOCATIONS = ['path', 'query', 'header'];
+
+/**
+ * Ajv instance that knows the whole document, so "#/components/..." refs resolve
+ */
+function createAjv(options = {}) {
+    const ajv = new Ajv({ allErrors: true, verbose: true, ...options });
+    addFormats(ajv);
+    ajv.addVocabulary(OPENAPI_KEYWORDS);
+    ajv.addSchema(openApiDocument, DOCUMENT_ID);
+    return ajv;
+}
+
+// Bodies are validated as sent; path/query/header values are strings, so coerce them
+const bodyAjv = createAjv();
+const parameterAjv = createAjv({ coerceTypes: true });
+
+/**
+ * Escape one JSON pointer segment
+ */
+function pointerSegment(value) {
+    return String(value).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Follow a local "#/components/..." $ref
+ * @returns {{ value: Object, pointer: string }}
+ */
+function resolveRef(value, pointer) {
+    if (!value?.$ref) return { value, pointer };
+
+    const refPointer = value.$ref.slice(1);
+    const target = refPointer.split('/').slice(1)
+        .reduce((node, segment) => node?.[segment.replace(/~1/g, '/').replace(/~0/g, '~')], openApiDocument);
+    return { value: target, pointer: refPointer };
+}
+
+/**
+ * Compile the schema found at a JSON pointer in the document
+ */
+function compileAt(ajv, pointer) {
+    return ajv.compile({ $ref: `${DOCUMENT_ID}#${pointer}` });
+}
+
+/**
+ * One validator per parameter location: { path, query, header }
+ */
+function compileParameters(ajv, parameters) {
+    const validators = {};
+
+    for (const location of PARAMETER_LOCATIONS) {
+        const inLocation = parameters.filter(param => param.in === location);
+        if (inLocation.length === 0) continue;
+
+        // Header names arrive lowercased
+        const nameOf = param => (location === 'header' ? param.name.toLowerCase() : param.name);
+        validators[location] = ajv.compile({
+            type: 'object',
+            properties: Object.fromEntries(inLocation.map(param => [nameOf(param), param.schema])),
+            required: inLocation.filter(param => param.required).map(nameOf)
+        });
+        validators[location].names = inLocation.map(nameOf);
+    }
+
+    return validators;
+}
+
+/**
+ * Every operation in the document, with a matcher for its path
+ * Paths with fewer {params} come first, so "/api/students/batch" wins over "/api/students/{id}"
+ */
+const operations = Object.entries(openApiDocument.paths)
+    .flatMap(([path, item]) => ['get', 'post', 'put', 'patch', 'delete']
+        .filter(method => item[method])
+        .map(method => {
+            const operation = item[method];
+            const pointer = `/paths/${pointerSegment(path)}/${method}`;
+            const names = [...path.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+            const pattern = path
+                .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+                .replace(/\{\w+\}/g, '([^/]+)');
+
+            const parameters = [...(item.parameters ?? []), ...(operation.parameters ?? [])]
+                .map(param => resolveRef(param).value);
+
+            return {
+                method: method.toUpperCase(),
+                path,
+                operation,
+                pointer,
+                names,
+                regex: new RegExp(`^${pattern}$`),
+                parameters: compileParameters(parameterAjv, parameters),
+                body: operation.requestBody?.content?.[JSON_TYPE]
+                    ? compileAt(bodyAjv, `${pointer}/requestBody/content/${pointerSegment(JSON_TYPE)}/schema`)
+                    : null,
+                bodyRequired: Boolean(operation.requestBody?.required),
+                responses: new Map()
+            };
+        }))
+    .sort((a, b) => a.names.length - b.names.length);
+
+/**
+ * Find the documented operation for a request
+ * @param {string} method - HTTP method (HEAD is matched as GET)
+ * @param {string} path - Request path without the query string
+ * @returns {{ operation: Object, params: Object } | null}
+ */
+export function findOperation(method, path) {
+    const verb = method.toUpperCase() === 'HEAD' ? 'GET' : method.toUpperCase();
+    const trimmed = path.length > 1 ? path.replace(/\/+$/, '') : path;
+
+    for (const entry of operations) {
+        if (entry.method !== verb) continue;
+
+        const match = entry.regex.exec(trimmed);
+        if (!match) continue;
+
+        let params;
+        try {
+            params = Object.fromEntries(entry.names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+        } catch {
+            continue;
+        }
+        return { operation: entry, params };
+    }
+    return null;
+}
+
+/**
+ * JSON type of a value, as used by a schema's "type"
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Does a oneOf/anyOf branch expect this kind of value?
+ */
+function branchAccepts(branch, value) {
+    const { type } = resolveRef(branch).value ?? {};
+    if (!type) return true;
+    if (type === 'integer') return typeOf(value) === 'number';
+    return type === typeOf(value);
+}
+
+/**
+ * Copy of a schema with its "#/..." refs pointing into the document,
+ * so it can be compiled on its own
+ */
+function withDocumentRefs(schema) {
+    if (Array.isArray(schema)) return schema.map(withDocumentRefs);
+    if (schema === null || typeof schema !== 'object') return schema;
+
+    return Object.fromEntries(Object.entries(schema).map(([key, value]) => [
+        key,
+        key === '$ref' && typeof value === 'string' && value.startsWith('#')
+            ? `${DOCUMENT_ID}${value}`
+            : withDocumentRefs(value)
+    ]));
+}
+
+const branchValidators = new WeakMap();
+
+/**
+ * Errors of one oneOf/anyOf branch for the value at instancePath, or null if it matches
+ */
+function branchErrors(branch, data, instancePath) {
+    if (!branchValidators.has(branch)) {
+        branchValidators.set(branch, bodyAjv.compile(withDocumentRefs(branch)));
+    }
+
+    const validate = branchValidators.get(branch);
+    if (validate(data)) return null;
+    return validate.errors.map(error => ({ ...error, instancePath: `${instancePath}${error.instancePath}` }));
+}
+
+/**
+ * Is instancePath the same as base or below it?
+ */
+function isWithin(instancePath, base) {
+    return instancePath === base || instancePath.startsWith(`${base}/`);
+}
+
+/**
+ * Keep only the useful errors of a failed oneOf/anyOf
+ * When exactly one branch expects the kind of value that was sent, that
+ * branch's errors are reported; otherwise just the combinator's, as "must be X or Y".
+ */
+function simplifyErrors(errors) {
+    const kept = [];
+
+    for (const error of errors) {
+        if (error.keyword !== 'oneOf' && error.keyword !== 'anyOf') {
+            kept.push(error);
+            continue;
+        }
+
+        // Ajv reports the branches' errors right before the combinator's own error.
+        // Their schemaPaths are relative to whatever a branch $refs, so go by instancePath.
+        while (kept.length > 0 && isWithin(kept.at(-1).instancePath, error.instancePath)) {
+            kept.pop();
+        }
+
+        const candidates = error.schema.filter(branch => branchAccepts(branch, error.data));
+        const fromBranch = candidates.length === 1
+            ? branchErrors(candidates[0], error.data, error.instancePath)
+            : null;
+        if (fromBranch) {
+            kept.push(...simplifyErrors(fromBranch));
+            continue;
+        }
+
+        const types = [...new Set(error.schema.map(branch => resolveRef(branch).value?.type ?? 'object'))];
+        kept.push({ ...error, message: `must be ${types.join(' or ')}` });
+    }
+
+    return kept;
+}
+
+/**
+ * "/students/2/email" under "body" -> "body.students[2].email"
+ */
+function toFieldPath(location, instancePath) {
+    return instancePath.split('/').slice(1).reduce((path, segment) => {
+        const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+        return /^\d+$/.test(key) ? `${path}[${key}]` : `${path}.${key}`;
+    }, location);
+}
+
+/**
+ * Ajv errors -> field errors
+ * @param {string} location - 'body', 'query', 'path', 'header' or 'response'
+ * @param {Array} errors - validate.errors
+ * @returns {Array<{ path: string, message: string }>}
+ */
+export function toFieldErrors(location, errors) {
+    return simplifyErrors(errors ?? []).map(error => {
+        const path = toFieldPath(location, error.instancePath);
+
+        switch (error.keyword) {
+            case 'required': {
+                const field = `${path}.${error.params.missingProperty}`;
+                return { path: field, message: `${field} is required` };
+            }
+            case 'additionalProperties': {
+                const field = `${path}.${error.params.additionalProperty}`;
+                return { path: field, message: `${field} is not allowed` };
+            }
+            case 'enum':
+                return { path, message: `${path} must be one of: ${error.params.allowedValues.join(', ')}` };
+            default:
+                return { path, message: `${path} ${error.message}` };
+        }
+    });
+}
+
+/**
+ * Check a request against its operation
+ * @param {Object} operation - findOperation().operation
+ * @param {Object} request - { params, query, headers, body }
+ * @param {Object} [options] - { body: false to leave the body to the route }
+ * @returns {Array<{ path: string, message: string }>} - Empty when valid
+ */
+export function validateRequestAgainst(operation, { params = {}, query = {}, headers = {}, body }, { body: checkBody = true } = {}) {
+    const details = [];
+    const sources = { path: params, query, header: headers };
+
+    for (const location of PARAMETER_LOCATIONS) {
+        const validate = operation.parameters[location];
+        if (!validate) continue;
+
+        // Validate a copy: type coercion must not change what the route sees
+        const values = {};
+        for (const name of validate.names) {
+            if (sources[location][name] !== undefined) values[name] = sources[location][name];
+        }
+        if (!validate(values)) {
+            details.push(...toFieldErrors(location, validate.errors));
+        }
+    }
+
+    if (operation.body && checkBody) {
+        if (body === undefined) {
+            if (operation.bodyRequired) {
+                details.push({ path: 'body', message: `body is required (${JSON_TYPE})` });
+            }
+        } else if (!operation.body(body)) {
+            details.push(...toFieldErrors('body', operation.body.errors));
+        }
+    }
+
+    return details;
+}
+
+/**
+ * Validator for one documented response, or null if the status is not documented
+ */
+function getResponseValidator(operation, status) {
+    const key = String(status);
+    if (!operation.responses.has(key)) {
+        const documented = operation.operation.responses[key];
+        let validator = null;
+
+        if (documented) {
+            const { value, pointer } = resolveRef(documented, `${operation.pointer}/responses/${key}`);
+            const content = value.content ?? {};
+            validator = {
+                contentTypes: Object.keys(content),
+                json: content[JSON_TYPE]
+                    ? compileAt(bodyAjv, `${pointer}/content/${pointerSegment(JSON_TYPE)}/schema`)
+                    : null
+            };
+        }
+        operation.responses.set(key, validator);
+    }
+    return operation.responses.get(key);
+}
+
+/**
+ * Check a response against the document
+ * @param {string} method
+ * @param {string} path - Request path without the query string
+ * @param {number} status
+ * @param {string} contentType - Response Content-Type
+ * @param {*} body - Parsed JSON body (ignored for other content types)
+ * @returns {Array<{ path: string, message: string }>} - Empty when the response matches
+ */
+export function validateResponse(method, path, status, contentType, body) {
+    const match = findOperation(method, path);
+    if (!match) {
+        return [{ path: 'request', message: `${method} ${path} is not documented` }];
+    }
+
+    const validator = getResponseValidator(match.operation, status);
+    if (!validator) {
+        return [{ path: 'status', message: `status ${status} is not documented for ${method} ${match.operation.path}` }];
+    }
+
+    const type = String(contentType ?? '').split(';')[0].trim();
+    if (validator.contentTypes.length > 0 && !validator.contentTypes.includes(type)) {
+        return [{ path: 'content-type', message: `content type "${type}" is not documented (${validator.contentTypes.join(', ')})` }];
+    }
+
+    if (type === JSON_TYPE && validator.json && !validator.json(body)) {
+        return toFieldErrors('response', validator.json.errors);
+    }
+    return [];
+}
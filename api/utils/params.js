@@ -0,0 +1,22 @@
+/**
+ * Request Parameter Helpers
+ * Parsing for numeric route and query parameters
+ */
+
+/**
+ * Parse a non-negative integer route/query parameter
+ * @returns {number|null} - Parsed value, or null if not a whole number
+ */
+export function parseNonNegativeInt(value) {
+    if (!/^\d+$/.test(String(value ?? ''))) return null;
+    return parseInt(value, 10);
+}
+
+/**
+ * Parse a positive integer route/query parameter
+ * @returns {number|null} - Parsed value, or null if not a positive integer
+ */
+export function parsePositiveInt(value) {
+    const parsed = parseNonNegativeInt(value);
+    return parsed > 0 ? parsed : null;
+}
@@ -0,0 +1,62 @@
+/**
+ * Student Helpers
+ * Validation and insertion shared by the student routes and the
+ * registration queue worker
+ */
+
+import { validateStudentRecord } from '../../etl/utils/studentSchema.js';
+
+/**
+ * Validate and normalize a student payload against the shared student schema
+ * Shared by the registration, batch and update endpoints and the queue worker
+ *
+ * @param {Object} body - Raw request payload
+ * @param {Object} departments - Resolver from getDepartmentResolver()
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Only validate fields present in body (PATCH)
+ * @returns {{ errors: string[], invalidFields: string[], student: Object }}
+ *   Validation errors, the field each one belongs to, and cleaned values
+ */
+export function validateStudentInput(body = {}, departments, { partial = false } = {}) {
+    const { errors, invalidFields, values } = validateStudentRecord(body, {
+        partial,
+        resolveDepartment: text => departments.resolveName(text),
+        suggestDepartment: text => departments.suggest(text)
+    });
+
+    return { errors, invalidFields, student: values };
+}
+
+/**
+ * Insert a validated student unless the email is already registered
+ * @param {pg.Pool|pg.PoolClient} db - Pool or connection (inside a transaction)
+ * @param {Object} student - Cleaned values from validateStudentInput()
+ * @param {number} departmentId
+ * @returns {Promise<number|null>} - New student_id, or null for a duplicate email
+ */
+export async function insertStudent(db, student, departmentId) {
+    const result = await db.query(
+        `INSERT INTO student (
+            student_first_name,
+            student_last_name,
+            student_email,
+            student_date_of_birth,
+            student_year,
+            student_phone_number,
+            department_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (student_email) DO NOTHING
+        RETURNING student_id`,
+        [
+            student.firstName,
+            student.lastName,
+            student.email,
+            student.dateOfBirth,
+            student.year,
+            student.phoneNumber,
+            departmentId
+        ]
+    );
+
+    return result.rows.length > 0 ? result.rows[0].student_id : null;
+}
@@ -0,0 +1,115 @@
+/**
+ * Digest Scheduler
+ * Sends the registration error digest (see api/utils/digest.js) once a day
+ * at DIGEST_TIME, covering everything since the previous digest
+ *
+ * The schedule is checked every minute against the last digest_run, so a
+ * digest missed while the API was down is sent when it comes back. An
+ * advisory lock keeps several API instances from sending the same digest.
+ *
+ * Settings:
+ *   DIGEST_TIME         HH:MM in the server's local time (the scheduler is off when unset)
+ *   DIGEST_SEND_EMPTY   true to also send digests with no errors
+ *   DIGEST_TRANSPORT    see api/utils/mailTransports.js
+ */
+
+import { pool } from '../db.js';
+import { sendDigests } from '../utils/digest.js';
+import { createMailTransport } from '../utils/mailTransports.js';
+import { startWorkerLoop } from './loop.js';
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// pg_try_advisory_lock key for the digest
+const DIGEST_LOCK_KEY = 7240001;
+
+/**
+ * Parse "HH:MM" into { hours, minutes }
+ */
+export function parseDigestTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+    const hours = match ? parseInt(match[1], 10) : NaN;
+    const minutes = match ? parseInt(match[2], 10) : NaN;
+
+    if (!(hours >= 0 && hours <= 23 && minutes >= 0 && minutes <= 59)) {
+        throw new Error(`DIGEST_TIME must be HH:MM (got "${value}")`);
+    }
+    return { hours, minutes };
+}
+
+/**
+ * Most recent scheduled time at or before `now`
+ */
+export function lastScheduledTime({ hours, minutes }, now = new Date()) {
+    const scheduled = new Date(now);
+    scheduled.setHours(hours, minutes, 0, 0);
+    if (scheduled > now) {
+        scheduled.setDate(scheduled.getDate() - 1);
+    }
+    return scheduled;
+}
+
+/**
+ * End of the last digest's period, or null if none was sent yet
+ */
+export async function getLastDigestEnd(db) {
+    const result = await db.query('SELECT MAX(period_end)::TIMESTAMPTZ AS period_end FROM digest_run');
+    return result.rows[0].period_end;
+}
+
+/**
+ * Send the digest if one is due
+ * @param {Object} schedule - parseDigestTime() result
+ * @returns {Promise<Object|null>} - sendDigests() summary, or null if not due
+ */
+export async function sendDigestIfDue(schedule, { transport, sendEmpty = process.env.DIGEST_SEND_EMPTY === 'true' } = {}) {
+    const now = new Date();
+    const due = lastScheduledTime(schedule, now);
+
+    const client = await pool.connect();
+    try {
+        const lastEnd = await getLastDigestEnd(client);
+        if (lastEnd && lastEnd >= due) return null;
+
+        const locked = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [DIGEST_LOCK_KEY]);
+        if (!locked.rows[0].locked) return null;
+
+        try {
+            // Another instance may have sent it before we got the lock
+            const since = await getLastDigestEnd(client);
+            if (since && since >= due) return null;
+
+            return await sendDigests(client, transport ?? createMailTransport(), {
+                since: since ?? new Date(due.getTime() - DAY_MS),
+                until: now,
+                sendEmpty
+            });
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [DIGEST_LOCK_KEY]);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Check the schedule every minute until stopped
+ * @param {Object} [options]
+ * @param {string} [options.time] - HH:MM, defaults to DIGEST_TIME
+ * @returns {{ stop: Function }}
+ */
+export function startDigestScheduler({ time = process.env.DIGEST_TIME } = {}) {
+    const schedule = parseDigestTime(time);
+    // Fail at startup rather than at the first send
+    const transport = createMailTransport();
+
+    return startWorkerLoop({
+        name: `Digest scheduler (${transport.name}, daily at ${time})`,
+        intervalMs: CHECK_INTERVAL_MS,
+        pass: async () => {
+            await sendDigestIfDue(schedule, { transport });
+            return false;
+        }
+    });
+}
@@ -0,0 +1,45 @@
+/**
+ * Worker Loop
+ * Runs a background pass on an interval inside the API process (or a CLI)
+ */
+
+import { logger } from '../../etl/utils/logger.js';
+
+/**
+ * Run `pass` every `intervalMs` until stopped
+ * A pass that reports more waiting work is followed immediately by the next
+ * one; a pass that throws is logged and retried on the next tick.
+ * @param {Object} options
+ * @param {string} options.name - For the log, e.g. 'Registration queue worker'
+ * @param {number} options.intervalMs
+ * @param {Function} options.pass - async () => true when more work is waiting
+ * @returns {{ stop: Function }} - stop() resolves once the current pass is done
+ */
+export function startWorkerLoop({ name, intervalMs, pass }) {
+    let stopped = false;
+    let timer = null;
+    let running = Promise.resolve();
+
+    const tick = async () => {
+        let busy = false;
+        try {
+            busy = await pass();
+        } catch (error) {
+            logger.error(`${name} pass failed`, error);
+        }
+        if (!stopped) {
+            timer = setTimeout(() => { running = tick(); }, busy ? 0 : intervalMs);
+        }
+    };
+
+    logger.info(`${name} started (every ${intervalMs} ms)`);
+    running = tick();
+
+    return {
+        async stop() {
+            stopped = true;
+            clearTimeout(timer);
+            await running;
+        }
+    };
+}
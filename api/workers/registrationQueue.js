@@ -0,0 +1,189 @@
+/**
+ * Registration Queue Worker
+ * Registers the rows queued with POST /api/registrations/queue
+ *
+ * Each pass claims due rows (FOR UPDATE SKIP LOCKED, so several API
+ * instances can run the worker side by side) and settles each one:
+ *   registered  student inserted (student_id set)
+ *   duplicate   the email was already registered
+ *   invalid     failed validation - not retried
+ *   queued      a database error: retried after a backoff that doubles per attempt
+ *   failed      still failing after REGISTRATION_QUEUE_MAX_ATTEMPTS
+ *
+ * Rows left in "processing" by a crashed worker are claimed again after
+ * REGISTRATION_QUEUE_STALE_SECONDS.
+ *
+ * Settings:
+ *   REGISTRATION_QUEUE_INTERVAL_MS     pause between passes (default 5000)
+ *   REGISTRATION_QUEUE_BATCH_SIZE      rows claimed per pass (default 50)
+ *   REGISTRATION_QUEUE_MAX_ATTEMPTS    attempts before "failed" (default 8)
+ *   REGISTRATION_QUEUE_BACKOFF_SECONDS first retry delay (default 30, capped at 1 hour)
+ *   REGISTRATION_QUEUE_STALE_SECONDS   (default 300)
+ */
+
+import { pool } from '../db.js';
+import { getDepartmentResolver } from '../utils/departments.js';
+import { insertStudent, validateStudentInput } from '../utils/students.js';
+import { startWorkerLoop } from './loop.js';
+import { publishWebhookEvents, studentRegisteredEvent, studentRejectedEvent } from '../../etl/utils/webhooks.js';
+import { logger } from '../../etl/utils/logger.js';
+
+const INTERVAL_MS = parseInt(process.env.REGISTRATION_QUEUE_INTERVAL_MS, 10) || 5000;
+const BATCH_SIZE = parseInt(process.env.REGISTRATION_QUEUE_BATCH_SIZE, 10) || 50;
+export const MAX_ATTEMPTS = parseInt(process.env.REGISTRATION_QUEUE_MAX_ATTEMPTS, 10) || 8;
+const BACKOFF_SECONDS = parseInt(process.env.REGISTRATION_QUEUE_BACKOFF_SECONDS, 10) || 30;
+const MAX_BACKOFF_SECONDS = 60 * 60;
+const STALE_SECONDS = parseInt(process.env.REGISTRATION_QUEUE_STALE_SECONDS, 10) || 300;
+
+/**
+ * Delay before the next attempt, after `attempts` failed ones
+ */
+export function getRetryDelaySeconds(attempts) {
+    return Math.min(BACKOFF_SECONDS * 2 ** (attempts - 1), MAX_BACKOFF_SECONDS);
+}
+
+/**
+ * Claim due rows and mark them "processing"
+ */
+async function claimRows(limit) {
+    const result = await pool.query(`
+        UPDATE registration_queue
+        SET status = 'processing', attempts = attempts + 1, updated_at = NOW()
+        WHERE queue_id IN (
+            SELECT queue_id
+            FROM registration_queue
+            WHERE (status = 'queued' AND next_attempt_at <= NOW())
+               OR (status = 'processing' AND updated_at < NOW() - make_interval(secs => $2))
+            ORDER BY queue_id
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING queue_id, payload, attempts
+    `, [limit, STALE_SECONDS]);
+
+    return result.rows;
+}
+
+/**
+ * Record the final outcome of a row
+ */
+async function settleRow(db, queueId, status, { studentId = null, error = null } = {}) {
+    await db.query(`
+        UPDATE registration_queue
+        SET status = $2, student_id = $3, last_error = $4, updated_at = NOW()
+        WHERE queue_id = $1
+    `, [queueId, status, studentId, error]);
+}
+
+/**
+ * Register one claimed row; the insert and the status change commit together
+ * @returns {Promise<string>} - New status of the row
+ */
+async function processRow(row, departments) {
+    const { errors, student } = validateStudentInput(row.payload, departments);
+    const departmentId = errors.length === 0 ? departments.getId(student.department) : null;
+
+    if (errors.length > 0 || !departmentId) {
+        const reasons = errors.length > 0 ? errors : [`Department "${student.department}" not found in database`];
+        await settleRow(pool, row.queue_id, 'invalid', { error: reasons.join('; ') });
+        await publishWebhookEvents(pool, [studentRejectedEvent(row.payload, 'invalid', reasons, 'queue')]);
+        return 'invalid';
+    }
+
+    const client = await pool.connect();
+    let studentId;
+    try {
+        await client.query('BEGIN');
+        studentId = await insertStudent(client, student, departmentId);
+
+        if (studentId === null) {
+            await settleRow(client, row.queue_id, 'duplicate', { error: 'Student with this email already exists' });
+        } else {
+            await settleRow(client, row.queue_id, 'registered', { studentId });
+        }
+        await client.query('COMMIT');
+
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    if (studentId === null) {
+        await publishWebhookEvents(pool, [
+            studentRejectedEvent(student, 'duplicate', ['Student with this email already exists'], 'queue')
+        ]);
+        return 'duplicate';
+    }
+    await publishWebhookEvents(pool, [studentRegisteredEvent(student, studentId, 'queue')]);
+    return 'registered';
+}
+
+/**
+ * Put a row back in the queue after a failed attempt, or give up on it
+ * @returns {Promise<string>} - 'queued' or 'failed'
+ */
+async function scheduleRetry(row, error) {
+    if (row.attempts >= MAX_ATTEMPTS) {
+        await settleRow(pool, row.queue_id, 'failed', { error: error.message });
+        return 'failed';
+    }
+
+    await pool.query(`
+        UPDATE registration_queue
+        SET status = 'queued',
+            last_error = $2,
+            next_attempt_at = NOW() + make_interval(secs => $3),
+            updated_at = NOW()
+        WHERE queue_id = $1
+    `, [row.queue_id, error.message, getRetryDelaySeconds(row.attempts)]);
+    return 'queued';
+}
+
+/**
+ * Run one pass over the queue
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Rows to claim (default REGISTRATION_QUEUE_BATCH_SIZE)
+ * @returns {Promise<Object>} - Rows per resulting status
+ */
+export async function processRegistrationQueue({ limit = BATCH_SIZE } = {}) {
+    const summary = { claimed: 0, registered: 0, duplicate: 0, invalid: 0, queued: 0, failed: 0 };
+
+    // Loaded first: if the database is unreachable nothing is claimed
+    const departments = await getDepartmentResolver();
+    const rows = await claimRows(limit);
+    summary.claimed = rows.length;
+
+    for (const row of rows) {
+        let status;
+        try {
+            status = await processRow(row, departments);
+        } catch (error) {
+            logger.warn(`Queued registration ${row.queue_id} failed (attempt ${row.attempts}): ${error.message}`,
+                { queueId: row.queue_id, attempts: row.attempts });
+            // If this fails too, the row stays "processing" and is reclaimed once stale
+            status = await scheduleRetry(row, error);
+        }
+        summary[status]++;
+    }
+
+    if (rows.length > 0) {
+        logger.info('Registration queue pass complete', summary);
+    }
+    return summary;
+}
+
+/**
+ * Process the queue every REGISTRATION_QUEUE_INTERVAL_MS until stopped
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs]
+ * @returns {{ stop: Function }}
+ */
+export function startRegistrationWorker({ intervalMs = INTERVAL_MS } = {}) {
+    return startWorkerLoop({
+        name: 'Registration queue worker',
+        intervalMs,
+        pass: async () => (await processRegistrationQueue()).claimed === BATCH_SIZE
+    });
+}
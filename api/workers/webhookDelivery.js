@@ -0,0 +1,37 @@
+/**
+ * Webhook Delivery Worker
+ * Sends the deliveries queued in webhook_delivery (see etl/utils/webhooks.js),
+ * including the ones published by ETL runs, and retries failed ones
+ *
+ * Settings:
+ *   WEBHOOK_INTERVAL_MS    pause between passes (default 5000)
+ *   WEBHOOK_BATCH_SIZE     deliveries per pass (default 20)
+ */
+
+import { pool } from '../db.js';
+import { deliverWebhooks } from '../../etl/utils/webhooks.js';
+import { logger } from '../../etl/utils/logger.js';
+import { startWorkerLoop } from './loop.js';
+
+const INTERVAL_MS = parseInt(process.env.WEBHOOK_INTERVAL_MS, 10) || 5000;
+const BATCH_SIZE = parseInt(process.env.WEBHOOK_BATCH_SIZE, 10) || 20;
+
+/**
+ * Deliver due webhooks every WEBHOOK_INTERVAL_MS until stopped
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs]
+ * @returns {{ stop: Function }}
+ */
+export function startWebhookWorker({ intervalMs = INTERVAL_MS } = {}) {
+    return startWorkerLoop({
+        name: 'Webhook delivery worker',
+        intervalMs,
+        pass: async () => {
+            const summary = await deliverWebhooks(pool, { limit: BATCH_SIZE });
+            if (summary.claimed > 0) {
+                logger.info('Webhook delivery pass complete', summary);
+            }
+            return summary.claimed === BATCH_SIZE;
+        }
+    });
+}
@@ -2,13 +2,29 @@
 
 const CONFIG = {
   API_BASE_URL: 'https://shieldlessly-demagogic-beverly.ngrok-free.dev/api',
-  API_SECRET_KEY: '7f7b957af1498af49aad80994c1ddc1a909cbb7c41cfca63338a3baa6febe5d5',
+  // API key is read from Script Properties (key: API_KEY), never stored in code.
+  // Create one with: node scripts/manage_api_keys.js create sheets --scopes students:write,students:read
   SHEET_NAME: 'Students',
   NOTIFICATION_EMAIL: 'nownotloki@gmail.com',  // Change to your email
   VALIDATION_COLUMN: 'Status',
-  ERROR_COLUMN: 'Error'
+  ERROR_COLUMN: 'Error',
+  // 'direct': each edit registers the row synchronously (POST /students).
+  // 'queue': rows go to POST /registrations/queue and syncQueuedRegistrations()
+  // picks up the outcome, so API/ngrok outages heal themselves
+  // (run setupTriggers() again after switching).
+  SYNC_MODE: 'direct',
+  // Sheet marked by "Import Registration Results" (the one exported as JSON)
+  RESULTS_SHEET_NAME: 'Pending Registration'
 };
 
+function getApiKey() {
+  const key = PropertiesService.getScriptProperties().getProperty('API_KEY');
+  if (!key) {
+    throw new Error('API_KEY script property is not set (Project Settings → Script Properties)');
+  }
+  return key;
+}
+
 /* ================= EDIT HANDLER ================= */
 /* INSTALLABLE trigger - fires on any edit */
 
@@ -34,7 +50,11 @@ function handleEdit(e) {
 
 function processNewStudent(record, row, sheet) {
   const previousStatus = getStatus(sheet, row);
-  if (previousStatus === 'Registered') return; // Already registered
+  if (previousStatus === 'Registered') {
+    // Already registered - push corrections to the existing record instead
+    updateRegisteredStudent(record, row, sheet);
+    return;
+  }
 
   // Check if ALL required fields are filled before processing
   // This prevents triggering on incomplete rows
@@ -64,17 +84,23 @@ function processNewStudent(record, row, sheet) {
   }
 
   const transformedData = transform(record);
+
+  if (CONFIG.SYNC_MODE === 'queue') {
+    queueRow(sheet, row, transformedData);
+    return;
+  }
   
   // Log data being sent
   Logger.log('📤 Sending to API: ' + record.email);
   Logger.log('📋 Data: ' + JSON.stringify(transformedData));
   
-  const response = sendToAPI(transformedData);
+  // Same row + same data => same key, so a retry after a timeout replays
+  // the original 201 instead of hitting "email already exists"
+  const response = sendToAPI(transformedData, buildIdempotencyKey(row, transformedData));
 
   if (response.success) {
-    const studentId = response.data?.data?.studentId || 
-                      response.data?.studentId || 
-                      'N/A';
+    // 201 body is { success, message, data: { studentId, email } } (see /api/openapi.json)
+    const studentId = response.data.data.studentId;
     // Log successful registration
     Logger.log('✅ API Response Code: 201');
     Logger.log('📥 API Response Body: ' + JSON.stringify(response.data));
@@ -82,10 +108,6 @@ function processNewStudent(record, row, sheet) {
     markRow(sheet, row, 'Registered', `Student ID: ${studentId}`);
     // Send success email notification
     sendSuccessEmail(row, record.email, studentId);
-  } else if (response.error && response.error.toLowerCase().includes('email already exists')) {
-    // Email exists = student already registered, treat as success
-    Logger.log('ℹ️ Student already registered with this email');
-    markRow(sheet, row, 'Registered', 'Already in database');
   } else {
     Logger.log('❌ API Error: ' + response.error);
     markRow(sheet, row, 'Error', response.error);
@@ -94,6 +116,37 @@ function processNewStudent(record, row, sheet) {
   }
 }
 
+/* ================= UPDATE REGISTERED ROW ================= */
+
+function updateRegisteredStudent(record, row, sheet) {
+  // markRow stores "Student ID: <id>" in the Error column on registration
+  const message = String(getMessage(sheet, row) || '');
+  const match = message.match(/Student ID: (\d+)/);
+  if (!match) {
+    Logger.log('ℹ️ Row ' + row + ' registered without a known student ID - skipping update');
+    return;
+  }
+  const studentId = match[1];
+
+  const validation = validateStudent(record);
+  if (!validation.isValid) {
+    Logger.log('❌ Update validation failed: ' + validation.errors.join('; '));
+    sendErrorEmail(row, record.email || 'N/A', 'Update Validation Failed', validation.errors);
+    return;
+  }
+
+  Logger.log('✏️ Updating student ' + studentId + ' from row ' + row);
+  const response = sendUpdateToAPI(studentId, transform(record));
+
+  if (response.success) {
+    Logger.log('✅ Student ' + studentId + ' updated');
+    markRow(sheet, row, 'Registered', `Student ID: ${studentId}`);
+  } else {
+    Logger.log('❌ API Error: ' + response.error);
+    sendErrorEmail(row, record.email || 'N/A', 'Update Failed', [response.error]);
+  }
+}
+
 /* ================= SUCCESS EMAIL ================= */
 
 function sendSuccessEmail(row, studentEmail, studentId) {
@@ -149,48 +202,8 @@ Timestamp: ${new Date().toLocaleString()}
 
 /* ================= VALIDATION ================= */
 
-function validateStudent(r) {
-  const errors = [];
-
-  // Required fields - match your schema
-  if (!r.firstName || r.firstName.toString().trim() === '') {
-    errors.push('firstName is required');
-  }
-  if (!r.lastName || r.lastName.toString().trim() === '') {
-    errors.push('lastName is required');
-  }
-  if (!r.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(r.email)) {
-    errors.push('Valid email required');
-  }
-  if (!r.dateOfBirth) {
-    errors.push('dateOfBirth is required');
-  } else {
-    // Validate age: must be at least 16 years old
-    const dob = new Date(r.dateOfBirth);
-    const today = new Date();
-    const age = Math.floor((today - dob) / (365.25 * 24 * 60 * 60 * 1000));
-    if (age < 16) {
-      errors.push('Student must be at least 16 years old (currently ' + age + ')');
-    }
-  }
-  if (!r.year || isNaN(r.year) || r.year < 1 || r.year > 4) {
-    errors.push('year must be 1-4');
-  }
-  if (!r.phoneNumber || r.phoneNumber.toString().trim() === '') {
-    errors.push('phoneNumber is required');
-  } else {
-    // Validate phone format: must have at least 10 digits, allow +, -, spaces
-    const digitsOnly = r.phoneNumber.toString().replace(/[\s\-\+]/g, '');
-    if (!/^\d{10,15}$/.test(digitsOnly)) {
-      errors.push('phoneNumber must have 10-15 digits (got ' + digitsOnly.length + ')');
-    }
-  }
-  if (!r.department || r.department.toString().trim() === '') {
-    errors.push('department is required');
-  }
-
-  return { isValid: errors.length === 0, errors };
-}
+// validateStudent(r) lives in Validation.gs, generated from the server-side
+// student schema (npm run generate:apps-script). Do not redefine it here.
 
 function transform(r) {
   // Format date to YYYY-MM-DD if it's a Date object
@@ -212,17 +225,86 @@ function transform(r) {
 
 /* ================= API CALL ================= */
 
-function sendToAPI(record) {
+function buildIdempotencyKey(row, record) {
+  const digest = Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    JSON.stringify(record),
+    Utilities.Charset.UTF_8
+  );
+  const hex = digest.map(b => ('0' + (b & 0xff).toString(16)).slice(-2)).join('');
+  return SpreadsheetApp.getActive().getId() + ':' + row + ':' + hex;
+}
+
+// Retries while the API is still running an earlier request with the same Idempotency-Key
+const IN_PROGRESS_RETRIES = 3;
+
+function sendToAPI(record, idempotencyKey, attempt) {
+  attempt = attempt || 1;
   try {
+    const headers = {
+      'Authorization': 'Bearer ' + getApiKey(),
+      'X-API-Key': getApiKey(),
+      'ngrok-skip-browser-warning': 'true'
+    };
+    if (idempotencyKey) {
+      headers['Idempotency-Key'] = idempotencyKey;
+    }
+
     const res = UrlFetchApp.fetch(
       CONFIG.API_BASE_URL + '/students',
       {
         method: 'post',
         contentType: 'application/json',
         payload: JSON.stringify(record),
+        headers: headers,
+        muteHttpExceptions: true
+      }
+    );
+
+    const code = res.getResponseCode();
+    const text = res.getContentText();
+
+    if ([200, 201].includes(code)) {
+      return { success: true, data: JSON.parse(text) };
+    }
+
+    // Parse error response
+    let errData;
+    try {
+      errData = JSON.parse(text);
+    } catch {
+      return { success: false, error: text };
+    }
+
+    // 409 with this code is our own earlier attempt, not a duplicate email:
+    // wait and retry, and the API replays that attempt's response once it is done
+    if (code === 409 && errData.code === 'request_in_progress') {
+      if (attempt < IN_PROGRESS_RETRIES) {
+        const headers = res.getHeaders();
+        const waitSeconds = parseInt(headers['Retry-After'] || headers['retry-after'], 10) || 1;
+        Utilities.sleep(waitSeconds * 1000);
+        return sendToAPI(record, idempotencyKey, attempt + 1);
+      }
+      return { success: false, error: 'Still being processed by the API - edit the row again to retry' };
+    }
+
+    return { success: false, error: errData.errors?.join('; ') || errData.error || text };
+  } catch (e) {
+    return { success: false, error: e.toString() };
+  }
+}
+
+function sendUpdateToAPI(studentId, record) {
+  try {
+    const res = UrlFetchApp.fetch(
+      CONFIG.API_BASE_URL + '/students/' + studentId,
+      {
+        method: 'patch',
+        contentType: 'application/json',
+        payload: JSON.stringify(record),
         headers: {
-          'Authorization': 'Bearer ' + CONFIG.API_SECRET_KEY,
-          'X-API-Key': CONFIG.API_SECRET_KEY,
+          'Authorization': 'Bearer ' + getApiKey(),
+          'X-API-Key': getApiKey(),
           'ngrok-skip-browser-warning': 'true'
         },
         muteHttpExceptions: true
@@ -232,11 +314,275 @@ function sendToAPI(record) {
     const code = res.getResponseCode();
     const text = res.getContentText();
 
-    if ([200, 201].includes(code)) {
+    if (code === 200) {
+      return { success: true, data: JSON.parse(text) };
+    }
+
+    try {
+      const errData = JSON.parse(text);
+      return { success: false, error: errData.errors?.join('; ') || errData.error || text };
+    } catch {
+      return { success: false, error: text };
+    }
+  } catch (e) {
+    return { success: false, error: e.toString() };
+  }
+}
+
+/* ================= BATCH REGISTRATION ================= */
+/* Run manually (or from a menu) after pasting many rows at once */
+
+function registerAllPendingRows() {
+  const sheet = SpreadsheetApp.getActive().getSheetByName(CONFIG.SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return;
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data.shift();
+  const sCol = headers.indexOf(CONFIG.VALIDATION_COLUMN);
+
+  const rows = [];
+  const records = [];
+
+  data.forEach((values, i) => {
+    const row = i + 2;
+    if (sCol >= 0 && values[sCol] === 'Registered') return;
+
+    const record = {};
+    headers.forEach((h, j) => record[h] = values[j]);
+
+    const validation = validateStudent(record);
+    if (!validation.isValid) {
+      markRow(sheet, row, 'Invalid', validation.errors.join('; '));
+      return;
+    }
+
+    rows.push(row);
+    records.push(transform(record));
+  });
+
+  if (records.length === 0) {
+    Logger.log('ℹ️ No pending rows to register');
+    return;
+  }
+
+  Logger.log('📤 Sending batch of ' + records.length + ' rows to API');
+  const response = sendBatchToAPI(records);
+
+  if (!response.success) {
+    Logger.log('❌ Batch API Error: ' + response.error);
+    rows.forEach(row => markRow(sheet, row, 'Error', response.error));
+    return;
+  }
+
+  response.data.results.forEach(result => {
+    const row = rows[result.index];
+    if (result.status === 'created') {
+      markRow(sheet, row, 'Registered', `Student ID: ${result.studentId}`);
+    } else if (result.status === 'duplicate') {
+      markRow(sheet, row, 'Registered', 'Already in database');
+    } else if (result.status === 'invalid') {
+      markRow(sheet, row, 'Invalid', result.errors.join('; '));
+    } else {
+      markRow(sheet, row, 'Error', result.errors.join('; '));
+    }
+  });
+
+  Logger.log('✅ Batch complete: ' + JSON.stringify(response.data.summary));
+}
+
+function sendBatchToAPI(records) {
+  try {
+    const res = UrlFetchApp.fetch(
+      CONFIG.API_BASE_URL + '/students/batch',
+      {
+        method: 'post',
+        contentType: 'application/json',
+        payload: JSON.stringify({ students: records }),
+        headers: {
+          'Authorization': 'Bearer ' + getApiKey(),
+          'X-API-Key': getApiKey(),
+          'ngrok-skip-browser-warning': 'true'
+        },
+        muteHttpExceptions: true
+      }
+    );
+
+    const code = res.getResponseCode();
+    const text = res.getContentText();
+
+    if (code === 200) {
+      return { success: true, data: JSON.parse(text) };
+    }
+
+    try {
+      const errData = JSON.parse(text);
+      return { success: false, error: errData.errors?.join('; ') || errData.error || text };
+    } catch {
+      return { success: false, error: text };
+    }
+  } catch (e) {
+    return { success: false, error: e.toString() };
+  }
+}
+
+/* ================= REGISTRATION QUEUE ================= */
+/* Rows are marked Queued ("Queue ID: <id>") once the API accepted them, or    */
+/* Pending when the API could not be reached; syncQueuedRegistrations() runs  */
+/* every few minutes, queues Pending rows and copies back finished outcomes   */
+
+function queueRow(sheet, row, record) {
+  Logger.log('📤 Queueing row ' + row + ': ' + record.email);
+  const response = sendQueueToAPI([Object.assign({ clientKey: buildIdempotencyKey(row, record) }, record)]);
+
+  if (response.success) {
+    const entry = response.data.data[0];
+    markRow(sheet, row, 'Queued', 'Queue ID: ' + entry.queueId);
+  } else {
+    Logger.log('⏳ Could not queue row ' + row + ', will retry: ' + response.error);
+    markRow(sheet, row, 'Pending', 'Not queued yet: ' + response.error);
+  }
+}
+
+function syncQueuedRegistrations() {
+  const sheet = SpreadsheetApp.getActive().getSheetByName(CONFIG.SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return;
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data.shift();
+  const sCol = headers.indexOf(CONFIG.VALIDATION_COLUMN);
+  const eCol = headers.indexOf(CONFIG.ERROR_COLUMN);
+  if (sCol < 0 || eCol < 0) return;
+
+  const pendingRows = [];
+  const pendingRecords = [];
+  const queuedRows = {}; // queue id -> { row, email }
+
+  data.forEach((values, i) => {
+    const row = i + 2;
+    const record = {};
+    headers.forEach((h, j) => record[h] = values[j]);
+
+    if (values[sCol] === 'Pending') {
+      const validation = validateStudent(record);
+      if (!validation.isValid) {
+        markRow(sheet, row, 'Invalid', validation.errors.join('; '));
+        return;
+      }
+      const transformed = transform(record);
+      pendingRows.push(row);
+      pendingRecords.push(Object.assign({ clientKey: buildIdempotencyKey(row, transformed) }, transformed));
+    } else if (values[sCol] === 'Queued') {
+      const match = String(values[eCol]).match(/Queue ID: (\d+)/);
+      if (match) queuedRows[match[1]] = { row: row, email: record.email };
+    }
+  });
+
+  // 1. Queue rows that could not be sent earlier
+  if (pendingRecords.length > 0) {
+    const response = sendQueueToAPI(pendingRecords);
+    if (response.success) {
+      response.data.data.forEach(entry => {
+        markRow(sheet, pendingRows[entry.index], 'Queued', 'Queue ID: ' + entry.queueId);
+      });
+      Logger.log('📤 Queued ' + pendingRecords.length + ' pending rows');
+    } else {
+      Logger.log('⏳ Still cannot reach the API: ' + response.error);
+      return;
+    }
+  }
+
+  // 2. Copy back the outcome of queued rows
+  const ids = Object.keys(queuedRows);
+  if (ids.length === 0) return;
+
+  const response = fetchQueueStatus(ids);
+  if (!response.success) {
+    Logger.log('⏳ Could not fetch queue status: ' + response.error);
+    return;
+  }
+
+  response.data.data.forEach(entry => {
+    const target = queuedRows[entry.queueId];
+    if (entry.status === 'registered') {
+      markRow(sheet, target.row, 'Registered', `Student ID: ${entry.studentId}`);
+      sendSuccessEmail(target.row, target.email, entry.studentId);
+    } else if (entry.status === 'duplicate') {
+      markRow(sheet, target.row, 'Registered', 'Already in database');
+    } else if (entry.status === 'invalid') {
+      markRow(sheet, target.row, 'Invalid', entry.error);
+      sendErrorEmail(target.row, target.email, 'Validation Failed', [entry.error]);
+    } else if (entry.status === 'failed') {
+      markRow(sheet, target.row, 'Error', entry.error);
+      sendErrorEmail(target.row, target.email, 'API Error', [entry.error]);
+    } else if (entry.attempts > 0 && entry.error) {
+      markRow(sheet, target.row, 'Queued', `Queue ID: ${entry.queueId} (attempt ${entry.attempts} failed: ${entry.error})`);
+    }
+  });
+
+  response.data.missing.forEach(id => {
+    markRow(sheet, queuedRows[id].row, 'Pending', `Queue entry ${id} not found - re-queueing`);
+  });
+
+  Logger.log('✅ Synced ' + ids.length + ' queued rows');
+}
+
+function sendQueueToAPI(records) {
+  try {
+    const res = UrlFetchApp.fetch(
+      CONFIG.API_BASE_URL + '/registrations/queue',
+      {
+        method: 'post',
+        contentType: 'application/json',
+        payload: JSON.stringify({ registrations: records }),
+        headers: {
+          'Authorization': 'Bearer ' + getApiKey(),
+          'X-API-Key': getApiKey(),
+          'ngrok-skip-browser-warning': 'true'
+        },
+        muteHttpExceptions: true
+      }
+    );
+
+    const code = res.getResponseCode();
+    const text = res.getContentText();
+
+    if (code === 202) {
+      return { success: true, data: JSON.parse(text) };
+    }
+
+    try {
+      const errData = JSON.parse(text);
+      return { success: false, error: errData.errors?.join('; ') || errData.error || text };
+    } catch {
+      return { success: false, error: text };
+    }
+  } catch (e) {
+    return { success: false, error: e.toString() };
+  }
+}
+
+function fetchQueueStatus(ids) {
+  try {
+    const res = UrlFetchApp.fetch(
+      CONFIG.API_BASE_URL + '/registrations/status?ids=' + ids.join(','),
+      {
+        method: 'get',
+        headers: {
+          'Authorization': 'Bearer ' + getApiKey(),
+          'X-API-Key': getApiKey(),
+          'ngrok-skip-browser-warning': 'true'
+        },
+        muteHttpExceptions: true
+      }
+    );
+
+    const code = res.getResponseCode();
+    const text = res.getContentText();
+
+    if (code === 200) {
       return { success: true, data: JSON.parse(text) };
     }
 
-    // Parse error response
     try {
       const errData = JSON.parse(text);
       return { success: false, error: errData.errors?.join('; ') || errData.error || text };
@@ -248,6 +594,73 @@ function sendToAPI(record) {
   }
 }
 
+/* ================= ETL RESULTS IMPORT ================= */
+/* Marks rows loaded by the ETL (npm run etl -- --pending) like edit-triggered */
+/* ones: paste the contents of data/registration-results.json                 */
+
+function onOpen() {
+  SpreadsheetApp.getUi()
+    .createMenu('📥 ETL Results')
+    .addItem('Import Registration Results', 'importRegistrationResults')
+    .addToUi();
+}
+
+function importRegistrationResults() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt(
+    'Import Registration Results',
+    'Paste the contents of data/registration-results.json:',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  let data;
+  try {
+    data = JSON.parse(response.getResponseText());
+  } catch (e) {
+    ui.alert('❌ Not valid JSON: ' + e.message);
+    return;
+  }
+  if (!data || !Array.isArray(data.results)) {
+    ui.alert('❌ Invalid format: "results" array not found');
+    return;
+  }
+
+  const sheet = SpreadsheetApp.getActive().getSheetByName(CONFIG.RESULTS_SHEET_NAME);
+  if (!sheet) {
+    ui.alert(`❌ Sheet "${CONFIG.RESULTS_SHEET_NAME}" not found`);
+    return;
+  }
+
+  // Rows are matched by email; the exported row number is the fallback
+  const values = sheet.getDataRange().getValues();
+  const headers = values.shift();
+  const emailCol = headers.findIndex(h => STUDENT_SCHEMA.email.aliases.includes(h));
+  const rowsByEmail = {};
+  if (emailCol >= 0) {
+    values.forEach((v, i) => {
+      const email = normalizeEmail(String(v[emailCol]));
+      if (email) rowsByEmail[email] = i + 2;
+    });
+  }
+
+  let marked = 0;
+  const unmatched = [];
+  data.results.forEach(result => {
+    const row = rowsByEmail[result.email] || (result.row > 1 ? result.row : null);
+    if (!row) {
+      unmatched.push(result.email);
+      return;
+    }
+    markRow(sheet, row, result.status, result.message);
+    marked++;
+  });
+
+  Logger.log('✅ Imported ' + marked + ' registration results from run ' + data.runId);
+  ui.alert(`✅ Marked ${marked} rows` +
+    (unmatched.length > 0 ? `\n\n${unmatched.length} results matched no row: ${unmatched.join(', ')}` : ''));
+}
+
 /* ================= SHEET HELPERS ================= */
 
 function getStatus(sheet, row) {
@@ -256,6 +669,12 @@ function getStatus(sheet, row) {
   return col > 0 ? sheet.getRange(row, col).getValue() : '';
 }
 
+function getMessage(sheet, row) {
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const col = headers.indexOf(CONFIG.ERROR_COLUMN) + 1;
+  return col > 0 ? sheet.getRange(row, col).getValue() : '';
+}
+
 function clearStatus(sheet, row) {
   const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
   const sCol = headers.indexOf(CONFIG.VALIDATION_COLUMN) + 1;
@@ -278,6 +697,8 @@ function markRow(sheet, row, status, message) {
       statusCell.setBackground('#d4edda'); // Green
     } else if (status === 'Invalid' || status === 'Error') {
       statusCell.setBackground('#f8d7da'); // Red
+    } else if (status === 'Queued' || status === 'Pending') {
+      statusCell.setBackground('#fff3cd'); // Yellow
     }
   }
 
@@ -288,6 +709,9 @@ function markRow(sheet, row, status, message) {
 
 /* ================= DAILY EMAIL REPORT ================= */
 
+// Superseded by the server-side registration error digest (DIGEST_TIME on the
+// API, scripts/manage_digest.js), which also covers API and ETL rejections.
+// setupTriggers() no longer schedules this; run it by hand if still needed.
 function sendDailyErrorEmail() {
   const sheet = SpreadsheetApp.getActive().getSheetByName(CONFIG.SHEET_NAME);
   if (!sheet) return;
@@ -326,13 +750,15 @@ function setupTriggers() {
     .onEdit()
     .create();
 
-  // Create daily email trigger at 11:59 PM
-  ScriptApp.newTrigger('sendDailyErrorEmail')
-    .timeBased()
-    .atHour(23)
-    .nearMinute(59)
-    .everyDays(1)
-    .create();
+  // The daily error email is sent by the API now (see sendDailyErrorEmail)
+
+  // Pick up queued registrations every 5 minutes
+  if (CONFIG.SYNC_MODE === 'queue') {
+    ScriptApp.newTrigger('syncQueuedRegistrations')
+      .timeBased()
+      .everyMinutes(5)
+      .create();
+  }
 
   Logger.log('✅ Triggers created successfully!');
 }
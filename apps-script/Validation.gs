@@ -0,0 +1,303 @@
+/* ================= GENERATED FILE - DO NOT EDIT ================= */
+/* Source: etl/utils/studentSchema.js + etl/utils/validators.js      */
+/* Regenerate: npm run generate:apps-script                          */
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_REGEX = /^[0-9+ -]{7,20}$/;
+
+const STUDENT_SCHEMA = {
+  "firstName": {
+    "type": "string",
+    "column": "student_first_name",
+    "aliases": [
+      "firstName",
+      "first_name",
+      "student_first_name"
+    ],
+    "required": true,
+    "maxLength": 100,
+    "messages": {
+      "required": "First name is required",
+      "invalid": "First name must be at most 100 characters"
+    }
+  },
+  "lastName": {
+    "type": "string",
+    "column": "student_last_name",
+    "aliases": [
+      "lastName",
+      "last_name",
+      "student_last_name"
+    ],
+    "required": true,
+    "maxLength": 100,
+    "messages": {
+      "required": "Last name is required",
+      "invalid": "Last name must be at most 100 characters"
+    }
+  },
+  "email": {
+    "type": "email",
+    "column": "student_email",
+    "aliases": [
+      "email",
+      "student_email"
+    ],
+    "required": true,
+    "maxLength": 255,
+    "messages": {
+      "required": "Email is required",
+      "invalid": "Invalid email format: \"{value}\""
+    }
+  },
+  "dateOfBirth": {
+    "type": "date",
+    "column": "student_date_of_birth",
+    "aliases": [
+      "dateOfBirth",
+      "date_of_birth",
+      "student_date_of_birth"
+    ],
+    "required": true,
+    "minAgeYears": 16,
+    "messages": {
+      "required": "Date of birth is required",
+      "invalid": "Invalid date of birth or student under 16 years old: \"{value}\""
+    }
+  },
+  "year": {
+    "type": "year",
+    "column": "student_year",
+    "aliases": [
+      "year",
+      "student_year"
+    ],
+    "required": true,
+    "min": 1,
+    "max": 4,
+    "messages": {
+      "required": "Year is required",
+      "invalid": "Year must be between 1 and 4 (got \"{value}\")"
+    }
+  },
+  "phoneNumber": {
+    "type": "phone",
+    "column": "student_phone_number",
+    "aliases": [
+      "phoneNumber",
+      "phone_number",
+      "student_phone_number"
+    ],
+    "required": true,
+    "minDigits": 10,
+    "maxDigits": 15,
+    "messages": {
+      "required": "Phone number is required",
+      "invalid": "Phone number must have 10-15 digits using only digits, +, - and spaces: \"{value}\""
+    }
+  },
+  "department": {
+    "type": "department",
+    "column": "department_id",
+    "aliases": [
+      "department",
+      "department_name"
+    ],
+    "required": true,
+    "messages": {
+      "required": "Department is required",
+      "invalid": "Unknown department: \"{value}\""
+    }
+  }
+};
+
+/* ================= VALIDATION ENTRY POINT ================= */
+
+// Department names are resolved server-side; here they are only required.
+function validateStudent(r) {
+  const result = validateStudentRecord(r, {});
+  return { isValid: result.errors.length === 0, errors: result.errors };
+}
+
+/* ================= SHARED VALIDATORS ================= */
+
+function cleanString(str) {
+    if (!str || typeof str !== 'string') return null;
+    return str.trim();
+}
+
+function normalizeEmail(email) {
+    if (!email) return null;
+    return email.toLowerCase().trim();
+}
+
+function isValidEmail(email) {
+    if (!email || typeof email !== 'string') return false;
+    return EMAIL_REGEX.test(email.trim());
+}
+
+function parseYear(year) {
+    // Direct number
+    if (typeof year === 'number') return year;
+
+    // String number
+    const parsed = parseInt(year, 10);
+    if (!isNaN(parsed)) return parsed;
+
+    // Word to number mapping
+    const wordMap = {
+        'one': 1, 'first': 1, '1st': 1,
+        'two': 2, 'second': 2, '2nd': 2,
+        'three': 3, 'third': 3, '3rd': 3,
+        'four': 4, 'fourth': 4, '4th': 4
+    };
+
+    const lower = String(year).toLowerCase().trim();
+    return wordMap[lower] || null;
+}
+
+function parseDate(dateStr) {
+    if (!dateStr) return null;
+
+    // Already ISO format
+    if (/^\d{4}-\d{2}-\d{2}/.test(dateStr)) {
+        return dateStr.split('T')[0];
+    }
+
+    // DD/MM/YYYY format
+    if (/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(dateStr)) {
+        const [day, month, year] = dateStr.split('/');
+        return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    }
+
+    // Try parsing with Date object
+    const parsed = new Date(dateStr);
+    if (!isNaN(parsed.getTime())) {
+        return parsed.toISOString().split('T')[0];
+    }
+
+    return null;
+}
+
+function isValidDateOfBirth(dob, minAgeYears = 16) {
+    if (!dob) return false;
+
+    const dobDate = new Date(dob);
+    if (isNaN(dobDate.getTime())) return false;
+
+    const today = new Date();
+    const minDate = new Date(today.getFullYear() - minAgeYears, today.getMonth(), today.getDate());
+
+    return dobDate <= minDate;
+}
+
+function normalizePhoneNumber(phone) {
+    if (!phone) return null;
+    // Keep only digits, +, spaces, and dashes
+    const cleaned = phone.replace(/[^\d+\- ]/g, '').trim();
+
+    // If just 10 digits, add +91- prefix
+    const digitsOnly = cleaned.replace(/[^\d]/g, '');
+    if (digitsOnly.length === 10) {
+        return `+91-${digitsOnly}`;
+    }
+
+    return cleaned;
+}
+
+function isValidPhoneNumber(phone) {
+    if (!phone || typeof phone !== 'string') return false;
+    return PHONE_REGEX.test(phone.trim());
+}
+
+function findRawValue(record, def) {
+    for (const alias of def.aliases) {
+        if (record[alias] !== undefined) return record[alias];
+    }
+    return undefined;
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+function normalizeField(def, raw, options) {
+    switch (def.type) {
+        case 'email':
+            return normalizeEmail(String(raw));
+        case 'date':
+            if (raw instanceof Date) {
+                return isNaN(raw.getTime()) ? null : raw.toISOString().split('T')[0];
+            }
+            return parseDate(String(raw).trim());
+        case 'year':
+            return parseYear(raw);
+        case 'phone':
+            return normalizePhoneNumber(String(raw));
+        case 'department':
+            return options.resolveDepartment
+                ? options.resolveDepartment(String(raw))
+                : cleanString(String(raw));
+        default:
+            return cleanString(String(raw));
+    }
+}
+
+function checkField(def, value) {
+    if (value === null || value === undefined || value === '') return false;
+
+    if (def.maxLength && String(value).length > def.maxLength) return false;
+
+    switch (def.type) {
+        case 'email':
+            return isValidEmail(value);
+        case 'date':
+            return def.minAgeYears ? isValidDateOfBirth(value, def.minAgeYears) : true;
+        case 'year':
+            return Number.isInteger(value) && value >= def.min && value <= def.max;
+        case 'phone': {
+            const digits = value.replace(/[^\d]/g, '').length;
+            return isValidPhoneNumber(value) && digits >= def.minDigits && digits <= def.maxDigits;
+        }
+        default:
+            return true;
+    }
+}
+
+function validateStudentRecord(record, options = {}) {
+    const errors = [];
+    const invalidFields = [];
+    const values = {};
+
+    for (const field of Object.keys(STUDENT_SCHEMA)) {
+        const def = STUDENT_SCHEMA[field];
+        const raw = findRawValue(record || {}, def);
+
+        // In partial mode, fields that were not supplied are left untouched
+        if (options.partial && raw === undefined) continue;
+
+        if (isBlank(raw)) {
+            if (def.required) {
+                errors.push(def.messages.required);
+                invalidFields.push(field);
+            }
+            values[field] = null;
+            continue;
+        }
+
+        const value = normalizeField(def, raw, options);
+        values[field] = value;
+
+        if (!checkField(def, value)) {
+            let message = def.messages.invalid.replace('{value}', String(raw));
+            const suggestion = def.type === 'department' && options.suggestDepartment
+                ? options.suggestDepartment(String(raw))
+                : null;
+            if (suggestion) message += ` Did you mean "${suggestion}"?`;
+            errors.push(message);
+            invalidFields.push(field);
+        }
+    }
+
+    return { errors, invalidFields, values };
+}
@@ -1,26 +1,71 @@
+/**
+ * Extract Module
+ * Reads source rows from CSV, JSON and spreadsheet (.xlsx/.xls/.ods) files
+ *
+ * Rows are streamed: streamFrom* yield one row at a time (csv-parse stream
+ * API, NDJSON line by line) so the pipeline can process files of any size in
+ * batches with bounded memory.
+ *
+ * JSON arrays and spreadsheets (utils/spreadsheet.js) can only be read whole;
+ * files above ETL_MAX_WHOLE_FILE_MB (default 100) are refused rather than
+ * loaded into memory. Large sources belong in CSV or NDJSON.
+ *
+ * The CSV dialect (delimiter, encoding, header row), spreadsheet sheet and
+ * column mapping of each source come from the pipeline config
+ * (utils/pipelineConfig.js).
+ */
+
 import fs from 'fs';
 import path from 'path';
-import { parse } from 'csv-parse/sync';
+import readline from 'readline';
+import { parse as parseStream } from 'csv-parse';
 import { logger } from './utils/logger.js';
+import { readSpreadsheet } from './utils/spreadsheet.js';
+import { createColumnMapper } from './utils/pipelineConfig.js';
+
+// Largest .json / spreadsheet file streamFromFile reads into memory
+const MAX_WHOLE_FILE_BYTES = (parseInt(process.env.ETL_MAX_WHOLE_FILE_MB, 10) || 100) * 1024 * 1024;
 
 /**
- * Extract data from a CSV file
- * @param {string} filename - Name of CSV file in data/ directory
+ * csv-parse options for a source's dialect
+ * @param {Object} [format]
+ * @param {string} [format.delimiter] - Default ','
+ * @param {number} [format.headerRow] - 1-based line with the column names (earlier lines are skipped)
+ */
+function csvOptions({ delimiter = ',', headerRow = 1 } = {}) {
+    return {
+        columns: true,
+        skip_empty_lines: true,
+        trim: true,
+        bom: true,
+        delimiter,
+        from_line: headerRow
+    };
+}
+
+/**
+ * Absolute path of a file in the data/ directory (absolute paths are kept)
+ */
+export function getDataFilePath(filename) {
+    return path.resolve(process.cwd(), 'data', filename);
+}
+
+/**
+ * Extract data from a JSON file
+ * @param {string} filename - Name of JSON file in data/ directory
  * @returns {Array} - Array of row objects
  */
-export function extractFromCSV(filename) {
-    const filePath = path.join(process.cwd(), 'data', filename);
+function extractFromJSON(filename, format = {}) {
+    const filePath = getDataFilePath(filename);
 
-    logger.info(`Extracting data from CSV: ${filename}...`);
+    logger.info(`Extracting data from JSON: ${filename}...`);
 
     try {
-        const fileContent = fs.readFileSync(filePath, 'utf8');
+        const fileContent = fs.readFileSync(filePath, format.encoding || 'utf8');
+        const data = JSON.parse(fileContent);
 
-        const records = parse(fileContent, {
-            columns: true,
-            skip_empty_lines: true,
-            trim: true
-        });
+        // Handle both array and object with data property
+        const records = Array.isArray(data) ? data : (data.data || data.records || [data]);
 
         logger.stats.extracted += records.length;
         logger.success(`Extracted ${records.length} rows from ${filename}`);
@@ -34,21 +79,22 @@ export function extractFromCSV(filename) {
 }
 
 /**
- * Extract data from a JSON file
- * @param {string} filename - Name of JSON file in data/ directory
- * @returns {Array} - Array of row objects
+ * Extract one sheet of a spreadsheet (.xlsx, .xls, .ods)
+ * @param {string} filename - Name of the file in data/ directory (or absolute path)
+ * @param {Object} [format] - { sheet, headerRow, headerRows } from the pipeline config
+ * @returns {Array} - Array of row objects (cell text keyed by column name)
  */
-export function extractFromJSON(filename) {
-    const filePath = path.join(process.cwd(), 'data', filename);
+function extractFromSpreadsheet(filename, format = {}) {
+    const filePath = getDataFilePath(filename);
 
-    logger.info(`Extracting data from JSON: ${filename}...`);
+    logger.info(`Extracting data from spreadsheet: ${filename}...`);
 
     try {
-        const fileContent = fs.readFileSync(filePath, 'utf8');
-        const data = JSON.parse(fileContent);
-
-        // Handle both array and object with data property
-        const records = Array.isArray(data) ? data : (data.data || data.records || [data]);
+        const records = readSpreadsheet(filePath, {
+            sheet: format.sheet ?? undefined,
+            headerRow: format.headerRow,
+            headerRows: format.headerRows
+        });
 
         logger.stats.extracted += records.length;
         logger.success(`Extracted ${records.length} rows from ${filename}`);
@@ -62,34 +108,128 @@ export function extractFromJSON(filename) {
 }
 
 /**
- * Auto-detect file type and extract
- * @param {string} filename - Filename with extension
- * @returns {Array} - Array of row objects
+ * Stream rows from a CSV file
+ * Rows are parsed as they are pulled, so a slow consumer pauses the file read
+ * @param {string} filePath - Absolute path
+ * @param {Object} [format] - { delimiter, encoding, headerRow }
+ */
+export async function* streamFromCSV(filePath, format = {}) {
+    const input = fs.createReadStream(filePath, { encoding: format.encoding || 'utf8' });
+    const parser = input.pipe(parseStream(csvOptions(format)));
+    input.on('error', error => parser.destroy(error));
+
+    for await (const record of parser) {
+        logger.stats.extracted++;
+        yield record;
+    }
+}
+
+/**
+ * Stream rows from an NDJSON file (one JSON object per line, blank lines ignored)
+ * @param {string} filePath - Absolute path
+ * @param {Object} [format] - { encoding }
+ */
+export async function* streamFromNDJSON(filePath, format = {}) {
+    const lines = readline.createInterface({
+        input: fs.createReadStream(filePath, { encoding: format.encoding || 'utf8' }),
+        crlfDelay: Infinity
+    });
+
+    let lineNumber = 0;
+    for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) continue;
+
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`${path.basename(filePath)} line ${lineNumber}: invalid JSON (${error.message})`);
+        }
+
+        logger.stats.extracted++;
+        yield record;
+    }
+}
+
+/**
+ * Refuse to read a file whole when it is larger than MAX_WHOLE_FILE_BYTES
+ */
+function assertReadableWhole(filePath) {
+    const { size } = fs.statSync(filePath);
+    if (size > MAX_WHOLE_FILE_BYTES) {
+        const mb = bytes => Math.round(bytes / 1024 / 1024);
+        throw new Error(`${path.basename(filePath)} is ${mb(size)} MB: .json and spreadsheet sources are read ` +
+            `whole, up to ETL_MAX_WHOLE_FILE_MB (${mb(MAX_WHOLE_FILE_BYTES)} MB). Convert it to NDJSON ` +
+            '(.ndjson, one JSON object per line) or CSV, which are streamed');
+    }
+}
+
+/**
+ * Stream rows from a file, picking the reader from its extension
+ * (.csv, .ndjson / .jsonl; .json arrays and spreadsheets are read whole,
+ * up to ETL_MAX_WHOLE_FILE_MB, and then yielded)
+ * @param {string} filename - Name in data/ or absolute path
+ * @param {Object} [format] - { delimiter, encoding, headerRow }
  */
-export function extractFromFile(filename) {
-    const ext = path.extname(filename).toLowerCase();
+export async function* streamFromFile(filename, format = {}) {
+    const filePath = getDataFilePath(filename);
+    const ext = path.extname(filePath).toLowerCase();
+
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Source file not found: ${filePath}`);
+    }
+
+    logger.info(`Streaming rows from ${path.basename(filePath)}...`);
 
     switch (ext) {
         case '.csv':
-            return extractFromCSV(filename);
+            yield* streamFromCSV(filePath, format);
+            break;
+        case '.ndjson':
+        case '.jsonl':
+            yield* streamFromNDJSON(filePath, format);
+            break;
         case '.json':
-            return extractFromJSON(filename);
+            assertReadableWhole(filePath);
+            yield* extractFromJSON(filePath, format);
+            break;
+        case '.xlsx':
+        case '.xls':
+        case '.ods':
+            assertReadableWhole(filePath);
+            yield* extractFromSpreadsheet(filePath, format);
+            break;
         default:
             throw new Error(`Unsupported file type: ${ext}`);
     }
 }
 
 /**
- * Extract all source data files
- * @returns {Object} - Object containing all extracted data
+ * Group a row stream into arrays of at most `size` rows
+ * The source is only read further once the previous batch has been handled.
+ */
+export async function* readInBatches(rows, size) {
+    let batch = [];
+    for await (const row of rows) {
+        batch.push(row);
+        if (batch.length >= size) {
+            yield batch;
+            batch = [];
+        }
+    }
+    if (batch.length > 0) yield batch;
+}
+
+/**
+ * Stream the rows of one file of a configured source, mapped to its fields
+ * @param {string} filePath - One of resolveSourceFiles(source)
+ * @param {Object} source - Normalized source from the pipeline config
  */
-export function extractAll() {
-    logger.info('Starting extraction phase...');
+export async function* streamSourceFile(filePath, source) {
+    const mapRow = createColumnMapper(source, path.basename(filePath));
 
-    return {
-        students: extractFromCSV('messy_students.csv'),
-        enrollments: extractFromCSV('messy_enrollments.csv'),
-        departments: extractFromCSV('departments.csv'),
-        courses: extractFromCSV('courses.csv')
-    };
+    for await (const row of streamFromFile(filePath, source)) {
+        yield mapRow(row);
+    }
 }
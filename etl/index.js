@@ -5,197 +5,979 @@
  * 1. EXTRACTS data from CSV files
  * 2. TRANSFORMS (cleans, validates, standardizes)
  * 3. LOADS into PostgreSQL/NeonDB
+ *
+ * The standard pipeline streams each source in ETL_BATCH_SIZE batches
+ * (extract -> transform -> load per batch), so memory use does not grow
+ * with the file size. Departments and courses load first, so a new course
+ * catalogue file is all it takes to add courses.
  * 
+ * Rows rejected during transform are quarantined in etl_rejected_row
+ * (see scripts/manage_rejected_rows.js to export and correct them).
+ * Every run is recorded in etl_run and as a JSON report in logs/etl-runs/
+ * (see scripts/etl_runs.js to list and compare runs).
+ *
  * Run: node etl/index.js
+ *      node etl/index.js --pending           # Apps Script JSON export
+ *      node etl/index.js --pending-file <f>  # ...read from another file (implies --pending)
+ *      node etl/index.js --pending-sheet     # ...pulled from the Google Sheet (implies --pending,
+ *                                            #   see sheets-registrations.js)
+ *      node etl/index.js --replay-rejected   # Re-run corrected quarantined rows
+ *
+ * Sources (standard pipeline):
+ *      --config etl/pipeline.yaml # Source files/globs, CSV dialect and column mappings
+ *                                 #   (JSON or YAML; default: the files in data/, or ETL_CONFIG)
+ *      --students <file|glob>     # Override a source's files, keeping its format and mapping
+ *      --enrollments <file|glob>
+ *      --departments <file|glob>
+ *      --courses <file|glob>
+ *      --batch-size 5000          # Rows per extract/transform/load batch (default ETL_BATCH_SIZE)
+ *      --only students,courses    # Run only these sources (others in the config are skipped)
+ *
+ * Load options (any mode):
+ *      --atomic                   # One transaction; rolled back if the error rate
+ *      --max-error-rate 0.05      #   ((rejected + failed) / extracted) is above this (default 0)
+ *      --dry-run                  # Extract, transform and load, then always roll back
+ *      --change-log               # Write what changed (field, old, new) to etl_change_log
  */
 
 import 'dotenv/config';
-import { extractAll } from './extract.js';
-import { extractPendingRegistrations, validatePendingRegistrations } from './pending-registrations.js';
-import { transformStudents, transformEnrollments } from './transform.js';
+import path from 'path';
+import { readInBatches, streamSourceFile } from './extract.js';
+import {
+    PENDING_REGISTRATIONS_PATH,
+    extractPendingRegistrations,
+    validatePendingRegistrations
+} from './pending-registrations.js';
+import { pullPendingRegistrations, sheetRowHash, sheetSourceFromEnv } from './sheets-registrations.js';
+import {
+    transformDepartments,
+    transformCourses,
+    transformStudents,
+    transformEnrollments,
+    departmentKey,
+    courseKey,
+    studentKey,
+    enrollmentKey
+} from './transform.js';
 import {
     initConnection,
     closeConnection,
     getDepartmentMap,
     getStudentMap,
     getCourseSet,
+    loadDepartments,
+    loadCourses,
     loadStudents,
     loadEnrollments,
-    getRecordCounts
+    getRecordCounts,
+    saveRejectedRows,
+    transformWithRunKeys,
+    releaseKeys,
+    getIngestedSheetRows,
+    recordIngestedSheetRows,
+    getCorrectedRejectedRows,
+    resolveRejectedRows,
+    saveRun,
+    saveChangeLog,
+    publishEvents,
+    beginTransaction,
+    commitTransaction,
+    rollbackTransaction
 } from './load.js';
 import { logger } from './utils/logger.js';
+import { EtlRun } from './utils/runReport.js';
+import { resolveBatchSize } from './utils/bulkCopy.js';
+import { normalizeEmail } from './utils/validators.js';
+import { loadPipelineConfig, resolveSourceFiles, withSourceFiles } from './utils/pipelineConfig.js';
+import { createResultWritersFromEnv } from './utils/resultWriters.js';
+import { SPREADSHEET_EXTENSIONS } from './utils/spreadsheet.js';
+import { studentRegisteredEvent, studentRejectedEvent } from './utils/webhooks.js';
+
+// Progress is logged at most this often while streaming (and once per source at the end)
+const PROGRESS_INTERVAL_MS = 5000;
+
+/**
+ * Build a transform onReject callback that collects rows for quarantine
+ * @param {Array} rejections - Collected rejections (passed to saveRejectedRows)
+ * @param {string} entity - 'student' | 'enrollment'
+ * @param {string} sourceFile - File the rows were extracted from
+ * @param {Function} rowNumberOf - Maps a transform index to the source row number
+ */
+function quarantineInto(rejections, entity, sourceFile, rowNumberOf) {
+    return ({ index, row, rule, message }) => {
+        rejections.push({ entity, sourceFile, rowNumber: rowNumberOf(index), row, rule, message });
+    };
+}
 
-async function runETL() {
-    console.log('\n' + '='.repeat(50));
-    console.log('🚀 ETL Pipeline Starting');
-    console.log('='.repeat(50) + '\n');
+/**
+ * Close a run: write its JSON report, record it in etl_run and publish
+ * etl.run.completed / etl.run.failed (not for dry runs)
+ * Recording failures are logged but never fail the pipeline itself.
+ * @param {EtlRun} run
+ * @param {Error} [error] - Set when the run failed
+ */
+async function finishRun(run, error = null) {
+    // A load transaction still open here belongs to a failed run
+    await rollbackTransaction();
 
-    const startTime = Date.now();
+    run.finish(error);
+    const reportFile = run.writeReport();
+
+    try {
+        initConnection(process.env.DATABASE_URL);
+        await saveRun(run.toReport(), reportFile);
+    } catch (saveError) {
+        logger.error('Failed to record run in etl_run', saveError);
+    }
+
+    try {
+        await releaseKeys(run.runId);
+    } catch (releaseError) {
+        logger.warn(`Failed to delete the run's keys from etl_run_key: ${releaseError.message}`);
+    }
+
+    if (!run.dryRun) {
+        const report = run.toReport();
+        await publishEvents([{
+            type: error ? 'etl.run.failed' : 'etl.run.completed',
+            data: {
+                runId: report.runId,
+                mode: report.mode,
+                status: report.status,
+                atomic: report.atomic,
+                startedAt: report.startedAt,
+                finishedAt: report.finishedAt,
+                durationMs: report.durationMs,
+                sources: report.sources.map(source => source.file),
+                counts: report.counts,
+                error: error?.message ?? null
+            }
+        }]);
+    }
+
+    logger.info(`Run ${run.runId} (${run.status}) - report: ${reportFile}`);
+}
+
+// Changes listed in the console summary (the JSON report has all of them)
+const MAX_CHANGES_SHOWN = 20;
+
+/**
+ * Keep what a loader changed on the run, and in etl_change_log with --change-log
+ * @param {EtlRun} run
+ * @param {Object} totals - Result of loadStudents / loadEnrollments
+ */
+async function recordLoad(run, totals) {
+    run.addChanges(totals.changes);
+    if (run.changeLog) {
+        await saveChangeLog(run.runId, totals.changes);
+    }
+}
+
+/**
+ * Log the changes of a run, e.g. "~ student a@b.com: student_year 2 → 3"
+ * @param {EtlRun} run
+ */
+function logChanges(run) {
+    if (run.changeCount === 0) return;
+
+    logger.section(`📝 Changes (${run.changeCount})`);
+    for (const change of run.changes.slice(0, MAX_CHANGES_SHOWN)) {
+        if (change.action === 'insert') {
+            logger.info(`+ ${change.entity} ${change.key}`);
+            continue;
+        }
+        const fields = change.fields.map(({ field, old: oldValue, new: newValue }) => `${field} ${oldValue} → ${newValue}`);
+        logger.info(`~ ${change.entity} ${change.key}: ${fields.join(', ')}`);
+    }
+    if (run.changeCount > MAX_CHANGES_SHOWN) {
+        logger.info(`... and ${run.changeCount - MAX_CHANGES_SHOWN} more (see the run report or etl_change_log)`);
+    }
+}
+
+/**
+ * Open the load transaction for --atomic and --dry-run runs
+ * @param {EtlRun} run
+ */
+async function beginLoad(run) {
+    if (run.atomic || run.dryRun) {
+        await beginTransaction();
+    }
+}
+
+/**
+ * Close the load transaction
+ * --dry-run always rolls back and reports what would have been written;
+ * --atomic rolls back and fails the run when the error rate is too high.
+ * @param {EtlRun} run
+ */
+async function endLoad(run) {
+    if (run.dryRun) {
+        await rollbackTransaction();
+
+        const stats = logger.getStats();
+        logger.section('🧪 DRY RUN - nothing was written');
+        logger.info(`Would insert:  ${stats.inserted} rows`, { inserted: stats.inserted });
+        logger.info(`Would update:  ${stats.updated} rows`, { updated: stats.updated });
+        logger.info(`Would reject:  ${run.rejected} rows`, { rejected: run.rejected });
+        if (stats.failed > 0) {
+            logger.info(`Would fail:    ${stats.failed} rows (see errors above)`, { failed: stats.failed });
+        }
+        return;
+    }
+
+    if (!run.atomic) return;
+
+    const errorRate = run.errorRate;
+    if (errorRate > run.maxErrorRate) {
+        await rollbackTransaction();
+        throw new Error(
+            `Error rate ${(errorRate * 100).toFixed(1)}% is above the allowed ` +
+            `${(run.maxErrorRate * 100).toFixed(1)}% - all changes rolled back`
+        );
+    }
+
+    await commitTransaction();
+}
+
+/**
+ * Source row number of a file's first data row: the line after the header
+ * for CSV, the row after the header rows for spreadsheets, 1 for NDJSON / JSON
+ */
+function firstRowNumber(filePath, source) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (ext === '.csv') return source.headerRow + 1;
+    if (SPREADSHEET_EXTENSIONS.includes(ext)) return source.headerRow + source.headerRows;
+    return 1;
+}
+
+/**
+ * Stream every file of a configured source through
+ * handleBatch(rows, startIndex, file), batchSize rows at a time, logging progress
+ * The next batch is only read once the previous one is loaded, so memory
+ * stays bounded whatever the file size.
+ * @param {EtlRun} run
+ * @param {Object} source - Normalized source from the pipeline config
+ * @param {number} batchSize
+ * @param {Function} handleBatch - async (rows, startIndex, { name, firstRow }) => void;
+ *                                 startIndex counts from 0 in each file
+ * @returns {Promise<number>} - Rows read
+ */
+async function streamSource(run, source, batchSize, handleBatch) {
+    const startedAt = Date.now();
+    let rows = 0;
+    let lastProgressAt = startedAt;
+
+    const logProgress = () => {
+        const seconds = Math.max((Date.now() - startedAt) / 1000, 0.001);
+        const perSecond = Math.round(rows / seconds);
+        logger.info(`📈 ${source.name}: ${rows.toLocaleString()} rows processed (${perSecond.toLocaleString()} rows/s)`, {
+            rows,
+            perSecond
+        });
+    };
+
+    for (const filePath of resolveSourceFiles(source)) {
+        const file = { name: path.basename(filePath), firstRow: firstRowNumber(filePath, source) };
+        let fileRows = 0;
+
+        for await (const batch of readInBatches(streamSourceFile(filePath, source), batchSize)) {
+            await handleBatch(batch, fileRows, file);
+            fileRows += batch.length;
+            rows += batch.length;
+
+            if (Date.now() - lastProgressAt >= PROGRESS_INTERVAL_MS) {
+                lastProgressAt = Date.now();
+                logProgress();
+            }
+        }
+
+        run.addSource(filePath, fileRows);
+    }
+
+    logProgress();
+    return rows;
+}
+
+/**
+ * Departments, courses, students, then enrollments are streamed through
+ * transform and load in batches (see streamSource)
+ * @param {EtlRun} run - Tracker for this invocation (mode 'csv')
+ * @param {Object} config - Normalized pipeline config (sources, batchSize)
+ */
+async function runETL(run, config) {
+    logger.section('🚀 ETL Pipeline Starting');
+
+    const { departments, courses, students, enrollments } = config.sources;
+    const batchSize = resolveBatchSize(config.batchSize ?? undefined);
+
+    let failure = null;
 
     try {
         // =====================================================
-        // Phase 1: EXTRACT
+        // Phase 1: Initialize DB Connection
         // =====================================================
-        logger.info('=== PHASE 1: EXTRACT ===');
-        const rawData = extractAll();
+        run.phase('CONNECT');
+        initConnection(process.env.DATABASE_URL);
+        await beginLoad(run);
 
         // =====================================================
-        // Phase 2: Initialize DB Connection & Get Lookups
+        // Phase 2: EXTRACT, TRANSFORM & LOAD Departments
         // =====================================================
-        logger.info('=== PHASE 2: CONNECT ===');
-        initConnection(process.env.DATABASE_URL);
+        run.phase('DEPARTMENTS');
+
+        if (departments) {
+            const knownDepartments = await getDepartmentMap();
+
+            await streamSource(run, departments, batchSize, async (rows, startIndex, file) => {
+                const rejected = [];
+                const cleanDepartments = await transformWithRunKeys(run.runId, 'department', rows.map(departmentKey),
+                    seenNames => transformDepartments(rows, knownDepartments, {
+                        onReject: quarantineInto(rejected, 'department', file.name, i => i + file.firstRow),
+                        startIndex,
+                        seenNames,
+                        quiet: true
+                    }));
+                run.rejected += await saveRejectedRows(run.runId, rejected, { dryRun: run.dryRun });
+
+                await recordLoad(run, await loadDepartments(cleanDepartments, { batchSize, quiet: true }));
+            });
+        } else {
+            logger.info('No departments source configured - skipping');
+        }
 
-        // Get lookup tables from database
+        // Resolves the departments just loaded as well
         const departmentMap = await getDepartmentMap();
-        const courseSet = await getCourseSet();
 
         // =====================================================
-        // Phase 3: TRANSFORM
+        // Phase 3: EXTRACT, TRANSFORM & LOAD Courses
         // =====================================================
-        logger.info('=== PHASE 3: TRANSFORM ===');
+        run.phase('COURSES');
+
+        if (courses) {
+            await streamSource(run, courses, batchSize, async (rows, startIndex, file) => {
+                const rejected = [];
+                const cleanCourses = await transformWithRunKeys(run.runId, 'course', rows.map(courseKey),
+                    seenCourseIds => transformCourses(rows, departmentMap, {
+                        onReject: quarantineInto(rejected, 'course', file.name, i => i + file.firstRow),
+                        startIndex,
+                        seenCourseIds,
+                        quiet: true
+                    }));
+                run.rejected += await saveRejectedRows(run.runId, rejected, { dryRun: run.dryRun });
+
+                await recordLoad(run, await loadCourses(cleanCourses, { batchSize, quiet: true }));
+            });
+        } else {
+            logger.info('No courses source configured - skipping');
+        }
 
-        // Transform students (messy -> clean)
-        const cleanStudents = transformStudents(rawData.students, departmentMap);
+        const courseSet = await getCourseSet();
 
         // =====================================================
-        // Phase 4: LOAD Students
+        // Phase 4: EXTRACT, TRANSFORM & LOAD Students
         // =====================================================
-        logger.info('=== PHASE 4: LOAD ===');
-        await loadStudents(cleanStudents);
-
-        // Now get student map for enrollment transformation
-        const studentMap = await getStudentMap();
+        run.phase('STUDENTS');
+
+        if (students) {
+            await streamSource(run, students, batchSize, async (rows, startIndex, file) => {
+                // Transform (messy -> clean), quarantining rejected rows
+                const rejected = [];
+                const cleanStudents = await transformWithRunKeys(run.runId, 'student', rows.map(studentKey),
+                    seenEmails => transformStudents(rows, departmentMap, {
+                        onReject: quarantineInto(rejected, 'student', file.name, i => i + file.firstRow),
+                        startIndex,
+                        seenEmails,
+                        quiet: true
+                    }));
+                run.rejected += await saveRejectedRows(run.runId, rejected, { dryRun: run.dryRun });
+
+                await recordLoad(run, await loadStudents(cleanStudents, { batchSize, quiet: true }));
+            });
+        } else {
+            logger.info('No students source configured - skipping');
+        }
 
         // =====================================================
-        // Phase 5: TRANSFORM & LOAD Enrollments
+        // Phase 5: EXTRACT, TRANSFORM & LOAD Enrollments
         // =====================================================
-        const cleanEnrollments = transformEnrollments(
-            rawData.enrollments,
-            studentMap,
-            courseSet
-        );
+        run.phase('ENROLLMENTS');
+
+        if (enrollments) {
+            await streamSource(run, enrollments, batchSize, async (rows, startIndex, file) => {
+                // Only the students this batch refers to
+                const studentMap = await getStudentMap(rows.map(row => normalizeEmail(row.student_email)));
+
+                const rejected = [];
+                const keys = rows.map(row => enrollmentKey(row, studentMap));
+                const cleanEnrollments = await transformWithRunKeys(run.runId, 'enrollment', keys,
+                    seenCombos => transformEnrollments(rows, studentMap, courseSet, {
+                        onReject: quarantineInto(rejected, 'enrollment', file.name, i => i + file.firstRow),
+                        startIndex,
+                        seenCombos,
+                        quiet: true
+                    }));
+                run.rejected += await saveRejectedRows(run.runId, rejected, { dryRun: run.dryRun });
+
+                await recordLoad(run, await loadEnrollments(cleanEnrollments, { batchSize, quiet: true }));
+            });
+        } else {
+            logger.info('No enrollments source configured - skipping');
+        }
 
-        await loadEnrollments(cleanEnrollments);
+        // =====================================================
+        // Phase 6: Commit (--atomic) or roll back (--dry-run)
+        // =====================================================
+        run.phase('COMMIT');
+        await endLoad(run);
 
         // =====================================================
-        // Phase 6: Verify & Report
+        // Phase 7: Verify & Report
         // =====================================================
-        logger.info('=== PHASE 5: VERIFY ===');
+        run.phase('VERIFY');
         const counts = await getRecordCounts();
-        logger.success(`Final counts - Students: ${counts.students}, Enrollments: ${counts.enrollments}`);
+        logger.success(`Final counts - Departments: ${counts.departments}, Courses: ${counts.courses}, ` +
+            `Students: ${counts.students}, Enrollments: ${counts.enrollments}`);
 
     } catch (error) {
+        failure = error;
         logger.error('ETL Pipeline failed', error);
         throw error;
 
     } finally {
+        await finishRun(run, failure);
         await closeConnection();
 
-        const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-        console.log(`\n⏱️  Total execution time: ${duration}s`);
+        const duration = (run.durationMs / 1000).toFixed(2);
+        logger.info(`⏱️  Total execution time: ${duration}s`, { durationMs: run.durationMs });
 
         // Print summary
-        logger.summary();
+        logChanges(run);
+        logger.summary(run.dryRun ? 'ETL Pipeline Summary (dry run - rolled back)' : undefined);
+    }
+}
+
+/**
+ * Outcome of one pending registration, written back to the sheet
+ * (see utils/resultWriters.js)
+ * @param {Object} student - Row from the export
+ * @param {string} status - 'Registered' | 'Invalid' | 'Error'
+ */
+function registrationResult(student, status, message, studentId = null) {
+    return {
+        row: student.row ?? null,
+        email: normalizeEmail(student.email ? String(student.email) : null),
+        status,
+        studentId,
+        message
+    };
+}
+
+/**
+ * student.registered / student.rejected events for a pending run's results
+ * (rows whose load failed are left out)
+ * @param {Array} results - registrationResult() entries
+ * @param {Array} students - Pending registrations, for the names in the events
+ */
+function registrationEvents(results, students) {
+    const byEmail = new Map(students.map(student => [normalizeEmail(String(student.email ?? '')), student]));
+
+    return results
+        .filter(result => result.status !== 'Error')
+        .map(result => {
+            const student = byEmail.get(result.email) ?? { email: result.email };
+            return result.status === 'Registered'
+                ? studentRegisteredEvent(student, result.studentId, 'etl')
+                : studentRejectedEvent(student, 'invalid', result.message.split('; '), 'etl');
+        });
+}
+
+/**
+ * Push registration results to the writers in ETL_RESULT_WRITERS
+ * A writer that fails is logged; it never fails the run.
+ * @param {EtlRun} run
+ * @param {Array} results - registrationResult() entries
+ * @returns {Promise<Array<string>>} - Names of the writers that succeeded
+ */
+async function writeBackResults(run, results) {
+    if (results.length === 0) return [];
+
+    if (run.dryRun) {
+        logger.info(`Dry run - ${results.length} registration results not written back`);
+        return [];
+    }
+
+    let writers = [];
+    try {
+        writers = createResultWritersFromEnv();
+    } catch (error) {
+        logger.error('Registration results not written back', error);
+        return [];
+    }
+
+    const succeeded = [];
+    const report = { runId: run.runId, generatedAt: new Date().toISOString(), results };
+    for (const writer of writers) {
+        try {
+            const { written, unmatched, target } = await writer.write(report);
+            logger.success(`Wrote ${written} registration results to ${target}`, { writer: writer.name, written });
+            if (unmatched.length > 0) {
+                logger.warn(`${unmatched.length} registration results matched no sheet row: ` +
+                    unmatched.map(result => result.email).join(', '), { writer: writer.name });
+            }
+            succeeded.push(writer.name);
+        } catch (error) {
+            logger.error(`Failed to write registration results (${writer.name})`, error);
+        }
+    }
+    return succeeded;
+}
+
+/**
+ * Record the sheet rows a pending run registered or rejected in etl_sheet_row,
+ * once its load is committed (rows left with an Error are pulled again)
+ * A failure is only logged: the rows are then pulled again by the next run.
+ * @param {EtlRun} run
+ * @param {Array} results - registrationResult() entries
+ * @param {Array} students - Rows from pullPendingRegistrations()
+ */
+async function recordSheetRows(run, results, students) {
+    if (run.dryRun) return;
+
+    const hashes = new Map(students.map(student => [student.row, sheetRowHash(student)]));
+    const rows = results
+        .filter(result => result.status !== 'Error' && hashes.has(result.row))
+        .map(result => ({ hash: hashes.get(result.row), row: result.row, status: result.status }));
+
+    try {
+        await recordIngestedSheetRows(run.runId, rows);
+    } catch (error) {
+        logger.warn(`Failed to record ingested sheet rows in etl_sheet_row: ${error.message}`);
     }
 }
 
-async function runPendingRegistrations() {
-    console.log('\n' + '='.repeat(50));
-    console.log('📤 Processing Pending Registrations from Apps Script');
-    console.log('='.repeat(50) + '\n');
+/**
+ * @param {EtlRun} run - Tracker for this invocation (mode 'pending')
+ * @param {Object} config - Pipeline config; pendingFile overrides data/pending-registrations.json,
+ *                          pendingSource 'sheet' pulls the Google Sheet instead
+ */
+async function runPendingRegistrations(run, config) {
+    logger.section('📤 Processing Pending Registrations from Apps Script');
+
+    const fromSheet = config.pendingSource === 'sheet';
+    const pendingFile = config.pendingFile ?? PENDING_REGISTRATIONS_PATH;
+    // Source name recorded for quarantined registrations
+    const pendingFileName = fromSheet
+        ? `Google Sheets: ${process.env.GOOGLE_SHEETS_SHEET_NAME || 'Pending Registration'}`
+        : path.basename(pendingFile);
 
-    const startTime = Date.now();
+    // Per-row outcomes for the sheet: rejected rows, then the rows that were loaded
+    const results = [];
+    let toRegister = [];
+    let loadStarted = false;
+
+    let failure = null;
 
     try {
         // =====================================================
-        // Phase 1: EXTRACT from JSON
+        // Phase 1: EXTRACT from JSON, or from the sheet (rows not yet ingested)
         // =====================================================
-        logger.info('=== PHASE 1: EXTRACT ===');
-        const pendingStudents = await extractPendingRegistrations();
+        run.phase('EXTRACT');
+        let pendingStudents;
+        if (fromSheet) {
+            initConnection(process.env.DATABASE_URL);
+            pendingStudents = await pullPendingRegistrations({
+                ...sheetSourceFromEnv(),
+                isIngested: getIngestedSheetRows
+            });
+            run.addSource(pendingFileName, pendingStudents.length);
+        } else {
+            pendingStudents = await extractPendingRegistrations(pendingFile);
+            run.addSource(pendingFile, pendingStudents.length);
+        }
+
+        // Sheet rows are numbered as in the sheet, JSON entries from 1
+        const rowNumberOf = student => fromSheet ? student.row : pendingStudents.indexOf(student) + 1;
 
         // =====================================================
         // Phase 2: VALIDATE
         // =====================================================
-        logger.info('=== PHASE 2: VALIDATE ===');
+        run.phase('VALIDATE');
         const validation = validatePendingRegistrations(pendingStudents);
 
+        const rejectedStudents = [];
+        const quarantine = quarantineInto(rejectedStudents, 'student', pendingFileName,
+            i => rowNumberOf(validation.valid[i]));
+
         if (validation.invalid.length > 0) {
+            logger.stats.skipped += validation.invalid.length;
             logger.warn(`Found ${validation.invalid.length} invalid entries:`);
             validation.invalid.forEach(inv => {
-                logger.warn(`  Row ${inv.index}: ${inv.errors.join(', ')}`);
+                logger.warn(`  Row ${rowNumberOf(inv.student)}: ${inv.errors.join(', ')}`);
+                results.push(registrationResult(inv.student, 'Invalid', inv.errors.join('; ')));
+                rejectedStudents.push({
+                    entity: 'student',
+                    sourceFile: pendingFileName,
+                    rowNumber: rowNumberOf(inv.student),
+                    row: inv.student,
+                    rule: `schema:${inv.invalidFields.join(',')}`,
+                    message: inv.errors.join('; ')
+                });
             });
         }
 
         logger.info(`✅ ${validation.valid.length} valid students ready for processing`);
 
-        if (validation.valid.length === 0) {
-            logger.warn('No valid students to process. Exiting.');
-            return;
-        }
-
         // =====================================================
         // Phase 3: Initialize DB Connection & Get Lookups
         // =====================================================
-        logger.info('=== PHASE 3: CONNECT ===');
+        run.phase('CONNECT');
         initConnection(process.env.DATABASE_URL);
+        await beginLoad(run);
+
+        if (validation.valid.length === 0) {
+            run.rejected += await saveRejectedRows(run.runId, rejectedStudents, { dryRun: run.dryRun });
+            logger.warn('No valid students to process. Exiting.');
+            await endLoad(run);
+            if (fromSheet) await recordSheetRows(run, results, pendingStudents);
+            await writeBackResults(run, results);
+            if (!run.dryRun) {
+                await publishEvents(registrationEvents(results, pendingStudents));
+            }
+            return;
+        }
 
         const departmentMap = await getDepartmentMap();
 
         // =====================================================
         // Phase 4: TRANSFORM
         // =====================================================
-        logger.info('=== PHASE 4: TRANSFORM ===');
+        run.phase('TRANSFORM');
 
         // Transform students (already clean from Apps Script validation)
-        const cleanStudents = transformStudents(validation.valid, departmentMap);
+        const transformRejected = new Set();
+        const cleanStudents = transformStudents(validation.valid, departmentMap, {
+            onReject: rejection => {
+                quarantine(rejection);
+                transformRejected.add(rejection.index);
+                results.push(registrationResult(validation.valid[rejection.index], 'Invalid',
+                    rejection.message.replace(/^Row [^:]+: /, '')));
+            }
+        });
+        run.rejected += await saveRejectedRows(run.runId, rejectedStudents, { dryRun: run.dryRun });
+        toRegister = validation.valid.filter((_, i) => !transformRejected.has(i));
 
         // =====================================================
         // Phase 5: LOAD
         // =====================================================
-        logger.info('=== PHASE 5: LOAD ===');
-        await loadStudents(cleanStudents);
+        run.phase('LOAD');
+        loadStarted = true;
+        const totals = await loadStudents(cleanStudents);
+        await recordLoad(run, totals);
+
+        const loadErrors = new Map(totals.failedRows.map(({ key, error }) => [key, error]));
+        const studentIds = await getStudentMap(cleanStudents.map(student => student.student_email));
+        for (const student of toRegister) {
+            const email = normalizeEmail(String(student.email));
+            if (loadErrors.has(email)) {
+                results.push(registrationResult(student, 'Error', `Not saved: ${loadErrors.get(email)}`));
+            } else if (!studentIds[email]) {
+                results.push(registrationResult(student, 'Error', 'Not saved (see the ETL log)'));
+            } else {
+                results.push(registrationResult(student, 'Registered', `Student ID: ${studentIds[email]}`, studentIds[email]));
+            }
+        }
+
+        // =====================================================
+        // Phase 6: Commit (--atomic) or roll back (--dry-run)
+        // =====================================================
+        run.phase('COMMIT');
+        await endLoad(run);
+        if (fromSheet) await recordSheetRows(run, results, pendingStudents);
+
+        // =====================================================
+        // Phase 7: Write results back to the sheet
+        // =====================================================
+        run.phase('WRITE_BACK');
+        const writers = await writeBackResults(run, results);
+        if (!run.dryRun) {
+            await publishEvents(registrationEvents(results, pendingStudents));
+        }
 
         // =====================================================
-        // Phase 6: Verify & Report
+        // Phase 8: Verify & Report
         // =====================================================
-        logger.info('=== PHASE 6: VERIFY ===');
+        run.phase('VERIFY');
         const counts = await getRecordCounts();
-        logger.success(`✅ Successfully registered ${validation.valid.length} students!`);
+        if (!run.dryRun) {
+            const registered = results.filter(result => result.status === 'Registered').length;
+            logger.success(`✅ Successfully registered ${registered} students!`);
+        }
         logger.success(`📊 Total database counts - Students: ${counts.students}, Enrollments: ${counts.enrollments}`);
 
-        console.log('\n' + '='.repeat(50));
-        console.log('📋 NEXT STEPS:');
-        console.log('='.repeat(50));
-        console.log('1. Go back to Google Sheets');
-        console.log('2. Menu: "📋 Student Registration (Option 1)"');
-        console.log('3. Click: "🗑️ Clear Processed Rows"');
-        console.log('4. This clears the "Pending Registration" sheet');
-        console.log('='.repeat(50) + '\n');
+        // Nothing was written, so the sheet rows must stay
+        if (run.dryRun) return;
+
+        const steps = ['Go back to Google Sheets'];
+        if (writers.includes('json')) {
+            steps.push('Menu: "📥 ETL Results" → "Import Registration Results"');
+            steps.push('Paste the contents of data/registration-results.json (marks each row Registered / Invalid)');
+        } else if (writers.includes('sheets')) {
+            steps.push('Check the Status / Error columns - they have already been updated');
+        }
+        steps.push('Menu: "📋 Student Registration (Option 1)" → "🗑️ Clear Processed Rows"');
+
+        logger.section('📋 NEXT STEPS');
+        steps.forEach((step, i) => logger.info(`${i + 1}. ${step}`));
 
     } catch (error) {
+        failure = error;
         logger.error('Pending registrations processing failed', error);
+
+        // Rows that were never loaded, or whose load was rolled back (--atomic)
+        if (toRegister.length > 0 && (run.atomic || !loadStarted)) {
+            await writeBackResults(run, [
+                ...results.filter(result => result.status === 'Invalid'),
+                ...toRegister.map(student => registrationResult(student, 'Error', `Not registered: ${error.message}`))
+            ]);
+        }
         throw error;
 
     } finally {
+        await finishRun(run, failure);
         await closeConnection();
 
-        const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-        console.log(`\n⏱️  Total execution time: ${duration}s`);
+        const duration = (run.durationMs / 1000).toFixed(2);
+        logger.info(`⏱️  Total execution time: ${duration}s`, { durationMs: run.durationMs });
 
         // Print summary
-        logger.summary();
+        logChanges(run);
+        logger.summary(run.dryRun ? 'ETL Pipeline Summary (dry run - rolled back)' : undefined);
+    }
+}
+
+/**
+ * @param {EtlRun} run - Tracker for this invocation (mode 'replay-rejected')
+ */
+async function runReplayRejected(run) {
+    logger.section('♻️  Replaying Corrected Rejected Rows');
+
+    let failure = null;
+
+    try {
+        // =====================================================
+        // Phase 1: EXTRACT corrected rows from quarantine
+        // =====================================================
+        run.phase('EXTRACT');
+        initConnection(process.env.DATABASE_URL);
+        await beginLoad(run);
+
+        const rows = await getCorrectedRejectedRows();
+        const rowsOf = entity => rows.filter(row => row.entity === entity);
+        const departmentRows = rowsOf('department');
+        const courseRows = rowsOf('course');
+        const studentRows = rowsOf('student');
+        const enrollmentRows = rowsOf('enrollment');
+
+        logger.stats.extracted += rows.length;
+        run.addSource('etl_rejected_row', rows.length);
+        logger.info(`Found ${departmentRows.length} department, ${courseRows.length} course, ` +
+            `${studentRows.length} student and ${enrollmentRows.length} enrollment rows marked corrected`);
+
+        if (rows.length === 0) {
+            logger.warn('Nothing to replay. Import corrections with: npm run rejected -- import <file.csv>');
+            return;
+        }
+
+        // Rows that fail again keep their quarantine entry (back to pending)
+        const rejectedAgain = new Map();
+        const rejectInto = quarantined => ({ index, rule, message }) => {
+            rejectedAgain.set(quarantined[index].rejected_row_id, { rule, message });
+        };
+
+        // =====================================================
+        // Phase 2: TRANSFORM & LOAD Departments and Courses
+        // =====================================================
+        run.phase('CATALOGUE');
+        if (departmentRows.length > 0) {
+            const cleanDepartments = transformDepartments(
+                departmentRows.map(row => row.corrected_data),
+                await getDepartmentMap(),
+                { onReject: rejectInto(departmentRows) }
+            );
+            await recordLoad(run, await loadDepartments(cleanDepartments));
+        }
+
+        const departmentMap = await getDepartmentMap();
+
+        if (courseRows.length > 0) {
+            const cleanCourses = transformCourses(
+                courseRows.map(row => row.corrected_data),
+                departmentMap,
+                { onReject: rejectInto(courseRows) }
+            );
+            await recordLoad(run, await loadCourses(cleanCourses));
+        }
+
+        const courseSet = await getCourseSet();
+
+        // =====================================================
+        // Phase 3: TRANSFORM & LOAD Students
+        // =====================================================
+        run.phase('STUDENTS');
+        const cleanStudents = transformStudents(
+            studentRows.map(row => row.corrected_data),
+            departmentMap,
+            { onReject: rejectInto(studentRows) }
+        );
+        await recordLoad(run, await loadStudents(cleanStudents));
+
+        // =====================================================
+        // Phase 4: TRANSFORM & LOAD Enrollments
+        // =====================================================
+        run.phase('ENROLLMENTS');
+        const studentMap = await getStudentMap();
+        const cleanEnrollments = transformEnrollments(
+            enrollmentRows.map(row => row.corrected_data),
+            studentMap,
+            courseSet,
+            { onReject: rejectInto(enrollmentRows) }
+        );
+        await recordLoad(run, await loadEnrollments(cleanEnrollments));
+
+        // =====================================================
+        // Phase 5: Update quarantine
+        // =====================================================
+        run.phase('RESOLVE');
+        const replayedIds = rows
+            .map(row => row.rejected_row_id)
+            .filter(id => !rejectedAgain.has(id));
+
+        await resolveRejectedRows(run.runId, replayedIds, rejectedAgain);
+        run.rejected += rejectedAgain.size;
+        await endLoad(run);
+
+        logger.success(`${run.dryRun ? 'Would replay' : 'Replayed'} ${replayedIds.length} rows; ` +
+            `${rejectedAgain.size} still rejected (back to pending)`);
+
+    } catch (error) {
+        failure = error;
+        logger.error('Replay of rejected rows failed', error);
+        throw error;
+
+    } finally {
+        await finishRun(run, failure);
+        await closeConnection();
+
+        const duration = (run.durationMs / 1000).toFixed(2);
+        logger.info(`⏱️  Total execution time: ${duration}s`, { durationMs: run.durationMs });
+
+        // Print summary
+        logChanges(run);
+        logger.summary(run.dryRun ? 'ETL Pipeline Summary (dry run - rolled back)' : undefined);
     }
 }
 
 // Check command line arguments
 const args = process.argv.slice(2);
-const isPendingMode = args.includes('--pending');
-
-// Run the appropriate pipeline
-if (isPendingMode) {
-    console.log('🔄 Mode: Pending Registrations (Apps Script → ETL)\n');
-    runPendingRegistrations().catch(console.error);
-} else {
-    console.log('🔄 Mode: Standard ETL (CSV → DB)\n');
-    runETL().catch(console.error);
+
+/**
+ * Read the value following a --flag, or null if the flag is absent
+ */
+function getFlag(flag) {
+    const index = args.indexOf(flag);
+    return index === -1 ? null : args[index + 1];
+}
+
+const PIPELINES = {
+    'csv': { label: 'Standard ETL (CSV → DB)', run: runETL },
+    'pending': { label: 'Pending Registrations (Apps Script → ETL)', run: runPendingRegistrations },
+    'replay-rejected': { label: 'Replay Rejected Rows (etl_rejected_row → DB)', run: runReplayRejected }
+};
+
+let mode = 'csv';
+if (args.includes('--replay-rejected')) {
+    mode = 'replay-rejected';
+} else if (['--pending', '--pending-file', '--pending-sheet'].some(flag => args.includes(flag))) {
+    mode = 'pending';
+}
+
+/**
+ * Pipeline config from --config (or ETL_CONFIG), with the CLI overrides applied
+ */
+function resolveConfig() {
+    let config = loadPipelineConfig(getFlag('--config') ?? process.env.ETL_CONFIG ?? null);
+
+    for (const name of ['departments', 'courses', 'students', 'enrollments']) {
+        const files = getFlag(`--${name}`);
+        if (files) config = withSourceFiles(config, name, files);
+    }
+
+    const only = getFlag('--only');
+    if (only !== null) {
+        const names = only.split(',').map(name => name.trim()).filter(Boolean);
+        const unknown = names.filter(name => !(name in config.sources));
+        if (names.length === 0 || unknown.length > 0) {
+            throw new Error(`--only: unknown or unconfigured source(s) ${unknown.join(', ') || '(none given)'} ` +
+                `(configured: ${Object.keys(config.sources).join(', ')})`);
+        }
+        config = {
+            ...config,
+            sources: Object.fromEntries(names.map(name => [name, config.sources[name]]))
+        };
+    }
+
+    const pendingFile = getFlag('--pending-file');
+    if (pendingFile) {
+        config = { ...config, pendingFile: path.resolve(pendingFile) };
+    }
+    if (args.includes('--pending-sheet')) {
+        if (pendingFile) throw new Error('--pending-sheet and --pending-file cannot be combined');
+        config = { ...config, pendingSource: 'sheet' };
+    }
+
+    const batchSize = getFlag('--batch-size');
+    if (batchSize !== null) {
+        if (!(Number.isInteger(Number(batchSize)) && Number(batchSize) > 0)) {
+            throw new Error('--batch-size must be a positive integer');
+        }
+        config = { ...config, batchSize: Number(batchSize) };
+    }
+
+    return config;
+}
+
+const options = {
+    atomic: args.includes('--atomic'),
+    dryRun: args.includes('--dry-run'),
+    changeLog: args.includes('--change-log') || process.env.ETL_CHANGE_LOG === 'true',
+    maxErrorRate: Number(getFlag('--max-error-rate') ?? process.env.ETL_MAX_ERROR_RATE ?? 0)
+};
+
+let config = null;
+try {
+    if (!(options.maxErrorRate >= 0 && options.maxErrorRate <= 1)) {
+        throw new Error('--max-error-rate must be a fraction between 0 and 1 (e.g. 0.05)');
+    }
+    config = resolveConfig();
+} catch (error) {
+    logger.error(error.message);
+    process.exitCode = 1;
+}
+
+if (config) {
+    // Run the appropriate pipeline; everything it logs carries the run id
+    const run = new EtlRun(mode, options);
+    logger.info(`🔄 Mode: ${PIPELINES[mode].label}` +
+        (options.dryRun ? ' [dry run]' : options.atomic ? ' [atomic]' : ''), {
+        runId: run.runId,
+        mode,
+        ...options
+    });
+
+    logger.runWithContext({ runId: run.runId, mode }, () => PIPELINES[mode].run(run, config))
+        .catch(() => {
+            // Already logged by the pipeline
+            process.exitCode = 1;
+        })
+        .finally(() => logger.close());
 }
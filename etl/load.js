@@ -1,19 +1,42 @@
 /**
  * Load Module
  * Inserts transformed data into PostgreSQL/NeonDB
+ *
+ * Departments, courses, students and enrollments are bulk loaded: each
+ * batch is COPYed into a temp staging table and merged with a single
+ * INSERT ... ON CONFLICT.
+ *
+ * Between beginTransaction() and commit/rollbackTransaction() every query
+ * runs on one connection inside one transaction (--atomic / --dry-run);
+ * otherwise each batch commits on its own.
  */
 
 import pg from 'pg';
 import { logger } from './utils/logger.js';
+import { loadDepartmentResolver } from './utils/departments.js';
+import { copyRows, resolveBatchSize, toBatches } from './utils/bulkCopy.js';
+import { deliverWebhooks, publishWebhookEvents } from './utils/webhooks.js';
 
 const { Pool } = pg;
 
 let pool = null;
 
+// Connection holding the open load transaction, if any
+let transactionClient = null;
+
+/**
+ * Where queries go: the open transaction, or the pool
+ */
+function db() {
+    return transactionClient || pool;
+}
+
 /**
  * Initialize database connection pool
  */
 export function initConnection(connectionString) {
+    if (pool) return;
+
     pool = new Pool({
         connectionString,
         ssl: { rejectUnauthorized: false }
@@ -26,29 +49,115 @@ export function initConnection(connectionString) {
  */
 export async function closeConnection() {
     if (pool) {
+        await rollbackTransaction();
         await pool.end();
+        pool = null;
         logger.info('Database connection closed');
     }
 }
 
 /**
- * Get department mapping (name -> id)
+ * Start the load transaction: everything until commitTransaction() or
+ * rollbackTransaction() becomes all-or-nothing
  */
-export async function getDepartmentMap() {
-    const result = await pool.query('SELECT department_id, department_name FROM department');
-    const map = {};
-    for (const row of result.rows) {
-        map[row.department_name] = row.department_id;
+export async function beginTransaction() {
+    if (transactionClient) {
+        throw new Error('A load transaction is already open');
     }
-    logger.info(`Loaded ${Object.keys(map).length} departments from database`);
-    return map;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+    } catch (error) {
+        client.release();
+        throw error;
+    }
+
+    transactionClient = client;
+    logger.info('Load transaction started');
+}
+
+export async function commitTransaction() {
+    if (!transactionClient) return;
+
+    const client = transactionClient;
+    transactionClient = null;
+    try {
+        await client.query('COMMIT');
+        logger.success('Load transaction committed');
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Roll back the load transaction (no-op when none is open)
+ */
+export async function rollbackTransaction() {
+    if (!transactionClient) return;
+
+    const client = transactionClient;
+    transactionClient = null;
+    try {
+        await client.query('ROLLBACK');
+        logger.info('Load transaction rolled back');
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Run fn(client) as one batch: its own transaction, or a savepoint inside
+ * the open load transaction so a failing batch does not abort the others
+ */
+async function withBatch(fn) {
+    if (transactionClient) {
+        const client = transactionClient;
+        await client.query('SAVEPOINT etl_batch');
+        try {
+            const result = await fn(client);
+            await client.query('RELEASE SAVEPOINT etl_batch');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK TO SAVEPOINT etl_batch');
+            throw error;
+        }
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Get department resolver (name/alias -> department, with suggestions)
+ */
+export async function getDepartmentMap() {
+    const resolver = await loadDepartmentResolver(db());
+    logger.info(`Loaded ${resolver.size} departments and ${resolver.aliasCount} aliases from database`);
+    return resolver;
 }
 
 /**
  * Get student mapping (email -> id)
+ * @param {Array<string>} [emails] - Only these students (keeps streamed batches small)
  */
-export async function getStudentMap() {
-    const result = await pool.query('SELECT student_id, student_email FROM student');
+export async function getStudentMap(emails = null) {
+    const result = emails
+        ? await db().query(
+            'SELECT student_id, student_email FROM student WHERE student_email = ANY($1::TEXT[])',
+            [emails]
+        )
+        : await db().query('SELECT student_id, student_email FROM student');
     const map = {};
     for (const row of result.rows) {
         map[row.student_email] = row.student_id;
@@ -60,101 +169,556 @@ export async function getStudentMap() {
  * Get course set (valid course IDs - VARCHAR codes like 'CS101')
  */
 export async function getCourseSet() {
-    const result = await pool.query('SELECT course_id FROM course');
+    const result = await db().query('SELECT course_id FROM course');
     return new Set(result.rows.map(row => row.course_id));
 }
 
+// What the loaders write: key columns identify a record, the others are
+// compared with the current row to tell updates from no-ops
+
+// department_id is database-assigned, so departments are matched by name
+const DEPARTMENT_ENTITY = {
+    entity: 'department',
+    label: 'departments',
+    table: 'department',
+    keyColumns: ['department_name'],
+    valueColumns: ['department_head']
+};
+
+const COURSE_ENTITY = {
+    entity: 'course',
+    label: 'courses',
+    table: 'course',
+    keyColumns: ['course_id'],
+    valueColumns: ['course_name', 'department_id', 'course_credits']
+};
+
+const STUDENT_ENTITY = {
+    entity: 'student',
+    label: 'students',
+    table: 'student',
+    keyColumns: ['student_email'],
+    valueColumns: [
+        'student_first_name',
+        'student_last_name',
+        'student_date_of_birth',
+        'student_year',
+        'student_phone_number',
+        'department_id'
+    ]
+};
+
+// course_id is VARCHAR (e.g., 'CS101')
+const ENROLLMENT_ENTITY = {
+    entity: 'enrollment',
+    label: 'enrollments',
+    table: 'enrollment',
+    keyColumns: ['student_id', 'course_id'],
+    valueColumns: ['grade', 'enrollment_date']
+};
+
+// Temp table holding one batch; dropped again once the batch is merged
+const STAGING_TABLE = 'etl_staging';
+
 /**
- * Load students into database
- * Uses INSERT ... ON CONFLICT to handle duplicates gracefully
+ * Record key shown in diffs and etl_change_log ('a@b.com', '12:CS101')
  */
-export async function loadStudents(students) {
-    logger.info(`Loading ${students.length} students into database...`);
+function recordKey(row, keyColumns) {
+    return keyColumns.map(column => row[column]).join(':');
+}
 
-    let loaded = 0;
+/**
+ * Field-level differences between the current and incoming row
+ * (both as JSON from Postgres, so dates and numbers compare as stored)
+ */
+function diffFields(oldRow, newRow, valueColumns) {
+    return valueColumns
+        .filter(column => JSON.stringify(oldRow[column]) !== JSON.stringify(newRow[column]))
+        .map(column => ({ field: column, old: oldRow[column], new: newRow[column] }));
+}
+
+/**
+ * Errors caused by the data of some row (a bad value, a constraint
+ * violation) rather than the connection or the SQL - SQLSTATE classes 22 and 23
+ */
+function isRowDataError(error) {
+    return /^2[23]/.test(error?.code ?? '');
+}
+
+/**
+ * COPY rows into a temp staging table and merge them into the target table
+ * with one INSERT ... SELECT ... ON CONFLICT per batch
+ *
+ * Rows identical to the current record are left alone (no-ops); changed
+ * rows are diffed field by field before they are overwritten. Keys are
+ * unique within the rows: transform rejects later rows for a key it has
+ * already accepted (the first one wins), so staging does not de-duplicate.
+ *
+ * Each batch is its own transaction (a savepoint inside the load
+ * transaction). When a row's data fails the batch, the batch is rolled
+ * back and split in half until the bad rows are found, so only they fail
+ * (with their own error) and the rest of the batch still loads. Other
+ * errors (connection lost) fail the whole batch.
+ *
+ * @param {Object} spec - DEPARTMENT_ENTITY | COURSE_ENTITY | STUDENT_ENTITY | ENROLLMENT_ENTITY
+ * @param {Array<Object>} rows
+ * @param {Object} options
+ * @param {number} options.batchSize
+ * @param {boolean} options.quiet - Log the result at debug level (streamed batches)
+ * @returns {Promise<{loaded, inserted, updated, unchanged, failed, failedRows, changes}>}
+ *          failedRows: [{ key, error }] for the rows that could not be loaded
+ *          changes: [{ entity, key, action: 'insert' | 'update', fields: [{ field, old, new }] }]
+ */
+async function stageAndMerge({ entity, label, table, keyColumns, valueColumns }, rows, { batchSize, quiet }) {
+    const totals = { loaded: 0, inserted: 0, updated: 0, unchanged: 0, failed: 0, failedRows: [], changes: [] };
+    const batches = toBatches(rows, batchSize);
 
-    for (const student of students) {
+    const columns = [...keyColumns, ...valueColumns];
+    const keys = keyColumns.join(', ');
+    const sameKey = (a, b) => keyColumns.map(column => `${a}.${column} = ${b}.${column}`).join(' AND ');
+    const values = alias => valueColumns.map(column => `${alias}.${column}`).join(', ');
+
+    const mergeBatch = async (client, batch) => {
+        await client.query(`
+            CREATE TEMP TABLE ${STAGING_TABLE} ON COMMIT DROP AS
+            SELECT ${columns.join(', ')} FROM ${table} WITH NO DATA
+        `);
+        await copyRows(client, STAGING_TABLE, columns, batch);
+
+        // Current and incoming values of the rows that will change
+        const updates = await client.query(`
+            SELECT to_jsonb(t) AS old_row, to_jsonb(s) AS new_row
+            FROM ${STAGING_TABLE} s
+            JOIN ${table} t ON ${sameKey('t', 's')}
+            WHERE (${values('t')}) IS DISTINCT FROM (${values('s')})
+        `);
+
+        const merged = await client.query(`
+            INSERT INTO ${table} (${columns.join(', ')})
+            SELECT ${columns.join(', ')} FROM ${STAGING_TABLE}
+            ON CONFLICT (${keys}) DO UPDATE SET
+                ${valueColumns.map(column => `${column} = EXCLUDED.${column}`).join(',\n                ')}
+            WHERE (${values(table)}) IS DISTINCT FROM (${values('EXCLUDED')})
+            RETURNING ${keys}, (xmax = 0) AS inserted
+        `);
+
+        await client.query(`DROP TABLE ${STAGING_TABLE}`);
+        return { staged: batch.length, updates: updates.rows, merged: merged.rows };
+    };
+
+    const recordMerge = ({ staged, updates, merged }) => {
+        const inserted = merged.filter(row => row.inserted);
+        totals.inserted += inserted.length;
+        totals.updated += updates.length;
+        totals.unchanged += staged - merged.length;
+        totals.loaded += merged.length;
+
+        for (const row of inserted) {
+            totals.changes.push({ entity, key: recordKey(row, keyColumns), action: 'insert', fields: [] });
+        }
+        for (const { old_row: oldRow, new_row: newRow } of updates) {
+            totals.changes.push({
+                entity,
+                key: recordKey(newRow, keyColumns),
+                action: 'update',
+                fields: diffFields(oldRow, newRow, valueColumns)
+            });
+        }
+        return { inserted: inserted.length, updated: updates.length, unchanged: staged - merged.length };
+    };
+
+    // Merge rows, halving on row data errors; returns what was merged
+    const mergeRows = async (batch, batchNumber) => {
         try {
-            await pool.query(`
-                INSERT INTO student (
-                    student_first_name,
-                    student_last_name,
-                    student_email,
-                    student_date_of_birth,
-                    student_year,
-                    student_phone_number,
-                    department_id
-                )
-                VALUES ($1, $2, $3, $4, $5, $6, $7)
-                ON CONFLICT (student_email) DO UPDATE SET
-                    student_first_name = EXCLUDED.student_first_name,
-                    student_last_name = EXCLUDED.student_last_name,
-                    student_date_of_birth = EXCLUDED.student_date_of_birth,
-                    student_year = EXCLUDED.student_year,
-                    student_phone_number = EXCLUDED.student_phone_number,
-                    department_id = EXCLUDED.department_id
-            `, [
-                student.student_first_name,
-                student.student_last_name,
-                student.student_email,
-                student.student_date_of_birth,
-                student.student_year,
-                student.student_phone_number,
-                student.department_id
-            ]);
-            loaded++;
+            return recordMerge(await withBatch(client => mergeBatch(client, batch)));
         } catch (error) {
-            logger.error(`Failed to insert student ${student.student_email}`, error);
+            if (batch.length > 1 && isRowDataError(error)) {
+                const middle = Math.ceil(batch.length / 2);
+                const first = await mergeRows(batch.slice(0, middle), batchNumber);
+                const second = await mergeRows(batch.slice(middle), batchNumber);
+                return {
+                    inserted: first.inserted + second.inserted,
+                    updated: first.updated + second.updated,
+                    unchanged: first.unchanged + second.unchanged
+                };
+            }
+
+            totals.failed += batch.length;
+            totals.failedRows.push(...batch.map(row => ({ key: recordKey(row, keyColumns), error: error.message })));
+            if (batch.length === 1) {
+                logger.error(`Failed to load ${label} row ${recordKey(batch[0], keyColumns)} ` +
+                    `(batch ${batchNumber}/${batches.length})`, error, { batch: batchNumber });
+            } else {
+                logger.error(`Failed to load ${label} batch ${batchNumber}/${batches.length} (${batch.length} rows)`,
+                    error, { batch: batchNumber });
+            }
+            return { inserted: 0, updated: 0, unchanged: 0 };
         }
+    };
+
+    for (const [batchIndex, batch] of batches.entries()) {
+        const merged = await mergeRows(batch, batchIndex + 1);
+        logger.debug(`Merged ${label} batch ${batchIndex + 1}/${batches.length}`, {
+            batch: batchIndex + 1,
+            rows: batch.length,
+            ...merged
+        });
     }
 
-    logger.stats.loaded += loaded;
-    logger.success(`Loaded ${loaded} students`);
-    return loaded;
+    logger.stats.loaded += totals.loaded;
+    logger.stats.inserted += totals.inserted;
+    logger.stats.updated += totals.updated;
+    logger.stats.unchanged += totals.unchanged;
+    logger.stats.failed += totals.failed;
+
+    const message = `Loaded ${totals.loaded} ${label} (${totals.inserted} inserted, ${totals.updated} updated, ` +
+        `${totals.unchanged} unchanged)`;
+    const fields = { inserted: totals.inserted, updated: totals.updated, unchanged: totals.unchanged, failed: totals.failed };
+    if (quiet) {
+        logger.debug(message, fields);
+    } else {
+        logger.success(message, fields);
+    }
+    return totals;
+}
+
+/**
+ * Load departments into database
+ * COPYs into staging and upserts on department_name
+ *
+ * @param {Array<Object>} departments - Transformed departments
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Overrides ETL_BATCH_SIZE
+ * @param {boolean} [options.quiet] - Log at debug level (one call per streamed batch)
+ */
+export async function loadDepartments(departments, { batchSize = resolveBatchSize(), quiet = false } = {}) {
+    if (!quiet) logger.info(`Loading ${departments.length} departments into database...`, { batchSize });
+    return stageAndMerge(DEPARTMENT_ENTITY, departments, { batchSize, quiet });
+}
+
+/**
+ * Load courses into database
+ * COPYs into staging and upserts on course_id (the departments must exist)
+ *
+ * @param {Array<Object>} courses - Transformed courses
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Overrides ETL_BATCH_SIZE
+ * @param {boolean} [options.quiet] - Log at debug level (one call per streamed batch)
+ */
+export async function loadCourses(courses, { batchSize = resolveBatchSize(), quiet = false } = {}) {
+    if (!quiet) logger.info(`Loading ${courses.length} courses into database...`, { batchSize });
+    return stageAndMerge(COURSE_ENTITY, courses, { batchSize, quiet });
+}
+
+/**
+ * Load students into database
+ * COPYs into staging and upserts on student_email (ETL_BATCH_SIZE rows per batch)
+ *
+ * @param {Array<Object>} students - Transformed students
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Overrides ETL_BATCH_SIZE
+ * @param {boolean} [options.quiet] - Log at debug level (one call per streamed batch)
+ */
+export async function loadStudents(students, { batchSize = resolveBatchSize(), quiet = false } = {}) {
+    if (!quiet) logger.info(`Loading ${students.length} students into database...`, { batchSize });
+    return stageAndMerge(STUDENT_ENTITY, students, { batchSize, quiet });
 }
 
 /**
  * Load enrollments into database
- * course_id is VARCHAR (e.g., 'CS101')
+ * COPYs into staging and upserts on (student_id, course_id)
+ *
+ * @param {Array<Object>} enrollments - Transformed enrollments
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Overrides ETL_BATCH_SIZE
+ * @param {boolean} [options.quiet] - Log at debug level (one call per streamed batch)
  */
-export async function loadEnrollments(enrollments) {
-    logger.info(`Loading ${enrollments.length} enrollments into database...`);
+export async function loadEnrollments(enrollments, { batchSize = resolveBatchSize(), quiet = false } = {}) {
+    if (!quiet) logger.info(`Loading ${enrollments.length} enrollments into database...`, { batchSize });
+    return stageAndMerge(ENROLLMENT_ENTITY, enrollments, { batchSize, quiet });
+}
 
-    let loaded = 0;
+/**
+ * Write the changes made by a run to etl_change_log
+ * One row per changed field for updates, one row per inserted record
+ * @param {string} runId
+ * @param {Array} changes - `changes` returned by the load* functions
+ */
+export async function saveChangeLog(runId, changes) {
+    const entries = changes.flatMap(change => (change.action === 'insert'
+        ? [[change.entity, change.key, change.action, null, null, null]]
+        : change.fields.map(({ field, old: oldValue, new: newValue }) => [
+            change.entity,
+            change.key,
+            change.action,
+            field,
+            oldValue === null ? null : String(oldValue),
+            newValue === null ? null : String(newValue)
+        ])));
 
-    for (const enrollment of enrollments) {
-        try {
-            await pool.query(`
-                INSERT INTO enrollment (student_id, course_id, grade, enrollment_date)
-                VALUES ($1, $2, $3, $4)
-                ON CONFLICT (student_id, course_id) DO UPDATE SET
-                    grade = EXCLUDED.grade,
-                    enrollment_date = EXCLUDED.enrollment_date
-            `, [
-                enrollment.student_id,
-                enrollment.course_id,  // VARCHAR like 'CS101'
-                enrollment.grade,
-                enrollment.enrollment_date
-            ]);
-            loaded++;
-        } catch (error) {
-            logger.error(`Failed to insert enrollment`, error);
-        }
+    if (entries.length === 0) return 0;
+
+    // One array per column, unnested into rows in a single round trip
+    const columnArrays = entries[0].map((_, i) => entries.map(entry => entry[i]));
+    await db().query(`
+        INSERT INTO etl_change_log (run_id, entity, record_key, action, field, old_value, new_value)
+        SELECT $1::UUID, *
+        FROM UNNEST($2::TEXT[], $3::TEXT[], $4::TEXT[], $5::TEXT[], $6::TEXT[], $7::TEXT[])
+    `, [runId, ...columnArrays]);
+
+    logger.info(`Recorded ${entries.length} changes in etl_change_log`);
+    return entries.length;
+}
+
+/**
+ * Keys of an entity already accepted by earlier batches of a run
+ * (duplicate check across streamed batches, see etl_run_key)
+ * Through the pool like saveRejectedRows: bookkeeping, not load data.
+ * @param {string} runId
+ * @param {string} entity - 'department' | 'course' | 'student' | 'enrollment'
+ * @param {Array<string|null>} keys - Keys of the batch's raw rows (nulls are ignored)
+ * @returns {Promise<Set<string>>} - The keys among them taken by an earlier batch
+ */
+export async function getClaimedKeys(runId, entity, keys) {
+    const result = await pool.query(`
+        SELECT record_key FROM etl_run_key
+        WHERE run_id = $1 AND entity = $2 AND record_key = ANY($3::TEXT[])
+    `, [runId, entity, keys.filter(key => key !== null)]);
+
+    return new Set(result.rows.map(row => row.record_key));
+}
+
+/**
+ * Record keys accepted by a batch so later batches reject them as duplicates
+ * @param {string} runId
+ * @param {string} entity
+ * @param {Array<string>} keys
+ */
+export async function claimKeys(runId, entity, keys) {
+    if (keys.length === 0) return;
+
+    await pool.query(`
+        INSERT INTO etl_run_key (run_id, entity, record_key)
+        SELECT $1, $2, UNNEST($3::TEXT[])
+        ON CONFLICT DO NOTHING
+    `, [runId, entity, keys]);
+}
+
+/**
+ * Transform one streamed batch with its duplicate check backed by etl_run_key,
+ * so memory does not grow with the number of rows seen
+ * The seen set handed to transform starts with the batch's keys that earlier
+ * batches accepted; the keys it holds afterwards are claimed for later batches.
+ * @param {string} runId
+ * @param {string} entity - 'department' | 'course' | 'student' | 'enrollment'
+ * @param {Array<string|null>} keys - Duplicate key of each raw row (transform.js *Key)
+ * @param {Function} transform - seen => clean rows
+ */
+export async function transformWithRunKeys(runId, entity, keys, transform) {
+    const seen = await getClaimedKeys(runId, entity, keys);
+    const clean = transform(seen);
+    await claimKeys(runId, entity, [...seen]);
+    return clean;
+}
+
+/**
+ * Drop a finished run's keys, and those left by other finished runs
+ * (etl_run rows are only written once a run is over, so keys without one
+ * belong to a run still going and are kept)
+ */
+export async function releaseKeys(runId) {
+    await pool.query(`
+        DELETE FROM etl_run_key k
+        WHERE k.run_id = $1
+           OR EXISTS (SELECT 1 FROM etl_run r WHERE r.run_id = k.run_id)
+    `, [runId]);
+}
+
+/**
+ * Row hashes of sheet rows already ingested (see etl_sheet_row)
+ * @param {Array<string>} hashes - sheetRowHash() of the pulled rows
+ * @returns {Promise<Set<string>>} - The hashes among them that are recorded
+ */
+export async function getIngestedSheetRows(hashes) {
+    if (hashes.length === 0) return new Set();
+
+    const result = await pool.query(`
+        SELECT row_hash FROM etl_sheet_row WHERE row_hash = ANY($1::TEXT[])
+    `, [hashes]);
+
+    return new Set(result.rows.map(row => row.row_hash));
+}
+
+/**
+ * Record sheet rows a run registered or rejected, so later pulls skip them
+ * Through the pool, and only once the run's load is committed.
+ * @param {string} runId
+ * @param {Array<{hash, row, status}>} rows - status: 'Registered' | 'Invalid'
+ */
+export async function recordIngestedSheetRows(runId, rows) {
+    if (rows.length === 0) return;
+
+    await pool.query(`
+        INSERT INTO etl_sheet_row (row_hash, row_number, status, run_id)
+        SELECT UNNEST($1::TEXT[]), UNNEST($2::INT[]), UNNEST($3::TEXT[]), $4
+        ON CONFLICT (row_hash) DO NOTHING
+    `, [rows.map(row => row.hash), rows.map(row => row.row), rows.map(row => row.status), runId]);
+}
+
+/**
+ * Quarantine rows rejected by the transform step
+ * Written through the pool, outside the load transaction: an --atomic run
+ * rolled back for its error rate is exactly the run whose rejections are
+ * needed. Rows from a --dry-run get status 'dry_run' so they are never replayed.
+ *
+ * @param {string} runId - ETL run that rejected the rows
+ * @param {Array<{entity, sourceFile, rowNumber, row, rule, message}>} rejections
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - The run is a --dry-run
+ */
+export async function saveRejectedRows(runId, rejections, { dryRun = false } = {}) {
+    if (rejections.length === 0) return 0;
+
+    const status = dryRun ? 'dry_run' : 'pending';
+    for (const rejection of rejections) {
+        await pool.query(`
+            INSERT INTO etl_rejected_row (
+                run_id, entity, source_file, row_number, raw_data, rule, error_message, status
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [
+            runId,
+            rejection.entity,
+            rejection.sourceFile,
+            rejection.rowNumber,
+            JSON.stringify(rejection.row),
+            rejection.rule,
+            rejection.message,
+            status
+        ]);
     }
 
-    logger.stats.loaded += loaded;
-    logger.success(`Loaded ${loaded} enrollments`);
-    return loaded;
+    logger.info(`Quarantined ${rejections.length} rejected rows in etl_rejected_row` +
+        (dryRun ? ' (status dry_run)' : ''));
+    return rejections.length;
+}
+
+/**
+ * Get quarantined rows that have been corrected and are ready for replay
+ * Returned in load order (departments, courses, students, enrollments) so
+ * replayed rows can refer to each other
+ */
+export async function getCorrectedRejectedRows() {
+    const result = await db().query(`
+        SELECT rejected_row_id, entity, source_file, row_number, corrected_data
+        FROM etl_rejected_row
+        WHERE status = 'corrected'
+        ORDER BY CASE entity
+                     WHEN 'department' THEN 0
+                     WHEN 'course' THEN 1
+                     WHEN 'student' THEN 2
+                     ELSE 3
+                 END, rejected_row_id
+    `);
+    return result.rows;
+}
+
+/**
+ * Record the outcome of a replay
+ * Rows that passed are marked replayed; rows rejected again go back to
+ * pending with the new rule, message and run id.
+ *
+ * @param {string} runId - Replay run id
+ * @param {Array<number>} replayedIds - rejected_row_id values that passed transform
+ * @param {Map<number, {rule, message}>} rejectedAgain - rejected_row_id -> new failure
+ */
+export async function resolveRejectedRows(runId, replayedIds, rejectedAgain) {
+    if (replayedIds.length > 0) {
+        await db().query(`
+            UPDATE etl_rejected_row
+            SET status = 'replayed', replayed_at = NOW()
+            WHERE rejected_row_id = ANY($1::INT[])
+        `, [replayedIds]);
+    }
+
+    for (const [id, { rule, message }] of rejectedAgain) {
+        await db().query(`
+            UPDATE etl_rejected_row
+            SET status = 'pending', run_id = $2, rule = $3, error_message = $4
+            WHERE rejected_row_id = $1
+        `, [id, runId, rule, message]);
+    }
+}
+
+/**
+ * Publish webhook events and try to deliver them right away
+ * Deliveries that fail are retried by the API's webhook worker
+ * (or npm run webhooks -- deliver). Never throws.
+ * @param {Array<{ type: string, data: Object }>} events
+ * @returns {Promise<number>} - Deliveries queued
+ */
+export async function publishEvents(events) {
+    const ids = await publishWebhookEvents(db(), events);
+    if (ids.length === 0) return 0;
+
+    try {
+        await deliverWebhooks(pool, { ids, limit: ids.length });
+    } catch (error) {
+        logger.warn(`Webhook delivery deferred: ${error.message}`);
+    }
+    return ids.length;
+}
+
+/**
+ * Record a finished run in etl_run
+ * @param {Object} report - EtlRun.toReport()
+ * @param {string} reportFile - Path of the JSON report
+ */
+export async function saveRun(report, reportFile) {
+    await db().query(`
+        INSERT INTO etl_run (
+            run_id, mode, status, atomic, dry_run, started_at, finished_at, duration_ms,
+            source_files, phases,
+            extracted_count, transformed_count, loaded_count, inserted_count, updated_count,
+            unchanged_count, skipped_count, rejected_count, errors, report_file
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+    `, [
+        report.runId,
+        report.mode,
+        report.status,
+        report.atomic,
+        report.dryRun,
+        report.startedAt,
+        report.finishedAt,
+        report.durationMs,
+        JSON.stringify(report.sources),
+        JSON.stringify(report.phases),
+        report.counts.extracted,
+        report.counts.transformed,
+        report.counts.loaded,
+        report.counts.inserted,
+        report.counts.updated,
+        report.counts.unchanged,
+        report.counts.skipped,
+        report.counts.rejected,
+        JSON.stringify(report.errors),
+        reportFile
+    ]);
 }
 
 /**
  * Get current record counts
  */
 export async function getRecordCounts() {
-    const students = await pool.query('SELECT COUNT(*) FROM student');
-    const enrollments = await pool.query('SELECT COUNT(*) FROM enrollment');
+    const departments = await db().query('SELECT COUNT(*) FROM department');
+    const courses = await db().query('SELECT COUNT(*) FROM course');
+    const students = await db().query('SELECT COUNT(*) FROM student');
+    const enrollments = await db().query('SELECT COUNT(*) FROM enrollment');
 
     return {
+        departments: parseInt(departments.rows[0].count),
+        courses: parseInt(courses.rows[0].count),
         students: parseInt(students.rows[0].count),
         enrollments: parseInt(enrollments.rows[0].count)
     };
@@ -6,28 +6,32 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { validateStudentRecord } from './utils/studentSchema.js';
+import { logger } from './utils/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+export const PENDING_REGISTRATIONS_PATH = path.join(__dirname, '../data/pending-registrations.json');
+
 /**
  * Extract pending registrations from JSON file
+ * @param {string} [filePath] - Export to read (default: data/pending-registrations.json)
  * @returns {Promise<Array>} Array of student objects
  */
-export async function extractPendingRegistrations() {
-    const filePath = path.join(__dirname, '../data/pending-registrations.json');
+export async function extractPendingRegistrations(filePath = PENDING_REGISTRATIONS_PATH) {
 
-    console.log('📥 Extracting pending registrations from:', filePath);
+    logger.info(`📥 Extracting pending registrations from: ${filePath}`);
 
     // Check if file exists
     if (!fs.existsSync(filePath)) {
-        console.error('❌ File not found:', filePath);
-        console.log('\n💡 Instructions:');
-        console.log('1. Open Google Sheets with your student data');
-        console.log('2. Click "📋 Student Registration (Option 1)" menu');
-        console.log('3. Click "📤 Export Pending as JSON"');
-        console.log('4. Copy the JSON and save as: data/pending-registrations.json');
-        console.log('5. Run: npm run etl -- --pending\n');
+        logger.error(`File not found: ${filePath}`);
+        logger.info('💡 Instructions:');
+        logger.info('1. Open Google Sheets with your student data');
+        logger.info('2. Click "📋 Student Registration (Option 1)" menu');
+        logger.info('3. Click "📤 Export Pending as JSON"');
+        logger.info('4. Copy the JSON and save as: data/pending-registrations.json');
+        logger.info('5. Run: npm run etl -- --pending');
         throw new Error('pending-registrations.json not found');
     }
 
@@ -39,14 +43,16 @@ export async function extractPendingRegistrations() {
         throw new Error('Invalid JSON format: "students" array not found');
     }
 
-    console.log(`✅ Found ${data.students.length} pending registrations`);
-    console.log(`📅 Exported at: ${data.exportedAt}`);
+    logger.stats.extracted += data.students.length;
+    logger.success(`Found ${data.students.length} pending registrations`, { exportedAt: data.exportedAt });
 
     return data.students;
 }
 
 /**
- * Validate pending registration data
+ * Validate pending registration data against the shared student schema
+ * Department names are only checked for presence here; they are resolved
+ * against the database (names and aliases) during transform.
  * @param {Array} students - Array of student objects
  * @returns {Object} Validation result with valid/invalid students
  */
@@ -55,24 +61,7 @@ export function validatePendingRegistrations(students) {
     const invalid = [];
 
     students.forEach((student, index) => {
-        const errors = [];
-
-        // Required fields
-        if (!student.firstName) errors.push('Missing firstName');
-        if (!student.lastName) errors.push('Missing lastName');
-        if (!student.email) errors.push('Missing email');
-        if (!student.year) errors.push('Missing year');
-        if (!student.department) errors.push('Missing department');
-
-        // Email format
-        if (student.email && !student.email.includes('@')) {
-            errors.push('Invalid email format');
-        }
-
-        // Year range
-        if (student.year && (student.year < 1 || student.year > 4)) {
-            errors.push('Year must be between 1 and 4');
-        }
+        const { errors, invalidFields } = validateStudentRecord(student);
 
         if (errors.length === 0) {
             valid.push(student);
@@ -80,7 +69,8 @@ export function validatePendingRegistrations(students) {
             invalid.push({
                 index: index + 1,
                 student,
-                errors
+                errors,
+                invalidFields
             });
         }
     });
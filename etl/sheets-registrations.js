@@ -0,0 +1,156 @@
+/**
+ * ETL Extract Module: Pending Registrations from Google Sheets
+ * Pulls the rows of the Pending Registration sheet directly, instead of the
+ * "Export Pending as JSON" copy and paste (npm run etl -- --pending-sheet)
+ *
+ * The sheet is read from, in order of preference:
+ *   PENDING_SHEET_CSV_URL           the sheet published as CSV (File → Share →
+ *                                   Publish to web → Comma-separated values); no credentials
+ *   Sheets API values               the same settings as the sheets result writer:
+ *     GOOGLE_SHEETS_SPREADSHEET_ID
+ *     GOOGLE_SHEETS_SHEET_NAME        (default: Pending Registration)
+ *     GOOGLE_APPLICATION_CREDENTIALS  or GOOGLE_SHEETS_ACCESS_TOKEN
+ *
+ * The first row holds the field names (firstName, lastName, email, ...).
+ * Cells are read as displayed, so dateOfBirth should be formatted yyyy-mm-dd.
+ * Blank rows and rows whose Status is already Registered are skipped; every
+ * other row carries its sheet row number, for the results written back.
+ *
+ * Rows are identified by a row hash (SHA-256 of their student fields, not of
+ * their position): the pipeline skips rows whose hash is in etl_sheet_row, so
+ * a row is ingested once and again only after it is edited.
+ */
+
+import crypto from 'crypto';
+import { parse } from 'csv-parse/sync';
+import { STUDENT_SCHEMA, findRawValue, isBlank } from './utils/studentSchema.js';
+import { SHEETS_API_URL, accessTokenProviderFromEnv } from './utils/resultWriters.js';
+import { logger } from './utils/logger.js';
+
+/**
+ * Hash of a row's student fields (Status, Error and the row number left out)
+ * @param {Object} student - Row from pullPendingRegistrations()
+ * @returns {string} - Hex SHA-256
+ */
+export function sheetRowHash(student) {
+    const fields = Object.values(STUDENT_SCHEMA).map(def => String(findRawValue(student, def) ?? '').trim());
+    return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+}
+
+/**
+ * Fetch a URL, failing on an error status
+ */
+async function fetchOk(fetch, url, options, what) {
+    const response = await fetch(url, options);
+    if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        throw new Error(`${what} ${response.status}: ${body.slice(0, 200) || response.statusText}`);
+    }
+    return response;
+}
+
+/**
+ * Sheet rows (arrays of cell text, header row first) from the published CSV
+ */
+async function fetchCsvValues(fetch, csvUrl) {
+    const response = await fetchOk(fetch, csvUrl, {}, 'Published sheet CSV');
+    return parse(await response.text(), { relax_column_count: true, bom: true });
+}
+
+/**
+ * Sheet rows (arrays of cell text, header row first) from the Sheets API
+ */
+async function fetchApiValues(fetch, { apiUrl, spreadsheetId, sheetName, getAccessToken }) {
+    const range = encodeURIComponent(`'${sheetName}'`);
+    const response = await fetchOk(fetch, `${apiUrl}/${encodeURIComponent(spreadsheetId)}/values/${range}`, {
+        headers: { 'Authorization': `Bearer ${await getAccessToken()}` }
+    }, 'Sheets API');
+
+    const { values = [] } = await response.json();
+    return values;
+}
+
+/**
+ * Pull the pending registrations from the sheet
+ * @param {Object} options
+ * @param {string} [options.csvUrl] - Published CSV export of the sheet; otherwise the Sheets API is used
+ * @param {string} [options.spreadsheetId]
+ * @param {string} [options.sheetName]
+ * @param {Function} [options.getAccessToken] - async () => OAuth access token (Sheets API)
+ * @param {string} [options.apiUrl] - Sheets API base URL
+ * @param {string} [options.statusColumn] - Header of the status column (default: Status)
+ * @param {string} [options.errorColumn] - Header of the message column (default: Error)
+ * @param {Function} [options.isIngested] - async hashes => Set of those already ingested
+ * @param {Function} [options.fetch] - HTTP client with the fetch() API
+ * @returns {Promise<Array>} Student objects with their sheet row number (row)
+ */
+export async function pullPendingRegistrations({
+    csvUrl = null,
+    spreadsheetId = null,
+    sheetName = 'Pending Registration',
+    getAccessToken = null,
+    apiUrl = SHEETS_API_URL,
+    statusColumn = 'Status',
+    errorColumn = 'Error',
+    isIngested = async () => new Set(),
+    fetch = globalThis.fetch
+}) {
+    let values;
+    if (csvUrl) {
+        logger.info('📥 Pulling pending registrations from the published sheet CSV');
+        values = await fetchCsvValues(fetch, csvUrl);
+    } else {
+        if (!spreadsheetId) {
+            throw new Error('Pulling the sheet needs PENDING_SHEET_CSV_URL or GOOGLE_SHEETS_SPREADSHEET_ID');
+        }
+        if (!getAccessToken) {
+            throw new Error('Pulling the sheet needs GOOGLE_APPLICATION_CREDENTIALS or GOOGLE_SHEETS_ACCESS_TOKEN');
+        }
+        logger.info(`📥 Pulling pending registrations from sheet "${sheetName}"`);
+        values = await fetchApiValues(fetch, { apiUrl, spreadsheetId, sheetName, getAccessToken });
+    }
+
+    const headers = (values[0] || []).map(header => String(header).trim());
+    const statusIndex = headers.indexOf(statusColumn);
+
+    // Sheet row numbers start at 1 with the header row
+    const students = [];
+    let registered = 0;
+    values.slice(1).forEach((cells, i) => {
+        if (cells.every(isBlank)) return;
+        if (statusIndex !== -1 && String(cells[statusIndex] ?? '').trim() === 'Registered') {
+            registered++;
+            return;
+        }
+
+        const student = {};
+        headers.forEach((header, j) => {
+            if (header && header !== statusColumn && header !== errorColumn) student[header] = cells[j] ?? '';
+        });
+        student.row = i + 2;
+        students.push(student);
+    });
+
+    const ingested = await isIngested(students.map(sheetRowHash));
+    const pending = students.filter(student => !ingested.has(sheetRowHash(student)));
+
+    logger.stats.extracted += pending.length;
+    logger.success(`Found ${pending.length} pending registrations`, {
+        alreadyRegistered: registered,
+        alreadyIngested: students.length - pending.length
+    });
+
+    return pending;
+}
+
+/**
+ * pullPendingRegistrations() options from the environment (see the header)
+ */
+export function sheetSourceFromEnv(env = process.env) {
+    return {
+        csvUrl: env.PENDING_SHEET_CSV_URL || null,
+        spreadsheetId: env.GOOGLE_SHEETS_SPREADSHEET_ID || null,
+        sheetName: env.GOOGLE_SHEETS_SHEET_NAME || undefined,
+        getAccessToken: env.PENDING_SHEET_CSV_URL ? null : accessTokenProviderFromEnv(env)
+    };
+}
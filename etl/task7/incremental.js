@@ -11,6 +11,7 @@ import pg from 'pg';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const { Pool } = pg;
@@ -25,7 +26,7 @@ async function initConnection() {
         connectionString: process.env.DATABASE_URL,
         ssl: { rejectUnauthorized: false }
     });
-    console.log('✅ Database connected');
+    logger.success('Database connected');
 }
 
 /**
@@ -34,7 +35,7 @@ async function initConnection() {
 async function closeConnection() {
     if (pool) {
         await pool.end();
-        console.log('✅ Database connection closed');
+        logger.success('Database connection closed');
     }
 }
 
@@ -54,7 +55,7 @@ async function ensureSyncTable() {
             error_message TEXT
         )
     `);
-    console.log('✅ Sync tracking table ready');
+    logger.success('Sync tracking table ready');
 }
 
 /**
@@ -136,7 +137,7 @@ async function upsertHappinessData(records) {
         }
 
         await logSyncComplete(syncId, processed, 'success');
-        console.log(`✅ Upserted ${processed} happiness records`);
+        logger.success(`Upserted ${processed} happiness records`, { table: '2019', processed });
         return processed;
     } catch (error) {
         await logSyncComplete(syncId, processed, 'failed', error.message);
@@ -169,7 +170,7 @@ async function batchInsert(tableName, columns, values) {
         const result = await pool.query(sql, flatValues);
         await logSyncComplete(syncId, result.rowCount, 'success');
 
-        console.log(`✅ Batch inserted ${result.rowCount} records into ${tableName}`);
+        logger.success(`Batch inserted ${result.rowCount} records into ${tableName}`, { table: tableName, inserted: result.rowCount });
         return result.rowCount;
     } catch (error) {
         await logSyncComplete(syncId, 0, 'failed', error.message);
@@ -181,7 +182,7 @@ async function batchInsert(tableName, columns, values) {
  * Refresh materialized views after data changes
  */
 async function refreshMatViews() {
-    console.log('\n🔄 Refreshing materialized views...');
+    logger.info('🔄 Refreshing materialized views...');
 
     const views = [
         'mv_artist_sales_summary',
@@ -192,9 +193,9 @@ async function refreshMatViews() {
     for (const view of views) {
         try {
             await pool.query(`REFRESH MATERIALIZED VIEW CONCURRENTLY ${view}`);
-            console.log(`  ✅ Refreshed ${view}`);
+            logger.success(`Refreshed ${view}`, { view });
         } catch (error) {
-            console.log(`  ⚠️  Could not refresh ${view}: ${error.message}`);
+            logger.warn(`Could not refresh ${view}: ${error.message}`, { view });
         }
     }
 }
@@ -224,9 +225,7 @@ async function getSyncHistory(limit = 10) {
  * Demo incremental ingestion
  */
 async function runDemo() {
-    console.log('\n' + '='.repeat(50));
-    console.log('  TASK 7: INCREMENTAL INGESTION DEMO');
-    console.log('='.repeat(50) + '\n');
+    logger.section('TASK 7: INCREMENTAL INGESTION DEMO');
 
     try {
         await initConnection();
@@ -238,31 +237,34 @@ async function runDemo() {
             { rank: 201, country: 'DemoNation', score: 6.0, gdp: 1.1, socialSupport: 1.3, lifeExpectancy: 0.9, freedom: 0.6, generosity: 0.3, corruption: 0.2 }
         ];
 
-        console.log('📤 Upserting sample happiness data...');
+        logger.info('📤 Upserting sample happiness data...');
         await upsertHappinessData(sampleData);
 
         // Refresh views
         await refreshMatViews();
 
         // Show sync history
-        console.log('\n📋 Sync History:');
         const history = await getSyncHistory(5);
-        console.table(history);
+        logger.info('📋 Sync History:', { history });
+        for (const sync of history) {
+            logger.info(`  ${sync.table_name} ${sync.sync_type} ${sync.status} - ${sync.records_processed} records`);
+        }
 
         // Cleanup demo data
-        console.log('\n🧹 Cleaning up demo data...');
+        logger.info('🧹 Cleaning up demo data...');
         await pool.query(`DELETE FROM "2019" WHERE overall_rank >= 200`);
-        console.log('✅ Demo data removed');
+        logger.success('Demo data removed');
 
     } catch (error) {
-        console.error('❌ Demo failed:', error.message);
+        logger.error('Demo failed', error);
+        process.exitCode = 1;
     } finally {
         await closeConnection();
     }
 }
 
 // Run demo if executed directly
-runDemo().catch(console.error);
+runDemo().finally(() => logger.close());
 
 // Export functions for use in other modules
 export {
@@ -7,10 +7,12 @@
  */
 
 import 'dotenv/config';
+import crypto from 'crypto';
 import pg from 'pg';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const { Pool } = pg;
@@ -31,43 +33,6 @@ const CONFIG = {
 // Pool connection
 let pool = null;
 
-// Colors for console output
-const colors = {
-    reset: '\x1b[0m',
-    bright: '\x1b[1m',
-    green: '\x1b[32m',
-    yellow: '\x1b[33m',
-    blue: '\x1b[34m',
-    cyan: '\x1b[36m',
-    red: '\x1b[31m'
-};
-
-function log(message, color = 'reset') {
-    console.log(`${colors[color]}${message}${colors.reset}`);
-}
-
-function logSection(title) {
-    console.log('\n' + '='.repeat(60));
-    log(`  ${title}`, 'cyan');
-    console.log('='.repeat(60));
-}
-
-function logSuccess(message) {
-    log(`✅ ${message}`, 'green');
-}
-
-function logInfo(message) {
-    log(`ℹ️  ${message}`, 'blue');
-}
-
-function logWarn(message) {
-    log(`⚠️  ${message}`, 'yellow');
-}
-
-function logError(message) {
-    log(`❌ ${message}`, 'red');
-}
-
 /**
  * Initialize database connection
  */
@@ -79,7 +44,7 @@ async function initConnection() {
 
     // Test connection
     const client = await pool.connect();
-    logInfo('Database connection established');
+    logger.info('Database connection established');
     client.release();
 }
 
@@ -89,7 +54,7 @@ async function initConnection() {
 async function closeConnection() {
     if (pool) {
         await pool.end();
-        logInfo('Database connection closed');
+        logger.info('Database connection closed');
     }
 }
 
@@ -98,7 +63,7 @@ async function closeConnection() {
  */
 async function executeSQLFile(filePath, description) {
     const startTime = Date.now();
-    logInfo(`Loading ${description}...`);
+    logger.info(`Loading ${description}...`);
 
     try {
         const sql = fs.readFileSync(filePath, 'utf8');
@@ -107,10 +72,10 @@ async function executeSQLFile(filePath, description) {
         await pool.query(sql);
 
         const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-        logSuccess(`${description} loaded in ${duration}s`);
+        logger.success(`${description} loaded in ${duration}s`);
         return true;
     } catch (error) {
-        logError(`Failed to load ${description}: ${error.message}`);
+        logger.error(`Failed to load ${description}`, error);
         throw error;
     }
 }
@@ -178,7 +143,7 @@ async function benchmarkQuery(name, sql) {
  * Run all benchmark queries
  */
 async function runBenchmarks() {
-    logSection('BENCHMARK RESULTS');
+    logger.section('BENCHMARK RESULTS');
 
     const benchmarks = [
         {
@@ -214,56 +179,47 @@ async function runBenchmarks() {
         }
     ];
 
-    console.log('\n' + '-'.repeat(50));
-    console.log('| Query Name                       | Time (ms)  |');
-    console.log('-'.repeat(50));
-
     for (const bench of benchmarks) {
         const result = await benchmarkQuery(bench.name, bench.sql);
+        const padName = bench.name.padEnd(32).substring(0, 32);
         if (result.success) {
-            const padName = bench.name.padEnd(32).substring(0, 32);
             const padTime = result.executionTime.toFixed(2).padStart(8);
-            console.log(`| ${padName} | ${padTime} ms |`);
+            logger.info(`${padName} ${padTime} ms`, { benchmark: bench.name, ms: result.executionTime });
         } else {
-            const padName = bench.name.padEnd(32).substring(0, 32);
-            console.log(`| ${padName} | SKIPPED    |`);
+            logger.info(`${padName}  SKIPPED`, { benchmark: bench.name, skipped: true });
         }
     }
-
-    console.log('-'.repeat(50));
 }
 
 /**
  * Main ETL Pipeline
  */
 async function runETL() {
-    console.log('\n' + '═'.repeat(60));
-    log('  TASK 7: PUBLIC DATASET ETL PIPELINE', 'bright');
-    console.log('═'.repeat(60) + '\n');
+    logger.section('TASK 7: PUBLIC DATASET ETL PIPELINE');
 
     const startTime = Date.now();
 
     try {
         // Phase 1: Connect
-        logSection('PHASE 1: CONNECT');
+        logger.section('PHASE 1: CONNECT');
         await initConnection();
 
         // Phase 2: Load Chinook Dataset
-        logSection('PHASE 2: LOAD CHINOOK DATASET');
+        logger.section('PHASE 2: LOAD CHINOOK DATASET');
         await executeSQLFile(
             path.join(CONFIG.dataDir, CONFIG.files.chinook),
             'Chinook Database (artists, albums, tracks, invoices)'
         );
 
         // Phase 3: Load Happiness Dataset
-        logSection('PHASE 3: LOAD HAPPINESS DATASET');
+        logger.section('PHASE 3: LOAD HAPPINESS DATASET');
         await executeSQLFile(
             path.join(CONFIG.dataDir, CONFIG.files.happiness),
             'World Happiness Index (156 countries)'
         );
 
         // Phase 4: Apply Optimizations
-        logSection('PHASE 4: APPLY OPTIMIZATIONS');
+        logger.section('PHASE 4: APPLY OPTIMIZATIONS');
 
         // Load indexes
         try {
@@ -272,7 +228,7 @@ async function runETL() {
                 'Strategic Indexes'
             );
         } catch (e) {
-            logWarn('Some optimization queries are for demo only (EXPLAIN ANALYZE)');
+            logger.warn('Some optimization queries are for demo only (EXPLAIN ANALYZE)');
         }
 
         // Load stored procedures
@@ -288,15 +244,13 @@ async function runETL() {
         );
 
         // Phase 5: Verify Data
-        logSection('PHASE 5: VERIFY DATA');
+        logger.section('PHASE 5: VERIFY DATA');
         const counts = await getRecordCounts();
 
-        console.log('\n📊 Record Counts:');
-        console.log('-'.repeat(35));
+        logger.info('📊 Record Counts:', { counts });
         for (const [table, count] of Object.entries(counts)) {
-            console.log(`  ${table.padEnd(20)} ${String(count).padStart(10)}`);
+            logger.info(`  ${table.padEnd(20)} ${String(count).padStart(10)}`);
         }
-        console.log('-'.repeat(35));
 
         // Phase 6: Run Benchmarks
         await runBenchmarks();
@@ -304,21 +258,24 @@ async function runETL() {
         // Summary
         const totalDuration = ((Date.now() - startTime) / 1000).toFixed(2);
 
-        logSection('✅ ETL COMPLETE');
-        console.log(`\n⏱️  Total execution time: ${totalDuration}s`);
-        console.log('\nNext steps:');
-        console.log('  1. Run queries against materialized views');
-        console.log('  2. Test stored procedures');
-        console.log('  3. Compare query performance before/after indexes');
+        logger.section('✅ ETL COMPLETE');
+        logger.info(`⏱️  Total execution time: ${totalDuration}s`);
+        logger.info('Next steps:');
+        logger.info('  1. Run queries against materialized views');
+        logger.info('  2. Test stored procedures');
+        logger.info('  3. Compare query performance before/after indexes');
 
     } catch (error) {
-        logError(`ETL Pipeline failed: ${error.message}`);
-        console.error(error);
+        logger.error('ETL Pipeline failed', error);
         throw error;
     } finally {
         await closeConnection();
     }
 }
 
-// Run the pipeline
-runETL().catch(console.error);
+// Run the pipeline; everything it logs carries the run id
+logger.runWithContext({ runId: crypto.randomUUID(), mode: 'task7' }, runETL)
+    .catch(() => {
+        process.exitCode = 1;
+    })
+    .finally(() => logger.close());
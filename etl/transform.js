@@ -5,134 +5,330 @@
 
 import { logger } from './utils/logger.js';
 import {
-    isValidEmail,
     normalizeEmail,
-    isValidYear,
-    parseYear,
-    standardizeDepartment,
     isValidGrade,
     parseDate,
     cleanString,
-    isValidDateOfBirth,
-    isValidPhoneNumber,
-    normalizePhoneNumber,
     parseName
 } from './utils/validators.js';
+import { STUDENT_SCHEMA, findRawValue, isBlank, validateStudentRecord } from './utils/studentSchema.js';
+import { normalizeDepartmentKey } from './utils/departments.js';
+
+// Column sizes and limits from sql/schema.sql
+const DEPARTMENT_NAME_MAX = 100;
+const DEPARTMENT_HEAD_MAX = 100;
+const COURSE_ID_MAX = 10;
+const COURSE_NAME_MAX = 150;
+const MIN_CREDITS = 1;
+const MAX_CREDITS = 4;
 
 /**
- * Transform students data
- * - Remove duplicates (by email)
- * - Validate email format
- * - Normalize email case
- * - Validate year (1-4)
- * - Validate DOB (16+ years old)
- * - Validate phone number
- * - Standardize department names
+ * Per-call progress messages: info for whole-file transforms, debug when
+ * called once per streamed batch (the pipeline logs progress instead)
+ */
+function progressLogger(quiet) {
+    return {
+        info: message => (quiet ? logger.debug(message) : logger.info(message)),
+        success: message => (quiet ? logger.debug(message) : logger.success(message))
+    };
+}
+
+/**
+ * Log and count a rejected row and hand it to the caller's onReject callback (quarantine)
+ * @param {Function} [onReject] - Receives { index, row, rule, message }
+ */
+function rejectRow(onReject, index, row, rule, message) {
+    logger.child({ rowIndex: index, rule }).warn(message, { row });
+    logger.stats.skipped++;
+    if (onReject) onReject({ index, row, rule, message });
+}
+
+/**
+ * Trimmed text of a raw value (numbers from JSON or spreadsheets included),
+ * or null when empty
+ */
+function textOf(value) {
+    if (value === null || value === undefined) return null;
+    return cleanString(String(value)) || null;
+}
+
+// Duplicate keys of raw rows, as the transforms below compute them. The
+// pipeline uses them to look up keys claimed by earlier batches of a run.
+
+/**
+ * Normalized department name of a raw department row (null when missing)
  */
-export function transformStudents(students, departmentMap) {
-    logger.info('Transforming students data...');
+export function departmentKey(department) {
+    const name = textOf(department.department_name);
+    return name && normalizeDepartmentKey(name);
+}
+
+/**
+ * Course code of a raw course row (null when missing)
+ */
+export function courseKey(course) {
+    return textOf(course.course_id);
+}
+
+/**
+ * Normalized email of a raw student row (null when missing)
+ */
+export function studentKey(student) {
+    const email = findRawValue(student, STUDENT_SCHEMA.email);
+    return isBlank(email) ? null : normalizeEmail(String(email));
+}
+
+/**
+ * "studentId-courseCode" of a raw enrollment row (null for an unknown student)
+ * @param {Object} studentMap - Normalized email -> student_id
+ */
+export function enrollmentKey(enrollment, studentMap) {
+    const studentId = studentMap[normalizeEmail(enrollment.student_email)];
+    return studentId ? `${studentId}-${cleanString(enrollment.course_code)}` : null;
+}
+
+/**
+ * Transform departments data (departments.csv)
+ * - Validate name (required, max 100 chars) and head (max 100 chars)
+ * - Remove duplicates (by normalized name)
+ * - Reject names that are an alias of another department ("CS"), which
+ *   would otherwise create a second Computer Science
+ *
+ * dept_id is not loaded: departments are matched by name, and department_id
+ * stays a database-assigned key.
+ *
+ * @param {Array} departments - Raw department rows
+ * @param {Object} departmentMap - Department resolver from getDepartmentMap()
+ * @param {Object} [options]
+ * @param {Function} [options.onReject] - Called with { index, row, rule, message } for each skipped row
+ * @param {number} [options.startIndex] - Index of departments[0] in the whole source
+ * @param {Set} [options.seenNames] - Keys (departmentKey) already taken; gains the accepted ones
+ * @param {boolean} [options.quiet] - Log per-call messages at debug level
+ */
+export function transformDepartments(departments, departmentMap, {
+    onReject,
+    startIndex = 0,
+    seenNames = new Set(),
+    quiet = false
+} = {}) {
+    const log = progressLogger(quiet);
+    log.info('Transforming departments data...');
 
     const transformed = [];
-    const seenEmails = new Set();
 
-    for (const student of students) {
-        const rowId = student.student_id || 'unknown';
+    departments.forEach((department, batchIndex) => {
+        const index = startIndex + batchIndex;
+        const rowId = department.dept_id || 'unknown';
 
-        // 1. Clean and normalize email (support both formats)
-        const emailRaw = student.email || student.student_email;
-        const email = normalizeEmail(emailRaw);
+        // 1. Validate name and head
+        let name = textOf(department.department_name);
+        const head = textOf(department.head_name);
 
-        // 2. Validate email
-        if (!email || !isValidEmail(email)) {
-            logger.warn(`Row ${rowId}: Invalid or missing email "${emailRaw}"`, student);
-            continue;
+        if (!name || name.length > DEPARTMENT_NAME_MAX) {
+            rejectRow(onReject, index, department, 'invalid_department_name',
+                `Row ${rowId}: Department name is required (max ${DEPARTMENT_NAME_MAX} characters)`);
+            return;
+        }
+        if (head && head.length > DEPARTMENT_HEAD_MAX) {
+            rejectRow(onReject, index, department, 'invalid_department_head',
+                `Row ${rowId}: Department head must be at most ${DEPARTMENT_HEAD_MAX} characters`);
+            return;
         }
 
+        // 2. A known name keeps its stored spelling; an alias is not a new department
+        const key = departmentKey(department);
+        const existing = departmentMap.resolveName(name);
+        if (existing && normalizeDepartmentKey(existing) !== key) {
+            rejectRow(onReject, index, department, 'department_is_alias',
+                `Row ${rowId}: "${name}" is an alias of department "${existing}"`);
+            return;
+        }
+        if (existing) name = existing;
+
         // 3. Check for duplicates
-        if (seenEmails.has(email)) {
-            logger.warn(`Row ${rowId}: Duplicate email "${email}"`, student);
-            continue;
+        if (seenNames.has(key)) {
+            rejectRow(onReject, index, department, 'duplicate_department',
+                `Row ${rowId}: Duplicate department "${name}"`);
+            return;
         }
-        seenEmails.add(email);
+        seenNames.add(key);
+
+        transformed.push({
+            department_name: name,
+            department_head: head
+        });
+    });
 
-        // 4. Parse and validate year (support both formats)
-        const yearRaw = student.year || student.student_year;
-        const year = parseYear(yearRaw);
-        if (!year || !isValidYear(year)) {
-            logger.warn(`Row ${rowId}: Invalid year "${yearRaw}"`, student);
-            continue;
+    logger.stats.transformed += transformed.length;
+    log.success(`Transformed ${transformed.length} valid departments (${departments.length - transformed.length} skipped)`);
+
+    return transformed;
+}
+
+/**
+ * Transform courses data (courses.csv)
+ * - Validate course code (required, max 10 chars) and name (required, max 150 chars)
+ * - Validate credits (whole number 1-4)
+ * - Map department name/alias to department_id
+ * - Remove duplicates (by course code)
+ *
+ * @param {Array} courses - Raw course rows
+ * @param {Object} departmentMap - Department resolver from getDepartmentMap()
+ * @param {Object} [options]
+ * @param {Function} [options.onReject] - Called with { index, row, rule, message } for each skipped row
+ * @param {number} [options.startIndex] - Index of courses[0] in the whole source
+ * @param {Set} [options.seenCourseIds] - Keys (courseKey) already taken; gains the accepted ones
+ * @param {boolean} [options.quiet] - Log per-call messages at debug level
+ */
+export function transformCourses(courses, departmentMap, {
+    onReject,
+    startIndex = 0,
+    seenCourseIds = new Set(),
+    quiet = false
+} = {}) {
+    const log = progressLogger(quiet);
+    log.info('Transforming courses data...');
+
+    const transformed = [];
+
+    courses.forEach((course, batchIndex) => {
+        const index = startIndex + batchIndex;
+        const courseId = courseKey(course);
+        const rowId = courseId || 'unknown';
+
+        // 1. Validate course code and name
+        if (!courseId || courseId.length > COURSE_ID_MAX) {
+            rejectRow(onReject, index, course, 'invalid_course_id',
+                `Row ${rowId}: Course code is required (max ${COURSE_ID_MAX} characters)`);
+            return;
         }
 
-        // 5. Parse and validate date of birth (support both formats)
-        const dobRaw = student.date_of_birth || student.dateOfBirth || student.student_date_of_birth;
-        const dob = parseDate(dobRaw);
-        if (!dob || !isValidDateOfBirth(dob)) {
-            logger.warn(`Row ${rowId}: Invalid DOB or student under 16 "${dobRaw}"`, student);
-            continue;
+        const courseName = textOf(course.course_name);
+        if (!courseName || courseName.length > COURSE_NAME_MAX) {
+            rejectRow(onReject, index, course, 'invalid_course_name',
+                `Row ${rowId}: Course name is required (max ${COURSE_NAME_MAX} characters)`);
+            return;
         }
 
-        // 6. Validate and normalize phone number (support both formats)
-        const phoneRaw = student.phone_number || student.phoneNumber || student.student_phone_number;
-        const phone = normalizePhoneNumber(phoneRaw);
-        if (!phone || !isValidPhoneNumber(phone)) {
-            logger.warn(`Row ${rowId}: Invalid phone number "${phoneRaw}"`, student);
-            continue;
+        // 2. Validate credits (schema CHECK: course_credits BETWEEN 1 AND 4)
+        const creditsText = textOf(course.credits);
+        const credits = /^\d+$/.test(creditsText || '') ? parseInt(creditsText, 10) : null;
+        if (credits === null || credits < MIN_CREDITS || credits > MAX_CREDITS) {
+            rejectRow(onReject, index, course, 'invalid_credits',
+                `Row ${rowId}: Credits must be a whole number from ${MIN_CREDITS} to ${MAX_CREDITS}, got "${course.credits ?? ''}"`);
+            return;
         }
 
-        // 7. Standardize department (support both formats)
-        const departmentRaw = student.department || student.department_name;
-        const department = standardizeDepartment(departmentRaw);
+        // 3. Resolve department name/alias
+        const department = departmentMap.resolve(course.department);
         if (!department) {
-            logger.warn(`Row ${rowId}: Unknown department "${departmentRaw}"`, student);
-            continue;
-        }
-
-        // 8. Look up department_id
-        const departmentId = departmentMap[department];
-        if (!departmentId) {
-            logger.warn(`Row ${rowId}: Department "${department}" not in database`, student);
-            continue;
-        }
-
-        // 9. Parse first and last name (support multiple formats)
-        let firstName, lastName;
-        if (student.first_name && student.last_name) {
-            // CSV format: first_name, last_name
-            firstName = cleanString(student.first_name);
-            lastName = cleanString(student.last_name);
-        } else if (student.firstName && student.lastName) {
-            // Apps Script format: firstName, lastName
-            firstName = cleanString(student.firstName);
-            lastName = cleanString(student.lastName);
-        } else if (student.name) {
-            // Full name format: split into first/last
+            const suggestion = departmentMap.suggest(course.department);
+            rejectRow(onReject, index, course, 'unknown_department',
+                `Row ${rowId}: Unknown department: "${course.department ?? ''}".` +
+                (suggestion ? ` Did you mean "${suggestion}"?` : ''));
+            return;
+        }
+
+        // 4. Check for duplicates
+        if (seenCourseIds.has(courseId)) {
+            rejectRow(onReject, index, course, 'duplicate_course',
+                `Row ${rowId}: Duplicate course "${courseId}"`);
+            return;
+        }
+        seenCourseIds.add(courseId);
+
+        transformed.push({
+            course_id: courseId,
+            course_name: courseName,
+            department_id: department.departmentId,
+            course_credits: credits
+        });
+    });
+
+    logger.stats.transformed += transformed.length;
+    log.success(`Transformed ${transformed.length} valid courses (${courses.length - transformed.length} skipped)`);
+
+    return transformed;
+}
+
+/**
+ * Transform students data
+ * - Remove duplicates (by email)
+ * - Split full "name" into first/last name when needed
+ * - Validate and normalize every field against STUDENT_SCHEMA
+ *   (email, name, year 1-4, DOB 16+, phone, department)
+ * - Map department name/alias to department_id
+ *
+ * When transforming a stream batch by batch, pass the batch's position as
+ * startIndex and, as seenEmails, the keys accepted by earlier batches.
+ *
+ * @param {Array} students - Raw student rows
+ * @param {Object} departmentMap - Department resolver from getDepartmentMap()
+ * @param {Object} [options]
+ * @param {Function} [options.onReject] - Called with { index, row, rule, message } for each skipped row
+ * @param {number} [options.startIndex] - Index of students[0] in the whole source
+ * @param {Set} [options.seenEmails] - Keys (studentKey) already taken; gains the accepted ones
+ * @param {boolean} [options.quiet] - Log per-call messages at debug level
+ */
+export function transformStudents(students, departmentMap, {
+    onReject,
+    startIndex = 0,
+    seenEmails = new Set(),
+    quiet = false
+} = {}) {
+    const log = progressLogger(quiet);
+    log.info('Transforming students data...');
+
+    const transformed = [];
+
+    students.forEach((student, batchIndex) => {
+        const index = startIndex + batchIndex;
+        const rowId = student.student_id || 'unknown';
+
+        // 1. Full name format: split into first/last
+        let record = student;
+        if (findRawValue(student, STUDENT_SCHEMA.firstName) === undefined && student.name) {
             const parsed = parseName(student.name);
-            firstName = parsed.firstName;
-            lastName = parsed.lastName;
-        } else {
-            logger.warn(`Row ${rowId}: Missing name`, student);
-            continue;
+            record = { ...student, firstName: parsed.firstName, lastName: parsed.lastName };
         }
 
-        if (!firstName) {
-            logger.warn(`Row ${rowId}: Missing first name`, student);
-            continue;
+        // 2. Validate every field against the shared schema
+        const { errors, invalidFields, values } = validateStudentRecord(record, {
+            resolveDepartment: text => departmentMap.resolveName(text),
+            suggestDepartment: text => departmentMap.suggest(text)
+        });
+
+        if (errors.length > 0) {
+            rejectRow(onReject, index, student, `schema:${invalidFields.join(',')}`,
+                `Row ${rowId}: ${errors.join('; ')}`);
+            return;
         }
 
+        // 3. Check for duplicates
+        if (seenEmails.has(values.email)) {
+            rejectRow(onReject, index, student, 'duplicate_email',
+                `Row ${rowId}: Duplicate email "${values.email}"`);
+            return;
+        }
+        seenEmails.add(values.email);
+
+        // 4. Look up department_id (the resolver only returns known departments)
+        const departmentId = departmentMap.getId(values.department);
+
         // All validations passed - add to transformed
         transformed.push({
-            student_first_name: firstName,
-            student_last_name: lastName || '',
-            student_email: email,
-            student_date_of_birth: dob,
-            student_year: year,
-            student_phone_number: phone,
+            student_first_name: values.firstName,
+            student_last_name: values.lastName,
+            student_email: values.email,
+            student_date_of_birth: values.dateOfBirth,
+            student_year: values.year,
+            student_phone_number: values.phoneNumber,
             department_id: departmentId
         });
-    }
+    });
 
     logger.stats.transformed += transformed.length;
-    logger.success(`Transformed ${transformed.length} valid students (${students.length - transformed.length} skipped)`);
+    log.success(`Transformed ${transformed.length} valid students (${students.length - transformed.length} skipped)`);
 
     return transformed;
 }
@@ -144,14 +340,26 @@ export function transformStudents(students, departmentMap) {
  * - Validate grade format (A, A-, B, B-, C, C-, D, F - note: B+ is NOT valid)
  * - Parse dates
  * - Remove duplicates (student + course)
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.onReject] - Called with { index, row, rule, message } for each skipped row
+ * @param {number} [options.startIndex] - Index of enrollments[0] in the whole source
+ * @param {Set} [options.seenCombos] - Keys (enrollmentKey) already taken; gains the accepted ones
+ * @param {boolean} [options.quiet] - Log per-call messages at debug level
  */
-export function transformEnrollments(enrollments, studentMap, courseSet) {
-    logger.info('Transforming enrollments data...');
+export function transformEnrollments(enrollments, studentMap, courseSet, {
+    onReject,
+    startIndex = 0,
+    seenCombos = new Set(),
+    quiet = false
+} = {}) {
+    const log = progressLogger(quiet);
+    log.info('Transforming enrollments data...');
 
     const transformed = [];
-    const seenCombos = new Set();
 
-    for (const enrollment of enrollments) {
+    enrollments.forEach((enrollment, batchIndex) => {
+        const index = startIndex + batchIndex;
         const rowId = enrollment.enrollment_id || 'unknown';
 
         // 1. Normalize email and look up student
@@ -159,37 +367,42 @@ export function transformEnrollments(enrollments, studentMap, courseSet) {
         const studentId = studentMap[email];
 
         if (!studentId) {
-            logger.warn(`Row ${rowId}: Student "${email}" not found`, enrollment);
-            continue;
+            rejectRow(onReject, index, enrollment, 'unknown_student',
+                `Row ${rowId}: Student "${email}" not found`);
+            return;
         }
 
         // 2. Validate course exists (VARCHAR course_code)
         const courseId = cleanString(enrollment.course_code);
         if (!courseId || !courseSet.has(courseId)) {
-            logger.warn(`Row ${rowId}: Course "${courseId}" not found`, enrollment);
-            continue;
+            rejectRow(onReject, index, enrollment, 'unknown_course',
+                `Row ${rowId}: Course "${courseId}" not found`);
+            return;
         }
 
         // 3. Check for duplicate enrollment
-        const combo = `${studentId}-${courseId}`;
+        const combo = enrollmentKey(enrollment, studentMap);
         if (seenCombos.has(combo)) {
-            logger.warn(`Row ${rowId}: Duplicate enrollment for student ${email} in course ${courseId}`, enrollment);
-            continue;
+            rejectRow(onReject, index, enrollment, 'duplicate_enrollment',
+                `Row ${rowId}: Duplicate enrollment for student ${email} in course ${courseId}`);
+            return;
         }
         seenCombos.add(combo);
 
         // 4. Validate grade (if provided) - must match schema constraint
         const grade = cleanString(enrollment.grade);
         if (grade && !isValidGrade(grade)) {
-            logger.warn(`Row ${rowId}: Invalid grade "${grade}"`, enrollment);
-            continue;
+            rejectRow(onReject, index, enrollment, 'invalid_grade',
+                `Row ${rowId}: Invalid grade "${grade}"`);
+            return;
         }
 
         // 5. Parse enrollment date (required field)
         const enrollmentDate = parseDate(enrollment.enrollment_date);
         if (!enrollmentDate) {
-            logger.warn(`Row ${rowId}: Invalid or missing enrollment date "${enrollment.enrollment_date}"`, enrollment);
-            continue;
+            rejectRow(onReject, index, enrollment, 'invalid_enrollment_date',
+                `Row ${rowId}: Invalid or missing enrollment date "${enrollment.enrollment_date}"`);
+            return;
         }
 
         // All validations passed
@@ -199,10 +412,10 @@ export function transformEnrollments(enrollments, studentMap, courseSet) {
             grade: grade ? grade.toUpperCase() : null,
             enrollment_date: enrollmentDate
         });
-    }
+    });
 
     logger.stats.transformed += transformed.length;
-    logger.success(`Transformed ${transformed.length} valid enrollments (${enrollments.length - transformed.length} skipped)`);
+    log.success(`Transformed ${transformed.length} valid enrollments (${enrollments.length - transformed.length} skipped)`);
 
     return transformed;
 }
@@ -0,0 +1,72 @@
+/**
+ * Bulk Copy Utility
+ * Streams rows into a table with COPY ... FROM STDIN (pg-copy-streams)
+ *
+ * Used by the loaders in etl/load.js, which COPY each batch into a
+ * temporary staging table and merge it into the real table with a single
+ * INSERT ... SELECT ... ON CONFLICT.
+ *
+ * Batch size comes from ETL_BATCH_SIZE (default: 1000 rows).
+ */
+
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { from as copyFrom } from 'pg-copy-streams';
+
+export const DEFAULT_BATCH_SIZE = 1000;
+
+/**
+ * Rows per COPY + merge round trip
+ * @param {string|number} [value] - Overrides ETL_BATCH_SIZE
+ */
+export function resolveBatchSize(value = process.env.ETL_BATCH_SIZE) {
+    const size = parseInt(value, 10);
+    return size > 0 ? size : DEFAULT_BATCH_SIZE;
+}
+
+/**
+ * Split rows into batches of at most `size`
+ */
+export function toBatches(rows, size) {
+    const batches = [];
+    for (let start = 0; start < rows.length; start += size) {
+        batches.push(rows.slice(start, start + size));
+    }
+    return batches;
+}
+
+/**
+ * Encode one value in COPY text format (NULL is \N; backslash, tab and
+ * line breaks are escaped)
+ */
+function formatCopyValue(value) {
+    if (value === null || value === undefined) return '\\N';
+
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/\t/g, '\\t')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r');
+}
+
+/**
+ * One COPY text line for a row
+ */
+export function toCopyLine(row, columns) {
+    return columns.map(column => formatCopyValue(row[column])).join('\t') + '\n';
+}
+
+/**
+ * COPY rows into a table
+ * @param {pg.PoolClient} client - Connection (the staging table is only visible to it)
+ * @param {string} table - Target table
+ * @param {Array<string>} columns - Columns to fill, read from each row by name
+ * @param {Array<Object>} rows
+ * @returns {Promise<number>} - Rows copied
+ */
+export async function copyRows(client, table, columns, rows) {
+    const stream = client.query(copyFrom(`COPY ${table} (${columns.join(', ')}) FROM STDIN`));
+    await pipeline(Readable.from(rows.map(row => toCopyLine(row, columns))), stream);
+    return rows.length;
+}
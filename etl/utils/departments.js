@@ -0,0 +1,141 @@
+/**
+ * Department Resolver
+ * Maps messy department text ("CS", "Comp. Sci.", "electrical") to a
+ * department, using the department and department_alias tables
+ *
+ * Unknown text is never guessed into a department; instead the closest
+ * name/alias (edit distance or shared words) is offered as a suggestion.
+ */
+
+// Minimum similarity (0-1) for a suggestion to be shown
+const SUGGESTION_THRESHOLD = 0.5;
+
+/**
+ * Normalize department text for lookups
+ * "Comp. Sci." -> "comp sci"
+ */
+export function normalizeDepartmentKey(text) {
+    if (text === null || text === undefined) return '';
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+export function editDistance(a, b) {
+    const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = prev[0];
+        prev[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const temp = prev[j];
+            prev[j] = a[i - 1] === b[j - 1]
+                ? diagonal
+                : 1 + Math.min(diagonal, prev[j], prev[j - 1]);
+            diagonal = temp;
+        }
+    }
+
+    return prev[b.length];
+}
+
+/**
+ * Similarity between two normalized keys (0 = unrelated, 1 = identical)
+ * Best of character similarity (edit distance) and word overlap (Jaccard)
+ */
+export function similarity(a, b) {
+    if (!a || !b) return 0;
+
+    const charScore = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+
+    const tokensA = new Set(a.split(' '));
+    const tokensB = new Set(b.split(' '));
+    const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+    const tokenScore = shared / new Set([...tokensA, ...tokensB]).size;
+
+    return Math.max(charScore, tokenScore);
+}
+
+/**
+ * Build a resolver from department and alias rows
+ *
+ * @param {Array<{department_id: number, department_name: string}>} departments
+ * @param {Array<{alias: string, department_id: number}>} aliases
+ */
+export function createDepartmentResolver(departments, aliases = []) {
+    const namesById = new Map();
+    const idsByName = new Map();
+    const idsByKey = new Map();
+
+    for (const row of departments) {
+        namesById.set(row.department_id, row.department_name);
+        idsByName.set(row.department_name, row.department_id);
+        idsByKey.set(normalizeDepartmentKey(row.department_name), row.department_id);
+    }
+
+    let aliasCount = 0;
+    for (const row of aliases) {
+        if (namesById.has(row.department_id)) {
+            idsByKey.set(normalizeDepartmentKey(row.alias), row.department_id);
+            aliasCount++;
+        }
+    }
+
+    return {
+        /**
+         * @returns {{ departmentId: number, departmentName: string } | null}
+         */
+        resolve(text) {
+            const departmentId = idsByKey.get(normalizeDepartmentKey(text));
+            if (!departmentId) return null;
+            return { departmentId, departmentName: namesById.get(departmentId) };
+        },
+
+        /**
+         * Canonical department name, or null if unknown
+         */
+        resolveName(text) {
+            return this.resolve(text)?.departmentName ?? null;
+        },
+
+        /**
+         * department_id for a canonical department name
+         */
+        getId(departmentName) {
+            return idsByName.get(departmentName);
+        },
+
+        /**
+         * Closest department name for unknown text, or null if nothing is close
+         */
+        suggest(text) {
+            const key = normalizeDepartmentKey(text);
+            let best = null;
+            let bestScore = 0;
+
+            for (const [candidate, departmentId] of idsByKey) {
+                const score = similarity(key, candidate);
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = departmentId;
+                }
+            }
+
+            return bestScore >= SUGGESTION_THRESHOLD ? namesById.get(best) : null;
+        },
+
+        size: namesById.size,
+        aliasCount
+    };
+}
+
+/**
+ * Load departments and aliases from the database into a resolver
+ * @param {pg.Pool|pg.Client} db - Anything with a query() method
+ */
+export async function loadDepartmentResolver(db) {
+    const departments = await db.query('SELECT department_id, department_name FROM department');
+    const aliases = await db.query('SELECT alias, department_id FROM department_alias');
+    return createDepartmentResolver(departments.rows, aliases.rows);
+}
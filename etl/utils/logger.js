@@ -1,8 +1,31 @@
 /**
  * Logger Utility
- * Tracks ETL pipeline execution with timestamps and categories
+ * Structured logging shared by the API, both ETL pipelines and the scripts
+ *
+ * Every entry is a record { time, level, msg, ...context, ...fields }.
+ * Context comes from child loggers (logger.child({ rowId })) and from
+ * logger.runWithContext({ runId | requestId }, fn), which tags everything
+ * logged inside fn - including from modules that import the singleton.
+ *
+ * Configuration (environment):
+ *   LOG_LEVEL           debug | info | warn | error          (default: info)
+ *   LOG_FORMAT          pretty | json  - stdout format        (default: json when NODE_ENV=production)
+ *   LOG_SINKS           comma list of stdout, file, db        (default: stdout)
+ *   LOG_FILE            file sink path, JSON lines            (default: logs/app.log)
+ *   LOG_FILE_MAX_BYTES  rotate when the file exceeds this     (default: 10 MB)
+ *   LOG_FILE_MAX_FILES  rotated files kept (app.log.1 ... .N) (default: 5)
+ *   LOG_DB_LEVEL        minimum level written to app_log      (default: warn)
+ *
+ * The ETL counters (stats) and summary() are kept on the root logger.
  */
 
+import { AsyncLocalStorage } from 'async_hooks';
+import fs from 'fs';
+import path from 'path';
+import pg from 'pg';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
 // ANSI color codes for terminal output
 const colors = {
     reset: '\x1b[0m',
@@ -13,13 +36,253 @@ const colors = {
     gray: '\x1b[90m'
 };
 
+const LABELS = {
+    debug: `${colors.gray}[DEBUG]${colors.reset}`,
+    info: `${colors.cyan}[INFO]${colors.reset}`,
+    success: `${colors.green}[SUCCESS]${colors.reset}`,
+    warn: `${colors.yellow}[WARN]${colors.reset}`,
+    error: `${colors.red}[ERROR]${colors.reset}`
+};
+
+// Entries kept in memory for getLogs() (bounded so the API does not grow forever)
+const MAX_IN_MEMORY_LOGS = 1000;
+
+/**
+ * Parse a level name, falling back to a default for unknown values
+ */
+function parseLevel(name, fallback) {
+    const level = String(name || '').toLowerCase();
+    return LEVELS[level] ? level : fallback;
+}
+
+/**
+ * Convert an Error into a JSON-friendly object
+ */
+export function serializeError(error) {
+    if (!(error instanceof Error)) return error;
+    return {
+        message: error.message,
+        name: error.name,
+        ...(error.code ? { code: error.code } : {}),
+        stack: error.stack
+    };
+}
+
+/**
+ * Pretty ETL summary box
+ */
+function printSummary(record) {
+    console.log('\n' + '='.repeat(50));
+    console.log(`${colors.cyan}${record.msg}${colors.reset}`);
+    console.log('='.repeat(50));
+    console.log(`  Extracted:   ${record.extracted} rows`);
+    console.log(`  Transformed: ${record.transformed} rows`);
+    console.log(`  Loaded:      ${record.loaded} rows (${record.inserted} inserted, ${record.updated} updated, ${record.unchanged} unchanged)`);
+    console.log(`  ${colors.yellow}Skipped:     ${record.skipped} rows${colors.reset}`);
+    console.log(`  ${colors.red}Errors:      ${record.errors}${colors.reset}`);
+    console.log('='.repeat(50) + '\n');
+}
+
+// =====================================================
+// Sinks: each receives the finished record
+// =====================================================
+
+/**
+ * Human-readable (pretty) or JSON-lines output on stdout
+ */
+export function createStdoutSink({ format = 'pretty' } = {}) {
+    return {
+        name: 'stdout',
+        write(record) {
+            if (format === 'json') {
+                process.stdout.write(JSON.stringify(record) + '\n');
+                return;
+            }
+
+            if (record.section) {
+                console.log('\n' + '='.repeat(50));
+                console.log(record.msg);
+                console.log('='.repeat(50) + '\n');
+                return;
+            }
+
+            if (record.summary) {
+                printSummary(record);
+                return;
+            }
+
+            const { time, level, msg, success, err, ...rest } = record;
+            const context = Object.entries(rest)
+                .filter(([, value]) => value !== undefined && typeof value !== 'object')
+                .map(([key, value]) => `${key}=${value}`)
+                .join(' ');
+
+            console.log(`${LABELS[success ? 'success' : level]} ${time} - ${msg}` +
+                (context ? ` ${colors.gray}${context}${colors.reset}` : ''));
+            if (err?.stack) console.error(err.stack);
+        }
+    };
+}
+
+/**
+ * JSON-lines file with size-based rotation (app.log -> app.log.1 -> ... -> app.log.N)
+ */
+export function createFileSink({
+    file = 'logs/app.log',
+    maxBytes = 10 * 1024 * 1024,
+    maxFiles = 5
+} = {}) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+    function rotate() {
+        for (let i = maxFiles - 1; i >= 1; i--) {
+            if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+        }
+        if (fs.existsSync(file)) fs.renameSync(file, `${file}.1`);
+        if (fs.existsSync(`${file}.${maxFiles + 1}`)) fs.unlinkSync(`${file}.${maxFiles + 1}`);
+        size = 0;
+    }
+
+    return {
+        name: 'file',
+        write(record) {
+            const line = JSON.stringify(record) + '\n';
+            if (size > 0 && size + line.length > maxBytes) rotate();
+            fs.appendFileSync(file, line);
+            size += line.length;
+        }
+    };
+}
+
+/**
+ * Buffered inserts into the app_log table
+ * Entries are flushed every second, every 50 entries, and on flush()
+ */
+export function createDbSink({
+    connectionString = process.env.DATABASE_URL,
+    minLevel = 'warn',
+    batchSize = 50,
+    intervalMs = 1000
+} = {}) {
+    const pool = new pg.Pool({
+        connectionString,
+        ssl: { rejectUnauthorized: false },
+        max: 1,
+        allowExitOnIdle: true
+    });
+
+    let buffer = [];
+    let pending = Promise.resolve();
+    let reportedFailure = false;
+
+    const timer = setInterval(() => flush(), intervalMs);
+    timer.unref();
+
+    function flush() {
+        if (buffer.length === 0) return pending;
+
+        const batch = buffer;
+        buffer = [];
+
+        const values = [];
+        const params = [];
+        for (const { time, level, msg, ...context } of batch) {
+            params.push(time, level, msg, JSON.stringify(context));
+            const n = params.length;
+            values.push(`($${n - 3}, $${n - 2}, $${n - 1}, $${n})`);
+        }
+
+        pending = pending
+            .then(() => pool.query(
+                `INSERT INTO app_log (logged_at, level, message, context) VALUES ${values.join(', ')}`,
+                params
+            ))
+            .catch(error => {
+                // Never log through the logger here - that would loop back into this sink
+                if (!reportedFailure) {
+                    reportedFailure = true;
+                    process.stderr.write(`Log DB sink failed: ${error.message}\n`);
+                }
+            });
+
+        return pending;
+    }
+
+    return {
+        name: 'db',
+        minLevel,
+        write(record) {
+            buffer.push(record);
+            if (buffer.length >= batchSize) flush();
+        },
+        flush,
+        async close() {
+            clearInterval(timer);
+            await flush();
+            await pool.end();
+        }
+    };
+}
+
+/**
+ * Build the sinks listed in LOG_SINKS
+ */
+function createSinksFromEnv(env = process.env) {
+    const names = (env.LOG_SINKS || 'stdout').split(',').map(name => name.trim()).filter(Boolean);
+    const format = env.LOG_FORMAT || (env.NODE_ENV === 'production' ? 'json' : 'pretty');
+
+    return names.map(name => {
+        switch (name) {
+            case 'stdout':
+                return createStdoutSink({ format });
+            case 'file':
+                return createFileSink({
+                    file: env.LOG_FILE || path.join(process.cwd(), 'logs', 'app.log'),
+                    maxBytes: parseInt(env.LOG_FILE_MAX_BYTES, 10) || undefined,
+                    maxFiles: parseInt(env.LOG_FILE_MAX_FILES, 10) || undefined
+                });
+            case 'db':
+                return createDbSink({ minLevel: parseLevel(env.LOG_DB_LEVEL, 'warn') });
+            default:
+                throw new Error(`Unknown log sink "${name}" in LOG_SINKS (use stdout, file, db)`);
+        }
+    });
+}
+
+// =====================================================
+// Logger
+// =====================================================
+
 class Logger {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Logger} [options.parent] - Share level, sinks and stats with this logger
+     * @param {Object} [options.bindings] - Context fields added to every entry
+     */
+    constructor({ parent = null, bindings = {} } = {}) {
+        this.root = parent ? parent.root : this;
+        this.bindings = { ...(parent?.bindings || {}), ...bindings };
+
+        if (parent) {
+            // Children share the root's history and ETL counters
+            this.logs = parent.root.logs;
+            this.stats = parent.root.stats;
+            return;
+        }
+
+        this.level = parseLevel(process.env.LOG_LEVEL, 'info');
+        this.sinks = null;    // created on first write
+        this.context = new AsyncLocalStorage();
         this.logs = [];
         this.stats = {
             extracted: 0,
             transformed: 0,
             loaded: 0,
+            inserted: 0,
+            updated: 0,
+            unchanged: 0,   // rows identical to the stored record
+            failed: 0,      // rows in batches that failed to load
             skipped: 0,
             errors: []
         };
@@ -29,44 +292,130 @@ class Logger {
         return new Date().toISOString();
     }
 
-    info(message) {
-        const log = `${colors.cyan}[INFO]${colors.reset} ${this.timestamp()} - ${message}`;
-        console.log(log);
-        this.logs.push({ level: 'INFO', message, time: this.timestamp() });
+    /**
+     * Logger that adds the given fields to every entry
+     */
+    child(bindings) {
+        return new Logger({ parent: this, bindings });
+    }
+
+    /**
+     * Run fn with context fields attached to everything it logs
+     * (including async work it starts and modules using the singleton)
+     */
+    runWithContext(fields, fn) {
+        const current = this.root.context.getStore() || {};
+        return this.root.context.run({ ...current, ...fields }, fn);
+    }
+
+    /**
+     * Replace the sinks (defaults to LOG_SINKS) - mainly for scripts and tests
+     */
+    setSinks(sinks) {
+        this.root.sinks = sinks;
     }
 
-    success(message) {
-        const log = `${colors.green}[SUCCESS]${colors.reset} ${this.timestamp()} - ${message}`;
-        console.log(log);
-        this.logs.push({ level: 'SUCCESS', message, time: this.timestamp() });
+    setLevel(level) {
+        this.root.level = parseLevel(level, this.root.level);
     }
 
-    warn(message, row = null) {
-        const log = `${colors.yellow}[WARN]${colors.reset} ${this.timestamp()} - ${message}`;
-        console.log(log);
-        this.logs.push({ level: 'WARN', message, row, time: this.timestamp() });
-        this.stats.skipped++;
+    isLevelEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.root.level];
     }
 
-    error(message, error = null) {
-        const log = `${colors.red}[ERROR]${colors.reset} ${this.timestamp()} - ${message}`;
-        console.log(log);
-        if (error) console.error(error);
-        this.logs.push({ level: 'ERROR', message, time: this.timestamp() });
+    write(level, message, fields = {}, extra = {}) {
+        if (!this.isLevelEnabled(level)) return;
+
+        const root = this.root;
+        if (!root.sinks) root.sinks = createSinksFromEnv();
+
+        const record = {
+            time: this.timestamp(),
+            level,
+            msg: message,
+            ...extra,
+            ...(root.context.getStore() || {}),
+            ...this.bindings,
+            ...fields
+        };
+
+        for (const sink of root.sinks) {
+            if (sink.minLevel && LEVELS[level] < LEVELS[sink.minLevel]) continue;
+            try {
+                sink.write(record);
+            } catch (error) {
+                process.stderr.write(`Log sink "${sink.name}" failed: ${error.message}\n`);
+            }
+        }
+
+        root.logs.push(record);
+        if (root.logs.length > MAX_IN_MEMORY_LOGS) root.logs.shift();
+    }
+
+    debug(message, fields) {
+        this.write('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.write('info', message, fields);
+    }
+
+    success(message, fields) {
+        this.write('info', message, fields, { success: true });
+    }
+
+    warn(message, fields) {
+        this.write('warn', message, fields);
+    }
+
+    error(message, error = null, fields = {}) {
+        if (error instanceof Error) {
+            this.write('error', message, { ...fields, err: serializeError(error) });
+        } else {
+            this.write('error', message, { ...fields, ...(error || {}) });
+        }
         this.stats.errors.push({ message, error: error?.message });
     }
 
-    // Print final summary
-    summary() {
-        console.log('\n' + '='.repeat(50));
-        console.log(`${colors.cyan}ETL Pipeline Summary${colors.reset}`);
-        console.log('='.repeat(50));
-        console.log(`  Extracted:   ${this.stats.extracted} rows`);
-        console.log(`  Transformed: ${this.stats.transformed} rows`);
-        console.log(`  Loaded:      ${this.stats.loaded} rows`);
-        console.log(`  ${colors.yellow}Skipped:     ${this.stats.skipped} rows${colors.reset}`);
-        console.log(`  ${colors.red}Errors:      ${this.stats.errors.length}${colors.reset}`);
-        console.log('='.repeat(50) + '\n');
+    /**
+     * Section heading - a banner in pretty output, a plain entry in JSON
+     */
+    section(title) {
+        this.write('info', title, { section: true });
+    }
+
+    // Log the final ETL summary (a box in pretty output)
+    summary(title = 'ETL Pipeline Summary') {
+        this.write('info', title, {
+            summary: true,
+            extracted: this.stats.extracted,
+            transformed: this.stats.transformed,
+            loaded: this.stats.loaded,
+            inserted: this.stats.inserted,
+            updated: this.stats.updated,
+            unchanged: this.stats.unchanged,
+            skipped: this.stats.skipped,
+            errors: this.stats.errors.length
+        });
+    }
+
+    /**
+     * Wait for buffered sinks (db) to finish writing
+     */
+    async flush() {
+        for (const sink of this.root.sinks || []) {
+            if (sink.flush) await sink.flush();
+        }
+    }
+
+    /**
+     * Flush and release sink resources (db pool) - call before exiting
+     */
+    async close() {
+        for (const sink of this.root.sinks || []) {
+            if (sink.close) await sink.close();
+        }
+        this.root.sinks = null;
     }
 
     // Get logs for saving to file
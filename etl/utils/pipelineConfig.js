@@ -0,0 +1,278 @@
+/**
+ * Pipeline Config
+ * Where the standard ETL reads its sources and how to read them
+ *
+ * A config file (JSON or YAML) names, per source, the files (paths or
+ * globs in the file name, relative to the config file), the CSV dialect
+ * and an explicit column -> field mapping, so a differently shaped export
+ * can be loaded without code changes:
+ *
+ *   batchSize: 5000
+ *   sources:
+ *     students:
+ *       files: exports/2025-fall/students_*.csv
+ *       delimiter: ";"
+ *       encoding: latin1
+ *       headerRow: 3            # 1-based line holding the column names
+ *       sheet: Fall 2025        # .xlsx/.xls/.ods: sheet name or 1-based position
+ *       headerRows: 2           # spreadsheets: header spread over rows 3-4
+ *       columns:                # source column -> field (see SOURCE_FIELDS)
+ *         E-mail Address: email
+ *         Given Name: firstName
+ *
+ * Sources without `columns` use their column names as-is (the transform
+ * accepts the usual aliases). See etl/pipeline.example.yaml.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { STUDENT_SCHEMA } from './studentSchema.js';
+
+/**
+ * Fields a column can be mapped to, per source
+ */
+export const SOURCE_FIELDS = {
+    students: ['student_id', 'name', ...Object.keys(STUDENT_SCHEMA)],
+    enrollments: ['enrollment_id', 'student_email', 'course_code', 'grade', 'enrollment_date'],
+    departments: ['dept_id', 'department_name', 'head_name'],
+    courses: ['course_id', 'course_name', 'department', 'credits']
+};
+
+const SOURCE_DEFAULTS = {
+    delimiter: ',',
+    encoding: 'utf8',
+    headerRow: 1,
+    headerRows: 1,
+    sheet: null,
+    columns: null
+};
+
+// The files shipped in data/ - used when no config file is given
+export const DEFAULT_PIPELINE_CONFIG = {
+    sources: {
+        students: { files: 'data/messy_students.csv' },
+        enrollments: { files: 'data/messy_enrollments.csv' },
+        departments: { files: 'data/departments.csv' },
+        courses: { files: 'data/courses.csv' }
+    }
+};
+
+/**
+ * Validate one source and fill in defaults
+ * @param {string} name - Source name (key of SOURCE_FIELDS)
+ * @param {Object} source - Raw source config
+ * @param {string} baseDir - Relative file paths are resolved against this
+ */
+function normalizeSource(name, source, baseDir) {
+    const errors = [];
+    const files = [].concat(source.files ?? []);
+
+    if (files.length === 0 || files.some(file => typeof file !== 'string' || !file.trim())) {
+        errors.push(`sources.${name}.files must be a path or a list of paths`);
+    }
+
+    const options = { ...SOURCE_DEFAULTS, ...source };
+
+    if (typeof options.delimiter !== 'string' || options.delimiter.length === 0) {
+        errors.push(`sources.${name}.delimiter must be a non-empty string`);
+    }
+    if (!Buffer.isEncoding(options.encoding)) {
+        errors.push(`sources.${name}.encoding "${options.encoding}" is not supported (use utf8, latin1, utf16le, ...)`);
+    }
+    if (!Number.isInteger(options.headerRow) || options.headerRow < 1) {
+        errors.push(`sources.${name}.headerRow must be a positive integer`);
+    }
+    if (!Number.isInteger(options.headerRows) || options.headerRows < 1) {
+        errors.push(`sources.${name}.headerRows must be a positive integer`);
+    }
+    if (options.sheet !== null &&
+        !(typeof options.sheet === 'string' || (Number.isInteger(options.sheet) && options.sheet > 0))) {
+        errors.push(`sources.${name}.sheet must be a sheet name or a 1-based sheet number`);
+    }
+
+    if (options.columns !== null) {
+        if (typeof options.columns !== 'object' || Array.isArray(options.columns)) {
+            errors.push(`sources.${name}.columns must map source column names to fields`);
+        } else {
+            for (const [column, field] of Object.entries(options.columns)) {
+                if (!SOURCE_FIELDS[name].includes(field)) {
+                    errors.push(`sources.${name}.columns: "${column}" maps to unknown field "${field}" ` +
+                        `(expected one of: ${SOURCE_FIELDS[name].join(', ')})`);
+                }
+            }
+        }
+    }
+
+    return {
+        errors,
+        source: {
+            name,
+            files: files.map(file => path.resolve(baseDir, file)),
+            delimiter: options.delimiter,
+            encoding: options.encoding,
+            headerRow: options.headerRow,
+            headerRows: options.headerRows,
+            sheet: options.sheet,
+            columns: options.columns
+        }
+    };
+}
+
+/**
+ * Validate a parsed config and fill in defaults
+ * @param {Object} config - Parsed config file contents
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {{ batchSize: number|null, sources: Object }}
+ */
+export function normalizePipelineConfig(config, baseDir = process.cwd()) {
+    const errors = [];
+
+    if (!config || typeof config !== 'object' || !config.sources || typeof config.sources !== 'object') {
+        throw new Error('Pipeline config must have a "sources" object');
+    }
+
+    const sources = {};
+    for (const [name, source] of Object.entries(config.sources)) {
+        if (!SOURCE_FIELDS[name]) {
+            errors.push(`Unknown source "${name}" (expected: ${Object.keys(SOURCE_FIELDS).join(', ')})`);
+            continue;
+        }
+        const result = normalizeSource(name, source || {}, baseDir);
+        errors.push(...result.errors);
+        sources[name] = result.source;
+    }
+
+    const batchSize = config.batchSize ?? null;
+    if (batchSize !== null && !(Number.isInteger(batchSize) && batchSize > 0)) {
+        errors.push('batchSize must be a positive integer');
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid pipeline config:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return { batchSize, sources };
+}
+
+/**
+ * Read a JSON or YAML config file (by extension)
+ * @param {string} [filePath] - Omit for DEFAULT_PIPELINE_CONFIG
+ */
+export function loadPipelineConfig(filePath = null) {
+    if (!filePath) {
+        return normalizePipelineConfig(DEFAULT_PIPELINE_CONFIG);
+    }
+
+    const absolutePath = path.resolve(filePath);
+    if (!fs.existsSync(absolutePath)) {
+        throw new Error(`Pipeline config not found: ${absolutePath}`);
+    }
+
+    const content = fs.readFileSync(absolutePath, 'utf8');
+    const ext = path.extname(absolutePath).toLowerCase();
+
+    let config;
+    try {
+        config = ext === '.yaml' || ext === '.yml' ? YAML.parse(content) : JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Could not parse ${path.basename(absolutePath)}: ${error.message}`);
+    }
+
+    return normalizePipelineConfig(config, path.dirname(absolutePath));
+}
+
+/**
+ * Turn a file-name glob (* and ?) into a RegExp
+ */
+function globToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+/**
+ * Files of a source, with globs expanded (sorted by name)
+ * Wildcards are supported in the file name, not in directory names.
+ * @param {Object} source - Normalized source
+ * @returns {Array<string>} - Absolute paths
+ */
+export function resolveSourceFiles(source) {
+    const files = [];
+
+    for (const pattern of source.files) {
+        const fileName = path.basename(pattern);
+
+        if (!/[*?]/.test(fileName)) {
+            files.push(pattern);
+            continue;
+        }
+
+        const dir = path.dirname(pattern);
+        if (/[*?]/.test(dir)) {
+            throw new Error(`Wildcards are only supported in file names: ${pattern}`);
+        }
+
+        const matcher = globToRegExp(fileName);
+        const matches = fs.existsSync(dir)
+            ? fs.readdirSync(dir).filter(name => matcher.test(name)).sort()
+            : [];
+
+        if (matches.length === 0) {
+            throw new Error(`No files match ${pattern}`);
+        }
+        files.push(...matches.map(name => path.join(dir, name)));
+    }
+
+    return files;
+}
+
+/**
+ * Build the row mapper of a source: renames mapped columns to their
+ * fields and drops the rest (identity when the source has no mapping)
+ * The first row is checked for every mapped column, so a renamed export
+ * fails fast instead of rejecting every row.
+ * @param {Object} source - Normalized source
+ * @param {string} fileName - For the error message
+ */
+export function createColumnMapper(source, fileName) {
+    if (!source.columns) return row => row;
+
+    const entries = Object.entries(source.columns);
+    let checked = false;
+
+    return row => {
+        if (!checked) {
+            const missing = entries.filter(([column]) => !(column in row)).map(([column]) => `"${column}"`);
+            if (missing.length > 0) {
+                throw new Error(`${fileName}: mapped column(s) ${missing.join(', ')} not found ` +
+                    `(columns: ${Object.keys(row).join(', ')})`);
+            }
+            checked = true;
+        }
+
+        const mapped = {};
+        for (const [column, field] of entries) {
+            mapped[field] = row[column];
+        }
+        return mapped;
+    };
+}
+
+/**
+ * Point a source at other files (--students / --enrollments), keeping its
+ * format and mapping
+ * @param {Object} config - Normalized pipeline config
+ * @param {string} name - Source name
+ * @param {string|Array<string>} files - Paths or globs, relative to baseDir
+ */
+export function withSourceFiles(config, name, files, baseDir = process.cwd()) {
+    const current = config.sources[name] || { name, ...SOURCE_DEFAULTS };
+
+    return {
+        ...config,
+        sources: {
+            ...config.sources,
+            [name]: { ...current, files: [].concat(files).map(file => path.resolve(baseDir, file)) }
+        }
+    };
+}
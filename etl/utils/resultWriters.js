@@ -0,0 +1,270 @@
+/**
+ * Registration Result Writers
+ * Push the per-row outcome of a pending-registrations run back to the sheet,
+ * so rows loaded by the ETL get the same Status / Error as edit-triggered ones
+ *
+ * A result is { row, email, status, studentId, message }:
+ *   status   Registered | Invalid | Error  (the values markRow() uses in Code.gs)
+ *   message  "Student ID: 42" when registered, otherwise the reasons
+ *   row      sheet row from the export, when it has one (rows are matched by email first)
+ *
+ * Writers are { name, write(report) } objects, picked with:
+ *   ETL_RESULT_WRITERS  comma list of json, sheets (default: json; empty: none)
+ *
+ *   json    data/registration-results.json (ETL_RESULTS_FILE), imported in the
+ *           sheet with the "📥 ETL Results" → "Import Registration Results" menu
+ *   sheets  writes the Status / Error cells directly with the Sheets API:
+ *             GOOGLE_SHEETS_SPREADSHEET_ID    spreadsheet to update
+ *             GOOGLE_SHEETS_SHEET_NAME        sheet (default: Pending Registration)
+ *             GOOGLE_APPLICATION_CREDENTIALS  service account key file (the sheet must be
+ *                                             shared with its client_email), or
+ *             GOOGLE_SHEETS_ACCESS_TOKEN      an OAuth access token
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { STUDENT_SCHEMA } from './studentSchema.js';
+import { normalizeEmail } from './validators.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const REGISTRATION_RESULTS_PATH = path.join(__dirname, '../../data/registration-results.json');
+
+export const SHEETS_API_URL = 'https://sheets.googleapis.com/v4/spreadsheets';
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const SHEETS_SCOPE = 'https://www.googleapis.com/auth/spreadsheets';
+
+// Status cell colors, as set by markRow() in apps-script/Code.gs
+const STATUS_COLORS = {
+    Registered: '#d4edda',
+    Invalid: '#f8d7da',
+    Error: '#f8d7da'
+};
+
+/**
+ * Write results to a JSON file for the Apps Script import menu
+ * @param {Object} [options]
+ * @param {string} [options.file] - Output path (default: data/registration-results.json)
+ */
+export function createJsonResultWriter({ file = REGISTRATION_RESULTS_PATH } = {}) {
+    return {
+        name: 'json',
+        async write({ runId, generatedAt, results }) {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, JSON.stringify({
+                description: 'Registration results from the ETL - import with "📥 ETL Results" → "Import Registration Results"',
+                runId,
+                generatedAt,
+                count: results.length,
+                results
+            }, null, 4));
+
+            return { written: results.length, unmatched: [], target: file };
+        }
+    };
+}
+
+/**
+ * Access tokens for a Google service account (JWT bearer grant), cached until
+ * shortly before they expire
+ * @param {string} keyFile - Service account JSON key
+ * @param {Object} [options]
+ * @param {Function} [options.fetch] - HTTP client with the fetch() API
+ * @returns {Function} - async () => access token
+ */
+export function createServiceAccountTokenProvider(keyFile, { fetch = globalThis.fetch } = {}) {
+    const key = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+    let cached = null;
+
+    return async () => {
+        if (cached && cached.expiresAt > Date.now() + 60 * 1000) return cached.token;
+
+        const now = Math.floor(Date.now() / 1000);
+        const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+        const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({
+            iss: key.client_email,
+            scope: SHEETS_SCOPE,
+            aud: TOKEN_URL,
+            iat: now,
+            exp: now + 3600
+        })}`;
+        const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(key.private_key, 'base64url');
+
+        const response = await fetch(TOKEN_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+                assertion: `${unsigned}.${signature}`
+            })
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`Google token request failed (${response.status}): ${body.error_description || body.error || response.statusText}`);
+        }
+
+        cached = { token: body.access_token, expiresAt: Date.now() + body.expires_in * 1000 };
+        return cached.token;
+    };
+}
+
+/**
+ * "#d4edda" -> Sheets API color ({ red, green, blue } from 0 to 1)
+ */
+function toSheetsColor(hex) {
+    const [red, green, blue] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+    return { red, green, blue };
+}
+
+/**
+ * Write results into the Status / Error columns of a sheet (Sheets API v4)
+ * Rows are found by the email column (any STUDENT_SCHEMA email alias in the
+ * header row), falling back to the result's row number.
+ *
+ * @param {Object} options
+ * @param {string} options.spreadsheetId
+ * @param {string} [options.sheetName]
+ * @param {Function} options.getAccessToken - async () => OAuth access token
+ * @param {string} [options.statusColumn] - Header of the status column (default: Status)
+ * @param {string} [options.errorColumn] - Header of the message column (default: Error)
+ * @param {Function} [options.fetch] - HTTP client with the fetch() API
+ */
+export function createSheetsResultWriter({
+    spreadsheetId,
+    sheetName = 'Pending Registration',
+    getAccessToken,
+    statusColumn = 'Status',
+    errorColumn = 'Error',
+    fetch = globalThis.fetch
+}) {
+    if (!spreadsheetId) throw new Error('The sheets result writer needs GOOGLE_SHEETS_SPREADSHEET_ID');
+    if (!getAccessToken) {
+        throw new Error('The sheets result writer needs GOOGLE_APPLICATION_CREDENTIALS or GOOGLE_SHEETS_ACCESS_TOKEN');
+    }
+
+    async function request(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                'Authorization': `Bearer ${await getAccessToken()}`,
+                'Content-Type': 'application/json'
+            }
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`Sheets API ${response.status}: ${body.error?.message || response.statusText}`);
+        }
+        return body;
+    }
+
+    return {
+        name: 'sheets',
+        async write({ results }) {
+            const spreadsheetUrl = `${SHEETS_API_URL}/${encodeURIComponent(spreadsheetId)}`;
+
+            const metadata = await request(`${spreadsheetUrl}?fields=sheets.properties`);
+            const sheet = metadata.sheets.find(({ properties }) => properties.title === sheetName);
+            if (!sheet) throw new Error(`Sheet "${sheetName}" not found in spreadsheet ${spreadsheetId}`);
+
+            const { values = [] } = await request(`${spreadsheetUrl}/values/${encodeURIComponent(`'${sheetName}'`)}`);
+            const headers = values[0] || [];
+            const statusIndex = headers.indexOf(statusColumn);
+            const errorIndex = headers.indexOf(errorColumn);
+            const emailIndex = headers.findIndex(header => STUDENT_SCHEMA.email.aliases.includes(header));
+
+            if (statusIndex === -1 && errorIndex === -1) {
+                throw new Error(`Sheet "${sheetName}" has no "${statusColumn}" or "${errorColumn}" column`);
+            }
+
+            // Email -> 0-based row index (header row excluded)
+            const rowsByEmail = new Map();
+            if (emailIndex !== -1) {
+                values.slice(1).forEach((row, i) => {
+                    const email = normalizeEmail(String(row[emailIndex] ?? ''));
+                    if (email) rowsByEmail.set(email, i + 1);
+                });
+            }
+
+            const cell = (rowIndex, columnIndex, value, fields, format) => ({
+                updateCells: {
+                    range: {
+                        sheetId: sheet.properties.sheetId,
+                        startRowIndex: rowIndex,
+                        endRowIndex: rowIndex + 1,
+                        startColumnIndex: columnIndex,
+                        endColumnIndex: columnIndex + 1
+                    },
+                    rows: [{ values: [{ userEnteredValue: { stringValue: value }, userEnteredFormat: format }] }],
+                    fields
+                }
+            });
+
+            const requests = [];
+            const unmatched = [];
+
+            for (const result of results) {
+                const rowIndex = rowsByEmail.get(result.email) ?? (result.row > 1 ? result.row - 1 : null);
+                if (rowIndex === null) {
+                    unmatched.push(result);
+                    continue;
+                }
+
+                if (statusIndex !== -1) {
+                    const color = STATUS_COLORS[result.status];
+                    requests.push(cell(rowIndex, statusIndex, result.status,
+                        'userEnteredValue,userEnteredFormat.backgroundColor',
+                        { backgroundColor: color ? toSheetsColor(color) : null }));
+                }
+                if (errorIndex !== -1) {
+                    requests.push(cell(rowIndex, errorIndex, result.message || '', 'userEnteredValue'));
+                }
+            }
+
+            if (requests.length > 0) {
+                await request(`${spreadsheetUrl}:batchUpdate`, {
+                    method: 'POST',
+                    body: JSON.stringify({ requests })
+                });
+            }
+
+            return { written: results.length - unmatched.length, unmatched, target: `sheet "${sheetName}"` };
+        }
+    };
+}
+
+/**
+ * Sheets API access tokens from GOOGLE_APPLICATION_CREDENTIALS (service
+ * account) or GOOGLE_SHEETS_ACCESS_TOKEN
+ * @returns {Function|null} - async () => access token, or null when neither is set
+ */
+export function accessTokenProviderFromEnv(env = process.env) {
+    if (env.GOOGLE_APPLICATION_CREDENTIALS) {
+        return createServiceAccountTokenProvider(env.GOOGLE_APPLICATION_CREDENTIALS);
+    }
+    const token = env.GOOGLE_SHEETS_ACCESS_TOKEN;
+    return token ? async () => token : null;
+}
+
+/**
+ * Build the writers listed in ETL_RESULT_WRITERS
+ */
+export function createResultWritersFromEnv(env = process.env) {
+    const names = (env.ETL_RESULT_WRITERS ?? 'json').split(',').map(name => name.trim()).filter(Boolean);
+
+    return names.map(name => {
+        switch (name) {
+            case 'json':
+                return createJsonResultWriter({ file: env.ETL_RESULTS_FILE || undefined });
+            case 'sheets':
+                return createSheetsResultWriter({
+                    spreadsheetId: env.GOOGLE_SHEETS_SPREADSHEET_ID,
+                    sheetName: env.GOOGLE_SHEETS_SHEET_NAME || undefined,
+                    getAccessToken: accessTokenProviderFromEnv(env)
+                });
+            default:
+                throw new Error(`Unknown result writer "${name}" in ETL_RESULT_WRITERS (use json, sheets)`);
+        }
+    });
+}
@@ -0,0 +1,185 @@
+/**
+ * ETL Run Tracker
+ * Collects what happened during one pipeline invocation - source files
+ * (with checksums), per-phase timings, row counts, changes and errors - for the
+ * etl_run table and the JSON report written at the end of the run
+ *
+ * Reports are written to ETL_REPORT_DIR (default: logs/etl-runs/)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+const REPORT_DIR = process.env.ETL_REPORT_DIR || path.join(process.cwd(), 'logs', 'etl-runs');
+
+// Read size for checksums, so large sources are never loaded whole
+const CHECKSUM_CHUNK_BYTES = 1024 * 1024;
+
+// Changes kept for the JSON report; etl_change_log has all of them
+const MAX_REPORTED_CHANGES = 10000;
+
+/**
+ * SHA-256 checksum of a file (hex)
+ */
+export function fileChecksum(filePath) {
+    const hash = crypto.createHash('sha256');
+    const buffer = Buffer.alloc(CHECKSUM_CHUNK_BYTES);
+    const fd = fs.openSync(filePath, 'r');
+
+    try {
+        let bytesRead;
+        while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+            hash.update(buffer.subarray(0, bytesRead));
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    return hash.digest('hex');
+}
+
+export class EtlRun {
+    /**
+     * @param {string} mode - Pipeline mode: 'csv' | 'pending' | 'replay-rejected'
+     * @param {Object} [options]
+     * @param {boolean} [options.atomic] - Load in one transaction, rolled back above maxErrorRate
+     * @param {boolean} [options.dryRun] - Load in one transaction that is always rolled back
+     * @param {number} [options.maxErrorRate] - Highest (rejected + failed) / extracted an atomic run commits
+     * @param {boolean} [options.changeLog] - Also write the changes to etl_change_log
+     */
+    constructor(mode, { atomic = false, dryRun = false, maxErrorRate = 0, changeLog = false } = {}) {
+        this.runId = crypto.randomUUID();
+        this.mode = mode;
+        this.atomic = atomic;
+        this.dryRun = dryRun;
+        this.maxErrorRate = maxErrorRate;
+        this.changeLog = changeLog;
+        this.status = 'running';
+        this.startedAt = new Date();
+        this.finishedAt = null;
+        this.sources = [];
+        this.phases = [];
+        this.rejected = 0;
+        this.changes = [];
+        this.changeCount = 0;
+        this.currentPhase = null;
+    }
+
+    /**
+     * Start a new phase (ends the previous one) and log its banner
+     */
+    phase(name) {
+        this.endPhase();
+        this.currentPhase = { name, startedAt: Date.now() };
+        logger.info(`=== PHASE ${this.phases.length + 1}: ${name} ===`);
+    }
+
+    endPhase() {
+        if (!this.currentPhase) return;
+        this.phases.push({
+            name: this.currentPhase.name,
+            durationMs: Date.now() - this.currentPhase.startedAt
+        });
+        this.currentPhase = null;
+    }
+
+    /**
+     * Record a source file with its size and checksum
+     * @param {string} filePath - Absolute path of the file that was read
+     * @param {number} rows - Rows extracted from it
+     */
+    addSource(filePath, rows) {
+        const source = { file: path.basename(filePath), rows, bytes: null, sha256: null };
+
+        if (fs.existsSync(filePath)) {
+            source.bytes = fs.statSync(filePath).size;
+            source.sha256 = fileChecksum(filePath);
+        }
+
+        this.sources.push(source);
+    }
+
+    /**
+     * Record the inserts and field-level updates made by a loader
+     * (the first MAX_REPORTED_CHANGES are kept, all are counted)
+     * @param {Array} changes - `changes` returned by loadStudents / loadEnrollments
+     */
+    addChanges(changes) {
+        this.changeCount += changes.length;
+        const room = MAX_REPORTED_CHANGES - this.changes.length;
+        if (room > 0) this.changes.push(...changes.slice(0, room));
+    }
+
+    /**
+     * Close the run
+     * @param {Error} [error] - Set when the run failed
+     */
+    finish(error = null) {
+        this.endPhase();
+        this.finishedAt = new Date();
+        this.status = error ? 'failed' : 'success';
+    }
+
+    /**
+     * Share of extracted rows that were rejected by transform or failed to load
+     */
+    get errorRate() {
+        const stats = logger.getStats();
+        if (stats.extracted === 0) return 0;
+        return (this.rejected + stats.failed) / stats.extracted;
+    }
+
+    get durationMs() {
+        return (this.finishedAt || new Date()) - this.startedAt;
+    }
+
+    /**
+     * Machine-readable summary of the run
+     */
+    toReport() {
+        const stats = logger.getStats();
+
+        return {
+            runId: this.runId,
+            mode: this.mode,
+            status: this.status,
+            atomic: this.atomic,
+            dryRun: this.dryRun,
+            startedAt: this.startedAt.toISOString(),
+            finishedAt: this.finishedAt?.toISOString() ?? null,
+            durationMs: this.durationMs,
+            sources: this.sources,
+            phases: this.phases,
+            counts: {
+                extracted: stats.extracted,
+                transformed: stats.transformed,
+                loaded: stats.loaded,
+                inserted: stats.inserted,
+                updated: stats.updated,
+                unchanged: stats.unchanged,
+                failed: stats.failed,
+                skipped: stats.skipped,
+                rejected: this.rejected
+            },
+            errors: stats.errors,
+            changeCount: this.changeCount,
+            changes: this.changes
+        };
+    }
+
+    /**
+     * Write the JSON report
+     * @returns {string} - Path of the report file
+     */
+    writeReport(dir = REPORT_DIR) {
+        fs.mkdirSync(dir, { recursive: true });
+
+        const stamp = this.startedAt.toISOString().replace(/[:.]/g, '-');
+        const file = path.join(dir, `${stamp}_${this.mode}_${this.runId}.json`);
+        fs.writeFileSync(file, JSON.stringify(this.toReport(), null, 2));
+
+        return file;
+    }
+}
@@ -0,0 +1,180 @@
+/**
+ * Spreadsheet Reader
+ * Reads one sheet of an .xlsx, .xls or .ods workbook into row objects,
+ * the same shape csv-parse produces ({ column name: text })
+ *
+ * - Sheets are picked by name or by 1-based position (default: the first)
+ * - Dates become "YYYY-MM-DD" (or "YYYY-MM-DD HH:MM:SS"), not serial numbers
+ * - Numbers keep every digit ("919876543210", not 9.19877E+11); zero-padded
+ *   formats such as 00000 keep their leading zeros
+ * - Header cells merged across columns are repeated for each column, and
+ *   multi-row headers are joined: "Student" over "First" -> "Student First"
+ *
+ * SheetJS comes from its own CDN (see package.json): the npm registry copy
+ * stops at 0.18.5, which has a prototype pollution (CVE-2023-30533) and a
+ * ReDoS (CVE-2024-22363) in its parser. Files are refused if an older build
+ * is installed, since the inbox watcher reads whatever is dropped into it.
+ */
+
+import path from 'path';
+import XLSX from 'xlsx';
+
+export const SPREADSHEET_EXTENSIONS = ['.xlsx', '.xls', '.ods'];
+
+// First SheetJS release with both fixes
+const MIN_XLSX_VERSION = '0.20.2';
+
+/**
+ * Throw unless the installed SheetJS build has the parser fixes
+ */
+function assertPatchedReader() {
+    const installed = XLSX.version.split('.').map(Number);
+    const minimum = MIN_XLSX_VERSION.split('.').map(Number);
+    const index = minimum.findIndex((part, i) => installed[i] !== part);
+
+    if (index !== -1 && !(installed[index] > minimum[index])) {
+        throw new Error(`xlsx ${XLSX.version} is installed; reading spreadsheets needs ${MIN_XLSX_VERSION} ` +
+            'or later (run npm install to get the pinned SheetJS build)');
+    }
+}
+
+/**
+ * Pick a worksheet by name or 1-based position
+ */
+function selectSheet(workbook, sheet, fileName) {
+    const names = workbook.SheetNames;
+
+    if (sheet === undefined || sheet === null) {
+        return workbook.Sheets[names[0]];
+    }
+
+    const name = typeof sheet === 'number' ? names[sheet - 1] : sheet;
+    if (!name || !workbook.Sheets[name]) {
+        throw new Error(`${fileName}: sheet ${JSON.stringify(sheet)} not found ` +
+            `(sheets: ${names.map(n => `"${n}"`).join(', ')})`);
+    }
+
+    return workbook.Sheets[name];
+}
+
+/**
+ * Two-digit zero padding for date parts
+ */
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+/**
+ * Text of a date cell from its serial number
+ */
+function formatDateSerial(serial) {
+    const date = XLSX.SSF.parse_date_code(serial);
+    const day = `${date.y}-${pad(date.m)}-${pad(date.d)}`;
+    return date.H || date.M || date.S
+        ? `${day} ${pad(date.H)}:${pad(date.M)}:${pad(date.S)}`
+        : day;
+}
+
+/**
+ * Text value of one cell ('' for empty and error cells)
+ */
+function cellText(cell) {
+    if (!cell || cell.v === undefined || cell.v === null) return '';
+
+    switch (cell.t) {
+        case 'd':
+            return cell.v.toISOString().slice(0, 10);
+        case 'n':
+            if (cell.z && XLSX.SSF.is_date(cell.z)) return formatDateSerial(cell.v);
+            // Zero-padded number formats (e.g. 0000000000) keep their leading zeros
+            if (cell.z && /^0+$/.test(cell.z) && cell.w) return cell.w;
+            return String(cell.v);
+        case 'e':
+            return '';
+        default:
+            return String(cell.v).trim();
+    }
+}
+
+/**
+ * Column names from the header row(s), with merged header cells filled in
+ * @param {Object} worksheet
+ * @param {Object} range - Decoded sheet range
+ * @param {number} firstRow - 0-based first header row
+ * @param {number} headerRows - Number of header rows
+ */
+function readHeaders(worksheet, range, firstRow, headerRows) {
+    // Cells covered by a merge take the value of its top-left cell
+    const mergedValue = new Map();
+    for (const merge of worksheet['!merges'] || []) {
+        const text = cellText(worksheet[XLSX.utils.encode_cell(merge.s)]);
+        for (let r = merge.s.r; r <= merge.e.r; r++) {
+            for (let c = merge.s.c; c <= merge.e.c; c++) {
+                mergedValue.set(XLSX.utils.encode_cell({ r, c }), text);
+            }
+        }
+    }
+
+    const headers = [];
+    const used = new Map();
+
+    for (let c = range.s.c; c <= range.e.c; c++) {
+        const parts = [];
+        for (let r = firstRow; r < firstRow + headerRows; r++) {
+            const address = XLSX.utils.encode_cell({ r, c });
+            const text = mergedValue.has(address) ? mergedValue.get(address) : cellText(worksheet[address]);
+            // A header merged down over several rows is only used once
+            if (text && parts[parts.length - 1] !== text) parts.push(text);
+        }
+
+        let header = parts.join(' ') || `Column ${XLSX.utils.encode_col(c)}`;
+
+        // Repeated names (e.g. one merged cell over two columns) get a counter
+        const count = (used.get(header) || 0) + 1;
+        used.set(header, count);
+        if (count > 1) header = `${header} (${count})`;
+
+        headers.push(header);
+    }
+
+    return headers;
+}
+
+/**
+ * Read the rows of one sheet
+ * @param {string} filePath - Absolute path of the workbook
+ * @param {Object} [format]
+ * @param {string|number} [format.sheet] - Sheet name, or 1-based position (default: first sheet)
+ * @param {number} [format.headerRow] - Sheet row number (1-based) of the (first) header row (default 1)
+ * @param {number} [format.headerRows] - Rows making up the header (default 1)
+ * @returns {Array<Object>} - Row objects keyed by column name; blank rows are skipped
+ */
+export function readSpreadsheet(filePath, { sheet, headerRow = 1, headerRows = 1 } = {}) {
+    assertPatchedReader();
+
+    const fileName = path.basename(filePath);
+    const workbook = XLSX.readFile(filePath, { cellNF: true, cellText: true });
+    const worksheet = selectSheet(workbook, sheet, fileName);
+
+    if (!worksheet['!ref']) return [];
+
+    const range = XLSX.utils.decode_range(worksheet['!ref']);
+    const firstHeaderRow = headerRow - 1;
+    const headers = readHeaders(worksheet, range, firstHeaderRow, headerRows);
+
+    const rows = [];
+    for (let r = firstHeaderRow + headerRows; r <= range.e.r; r++) {
+        const row = {};
+        let blank = true;
+
+        headers.forEach((header, i) => {
+            const text = cellText(worksheet[XLSX.utils.encode_cell({ r, c: range.s.c + i })]);
+            row[header] = text;
+            if (text !== '') blank = false;
+        });
+
+        if (!blank) rows.push(row);
+    }
+
+    return rows;
+}
@@ -0,0 +1,232 @@
+/**
+ * Student Schema
+ * Single declarative definition of a valid student record
+ *
+ * Consumed by:
+ * - transformStudents (ETL, CSV/JSON input)
+ * - validatePendingRegistrations (Apps Script JSON export)
+ * - /api/students handlers
+ * - scripts/generate_apps_script_validation.js, which emits the same rules
+ *   as apps-script/Validation.gs so the sheet cannot drift from the server
+ *
+ * The schema must stay JSON-serializable (no functions or RegExp objects),
+ * and the engine functions below must only use the validators they import:
+ * the generator copies their source into Apps Script verbatim.
+ */
+
+import {
+    cleanString,
+    normalizeEmail,
+    isValidEmail,
+    parseYear,
+    parseDate,
+    isValidDateOfBirth,
+    normalizePhoneNumber,
+    isValidPhoneNumber
+} from './validators.js';
+
+/**
+ * Field definitions, in validation order
+ *
+ * type:     string | email | date | year | phone | department
+ * column:   student table column the value is loaded into
+ * aliases:  accepted input keys (API/Apps Script camelCase, CSV snake_case, DB column)
+ * messages: "{value}" is replaced with the raw input
+ */
+export const STUDENT_SCHEMA = {
+    firstName: {
+        type: 'string',
+        column: 'student_first_name',
+        aliases: ['firstName', 'first_name', 'student_first_name'],
+        required: true,
+        maxLength: 100,
+        messages: {
+            required: 'First name is required',
+            invalid: 'First name must be at most 100 characters'
+        }
+    },
+    lastName: {
+        type: 'string',
+        column: 'student_last_name',
+        aliases: ['lastName', 'last_name', 'student_last_name'],
+        required: true,
+        maxLength: 100,
+        messages: {
+            required: 'Last name is required',
+            invalid: 'Last name must be at most 100 characters'
+        }
+    },
+    email: {
+        type: 'email',
+        column: 'student_email',
+        aliases: ['email', 'student_email'],
+        required: true,
+        maxLength: 255,
+        messages: {
+            required: 'Email is required',
+            invalid: 'Invalid email format: "{value}"'
+        }
+    },
+    dateOfBirth: {
+        type: 'date',
+        column: 'student_date_of_birth',
+        aliases: ['dateOfBirth', 'date_of_birth', 'student_date_of_birth'],
+        required: true,
+        minAgeYears: 16,
+        messages: {
+            required: 'Date of birth is required',
+            invalid: 'Invalid date of birth or student under 16 years old: "{value}"'
+        }
+    },
+    year: {
+        type: 'year',
+        column: 'student_year',
+        aliases: ['year', 'student_year'],
+        required: true,
+        min: 1,
+        max: 4,
+        messages: {
+            required: 'Year is required',
+            invalid: 'Year must be between 1 and 4 (got "{value}")'
+        }
+    },
+    phoneNumber: {
+        type: 'phone',
+        column: 'student_phone_number',
+        aliases: ['phoneNumber', 'phone_number', 'student_phone_number'],
+        required: true,
+        minDigits: 10,
+        maxDigits: 15,
+        messages: {
+            required: 'Phone number is required',
+            invalid: 'Phone number must have 10-15 digits using only digits, +, - and spaces: "{value}"'
+        }
+    },
+    department: {
+        type: 'department',
+        column: 'department_id',
+        aliases: ['department', 'department_name'],
+        required: true,
+        messages: {
+            required: 'Department is required',
+            invalid: 'Unknown department: "{value}"'
+        }
+    }
+};
+
+/**
+ * Find the raw input for a field, trying each alias in order
+ * @returns {*} - Raw value, or undefined if no alias is present
+ */
+export function findRawValue(record, def) {
+    for (const alias of def.aliases) {
+        if (record[alias] !== undefined) return record[alias];
+    }
+    return undefined;
+}
+
+/**
+ * Is a raw input value effectively empty?
+ */
+export function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Convert a raw input into the field's normalized value
+ * @returns {*} - Normalized value, or null if it cannot be parsed
+ */
+export function normalizeField(def, raw, options) {
+    switch (def.type) {
+        case 'email':
+            return normalizeEmail(String(raw));
+        case 'date':
+            if (raw instanceof Date) {
+                return isNaN(raw.getTime()) ? null : raw.toISOString().split('T')[0];
+            }
+            return parseDate(String(raw).trim());
+        case 'year':
+            return parseYear(raw);
+        case 'phone':
+            return normalizePhoneNumber(String(raw));
+        case 'department':
+            return options.resolveDepartment
+                ? options.resolveDepartment(String(raw))
+                : cleanString(String(raw));
+        default:
+            return cleanString(String(raw));
+    }
+}
+
+/**
+ * Check a normalized value against the field's constraints
+ */
+export function checkField(def, value) {
+    if (value === null || value === undefined || value === '') return false;
+
+    if (def.maxLength && String(value).length > def.maxLength) return false;
+
+    switch (def.type) {
+        case 'email':
+            return isValidEmail(value);
+        case 'date':
+            return def.minAgeYears ? isValidDateOfBirth(value, def.minAgeYears) : true;
+        case 'year':
+            return Number.isInteger(value) && value >= def.min && value <= def.max;
+        case 'phone': {
+            const digits = value.replace(/[^\d]/g, '').length;
+            return isValidPhoneNumber(value) && digits >= def.minDigits && digits <= def.maxDigits;
+        }
+        default:
+            return true;
+    }
+}
+
+/**
+ * Validate a student record against STUDENT_SCHEMA
+ *
+ * @param {Object} record - Raw record using any of the field aliases
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Only validate fields present in record (PATCH)
+ * @param {Function} [options.resolveDepartment] - Maps raw department text to a canonical name (null if unknown)
+ * @param {Function} [options.suggestDepartment] - Closest department name for unknown text, used in the error message
+ * @returns {{ errors: string[], invalidFields: string[], values: Object }}
+ *   Error messages, the fields they belong to, and normalized values by field name
+ */
+export function validateStudentRecord(record, options = {}) {
+    const errors = [];
+    const invalidFields = [];
+    const values = {};
+
+    for (const field of Object.keys(STUDENT_SCHEMA)) {
+        const def = STUDENT_SCHEMA[field];
+        const raw = findRawValue(record || {}, def);
+
+        // In partial mode, fields that were not supplied are left untouched
+        if (options.partial && raw === undefined) continue;
+
+        if (isBlank(raw)) {
+            if (def.required) {
+                errors.push(def.messages.required);
+                invalidFields.push(field);
+            }
+            values[field] = null;
+            continue;
+        }
+
+        const value = normalizeField(def, raw, options);
+        values[field] = value;
+
+        if (!checkField(def, value)) {
+            let message = def.messages.invalid.replace('{value}', String(raw));
+            const suggestion = def.type === 'department' && options.suggestDepartment
+                ? options.suggestDepartment(String(raw))
+                : null;
+            if (suggestion) message += ` Did you mean "${suggestion}"?`;
+            errors.push(message);
+            invalidFields.push(field);
+        }
+    }
+
+    return { errors, invalidFields, values };
+}
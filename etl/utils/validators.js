@@ -4,10 +4,10 @@
  */
 
 // Email validation regex
-const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+export const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 // Phone number regex (matches schema CHECK constraint)
-const PHONE_REGEX = /^[0-9+ -]{7,20}$/;
+export const PHONE_REGEX = /^[0-9+ -]{7,20}$/;
 
 /**
  * Validate email format
@@ -57,45 +57,6 @@ export function parseYear(year) {
     return wordMap[lower] || null;
 }
 
-/**
- * Department name mapping (messy → clean)
- * Maps various representations to canonical names
- */
-const DEPARTMENT_MAP = {
-    // Computer Science variations
-    'computer science': 'Computer Science',
-    'cs': 'Computer Science',
-    'comp sci': 'Computer Science',
-    'comp. sci.': 'Computer Science',
-    'cse': 'Computer Science',
-
-    // Electronics variations
-    'electronics': 'Electronics',
-    'ece': 'Electronics',
-    'ec': 'Electronics',
-
-    // Mechanical variations
-    'mechanical': 'Mechanical',
-    'mech': 'Mechanical',
-    'me': 'Mechanical',
-
-    // Electrical variations
-    'electrical engineering': 'Electrical Engineering',
-    'electrical': 'Electrical Engineering',
-    'ee': 'Electrical Engineering',
-    'eee': 'Electrical Engineering'
-};
-
-/**
- * Standardize department name
- */
-export function standardizeDepartment(dept) {
-    if (!dept || typeof dept !== 'string') return null;
-
-    const normalized = dept.toLowerCase().trim();
-    return DEPARTMENT_MAP[normalized] || null;
-}
-
 /**
  * Validate grade format (matches schema CHECK constraint)
  * Valid grades: A, A-, B, B-, C, C-, D, F
@@ -138,14 +99,14 @@ export function parseDate(dateStr) {
  * Validate date of birth (must be at least 16 years old)
  * Matches schema CHECK: student_date_of_birth <= CURRENT_DATE - INTERVAL '16 years'
  */
-export function isValidDateOfBirth(dob) {
+export function isValidDateOfBirth(dob, minAgeYears = 16) {
     if (!dob) return false;
 
     const dobDate = new Date(dob);
     if (isNaN(dobDate.getTime())) return false;
 
     const today = new Date();
-    const minDate = new Date(today.getFullYear() - 16, today.getMonth(), today.getDate());
+    const minDate = new Date(today.getFullYear() - minAgeYears, today.getMonth(), today.getDate());
 
     return dobDate <= minDate;
 }
@@ -0,0 +1,270 @@
+/**
+ * Webhooks
+ * Events for registrations and ETL runs, delivered to the subscriptions in
+ * webhook_subscription (see scripts/manage_webhooks.js)
+ *
+ * Events:
+ *   student.registered   a student was created (API, batch, queue or pending ETL)
+ *   student.rejected     a registration failed validation or its email exists
+ *   etl.run.completed    an ETL run finished (dry runs excluded)
+ *   etl.run.failed       an ETL run failed
+ *
+ * Publishing records the event in event_log (also read by the email digest)
+ * and writes one webhook_delivery row per matching subscription (the
+ * delivery log); deliverWebhooks() sends them. Each request is a POST of
+ *   { id, type, createdAt, data }
+ * with the headers
+ *   X-Webhook-Id          event id (the same on every retry - use it to deduplicate)
+ *   X-Webhook-Event       event type
+ *   X-Webhook-Signature   t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the secret>
+ *
+ * Non-2xx responses and timeouts are retried with a backoff that doubles per
+ * attempt; after WEBHOOK_MAX_ATTEMPTS the delivery is marked "failed".
+ *
+ * Settings:
+ *   WEBHOOK_TIMEOUT_MS          per request (default 10000)
+ *   WEBHOOK_MAX_ATTEMPTS        attempts before "failed" (default 8)
+ *   WEBHOOK_BACKOFF_SECONDS     first retry delay (default 60, capped at 6 hours)
+ */
+
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+export const WEBHOOK_EVENTS = ['student.registered', 'student.rejected', 'etl.run.completed', 'etl.run.failed'];
+
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+export const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const BACKOFF_SECONDS = parseInt(process.env.WEBHOOK_BACKOFF_SECONDS, 10) || 60;
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+
+// A delivery left "sending" this long (crashed process) is claimed again
+const STALE_SECONDS = 300;
+
+// Response body kept in the delivery log for failed attempts
+const MAX_ERROR_BODY = 200;
+
+/**
+ * New subscription secret (shown once, used to sign every request)
+ */
+export function generateWebhookSecret() {
+    return 'whsec_' + crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Signature header value for a request body
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Exact request body
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Delay before the next attempt, after `attempts` failed ones
+ */
+export function getWebhookRetryDelaySeconds(attempts) {
+    return Math.min(BACKOFF_SECONDS * 2 ** (attempts - 1), MAX_BACKOFF_SECONDS);
+}
+
+/**
+ * Student fields carried by student.* events
+ */
+function studentSummary(student = {}) {
+    return {
+        email: student.email ?? null,
+        firstName: student.firstName ?? null,
+        lastName: student.lastName ?? null,
+        department: student.department ?? null
+    };
+}
+
+/**
+ * student.registered event
+ * @param {Object} student - Registration fields (firstName, lastName, email, department)
+ * @param {number} studentId
+ * @param {string} source - 'api' | 'batch' | 'queue' | 'etl'
+ */
+export function studentRegisteredEvent(student, studentId, source) {
+    return { type: 'student.registered', data: { studentId, ...studentSummary(student), source } };
+}
+
+/**
+ * student.rejected event
+ * @param {Object} student - Registration fields as received
+ * @param {string} reason - 'invalid' | 'duplicate'
+ * @param {Array<string>} errors
+ * @param {string} source - 'api' | 'batch' | 'queue' | 'etl'
+ */
+export function studentRejectedEvent(student, reason, errors, source) {
+    return { type: 'student.rejected', data: { ...studentSummary(student), reason, errors, source } };
+}
+
+/**
+ * Record events in event_log and queue their deliveries to every active
+ * subscription that wants them
+ * @param {pg.Pool|pg.PoolClient} db
+ * @param {Array<{ type: string, data: Object }>} events
+ * @returns {Promise<Array<number>>} - Ids of the queued deliveries
+ */
+export async function queueWebhookEvents(db, events) {
+    if (events.length === 0) return [];
+
+    const createdAt = new Date().toISOString();
+    const rows = events.map(({ type, data }) => {
+        if (!WEBHOOK_EVENTS.includes(type)) throw new Error(`Unknown webhook event "${type}"`);
+        const id = crypto.randomUUID();
+        return { event_id: id, event_type: type, payload: { id, type, createdAt, data } };
+    });
+
+    const result = await db.query(`
+        WITH e AS (
+            INSERT INTO event_log (event_id, event_type, payload)
+            SELECT event_id, event_type, payload
+            FROM jsonb_to_recordset($1::JSONB) AS r(event_id UUID, event_type VARCHAR, payload JSONB)
+            RETURNING event_id, event_type, payload
+        )
+        INSERT INTO webhook_delivery (webhook_id, event_id, event_type, payload)
+        SELECT w.webhook_id, e.event_id, e.event_type, e.payload
+        FROM e
+        JOIN webhook_subscription w
+          ON w.active AND (e.event_type = ANY(w.events) OR '*' = ANY(w.events))
+        RETURNING delivery_id
+    `, [JSON.stringify(rows)]);
+
+    return result.rows.map(row => row.delivery_id);
+}
+
+/**
+ * Record and queue events without ever failing the caller (errors are logged)
+ * @returns {Promise<Array<number>>} - Ids of the queued deliveries
+ */
+export async function publishWebhookEvents(db, events) {
+    try {
+        return await queueWebhookEvents(db, events);
+    } catch (error) {
+        logger.warn(`Webhook events not queued (${events.map(event => event.type).join(', ')}): ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Claim due deliveries of active subscriptions
+ */
+async function claimDeliveries(db, limit, ids) {
+    const result = await db.query(`
+        WITH claimed AS (
+            UPDATE webhook_delivery
+            SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+            WHERE delivery_id IN (
+                SELECT d.delivery_id
+                FROM webhook_delivery d
+                JOIN webhook_subscription w ON w.webhook_id = d.webhook_id AND w.active
+                WHERE ((d.status = 'pending' AND d.next_attempt_at <= NOW())
+                    OR (d.status = 'sending' AND d.updated_at < NOW() - make_interval(secs => $2)))
+                  AND ($3::BIGINT[] IS NULL OR d.delivery_id = ANY($3::BIGINT[]))
+                ORDER BY d.delivery_id
+                LIMIT $1
+                FOR UPDATE OF d SKIP LOCKED
+            )
+            RETURNING delivery_id, webhook_id, event_id, event_type, payload, attempts
+        )
+        SELECT c.*, w.url, w.secret
+        FROM claimed c
+        JOIN webhook_subscription w ON w.webhook_id = c.webhook_id
+        ORDER BY c.delivery_id
+    `, [limit, STALE_SECONDS, ids]);
+
+    return result.rows;
+}
+
+/**
+ * POST one delivery
+ * @returns {Promise<{ ok: boolean, status: number|null, error: string|null }>}
+ */
+async function sendDelivery(delivery, fetch) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'sheet2db-webhooks',
+                'X-Webhook-Id': delivery.event_id,
+                'X-Webhook-Event': delivery.event_type,
+                'X-Webhook-Signature': signWebhookPayload(delivery.secret, timestamp, body)
+            },
+            body,
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+
+        if (response.ok) {
+            return { ok: true, status: response.status, error: null };
+        }
+
+        const text = await response.text().catch(() => '');
+        return {
+            ok: false,
+            status: response.status,
+            error: `HTTP ${response.status}` + (text ? `: ${text.slice(0, MAX_ERROR_BODY)}` : '')
+        };
+    } catch (error) {
+        const message = error.name === 'TimeoutError'
+            ? `Timed out after ${TIMEOUT_MS} ms`
+            : error.cause ? `${error.message}: ${error.cause.message}` : error.message;
+        return { ok: false, status: null, error: message };
+    }
+}
+
+/**
+ * Send due deliveries once
+ * @param {pg.Pool} db
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Deliveries claimed
+ * @param {Array<number>} [options.ids] - Only these deliveries (e.g. the ones just published)
+ * @param {Function} [options.fetch] - HTTP client with the fetch() API
+ * @returns {Promise<Object>} - { claimed, delivered, retrying, failed }
+ */
+export async function deliverWebhooks(db, { limit = 20, ids = null, fetch = globalThis.fetch } = {}) {
+    const summary = { claimed: 0, delivered: 0, retrying: 0, failed: 0 };
+    const deliveries = await claimDeliveries(db, limit, ids);
+    summary.claimed = deliveries.length;
+
+    for (const delivery of deliveries) {
+        const { ok, status, error } = await sendDelivery(delivery, fetch);
+
+        if (ok) {
+            await db.query(`
+                UPDATE webhook_delivery
+                SET status = 'delivered', response_status = $2, last_error = NULL,
+                    delivered_at = NOW(), updated_at = NOW()
+                WHERE delivery_id = $1
+            `, [delivery.delivery_id, status]);
+            summary.delivered++;
+            continue;
+        }
+
+        const giveUp = delivery.attempts >= MAX_ATTEMPTS;
+        logger.warn(`Webhook delivery ${delivery.delivery_id} (${delivery.event_type} → ${delivery.url}) ` +
+            `failed on attempt ${delivery.attempts}: ${error}`, { deliveryId: delivery.delivery_id });
+
+        await db.query(`
+            UPDATE webhook_delivery
+            SET status = $2, response_status = $3, last_error = $4,
+                next_attempt_at = NOW() + make_interval(secs => $5), updated_at = NOW()
+            WHERE delivery_id = $1
+        `, [
+            delivery.delivery_id,
+            giveUp ? 'failed' : 'pending',
+            status,
+            error,
+            giveUp ? 0 : getWebhookRetryDelaySeconds(delivery.attempts)
+        ]);
+        summary[giveUp ? 'failed' : 'retrying']++;
+    }
+
+    return summary;
+}
@@ -0,0 +1,374 @@
+/**
+ * ETL Watch Folder
+ * Long-running mode that runs the ETL whenever a file lands in the inbox
+ *
+ * Drop files into ETL_INBOX_DIR (default: data/inbox/):
+ *   pending-registrations*.json          -> pending pipeline (npm run etl -- --pending)
+ *   *departments*, *courses*, *students*, *enrollments*
+ *     (.csv, .json, .ndjson, .jsonl, .xlsx, .xls, .ods)
+ *                                        -> standard pipeline, that source only
+ *
+ * Each file is renamed into processing/ before it is read, so a file is
+ * never picked up half-processed or twice. It then runs through its pipeline
+ * in a child process and is moved, with the run report alongside, to
+ * processed/ or failed/ (one folder per file).
+ *
+ * Files are claimed by SHA-256 checksum in etl_inbox_file: content that was
+ * already processed is never run again. Content whose run failed may be
+ * dropped in again once the problem is fixed.
+ *
+ * Files still being written (modified in the last ETL_WATCH_SETTLE_MS) are
+ * left for the next scan. Run one watcher per inbox.
+ *
+ * Run: npm run etl:watch
+ *      npm run etl:watch -- --once                 # Process the inbox once, then exit
+ *      npm run etl:watch -- --atomic --change-log  # Other flags are passed to every run
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import pg from 'pg';
+import { logger } from './utils/logger.js';
+import { fileChecksum } from './utils/runReport.js';
+import { SPREADSHEET_EXTENSIONS } from './utils/spreadsheet.js';
+
+const { Pool } = pg;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ETL_ENTRY = path.join(__dirname, 'index.js');
+
+const INBOX_DIR = path.resolve(process.env.ETL_INBOX_DIR || path.join(__dirname, '../data/inbox'));
+const DIRS = {
+    processing: path.join(INBOX_DIR, 'processing'),
+    processed: path.join(INBOX_DIR, 'processed'),
+    failed: path.join(INBOX_DIR, 'failed')
+};
+
+const POLL_INTERVAL_MS = parseInt(process.env.ETL_WATCH_INTERVAL_MS, 10) || 5000;
+
+// Files modified more recently than this may still be being copied in
+const SETTLE_MS = parseInt(process.env.ETL_WATCH_SETTLE_MS, 10) || 2000;
+
+const SOURCE_EXTENSIONS = ['.csv', '.json', '.ndjson', '.jsonl', ...SPREADSHEET_EXTENSIONS];
+
+// Load order: a drop of several files runs departments before courses, etc.
+// ("student_enrollments.csv" is an enrollments file: it is listed first
+// among the names matched against the file name, see routeFile)
+const LOAD_ORDER = ['departments', 'courses', 'students', 'pending', 'enrollments'];
+const SOURCE_MATCH_ORDER = ['enrollments', 'courses', 'departments', 'students'];
+
+const PENDING_FILE_PATTERN = /^pending-registrations.*\.json$/i;
+
+// Left alone: hidden files and partial downloads / uploads
+const IGNORED_FILE_PATTERN = /^\.|\.(tmp|part|partial|crdownload)$/i;
+
+// Flags that choose the pipeline or its files - the watcher sets these per file
+const RESERVED_FLAGS = [
+    '--pending', '--pending-file', '--replay-rejected', '--only', '--dry-run',
+    '--departments', '--courses', '--students', '--enrollments'
+];
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * Which pipeline a file is for, from its name
+ * @returns {{ pipeline: string, args: Array<string> } | null} - null when it cannot be told
+ */
+function routeFile(fileName, filePath) {
+    if (PENDING_FILE_PATTERN.test(fileName)) {
+        return { pipeline: 'pending', args: ['--pending-file', filePath] };
+    }
+
+    if (!SOURCE_EXTENSIONS.includes(path.extname(fileName).toLowerCase())) {
+        return null;
+    }
+
+    const words = fileName.toLowerCase().split(/[^a-z]+/);
+    const source = SOURCE_MATCH_ORDER.find(name => words.includes(name) || words.includes(name.slice(0, -1)));
+
+    return source ? { pipeline: source, args: ['--only', source, `--${source}`, filePath] } : null;
+}
+
+/**
+ * Claim a file's content for processing
+ * @returns {Promise<Object|null>} - null when claimed; otherwise the earlier
+ *          etl_inbox_file entry with the same checksum
+ */
+async function claimFile(checksum, fileName, pipeline) {
+    const claimed = await pool.query(`
+        INSERT INTO etl_inbox_file (checksum, file_name, pipeline)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (checksum) DO UPDATE SET
+            file_name = EXCLUDED.file_name,
+            pipeline = EXCLUDED.pipeline,
+            status = 'processing',
+            run_id = NULL,
+            error_message = NULL,
+            received_at = CURRENT_TIMESTAMP,
+            finished_at = NULL
+        WHERE etl_inbox_file.status = 'failed'
+        RETURNING checksum
+    `, [checksum, fileName, pipeline]);
+
+    if (claimed.rows.length > 0) return null;
+
+    const existing = await pool.query(
+        'SELECT file_name, status, run_id, received_at FROM etl_inbox_file WHERE checksum = $1',
+        [checksum]
+    );
+    return existing.rows[0];
+}
+
+async function recordResult(checksum, status, runId, errorMessage) {
+    await pool.query(`
+        UPDATE etl_inbox_file
+        SET status = $2, run_id = $3, error_message = $4, finished_at = CURRENT_TIMESTAMP
+        WHERE checksum = $1
+    `, [checksum, status, runId, errorMessage]);
+}
+
+/**
+ * Run the ETL for one file in a child process, with its report written to jobDir
+ * The child gets its own process group, so Ctrl+C stops the watcher after
+ * the current run instead of interrupting it.
+ * @returns {Promise<number>} - Exit code
+ */
+function runPipeline(args, jobDir) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [ETL_ENTRY, ...args], {
+            stdio: 'inherit',
+            detached: true,
+            env: { ...process.env, ETL_REPORT_DIR: jobDir }
+        });
+        child.on('error', reject);
+        child.on('close', code => resolve(code ?? 1));
+    });
+}
+
+/**
+ * The run report the child wrote into jobDir, or null if it did not get that far
+ */
+function readReport(jobDir, fileName) {
+    const reportName = fs.readdirSync(jobDir).find(name => name !== fileName && name.endsWith('.json'));
+    if (!reportName) return null;
+
+    try {
+        return JSON.parse(fs.readFileSync(path.join(jobDir, reportName), 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Move a job folder to processed/ or failed/, with a note on why it failed
+ */
+function finishJob(jobDir, fileName, destination, note = null) {
+    if (note) {
+        fs.writeFileSync(path.join(jobDir, `${fileName}.error.txt`), `${note}\n`);
+    }
+    const target = path.join(DIRS[destination], path.basename(jobDir));
+    fs.renameSync(jobDir, target);
+    return target;
+}
+
+/**
+ * Job folder name: "<timestamp>_<file name>" (the timestamp has no "_")
+ */
+function jobName(fileName) {
+    return `${new Date().toISOString().replace(/[:.]/g, '-')}_${fileName}`;
+}
+
+/**
+ * Pick up one file from the inbox and run it
+ */
+async function processFile(fileName) {
+    const jobDir = path.join(DIRS.processing, jobName(fileName));
+    const filePath = path.join(jobDir, fileName);
+    const log = logger.child({ file: fileName });
+
+    fs.mkdirSync(jobDir, { recursive: true });
+    try {
+        fs.renameSync(path.join(INBOX_DIR, fileName), filePath);
+    } catch (error) {
+        fs.rmSync(jobDir, { recursive: true, force: true });
+        // Removed from the inbox since the scan
+        if (error.code === 'ENOENT') return;
+        throw error;
+    }
+
+    log.info(`📥 Picked up ${fileName}`);
+
+    const route = routeFile(fileName, filePath);
+    if (!route) {
+        const target = finishJob(jobDir, fileName, 'failed',
+            `Cannot tell which pipeline ${fileName} is for. Name it pending-registrations*.json, or include ` +
+            `departments, courses, students or enrollments in the name (${SOURCE_EXTENSIONS.join(', ')}).`);
+        log.warn(`${fileName}: unknown file - moved to ${target}`);
+        return;
+    }
+
+    let checksum = null;
+    try {
+        checksum = fileChecksum(filePath);
+        const earlier = await claimFile(checksum, fileName, route.pipeline);
+        if (earlier) {
+            const target = finishJob(jobDir, fileName, 'failed',
+                `Already ${earlier.status} as ${earlier.file_name} on ${earlier.received_at.toISOString()}` +
+                (earlier.run_id ? ` (run ${earlier.run_id})` : '') + ' - the same content is not loaded twice.');
+            log.warn(`${fileName}: same content as ${earlier.file_name} - skipped, moved to ${target}`, {
+                checksum,
+                runId: earlier.run_id
+            });
+            return;
+        }
+
+        log.info(`▶️  Running ${route.pipeline} pipeline for ${fileName}`, { pipeline: route.pipeline, checksum });
+        const exitCode = await runPipeline([...route.args, ...passThroughArgs], jobDir);
+        const report = readReport(jobDir, fileName);
+        const succeeded = exitCode === 0 && report?.status === 'success';
+
+        // The pipeline logs its fatal error last
+        const lastError = report?.errors?.at(-1);
+        const errorMessage = succeeded
+            ? null
+            : lastError ? [lastError.message, lastError.error].filter(Boolean).join(': ') : `ETL exited with code ${exitCode}`;
+        await recordResult(checksum, succeeded ? 'processed' : 'failed', report?.runId ?? null, errorMessage);
+
+        const target = finishJob(jobDir, fileName, succeeded ? 'processed' : 'failed', errorMessage);
+        if (succeeded) {
+            log.success(`${fileName} processed - moved to ${target}`, { runId: report.runId });
+        } else {
+            log.error(`${fileName} failed - moved to ${target}`, null, { runId: report?.runId, exitCode });
+        }
+
+    } catch (error) {
+        log.error(`${fileName} could not be processed`, error);
+        if (checksum) {
+            await recordResult(checksum, 'failed', null, error.message).catch(() => {});
+        }
+        finishJob(jobDir, fileName, 'failed', error.message);
+    }
+}
+
+/**
+ * Files left in processing/ by a watcher that stopped mid-run go to failed/
+ * (their run may be partly loaded; drop them in again to re-run)
+ */
+async function recoverInterrupted() {
+    for (const job of fs.readdirSync(DIRS.processing)) {
+        const jobDir = path.join(DIRS.processing, job);
+        const fileName = job.slice(job.indexOf('_') + 1);
+        const filePath = path.join(jobDir, fileName);
+
+        if (fs.existsSync(filePath)) {
+            await pool.query(`
+                UPDATE etl_inbox_file
+                SET status = 'failed', error_message = 'Interrupted', finished_at = CURRENT_TIMESTAMP
+                WHERE checksum = $1 AND status = 'processing'
+            `, [fileChecksum(filePath)]);
+        }
+
+        finishJob(jobDir, fileName, 'failed', 'Interrupted: the watcher stopped while this file was processing');
+        logger.warn(`Interrupted job ${job} moved to failed/`);
+    }
+}
+
+/**
+ * Inbox files ready to process, in load order
+ */
+function readyFiles() {
+    const now = Date.now();
+    const rank = name => {
+        const route = routeFile(name, name);
+        return route ? LOAD_ORDER.indexOf(route.pipeline) : LOAD_ORDER.length;
+    };
+
+    return fs.readdirSync(INBOX_DIR, { withFileTypes: true })
+        .filter(entry => entry.isFile() && !IGNORED_FILE_PATTERN.test(entry.name))
+        .map(entry => entry.name)
+        .filter(name => {
+            try {
+                return now - fs.statSync(path.join(INBOX_DIR, name)).mtimeMs >= SETTLE_MS;
+            } catch {
+                return false;
+            }
+        })
+        .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+const args = process.argv.slice(2);
+const once = args.includes('--once');
+const passThroughArgs = args.filter(arg => arg !== '--once');
+
+let stopping = false;
+let wakeUp = null;
+
+function stop(signal) {
+    if (stopping) return;
+    stopping = true;
+    logger.info(`${signal} received - stopping after the current file`);
+    if (wakeUp) wakeUp();
+}
+
+function sleep(ms) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        wakeUp = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+    });
+}
+
+async function main() {
+    for (const dir of [INBOX_DIR, ...Object.values(DIRS)]) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    logger.section('👀 ETL Watch Folder');
+    logger.info(`Inbox: ${INBOX_DIR}`, { inbox: INBOX_DIR, intervalMs: POLL_INTERVAL_MS, once });
+    if (passThroughArgs.length > 0) {
+        logger.info(`Run options: ${passThroughArgs.join(' ')}`);
+    }
+
+    await recoverInterrupted();
+
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+
+    while (!stopping) {
+        for (const fileName of readyFiles()) {
+            if (stopping) break;
+            await processFile(fileName);
+        }
+
+        if (once) break;
+        await sleep(POLL_INTERVAL_MS);
+    }
+
+    logger.info('Watcher stopped');
+}
+
+const reserved = passThroughArgs.filter(arg => RESERVED_FLAGS.includes(arg));
+if (reserved.length > 0) {
+    logger.error(`${reserved.join(', ')} cannot be used with the watcher: it picks the pipeline and files ` +
+        'for each inbox file, and records every file it runs as processed');
+    process.exitCode = 1;
+    await pool.end();
+} else {
+    main()
+        .catch(error => {
+            logger.error('Watcher failed', error);
+            process.exitCode = 1;
+        })
+        .finally(async () => {
+            await pool.end();
+            await logger.close();
+        });
+}
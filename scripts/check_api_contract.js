@@ -0,0 +1,189 @@
+/**
+ * API Contract Check
+ * Calls a running API and checks every response against the OpenAPI
+ * document (api/openapi.js): status code, content type and JSON body
+ *
+ * Run:
+ *   API_KEY=<key> node scripts/check_api_contract.js [--url http://localhost:3000] [--write]
+ *
+ * Read-only by default. --write also registers, updates and deletes a
+ * throwaway student (needs a key with students:write).
+ */
+
+import 'dotenv/config';
+import { validateResponse } from '../api/utils/openapiValidator.js';
+
+/**
+ * Read the value following a --flag, or null if the flag is absent
+ */
+function getFlag(args, flag) {
+    const index = args.indexOf(flag);
+    return index === -1 ? null : args[index + 1];
+}
+
+function printUsage() {
+    console.log('Usage:');
+    console.log('  API_KEY=<key> node scripts/check_api_contract.js [--url <base url>] [--write]');
+    console.log('\nDefaults: --url from API_URL or http://localhost:3000');
+    console.log('--write registers, updates and deletes a throwaway student.');
+}
+
+/**
+ * Calls the API and checks each response against the document
+ */
+function createChecker(baseUrl, apiKey) {
+    const results = { passed: 0, failed: 0 };
+
+    /**
+     * Send one request, validate the response and print the outcome
+     * @param {string} method
+     * @param {string} path - Path without the query string
+     * @param {Object} [options] - { query, body, expect: status, auth: false to send no key }
+     * @returns {Promise<{ status: number, body: * }>}
+     */
+    async function check(method, path, { query = {}, body, expect = 200, auth = true } = {}) {
+        const headers = {};
+        if (auth && apiKey) headers['X-API-Key'] = apiKey;
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+        const search = new URLSearchParams(query).toString();
+        const response = await fetch(`${baseUrl}${path}${search ? `?${search}` : ''}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+
+        const contentType = response.headers.get('content-type') ?? '';
+        const text = await response.text();
+        let parsed = text;
+        if (contentType.startsWith('application/json')) {
+            try {
+                parsed = JSON.parse(text);
+            } catch {
+                parsed = undefined;
+            }
+        }
+
+        const problems = validateResponse(method, path, response.status, contentType, parsed);
+        if (response.status !== expect) {
+            problems.unshift({ path: 'status', message: `expected status ${expect}, got ${response.status}` });
+        }
+
+        const label = `${method} ${path}${search ? `?${search}` : ''} -> ${response.status}`;
+        if (problems.length === 0) {
+            results.passed++;
+            console.log(`✅ ${label}`);
+        } else {
+            results.failed++;
+            console.log(`❌ ${label}`);
+            problems.forEach(problem => console.log(`     ${problem.message}`));
+        }
+
+        return { status: response.status, body: parsed };
+    }
+
+    return { check, results };
+}
+
+/**
+ * Read-only requests, plus the error responses clients rely on
+ */
+async function checkReadOnly({ check }, apiKey) {
+    await check('GET', '/health');
+    await check('GET', '/api/openapi.json');
+    await check('GET', '/api/docs');
+
+    const students = await check('GET', '/api/students', { query: { limit: 5 } });
+    const student = students.body?.data?.[0];
+    if (student) {
+        await check('GET', `/api/students/${student.studentId}`);
+        await check('GET', `/api/students/${student.studentId}/enrollments`);
+    }
+    await check('GET', '/api/students/999999999', { expect: 404 });
+    await check('GET', '/api/students', { query: { limit: 0 }, expect: 400 });
+    await check('POST', '/api/students', { body: {}, expect: 400 });
+
+    const departments = await check('GET', '/api/departments');
+    const department = departments.body?.data?.[0];
+    if (department) {
+        await check('GET', `/api/reports/departments/${department.departmentId}/stats`);
+    }
+
+    const reports = await check('GET', '/api/reports');
+    for (const report of reports.body?.data ?? []) {
+        await check('GET', report.path);
+    }
+    await check('GET', '/api/reports/student-gpa', { query: { format: 'csv' } });
+    await check('GET', '/api/reports/no-such-report', { expect: 404 });
+
+    await check('GET', '/api/grades/pending');
+    await check('GET', '/api/registrations/status', { query: { ids: '1,2,3' } });
+
+    // With API auth disabled there is no key and nothing to reject
+    if (apiKey) {
+        await check('GET', '/api/students', { auth: false, expect: 401 });
+    }
+
+    return department;
+}
+
+/**
+ * Register, update and delete a throwaway student
+ */
+async function checkWrites({ check }, department) {
+    if (!department) {
+        throw new Error('--write needs at least one department (npm run init:db)');
+    }
+
+    const created = await check('POST', '/api/students', {
+        expect: 201,
+        body: {
+            firstName: 'Contract',
+            lastName: 'Check',
+            email: `contract-check-${Date.now()}@example.com`,
+            dateOfBirth: '2000-01-01',
+            department: department.departmentName,
+            year: 1,
+            phoneNumber: '555-010-0000'
+        }
+    });
+
+    const studentId = created.body?.data?.studentId;
+    if (!studentId) return;
+
+    await check('PATCH', `/api/students/${studentId}`, { body: { year: 2 } });
+    await check('PATCH', `/api/students/${studentId}`, { body: { year: 9 }, expect: 400 });
+    await check('DELETE', `/api/students/${studentId}`);
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help')) {
+        printUsage();
+        return;
+    }
+
+    const baseUrl = (getFlag(args, '--url') ?? process.env.API_URL ?? 'http://localhost:3000').replace(/\/+$/, '');
+    const apiKey = process.env.API_KEY || null;
+    const checker = createChecker(baseUrl, apiKey);
+
+    console.log(`Checking ${baseUrl} against api/openapi.js${apiKey ? '' : ' (no API_KEY set)'}\n`);
+
+    try {
+        const department = await checkReadOnly(checker, apiKey);
+        if (args.includes('--write')) {
+            await checkWrites(checker, department);
+        }
+    } catch (error) {
+        console.error('❌', error.cause?.message ?? error.message);
+        process.exitCode = 1;
+        return;
+    }
+
+    const { passed, failed } = checker.results;
+    console.log(`\n${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exitCode = 1;
+}
+
+main();
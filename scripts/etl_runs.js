@@ -0,0 +1,263 @@
+/**
+ * ETL Run History CLI
+ * List past runs recorded in etl_run, compare two of them and show
+ * what a run changed (etl_change_log, written with --change-log)
+ *
+ * Runs can be referenced by full id, an id prefix (e.g. "3f2a9c"),
+ * "latest" or "previous".
+ *
+ * Run:
+ *   node scripts/etl_runs.js list [--limit 20] [--mode csv|pending|replay-rejected]
+ *   node scripts/etl_runs.js show <run>
+ *   node scripts/etl_runs.js diff [<run-a> <run-b>]   # defaults to previous vs latest
+ *   node scripts/etl_runs.js changes <run> [--entity department|course|student|enrollment] [--key <record>]
+ */
+
+import 'dotenv/config';
+import pg from 'pg';
+
+const { Pool } = pg;
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+});
+
+const COUNT_COLUMNS = ['extracted', 'transformed', 'loaded', 'inserted', 'updated', 'unchanged', 'skipped', 'rejected'];
+
+/**
+ * Read the value following a --flag, or null if the flag is absent
+ */
+function getFlag(args, flag) {
+    const index = args.indexOf(flag);
+    return index === -1 ? null : args[index + 1];
+}
+
+function printUsage() {
+    console.log('Usage:');
+    console.log('  node scripts/etl_runs.js list [--limit N] [--mode <mode>]');
+    console.log('  node scripts/etl_runs.js show <run>');
+    console.log('  node scripts/etl_runs.js diff [<run-a> <run-b>]');
+    console.log('  node scripts/etl_runs.js changes <run> [--entity student|enrollment] [--key <record>]');
+    console.log('\n<run> is a run id, an id prefix, "latest" or "previous"');
+}
+
+/**
+ * Look up one run by id, id prefix, "latest" or "previous"
+ */
+async function findRun(ref) {
+    let result;
+
+    if (ref === 'latest' || ref === 'previous') {
+        result = await pool.query(
+            'SELECT * FROM etl_run ORDER BY started_at DESC LIMIT 1 OFFSET $1',
+            [ref === 'latest' ? 0 : 1]
+        );
+    } else {
+        result = await pool.query(
+            'SELECT * FROM etl_run WHERE run_id::TEXT LIKE $1 ORDER BY started_at DESC LIMIT 2',
+            [`${ref.toLowerCase()}%`]
+        );
+        if (result.rows.length > 1) {
+            throw new Error(`Run prefix "${ref}" is ambiguous - use more characters`);
+        }
+    }
+
+    if (result.rows.length === 0) {
+        throw new Error(`No run matches "${ref}"`);
+    }
+
+    return result.rows[0];
+}
+
+async function listRuns(args) {
+    const limit = parseInt(getFlag(args, '--limit'), 10) || 20;
+    const mode = getFlag(args, '--mode');
+
+    const result = await pool.query(`
+        SELECT
+            LEFT(run_id::TEXT, 8) AS run,
+            mode,
+            CASE WHEN dry_run THEN 'dry-run' WHEN atomic THEN 'atomic' ELSE '' END AS load,
+            status,
+            started_at,
+            ROUND(duration_ms / 1000.0, 2) AS seconds,
+            extracted_count AS extracted,
+            transformed_count AS transformed,
+            loaded_count AS loaded,
+            inserted_count AS inserted,
+            updated_count AS updated,
+            unchanged_count AS unchanged,
+            skipped_count AS skipped,
+            rejected_count AS rejected,
+            jsonb_array_length(errors) AS errors
+        FROM etl_run
+        ${mode ? 'WHERE mode = $2' : ''}
+        ORDER BY started_at DESC
+        LIMIT $1
+    `, mode ? [limit, mode] : [limit]);
+
+    if (result.rows.length === 0) {
+        console.log('No ETL runs recorded yet. Run: npm run etl');
+        return;
+    }
+
+    console.table(result.rows);
+}
+
+async function showRun(args) {
+    if (!args[0]) {
+        throw new Error('Run id is required');
+    }
+
+    const run = await findRun(args[0]);
+
+    console.log(`\nRun ${run.run_id}`);
+    console.log(`   Mode:     ${run.mode}`);
+    console.log(`   Status:   ${run.status}${run.dry_run ? ' (dry run - rolled back)' : ''}`);
+    console.log(`   Atomic:   ${run.atomic ? 'yes' : 'no'}`);
+    console.log(`   Started:  ${run.started_at.toISOString()}`);
+    console.log(`   Duration: ${(run.duration_ms / 1000).toFixed(2)}s`);
+    console.log(`   Report:   ${run.report_file || '-'}`);
+
+    console.log('\nSources:');
+    console.table(run.source_files);
+
+    console.log('Phases:');
+    console.table(run.phases);
+
+    console.log('Counts:');
+    console.table(Object.fromEntries(COUNT_COLUMNS.map(name => [name, run[`${name}_count`]])));
+
+    if (run.errors.length > 0) {
+        console.log('Errors:');
+        console.table(run.errors);
+    }
+}
+
+async function diffRuns(args) {
+    const a = await findRun(args[0] || 'previous');
+    const b = await findRun(args[1] || 'latest');
+
+    console.log(`\nA: ${a.run_id} (${a.mode}, ${a.status}, ${a.started_at.toISOString()})`);
+    console.log(`B: ${b.run_id} (${b.mode}, ${b.status}, ${b.started_at.toISOString()})\n`);
+
+    // Counts, error totals and duration
+    const metrics = run => ({
+        ...Object.fromEntries(COUNT_COLUMNS.map(name => [name, run[`${name}_count`]])),
+        errors: run.errors.length,
+        duration_ms: run.duration_ms
+    });
+    const metricsA = metrics(a);
+    const metricsB = metrics(b);
+
+    const counts = {};
+    for (const name of Object.keys(metricsA)) {
+        counts[name] = { A: metricsA[name], B: metricsB[name], change: metricsB[name] - metricsA[name] };
+    }
+    console.table(counts);
+
+    // Phase timings
+    const phaseNames = [...new Set([...a.phases, ...b.phases].map(phase => phase.name))];
+    const phases = {};
+    for (const name of phaseNames) {
+        const msA = a.phases.find(phase => phase.name === name)?.durationMs ?? null;
+        const msB = b.phases.find(phase => phase.name === name)?.durationMs ?? null;
+        phases[name] = { A_ms: msA, B_ms: msB, change: msA !== null && msB !== null ? msB - msA : null };
+    }
+    if (phaseNames.length > 0) {
+        console.log('Phase timings:');
+        console.table(phases);
+    }
+
+    // Source files
+    const fileNames = [...new Set([...a.source_files, ...b.source_files].map(source => source.file))];
+    const sources = {};
+    for (const file of fileNames) {
+        const sourceA = a.source_files.find(source => source.file === file);
+        const sourceB = b.source_files.find(source => source.file === file);
+        sources[file] = {
+            A_rows: sourceA?.rows ?? null,
+            B_rows: sourceB?.rows ?? null,
+            changed: 'no'
+        };
+        if (!sourceA || !sourceB) {
+            sources[file].changed = `only in ${sourceA ? 'A' : 'B'}`;
+        } else if (sourceA.sha256 !== sourceB.sha256) {
+            sources[file].changed = 'yes';
+        }
+    }
+    if (fileNames.length > 0) {
+        console.log('Source files:');
+        console.table(sources);
+    }
+}
+
+async function showChanges(args) {
+    if (!args[0] || args[0].startsWith('--')) {
+        throw new Error('Run id is required');
+    }
+
+    const run = await findRun(args[0]);
+    const entity = getFlag(args, '--entity');
+    const key = getFlag(args, '--key');
+
+    const params = [run.run_id];
+    const conditions = ['run_id = $1'];
+    if (entity) {
+        params.push(entity);
+        conditions.push(`entity = $${params.length}`);
+    }
+    if (key) {
+        params.push(key);
+        conditions.push(`record_key = $${params.length}`);
+    }
+
+    const result = await pool.query(`
+        SELECT entity, record_key, action, field, old_value, new_value
+        FROM etl_change_log
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY change_id
+    `, params);
+
+    console.log(`\nRun ${run.run_id} (${run.mode}): ${run.inserted_count} inserted, ` +
+        `${run.updated_count} updated, ${run.unchanged_count} unchanged`);
+
+    if (result.rows.length === 0) {
+        console.log('No changes logged for this run (run the ETL with --change-log to record them)');
+        return;
+    }
+
+    console.table(result.rows);
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    try {
+        switch (command) {
+            case 'list':
+                await listRuns(args);
+                break;
+            case 'show':
+                await showRun(args);
+                break;
+            case 'diff':
+                await diffRuns(args);
+                break;
+            case 'changes':
+                await showChanges(args);
+                break;
+            default:
+                printUsage();
+                process.exitCode = command ? 1 : 0;
+        }
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+main();
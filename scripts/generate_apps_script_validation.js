@@ -0,0 +1,95 @@
+/**
+ * Generate Apps Script Validation
+ * Emits apps-script/Validation.gs from the shared student schema
+ *
+ * The generated file contains STUDENT_SCHEMA, the validator functions it
+ * relies on and a validateStudent(r) entry point used by Code.gs. Copy it
+ * into the Apps Script project next to Code.gs after regenerating.
+ *
+ * Run:
+ *   node scripts/generate_apps_script_validation.js          # write the file
+ *   node scripts/generate_apps_script_validation.js --check  # exit 1 if out of date
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    EMAIL_REGEX,
+    PHONE_REGEX,
+    cleanString,
+    normalizeEmail,
+    isValidEmail,
+    parseYear,
+    parseDate,
+    isValidDateOfBirth,
+    normalizePhoneNumber,
+    isValidPhoneNumber
+} from '../etl/utils/validators.js';
+import {
+    STUDENT_SCHEMA,
+    findRawValue,
+    isBlank,
+    normalizeField,
+    checkField,
+    validateStudentRecord
+} from '../etl/utils/studentSchema.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUTPUT_FILE = path.join(__dirname, '..', 'apps-script', 'Validation.gs');
+
+// Functions copied verbatim into the generated file (order does not matter in Apps Script)
+const FUNCTIONS = [
+    cleanString,
+    normalizeEmail,
+    isValidEmail,
+    parseYear,
+    parseDate,
+    isValidDateOfBirth,
+    normalizePhoneNumber,
+    isValidPhoneNumber,
+    findRawValue,
+    isBlank,
+    normalizeField,
+    checkField,
+    validateStudentRecord
+];
+
+function generate() {
+    return [
+        '/* ================= GENERATED FILE - DO NOT EDIT ================= */',
+        '/* Source: etl/utils/studentSchema.js + etl/utils/validators.js      */',
+        '/* Regenerate: npm run generate:apps-script                          */',
+        '',
+        `const EMAIL_REGEX = ${EMAIL_REGEX};`,
+        `const PHONE_REGEX = ${PHONE_REGEX};`,
+        '',
+        `const STUDENT_SCHEMA = ${JSON.stringify(STUDENT_SCHEMA, null, 2)};`,
+        '',
+        '/* ================= VALIDATION ENTRY POINT ================= */',
+        '',
+        '// Department names are resolved server-side; here they are only required.',
+        'function validateStudent(r) {',
+        '  const result = validateStudentRecord(r, {});',
+        '  return { isValid: result.errors.length === 0, errors: result.errors };',
+        '}',
+        '',
+        '/* ================= SHARED VALIDATORS ================= */',
+        '',
+        ...FUNCTIONS.map(fn => fn.toString() + '\n'),
+    ].join('\n');
+}
+
+const output = generate();
+
+if (process.argv.includes('--check')) {
+    const current = fs.existsSync(OUTPUT_FILE) ? fs.readFileSync(OUTPUT_FILE, 'utf8') : '';
+    if (current !== output) {
+        console.error(`❌ ${path.relative(process.cwd(), OUTPUT_FILE)} is out of date. Run: npm run generate:apps-script`);
+        process.exit(1);
+    }
+    console.log('✅ Apps Script validation is up to date');
+} else {
+    fs.writeFileSync(OUTPUT_FILE, output);
+    console.log(`✅ Wrote ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+}
@@ -1,6 +1,6 @@
 /**
  * Initialize Database
- * Runs schema.sql and seed.sql against NeonDB
+ * Runs schema.sql, seed.sql, procedures.sql and views.sql against NeonDB
  */
 
 import 'dotenv/config';
@@ -8,6 +8,7 @@ import pg from 'pg';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { logger } from '../etl/utils/logger.js';
 
 const { Pool } = pg;
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -21,14 +22,14 @@ async function runSQLFile(filename) {
     const filePath = path.join(__dirname, '..', 'sql', filename);
     const sql = fs.readFileSync(filePath, 'utf8');
 
-    console.log(`\n📄 Running ${filename}...`);
+    logger.info(`📄 Running ${filename}...`, { file: filename });
     await pool.query(sql);
-    console.log(`✅ ${filename} executed successfully`);
+    logger.success(`${filename} executed successfully`, { file: filename });
 }
 
 async function initializeDatabase() {
     try {
-        console.log('🚀 Starting database initialization...\n');
+        logger.section('🚀 Starting database initialization');
 
         // Run schema first (creates tables)
         await runSQLFile('schema.sql');
@@ -36,28 +37,27 @@ async function initializeDatabase() {
         // Run seed (populates data)
         await runSQLFile('seed.sql');
 
-        // Verify data
-        console.log('\n📊 Verification:');
-
-        const depts = await pool.query('SELECT COUNT(*) FROM department');
-        console.log(`   Departments: ${depts.rows[0].count}`);
-
-        const courses = await pool.query('SELECT COUNT(*) FROM course');
-        console.log(`   Courses: ${courses.rows[0].count}`);
+        // Functions and views used by the API (enrollments, reports)
+        await runSQLFile('procedures.sql');
+        await runSQLFile('views.sql');
 
-        const students = await pool.query('SELECT COUNT(*) FROM student');
-        console.log(`   Students: ${students.rows[0].count}`);
-
-        const enrollments = await pool.query('SELECT COUNT(*) FROM enrollment');
-        console.log(`   Enrollments: ${enrollments.rows[0].count}`);
+        // Verify data
+        logger.info('📊 Verification:');
+        for (const [label, table] of [['Departments', 'department'], ['Courses', 'course'],
+            ['Students', 'student'], ['Enrollments', 'enrollment']]) {
+            const result = await pool.query(`SELECT COUNT(*) FROM ${table}`);
+            const count = parseInt(result.rows[0].count, 10);
+            logger.info(`   ${label}: ${count}`, { table, count });
+        }
 
-        console.log('\n✅ Database initialized successfully!');
+        logger.success('Database initialized successfully!');
 
     } catch (error) {
-        console.error('❌ Initialization failed:', error.message);
-        console.error(error);
+        logger.error('Initialization failed', error);
+        process.exitCode = 1;
     } finally {
         await pool.end();
+        await logger.close();
     }
 }
 
@@ -7,12 +7,14 @@
  */
 
 import 'dotenv/config';
+import crypto from 'crypto';
 import pg from 'pg';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { from as copyFrom } from 'pg-copy-streams';
 import { Readable } from 'stream';
+import { logger } from '../etl/utils/logger.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const { Pool } = pg;
@@ -22,27 +24,6 @@ const SQL_DIR = path.join(__dirname, '../sql');
 
 let pool = null;
 
-// Colors for console output
-const c = {
-    reset: '\x1b[0m',
-    green: '\x1b[32m',
-    yellow: '\x1b[33m',
-    blue: '\x1b[34m',
-    cyan: '\x1b[36m',
-    red: '\x1b[31m',
-    bright: '\x1b[1m'
-};
-
-function log(msg, color = 'reset') {
-    console.log(`${c[color]}${msg}${c.reset}`);
-}
-
-function logSection(title) {
-    console.log('\n' + '═'.repeat(60));
-    log(`  ${title}`, 'cyan');
-    console.log('═'.repeat(60));
-}
-
 /**
  * Parse SQL dump file and extract CREATE TABLE, COPY data, and constraints
  */
@@ -122,7 +103,7 @@ async function executeCopy(client, table, columns, data) {
  */
 async function loadSQLDump(filePath, description) {
     const startTime = Date.now();
-    log(`📥 Loading ${description}...`, 'blue');
+    logger.info(`📥 Loading ${description}...`);
 
     const content = fs.readFileSync(filePath, 'utf8');
     const statements = parseSQLDump(content);
@@ -150,7 +131,7 @@ async function loadSQLDump(filePath, description) {
                     // Ignore "already exists" errors
                     if (!err.message.includes('already exists') &&
                         !err.message.includes('duplicate key')) {
-                        log(`  ⚠️ SQL Warning: ${err.message.substring(0, 60)}`, 'yellow');
+                        logger.warn(`SQL warning: ${err.message.substring(0, 60)}`, { file: path.basename(filePath) });
                     }
                 }
             } else if (stmt.type === 'copy') {
@@ -178,7 +159,7 @@ async function loadSQLDump(filePath, description) {
                     } catch (err) {
                         // Continue on errors (might be duplicate key)
                         if (!err.message.includes('duplicate')) {
-                            log(`  ⚠️ Insert warning: ${err.message.substring(0, 50)}`, 'yellow');
+                            logger.warn(`Insert warning: ${err.message.substring(0, 50)}`, { table: stmt.table });
                         }
                     }
                 }
@@ -187,7 +168,8 @@ async function loadSQLDump(filePath, description) {
         }
 
         const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-        log(`✅ ${description} loaded in ${duration}s (${sqlCount} statements, ${rowCount} rows)`, 'green');
+        logger.success(`${description} loaded in ${duration}s (${sqlCount} statements, ${rowCount} rows)`,
+            { statements: sqlCount, rows: rowCount });
 
         return { sqlCount, copyCount, rowCount };
     } finally {
@@ -200,7 +182,7 @@ async function loadSQLDump(filePath, description) {
  */
 async function loadSQLFile(filePath, description) {
     const startTime = Date.now();
-    log(`📥 Loading ${description}...`, 'blue');
+    logger.info(`📥 Loading ${description}...`);
 
     const content = fs.readFileSync(filePath, 'utf8');
 
@@ -223,13 +205,13 @@ async function loadSQLFile(filePath, description) {
             if (!err.message.includes('already exists') &&
                 !err.message.includes('does not exist') &&
                 !err.message.includes('syntax error')) {
-                log(`  ⚠️ ${err.message.substring(0, 50)}`, 'yellow');
+                logger.warn(err.message.substring(0, 50), { file: path.basename(filePath) });
             }
         }
     }
 
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    log(`✅ ${description} completed in ${duration}s`, 'green');
+    logger.success(`${description} completed in ${duration}s`, { statements: successCount });
 }
 
 /**
@@ -247,27 +229,24 @@ async function getTableCounts() {
         { name: 'Happiness 2019', query: 'SELECT COUNT(*) FROM "2019"' }
     ];
 
-    console.log('\n📊 Record Counts:');
-    console.log('-'.repeat(35));
+    logger.info('📊 Record Counts:');
 
     for (const t of tables) {
         try {
             const result = await pool.query(t.query);
-            console.log(`  ${t.name.padEnd(20)} ${String(result.rows[0].count).padStart(10)}`);
+            const count = parseInt(result.rows[0].count, 10);
+            logger.info(`  ${t.name.padEnd(20)} ${String(count).padStart(10)}`, { table: t.name, count });
         } catch (e) {
-            console.log(`  ${t.name.padEnd(20)} ${'N/A'.padStart(10)}`);
+            logger.info(`  ${t.name.padEnd(20)} ${'N/A'.padStart(10)}`, { table: t.name });
         }
     }
-    console.log('-'.repeat(35));
 }
 
 /**
  * Main function
  */
 async function main() {
-    console.log('\n' + '═'.repeat(60));
-    log('  TASK 7: LOADING PUBLIC DATASETS', 'bright');
-    console.log('═'.repeat(60) + '\n');
+    logger.section('TASK 7: LOADING PUBLIC DATASETS');
 
     const totalStart = Date.now();
 
@@ -278,24 +257,24 @@ async function main() {
             ssl: { rejectUnauthorized: false }
         });
 
-        log('✅ Database connected', 'green');
+        logger.info('Database connected');
 
         // Phase 1: Load Chinook
-        logSection('PHASE 1: LOAD CHINOOK DATABASE');
+        logger.section('PHASE 1: LOAD CHINOOK DATABASE');
         await loadSQLDump(
             path.join(DATA_DIR, 'chinook.sql'),
             'Chinook Database'
         );
 
         // Phase 2: Load Happiness Index
-        logSection('PHASE 2: LOAD HAPPINESS INDEX');
+        logger.section('PHASE 2: LOAD HAPPINESS INDEX');
         await loadSQLDump(
             path.join(DATA_DIR, 'happiness_index.sql'),
             'World Happiness Index'
         );
 
         // Phase 3: Apply Optimizations
-        logSection('PHASE 3: APPLY OPTIMIZATIONS');
+        logger.section('PHASE 3: APPLY OPTIMIZATIONS');
 
         await loadSQLFile(
             path.join(SQL_DIR, 'task7_procedures.sql'),
@@ -308,30 +287,30 @@ async function main() {
         );
 
         // Phase 4: Verify
-        logSection('PHASE 4: VERIFY DATA');
+        logger.section('PHASE 4: VERIFY DATA');
         await getTableCounts();
 
         // Summary
         const totalDuration = ((Date.now() - totalStart) / 1000).toFixed(2);
 
-        logSection('✅ ALL DATASETS LOADED');
-        console.log(`\n⏱️  Total time: ${totalDuration}s`);
-        console.log('\nNext steps:');
-        console.log('  1. Test materialized views:');
-        console.log('     SELECT * FROM mv_artist_sales_summary LIMIT 5;');
-        console.log('  2. Test stored procedures:');
-        console.log('     SELECT * FROM get_top_artists(5);');
-        console.log('  3. Run incremental demo: npm run task7:incremental');
+        logger.section('✅ ALL DATASETS LOADED');
+        logger.info(`⏱️  Total time: ${totalDuration}s`);
+        logger.info('Next steps:');
+        logger.info('  1. Test materialized views: SELECT * FROM mv_artist_sales_summary LIMIT 5;');
+        logger.info('  2. Test stored procedures: SELECT * FROM get_top_artists(5);');
+        logger.info('  3. Run incremental demo: npm run task7:incremental');
 
     } catch (error) {
-        log(`\n❌ Error: ${error.message}`, 'red');
-        console.error(error);
+        logger.error('Loading datasets failed', error);
+        process.exitCode = 1;
     } finally {
         if (pool) {
             await pool.end();
-            log('\n✅ Database connection closed', 'green');
+            logger.info('Database connection closed');
         }
     }
 }
 
-main().catch(console.error);
+logger.runWithContext({ runId: crypto.randomUUID(), mode: 'task7-load' }, main)
+    .catch(error => logger.error('Loading datasets failed', error))
+    .finally(() => logger.close());
@@ -0,0 +1,160 @@
+/**
+ * API Key Admin CLI
+ * Create, list and revoke keys stored in the api_key table
+ *
+ * Run:
+ *   node scripts/manage_api_keys.js create <name> --scopes students:write,reports:read [--expires-days 90]
+ *   node scripts/manage_api_keys.js list [--all]
+ *   node scripts/manage_api_keys.js revoke <id | prefix>
+ */
+
+import 'dotenv/config';
+import pg from 'pg';
+import { API_SCOPES, generateApiKey } from '../api/utils/apiKeys.js';
+
+const { Pool } = pg;
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * Read the value following a --flag, or null if the flag is absent
+ */
+function getFlag(args, flag) {
+    const index = args.indexOf(flag);
+    return index === -1 ? null : args[index + 1];
+}
+
+function printUsage() {
+    console.log('Usage:');
+    console.log('  node scripts/manage_api_keys.js create <name> --scopes <scope,scope> [--expires-days N]');
+    console.log('  node scripts/manage_api_keys.js list [--all]');
+    console.log('  node scripts/manage_api_keys.js revoke <id | prefix>');
+    console.log(`\nScopes: ${API_SCOPES.join(', ')}`);
+}
+
+async function createKey(args) {
+    const name = args[0];
+    const scopes = (getFlag(args, '--scopes') || '').split(',').map(s => s.trim()).filter(Boolean);
+    const expiresDays = getFlag(args, '--expires-days');
+
+    if (!name || name.startsWith('--')) {
+        throw new Error('Key name is required');
+    }
+
+    if (scopes.length === 0) {
+        throw new Error(`At least one scope is required (--scopes). Available: ${API_SCOPES.join(', ')}`);
+    }
+
+    const unknown = scopes.filter(scope => !API_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown scope(s): ${unknown.join(', ')}. Available: ${API_SCOPES.join(', ')}`);
+    }
+
+    if (expiresDays !== null && !(parseInt(expiresDays, 10) > 0)) {
+        throw new Error('--expires-days must be a positive integer');
+    }
+
+    const { key, prefix, hash } = generateApiKey();
+
+    const result = await pool.query(
+        `INSERT INTO api_key (key_name, key_prefix, key_hash, scopes, expires_at)
+         VALUES ($1, $2, $3, $4, CASE WHEN $5::INT IS NULL THEN NULL ELSE NOW() + make_interval(days => $5::INT) END)
+         RETURNING api_key_id, expires_at`,
+        [name, prefix, hash, scopes, expiresDays === null ? null : parseInt(expiresDays, 10)]
+    );
+
+    const row = result.rows[0];
+
+    console.log('✅ API key created\n');
+    console.log(`   ID:      ${row.api_key_id}`);
+    console.log(`   Name:    ${name}`);
+    console.log(`   Scopes:  ${scopes.join(', ')}`);
+    console.log(`   Expires: ${row.expires_at ? row.expires_at.toISOString() : 'never'}`);
+    console.log(`\n   Key:     ${key}\n`);
+    console.log('⚠️  Copy the key now - it is stored hashed and cannot be shown again.');
+}
+
+async function listKeys(args) {
+    const includeInactive = args.includes('--all');
+
+    const result = await pool.query(`
+        SELECT
+            api_key_id AS id,
+            key_name AS name,
+            key_prefix AS prefix,
+            array_to_string(scopes, ',') AS scopes,
+            created_at,
+            expires_at,
+            last_used_at,
+            CASE
+                WHEN revoked_at IS NOT NULL THEN 'revoked'
+                WHEN expires_at IS NOT NULL AND expires_at <= NOW() THEN 'expired'
+                ELSE 'active'
+            END AS status
+        FROM api_key
+        ${includeInactive ? '' : 'WHERE revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())'}
+        ORDER BY api_key_id
+    `);
+
+    if (result.rows.length === 0) {
+        console.log('No API keys found. Create one with: node scripts/manage_api_keys.js create <name> --scopes ...');
+        return;
+    }
+
+    console.table(result.rows);
+}
+
+async function revokeKey(args) {
+    const target = args[0];
+    if (!target) {
+        throw new Error('Key id or prefix is required');
+    }
+
+    const byId = /^\d+$/.test(target);
+    const result = await pool.query(
+        `UPDATE api_key SET revoked_at = NOW()
+         WHERE ${byId ? 'api_key_id = $1::INT' : 'key_prefix = $1'}
+           AND revoked_at IS NULL
+         RETURNING api_key_id, key_name`,
+        [target]
+    );
+
+    if (result.rows.length === 0) {
+        throw new Error(`No active key matches "${target}"`);
+    }
+
+    for (const row of result.rows) {
+        console.log(`🗑️  Revoked key ${row.api_key_id} (${row.key_name})`);
+    }
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    try {
+        switch (command) {
+            case 'create':
+                await createKey(args);
+                break;
+            case 'list':
+                await listKeys(args);
+                break;
+            case 'revoke':
+                await revokeKey(args);
+                break;
+            default:
+                printUsage();
+                process.exitCode = command ? 1 : 0;
+        }
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+main();
@@ -0,0 +1,245 @@
+/**
+ * Digest Admin CLI
+ * Manage who receives the registration error digest, preview it and send it
+ * by hand (the API sends it daily when DIGEST_TIME is set)
+ *
+ * Run:
+ *   node scripts/manage_digest.js subscribe <email> [--department "Computer Science"]
+ *   node scripts/manage_digest.js unsubscribe <email> [--department "Computer Science"]
+ *   node scripts/manage_digest.js list
+ *   node scripts/manage_digest.js preview [--since 24h|7d|2026-03-01] [--department <name>] [--html]
+ *   node scripts/manage_digest.js send [--since ...] [--transport console|file|smtp] [--empty]
+ *   node scripts/manage_digest.js runs [--limit 20]
+ *
+ * Without --since a digest covers everything since the previous one (or the last 24 hours).
+ */
+
+import 'dotenv/config';
+import { pool } from '../api/db.js';
+import {
+    buildDigest,
+    collectDigestData,
+    digestSubject,
+    renderDigestHtml,
+    renderDigestText,
+    sendDigests
+} from '../api/utils/digest.js';
+import { MAIL_TRANSPORTS, createMailTransport } from '../api/utils/mailTransports.js';
+import { getLastDigestEnd } from '../api/workers/digest.js';
+import { loadDepartmentResolver } from '../etl/utils/departments.js';
+import { isValidEmail, normalizeEmail } from '../etl/utils/validators.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the value following a --flag, or null if the flag is absent
+ */
+function getFlag(args, flag) {
+    const index = args.indexOf(flag);
+    return index === -1 ? null : args[index + 1];
+}
+
+function printUsage() {
+    console.log('Usage:');
+    console.log('  node scripts/manage_digest.js subscribe <email> [--department <name>]');
+    console.log('  node scripts/manage_digest.js unsubscribe <email> [--department <name>]');
+    console.log('  node scripts/manage_digest.js list');
+    console.log('  node scripts/manage_digest.js preview [--since <24h|7d|date>] [--department <name>] [--html]');
+    console.log('  node scripts/manage_digest.js send [--since <24h|7d|date>] [--transport <name>] [--empty]');
+    console.log('  node scripts/manage_digest.js runs [--limit N]');
+    console.log(`\nTransports: ${MAIL_TRANSPORTS.join(', ')} (default DIGEST_TRANSPORT or console)`);
+    console.log('Without --department a subscription covers every department.');
+}
+
+/**
+ * Start of the period: --since as "<n>h", "<n>d" or a date, else the end of the last digest
+ */
+async function resolveSince(args) {
+    const value = getFlag(args, '--since');
+
+    if (value === null) {
+        return (await getLastDigestEnd(pool)) ?? new Date(Date.now() - DAY_MS);
+    }
+
+    const relative = /^(\d+)([hd])$/.exec(value);
+    if (relative) {
+        const hours = parseInt(relative[1], 10) * (relative[2] === 'd' ? 24 : 1);
+        return new Date(Date.now() - hours * 60 * 60 * 1000);
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`--since must be like 24h, 7d or a date (got "${value}")`);
+    }
+    return date;
+}
+
+/**
+ * Canonical department name and id for --department, or null when absent
+ */
+async function resolveDepartmentFlag(args) {
+    const value = getFlag(args, '--department');
+    if (value === null) return null;
+
+    const departments = await loadDepartmentResolver(pool);
+    const match = departments.resolve(value);
+    if (!match) {
+        const suggestion = departments.suggest(value);
+        throw new Error(`Unknown department "${value}"` + (suggestion ? ` (did you mean "${suggestion}"?)` : ''));
+    }
+    return match;
+}
+
+/**
+ * Validated, normalized email argument
+ */
+function parseEmail(value) {
+    if (!value || value.startsWith('--') || !isValidEmail(value)) {
+        throw new Error(`A valid email is required (got "${value ?? ''}")`);
+    }
+    return normalizeEmail(value);
+}
+
+async function subscribe(args) {
+    const email = parseEmail(args[0]);
+    const department = await resolveDepartmentFlag(args);
+
+    const result = await pool.query(`
+        INSERT INTO digest_subscription (email, department_id)
+        VALUES ($1, $2)
+        ON CONFLICT DO NOTHING
+        RETURNING subscription_id
+    `, [email, department?.departmentId ?? null]);
+
+    const scope = department ? department.departmentName : 'all departments';
+    if (result.rows.length === 0) {
+        console.log(`ℹ️  ${email} is already subscribed to ${scope}`);
+        return;
+    }
+    console.log(`✅ Subscribed ${email} to ${scope}`);
+}
+
+async function unsubscribe(args) {
+    const email = parseEmail(args[0]);
+    const department = await resolveDepartmentFlag(args);
+
+    // Without --department every subscription of the address is removed
+    const result = await pool.query(`
+        DELETE FROM digest_subscription
+        WHERE email = $1 AND ($2::INT IS NULL OR department_id = $2::INT)
+        RETURNING subscription_id
+    `, [email, department?.departmentId ?? null]);
+
+    if (result.rows.length === 0) {
+        throw new Error(`No matching subscription for ${email}`);
+    }
+    console.log(`🗑️  Removed ${result.rows.length} subscription(s) for ${email}`);
+}
+
+async function listSubscriptions() {
+    const result = await pool.query(`
+        SELECT
+            s.subscription_id AS id,
+            s.email,
+            COALESCE(d.department_name, '(all departments)') AS department,
+            s.created_at
+        FROM digest_subscription s
+        LEFT JOIN department d ON d.department_id = s.department_id
+        ORDER BY s.email, d.department_name NULLS FIRST
+    `);
+
+    if (result.rows.length === 0) {
+        console.log('No digest subscriptions. Add one with: node scripts/manage_digest.js subscribe <email>');
+        return;
+    }
+
+    console.table(result.rows);
+}
+
+async function preview(args) {
+    const since = await resolveSince(args);
+    const department = await resolveDepartmentFlag(args);
+
+    const data = await collectDigestData(pool, { since, until: new Date() });
+    const digest = buildDigest(data, department ? [department.departmentName] : null);
+
+    console.log(`Subject: ${digestSubject(digest)}\n`);
+    console.log(args.includes('--html') ? renderDigestHtml(digest) : renderDigestText(digest));
+}
+
+async function send(args) {
+    const since = await resolveSince(args);
+    const transport = createMailTransport(getFlag(args, '--transport') ?? undefined);
+
+    const summary = await sendDigests(pool, transport, { since, sendEmpty: args.includes('--empty') });
+
+    if (summary.recipients === 0) {
+        console.log('⚠️  No digest subscriptions - nothing sent');
+        return;
+    }
+    console.log(`📧 Digest via ${transport.name}: ${summary.sent} sent, ${summary.skipped} skipped (no errors), ` +
+        `${summary.failed} failed`);
+    if (summary.failed > 0) process.exitCode = 1;
+}
+
+async function listRuns(args) {
+    const limit = parseInt(getFlag(args, '--limit') || '20', 10);
+
+    const result = await pool.query(`
+        SELECT
+            digest_run_id AS id,
+            period_start,
+            period_end,
+            transport,
+            recipients,
+            sent,
+            failed
+        FROM digest_run
+        ORDER BY digest_run_id DESC
+        LIMIT $1
+    `, [limit]);
+
+    if (result.rows.length === 0) {
+        console.log('No digests sent yet.');
+        return;
+    }
+
+    console.table(result.rows);
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    try {
+        switch (command) {
+            case 'subscribe':
+                await subscribe(args);
+                break;
+            case 'unsubscribe':
+                await unsubscribe(args);
+                break;
+            case 'list':
+                await listSubscriptions();
+                break;
+            case 'preview':
+                await preview(args);
+                break;
+            case 'send':
+                await send(args);
+                break;
+            case 'runs':
+                await listRuns(args);
+                break;
+            default:
+                printUsage();
+                process.exitCode = command ? 1 : 0;
+        }
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+main();
@@ -0,0 +1,257 @@
+/**
+ * Rejected Row CLI
+ * List, export and correct rows quarantined in etl_rejected_row
+ *
+ * Workflow:
+ *   1. export the pending rows to CSV
+ *   2. fix the data columns in a spreadsheet (keep rejected_row_id)
+ *   3. import the CSV - rows are marked "corrected"
+ *   4. npm run etl -- --replay-rejected
+ *
+ * Run:
+ *   node scripts/manage_rejected_rows.js list [--status pending|corrected|replayed|discarded|dry_run|all] [--entity department|course|student|enrollment] [--run <id>]
+ *   node scripts/manage_rejected_rows.js export <file.csv> --entity department|course|student|enrollment [--status pending] [--run <id>]
+ *   node scripts/manage_rejected_rows.js import <file.csv>
+ *   node scripts/manage_rejected_rows.js discard <id> [id ...]
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import pg from 'pg';
+import { parse } from 'csv-parse/sync';
+import { stripFormulaGuard, toCSV } from '../api/utils/csv.js';
+
+const { Pool } = pg;
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+});
+
+// dry_run: rejected by a --dry-run; listed and exported, never replayed
+const STATUSES = ['pending', 'corrected', 'replayed', 'discarded', 'dry_run'];
+const ENTITIES = ['department', 'course', 'student', 'enrollment'];
+
+// Columns added by export that are not part of the row data
+const META_COLUMNS = ['rejected_row_id', 'source_file', 'row_number', 'rule', 'error_message'];
+
+/**
+ * Read the value following a --flag, or null if the flag is absent
+ */
+function getFlag(args, flag) {
+    const index = args.indexOf(flag);
+    return index === -1 ? null : args[index + 1];
+}
+
+function printUsage() {
+    console.log('Usage:');
+    console.log('  node scripts/manage_rejected_rows.js list [--status <status>|all] [--entity <entity>] [--run <id>]');
+    console.log('  node scripts/manage_rejected_rows.js export <file.csv> --entity <entity> [--status <status>] [--run <id>]');
+    console.log('  node scripts/manage_rejected_rows.js import <file.csv>');
+    console.log('  node scripts/manage_rejected_rows.js discard <id> [id ...]');
+    console.log(`\nStatuses: ${STATUSES.join(', ')}`);
+    console.log(`Entities: ${ENTITIES.join(', ')}`);
+}
+
+/**
+ * Build a WHERE clause from --status / --entity / --run
+ * @returns {{ where: string, params: Array }}
+ */
+function buildFilters(args, defaultStatus) {
+    const status = getFlag(args, '--status') || defaultStatus;
+    const entity = getFlag(args, '--entity');
+    const runId = getFlag(args, '--run');
+
+    const conditions = [];
+    const params = [];
+
+    if (status !== 'all') {
+        if (!STATUSES.includes(status)) {
+            throw new Error(`Unknown status "${status}". Use one of: ${STATUSES.join(', ')}, all`);
+        }
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+    }
+
+    if (entity !== null) {
+        if (!ENTITIES.includes(entity)) {
+            throw new Error(`Unknown entity "${entity}". Use one of: ${ENTITIES.join(', ')}`);
+        }
+        params.push(entity);
+        conditions.push(`entity = $${params.length}`);
+    }
+
+    if (runId !== null) {
+        params.push(runId);
+        conditions.push(`run_id::TEXT = $${params.length}`);
+    }
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+async function listRows(args) {
+    const { where, params } = buildFilters(args, 'pending');
+
+    const result = await pool.query(`
+        SELECT
+            rejected_row_id AS id,
+            entity,
+            source_file,
+            row_number AS row,
+            rule,
+            LEFT(error_message, 80) AS error,
+            status,
+            created_at
+        FROM etl_rejected_row
+        ${where}
+        ORDER BY rejected_row_id
+    `, params);
+
+    if (result.rows.length === 0) {
+        console.log('No rejected rows found.');
+        return;
+    }
+
+    console.table(result.rows);
+}
+
+async function exportRows(args) {
+    const file = args[0];
+    if (!file || file.startsWith('--')) {
+        throw new Error('Output file is required');
+    }
+
+    // Each entity has its own columns, so export one entity at a time
+    if (!getFlag(args, '--entity')) {
+        throw new Error(`--entity is required (one of: ${ENTITIES.join(', ')})`);
+    }
+
+    const { where, params } = buildFilters(args, 'pending');
+
+    const result = await pool.query(`
+        SELECT rejected_row_id, source_file, row_number, rule, error_message,
+               COALESCE(corrected_data, raw_data) AS data
+        FROM etl_rejected_row
+        ${where}
+        ORDER BY rejected_row_id
+    `, params);
+
+    if (result.rows.length === 0) {
+        console.log('No rejected rows to export.');
+        return;
+    }
+
+    // Data columns in first-seen order across all rows
+    const dataColumns = [];
+    for (const row of result.rows) {
+        for (const key of Object.keys(row.data)) {
+            if (!dataColumns.includes(key) && !META_COLUMNS.includes(key)) dataColumns.push(key);
+        }
+    }
+
+    const rows = result.rows.map(({ data, ...meta }) => ({ ...data, ...meta }));
+    fs.writeFileSync(file, toCSV(rows, [...META_COLUMNS, ...dataColumns]));
+
+    console.log(`✅ Exported ${rows.length} rows to ${file}`);
+    console.log('   Fix the data columns, then run: node scripts/manage_rejected_rows.js import ' + file);
+}
+
+async function importRows(args) {
+    const file = args[0];
+    if (!file) {
+        throw new Error('Input file is required');
+    }
+
+    const records = parse(fs.readFileSync(file, 'utf8'), {
+        columns: true,
+        skip_empty_lines: true,
+        trim: true
+    });
+
+    let corrected = 0;
+    const skipped = [];
+
+    for (const record of records) {
+        const id = parseInt(record.rejected_row_id, 10);
+        if (!id) {
+            skipped.push(`row without rejected_row_id: ${JSON.stringify(record)}`);
+            continue;
+        }
+
+        const data = {};
+        for (const [key, value] of Object.entries(record)) {
+            if (!META_COLUMNS.includes(key)) data[key] = stripFormulaGuard(value);
+        }
+
+        const result = await pool.query(`
+            UPDATE etl_rejected_row
+            SET corrected_data = $2, status = 'corrected'
+            WHERE rejected_row_id = $1 AND status IN ('pending', 'corrected')
+            RETURNING rejected_row_id
+        `, [id, JSON.stringify(data)]);
+
+        if (result.rows.length === 0) {
+            skipped.push(`${id}: not found, already replayed or discarded`);
+        } else {
+            corrected++;
+        }
+    }
+
+    console.log(`✅ Marked ${corrected} rows as corrected`);
+    for (const reason of skipped) {
+        console.log(`⚠️  Skipped ${reason}`);
+    }
+    if (corrected > 0) {
+        console.log('   Replay them with: npm run etl -- --replay-rejected');
+    }
+}
+
+async function discardRows(args) {
+    const ids = args.map(id => parseInt(id, 10));
+    if (ids.length === 0 || ids.some(id => !(id > 0))) {
+        throw new Error('One or more numeric rejected_row_id values are required');
+    }
+
+    const result = await pool.query(`
+        UPDATE etl_rejected_row
+        SET status = 'discarded'
+        WHERE rejected_row_id = ANY($1::INT[]) AND status IN ('pending', 'corrected')
+        RETURNING rejected_row_id
+    `, [ids]);
+
+    console.log(`🗑️  Discarded ${result.rows.length} of ${ids.length} rows`);
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    try {
+        switch (command) {
+            case 'list':
+                await listRows(args);
+                break;
+            case 'export':
+                await exportRows(args);
+                break;
+            case 'import':
+                await importRows(args);
+                break;
+            case 'discard':
+                await discardRows(args);
+                break;
+            default:
+                printUsage();
+                process.exitCode = command ? 1 : 0;
+        }
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+main();
@@ -0,0 +1,263 @@
+/**
+ * Webhook Admin CLI
+ * Manage webhook subscriptions and inspect the delivery log
+ *
+ * Run:
+ *   node scripts/manage_webhooks.js create <url> --events student.registered,etl.run.failed|* [--description "Slack bot"]
+ *   node scripts/manage_webhooks.js list [--all]
+ *   node scripts/manage_webhooks.js disable|enable|delete <id>
+ *   node scripts/manage_webhooks.js deliveries [--status pending|sending|delivered|failed|all] [--webhook <id>] [--limit 50]
+ *   node scripts/manage_webhooks.js redeliver <delivery-id> [id ...] | --failed
+ *   node scripts/manage_webhooks.js deliver     # send due deliveries now
+ */
+
+import 'dotenv/config';
+import pg from 'pg';
+import { WEBHOOK_EVENTS, deliverWebhooks, generateWebhookSecret } from '../etl/utils/webhooks.js';
+
+const { Pool } = pg;
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+});
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'failed'];
+
+/**
+ * Read the value following a --flag, or null if the flag is absent
+ */
+function getFlag(args, flag) {
+    const index = args.indexOf(flag);
+    return index === -1 ? null : args[index + 1];
+}
+
+function printUsage() {
+    console.log('Usage:');
+    console.log('  node scripts/manage_webhooks.js create <url> --events <event,event|*> [--description <text>]');
+    console.log('  node scripts/manage_webhooks.js list [--all]');
+    console.log('  node scripts/manage_webhooks.js disable|enable|delete <id>');
+    console.log('  node scripts/manage_webhooks.js deliveries [--status <status>|all] [--webhook <id>] [--limit N]');
+    console.log('  node scripts/manage_webhooks.js redeliver <delivery-id> [id ...] | --failed');
+    console.log('  node scripts/manage_webhooks.js deliver');
+    console.log(`\nEvents: ${WEBHOOK_EVENTS.join(', ')}, *`);
+    console.log(`Delivery statuses: ${DELIVERY_STATUSES.join(', ')}`);
+}
+
+/**
+ * Parse a numeric id argument
+ */
+function parseId(value, label) {
+    const id = parseInt(value, 10);
+    if (!(id > 0) || String(id) !== String(value)) {
+        throw new Error(`${label} must be a positive integer`);
+    }
+    return id;
+}
+
+async function createWebhook(args) {
+    const url = args[0];
+    const events = (getFlag(args, '--events') || '').split(',').map(e => e.trim()).filter(Boolean);
+    const description = getFlag(args, '--description');
+
+    if (!url || url.startsWith('--')) {
+        throw new Error('Webhook URL is required');
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new Error(`Not a valid URL: ${url}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error('Webhook URL must use http or https');
+    }
+
+    if (events.length === 0) {
+        throw new Error(`At least one event is required (--events). Available: ${WEBHOOK_EVENTS.join(', ')}, *`);
+    }
+
+    const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown event(s): ${unknown.join(', ')}. Available: ${WEBHOOK_EVENTS.join(', ')}, *`);
+    }
+
+    const secret = generateWebhookSecret();
+
+    const result = await pool.query(
+        `INSERT INTO webhook_subscription (url, secret, events, description)
+         VALUES ($1, $2, $3, $4)
+         RETURNING webhook_id`,
+        [url, secret, events, description]
+    );
+
+    console.log('✅ Webhook created\n');
+    console.log(`   ID:      ${result.rows[0].webhook_id}`);
+    console.log(`   URL:     ${url}`);
+    console.log(`   Events:  ${events.join(', ')}`);
+    console.log(`\n   Secret:  ${secret}\n`);
+    console.log('⚠️  Copy the secret now - receivers need it to verify the X-Webhook-Signature header.');
+}
+
+async function listWebhooks(args) {
+    const includeInactive = args.includes('--all');
+
+    const result = await pool.query(`
+        SELECT
+            w.webhook_id AS id,
+            w.url,
+            array_to_string(w.events, ',') AS events,
+            w.description,
+            CASE WHEN w.active THEN 'active' ELSE 'disabled' END AS status,
+            COUNT(d.delivery_id) FILTER (WHERE d.status = 'delivered')::INT AS delivered,
+            COUNT(d.delivery_id) FILTER (WHERE d.status IN ('pending', 'sending'))::INT AS pending,
+            COUNT(d.delivery_id) FILTER (WHERE d.status = 'failed')::INT AS failed,
+            MAX(d.delivered_at) AS last_delivered_at
+        FROM webhook_subscription w
+        LEFT JOIN webhook_delivery d ON d.webhook_id = w.webhook_id
+        ${includeInactive ? '' : 'WHERE w.active'}
+        GROUP BY w.webhook_id
+        ORDER BY w.webhook_id
+    `);
+
+    if (result.rows.length === 0) {
+        console.log('No webhooks found. Create one with: node scripts/manage_webhooks.js create <url> --events ...');
+        return;
+    }
+
+    console.table(result.rows);
+}
+
+async function setActive(args, active) {
+    const id = parseId(args[0], 'Webhook id');
+
+    const result = await pool.query(
+        'UPDATE webhook_subscription SET active = $2 WHERE webhook_id = $1 RETURNING url',
+        [id, active]
+    );
+    if (result.rows.length === 0) {
+        throw new Error(`Webhook ${id} not found`);
+    }
+
+    console.log(`${active ? '✅ Enabled' : '⏸️  Disabled'} webhook ${id} (${result.rows[0].url})`);
+}
+
+async function deleteWebhook(args) {
+    const id = parseId(args[0], 'Webhook id');
+
+    const result = await pool.query(
+        'DELETE FROM webhook_subscription WHERE webhook_id = $1 RETURNING url',
+        [id]
+    );
+    if (result.rows.length === 0) {
+        throw new Error(`Webhook ${id} not found`);
+    }
+
+    console.log(`🗑️  Deleted webhook ${id} (${result.rows[0].url}) and its delivery log`);
+}
+
+async function listDeliveries(args) {
+    const status = getFlag(args, '--status') || 'all';
+    const webhook = getFlag(args, '--webhook');
+    const limit = parseId(getFlag(args, '--limit') || '50', '--limit');
+
+    if (status !== 'all' && !DELIVERY_STATUSES.includes(status)) {
+        throw new Error(`Unknown status "${status}". Use one of: ${DELIVERY_STATUSES.join(', ')}, all`);
+    }
+    const webhookId = webhook === null ? null : parseId(webhook, '--webhook');
+
+    const result = await pool.query(`
+        SELECT
+            delivery_id AS id,
+            webhook_id AS webhook,
+            event_type AS event,
+            status,
+            attempts,
+            response_status AS http,
+            LEFT(last_error, 60) AS error,
+            created_at,
+            CASE WHEN status = 'pending' THEN next_attempt_at END AS next_attempt_at,
+            delivered_at
+        FROM webhook_delivery
+        WHERE ($1 = 'all' OR status = $1)
+          AND ($2::INT IS NULL OR webhook_id = $2::INT)
+        ORDER BY delivery_id DESC
+        LIMIT $3
+    `, [status, webhookId, limit]);
+
+    if (result.rows.length === 0) {
+        console.log('No deliveries found.');
+        return;
+    }
+
+    console.table(result.rows);
+}
+
+async function redeliver(args) {
+    const all = args.includes('--failed');
+    const ids = args.filter(arg => arg !== '--failed').map(id => parseId(id, 'Delivery id'));
+
+    if (!all && ids.length === 0) {
+        throw new Error('One or more delivery ids (or --failed) are required');
+    }
+
+    const result = await pool.query(`
+        UPDATE webhook_delivery
+        SET status = 'pending', attempts = 0, next_attempt_at = NOW(), updated_at = NOW()
+        WHERE status IN ('failed', 'delivered')
+          AND (${all ? "status = 'failed'" : 'delivery_id = ANY($1::BIGINT[])'})
+        RETURNING delivery_id
+    `, all ? [] : [ids]);
+
+    console.log(`🔁 Re-queued ${result.rows.length} deliveries (sent by the API worker, or run: node scripts/manage_webhooks.js deliver)`);
+}
+
+async function deliverNow() {
+    const summary = await deliverWebhooks(pool, { limit: 100 });
+    console.log(`📨 Sent ${summary.claimed} deliveries: ${summary.delivered} delivered, ` +
+        `${summary.retrying} to retry, ${summary.failed} failed`);
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    try {
+        switch (command) {
+            case 'create':
+                await createWebhook(args);
+                break;
+            case 'list':
+                await listWebhooks(args);
+                break;
+            case 'disable':
+                await setActive(args, false);
+                break;
+            case 'enable':
+                await setActive(args, true);
+                break;
+            case 'delete':
+                await deleteWebhook(args);
+                break;
+            case 'deliveries':
+                await listDeliveries(args);
+                break;
+            case 'redeliver':
+                await redeliver(args);
+                break;
+            case 'deliver':
+                await deliverNow();
+                break;
+            default:
+                printUsage();
+                process.exitCode = command ? 1 : 0;
+        }
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+main();
@@ -0,0 +1,132 @@
+/**
+ * Registration Queue CLI
+ * Inspect the registration queue, retry failed entries and run the worker
+ * outside the API server (set REGISTRATION_QUEUE_WORKER=false on the API)
+ *
+ * Run:
+ *   node scripts/registration_queue.js list [--status queued|processing|registered|duplicate|invalid|failed|all] [--limit 50]
+ *   node scripts/registration_queue.js retry <id> [id ...] | --failed
+ *   node scripts/registration_queue.js work [--once]
+ */
+
+import 'dotenv/config';
+import { pool } from '../api/db.js';
+import { processRegistrationQueue, startRegistrationWorker } from '../api/workers/registrationQueue.js';
+import { logger } from '../etl/utils/logger.js';
+
+const STATUSES = ['queued', 'processing', 'registered', 'duplicate', 'invalid', 'failed'];
+
+/**
+ * Read the value following a --flag, or null if the flag is absent
+ */
+function getFlag(args, flag) {
+    const index = args.indexOf(flag);
+    return index === -1 ? null : args[index + 1];
+}
+
+function printUsage() {
+    console.log('Usage:');
+    console.log('  node scripts/registration_queue.js list [--status <status>|all] [--limit N]');
+    console.log('  node scripts/registration_queue.js retry <id> [id ...] | --failed');
+    console.log('  node scripts/registration_queue.js work [--once]');
+    console.log(`\nStatuses: ${STATUSES.join(', ')}`);
+}
+
+async function listEntries(args) {
+    const status = getFlag(args, '--status') || 'all';
+    const limit = parseInt(getFlag(args, '--limit') || '50', 10);
+
+    if (status !== 'all' && !STATUSES.includes(status)) {
+        throw new Error(`Unknown status "${status}". Use one of: ${STATUSES.join(', ')}, all`);
+    }
+
+    const counts = await pool.query(
+        'SELECT status, COUNT(*)::INT AS count FROM registration_queue GROUP BY status ORDER BY status'
+    );
+    console.log('Queue: ' + (counts.rows.map(row => `${row.status} ${row.count}`).join(', ') || 'empty'));
+
+    const result = await pool.query(`
+        SELECT
+            queue_id AS id,
+            payload->>'email' AS email,
+            status,
+            attempts,
+            student_id,
+            LEFT(last_error, 80) AS error,
+            next_attempt_at,
+            updated_at
+        FROM registration_queue
+        WHERE $1 = 'all' OR status = $1
+        ORDER BY queue_id DESC
+        LIMIT $2
+    `, [status, limit]);
+
+    if (result.rows.length > 0) {
+        console.table(result.rows);
+    }
+}
+
+async function retryEntries(args) {
+    const all = args.includes('--failed');
+    const ids = args.filter(arg => arg !== '--failed').map(id => parseInt(id, 10));
+
+    if (!all && (ids.length === 0 || ids.some(id => !(id > 0)))) {
+        throw new Error('One or more numeric queue ids (or --failed) are required');
+    }
+
+    const result = await pool.query(`
+        UPDATE registration_queue
+        SET status = 'queued', attempts = 0, next_attempt_at = NOW(), last_error = NULL, updated_at = NOW()
+        WHERE status = 'failed' AND ($1 OR queue_id = ANY($2::INT[]))
+        RETURNING queue_id
+    `, [all, ids]);
+
+    console.log(`🔁 Re-queued ${result.rows.length} failed registrations`);
+}
+
+async function work(args) {
+    if (args.includes('--once')) {
+        const summary = await processRegistrationQueue();
+        console.log('✅ Pass complete:', summary);
+        return;
+    }
+
+    const worker = startRegistrationWorker();
+
+    // Runs until Ctrl+C / SIGTERM, finishing the current pass first
+    await new Promise(resolve => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+    });
+    logger.info('Stopping registration queue worker...');
+    await worker.stop();
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    try {
+        switch (command) {
+            case 'list':
+                await listEntries(args);
+                break;
+            case 'retry':
+                await retryEntries(args);
+                break;
+            case 'work':
+                await work(args);
+                break;
+            default:
+                printUsage();
+                process.exitCode = command ? 1 : 0;
+        }
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+        await logger.close();
+    }
+}
+
+main();
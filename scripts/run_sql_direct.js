@@ -11,13 +11,13 @@ import pg from 'pg';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { logger } from '../etl/utils/logger.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const { Client } = pg;
 
 async function runSQLFile(filePath) {
-    console.log(`\n📂 Loading: ${path.basename(filePath)}`);
-    console.log('═'.repeat(50));
+    logger.section(`📂 Loading: ${path.basename(filePath)}`);
 
     const client = new Client({
         connectionString: process.env.DATABASE_URL,
@@ -26,7 +26,7 @@ async function runSQLFile(filePath) {
 
     try {
         await client.connect();
-        console.log('✅ Database connected');
+        logger.info('Database connected');
 
         const sql = fs.readFileSync(filePath, 'utf8');
 
@@ -53,23 +53,25 @@ async function runSQLFile(filePath) {
                 const funcMatch = trimmed.match(/FUNCTION\s+(\w+)/i);
                 const viewMatch = trimmed.match(/VIEW\s+(\w+)/i);
                 const name = funcMatch?.[1] || viewMatch?.[1] || 'statement';
-                console.log(`  ✅ Created: ${name}`);
+                logger.success(`Created: ${name}`, { name });
             } catch (err) {
                 if (!err.message.includes('already exists') &&
                     !err.message.includes('does not exist')) {
                     errorCount++;
-                    console.log(`  ⚠️ Error: ${err.message.substring(0, 60)}`);
+                    logger.warn(`Error: ${err.message.substring(0, 60)}`);
                 }
             }
         }
 
-        console.log(`\n📊 Summary: ${successCount} successful, ${errorCount} errors`);
+        logger.info(`📊 Summary: ${successCount} successful, ${errorCount} errors`,
+            { successful: successCount, errors: errorCount });
 
     } catch (error) {
-        console.error('❌ Error:', error.message);
+        logger.error('Running SQL file failed', error);
+        process.exitCode = 1;
     } finally {
         await client.end();
-        console.log('✅ Connection closed');
+        logger.info('Connection closed');
     }
 }
 
@@ -84,8 +86,10 @@ if (args.length === 0) {
 const filePath = path.isAbsolute(args[0]) ? args[0] : path.join(process.cwd(), args[0]);
 
 if (!fs.existsSync(filePath)) {
-    console.error(`❌ File not found: ${filePath}`);
+    logger.error(`File not found: ${filePath}`);
     process.exit(1);
 }
 
-runSQLFile(filePath).catch(console.error);
+runSQLFile(filePath)
+    .catch(error => logger.error('Running SQL file failed', error))
+    .finally(() => logger.close());
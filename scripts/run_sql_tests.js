@@ -6,6 +6,7 @@
 import 'dotenv/config';
 import pg from 'pg';
 import fs from 'fs';
+import { logger } from '../etl/utils/logger.js';
 
 const { Pool } = pg;
 
@@ -15,9 +16,7 @@ const pool = new Pool({
 });
 
 async function runSQL(filename) {
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`📄 Executing: ${filename}`);
-    console.log('='.repeat(60));
+    logger.section(`📄 Executing: ${filename}`);
 
     const sql = fs.readFileSync(`sql/${filename}`, 'utf8');
 
@@ -25,56 +24,54 @@ async function runSQL(filename) {
         const result = await pool.query(sql);
 
         if (result.rows && result.rows.length > 0) {
-            console.log(`✅ Success! ${result.rows.length} rows returned`);
+            logger.success(`Success! ${result.rows.length} rows returned`, { file: filename, rows: result.rows.length });
             console.table(result.rows.slice(0, 10)); // Show first 10 rows
         } else {
-            console.log('✅ Success! No rows returned');
+            logger.success('Success! No rows returned', { file: filename });
         }
     } catch (error) {
-        console.error('❌ Error:', error.message);
+        logger.error(`${filename} failed`, error, { file: filename });
     }
 }
 
 async function runQuery(name, sql) {
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`🔍 ${name}`);
-    console.log('='.repeat(60));
+    logger.section(`🔍 ${name}`);
 
     try {
         const result = await pool.query(sql);
 
         if (result.rows && result.rows.length > 0) {
-            console.log(`\n✅ ${result.rows.length} rows returned\n`);
+            logger.success(`${result.rows.length} rows returned`, { query: name, rows: result.rows.length });
             console.table(result.rows.slice(0, 10));
         } else {
-            console.log('\n✅ Query executed successfully. No rows returned.\n');
+            logger.success('Query executed successfully. No rows returned.', { query: name });
         }
 
         return result;
     } catch (error) {
-        console.error('❌ Error:', error.message);
+        logger.error(`${name} failed`, error, { query: name });
         return null;
     }
 }
 
 async function main() {
-    console.log('\n🚀 SQL Testing Script\n');
+    logger.section('🚀 SQL Testing Script');
 
     try {
         // Test connection
         await pool.query('SELECT NOW()');
-        console.log('✅ Database connected\n');
+        logger.info('Database connected');
 
         // 1. Create views
-        console.log('\n📋 STEP 1: Creating Views...');
+        logger.info('📋 STEP 1: Creating Views...');
         await runSQL('views.sql');
 
         // 2. Create procedures
-        console.log('\n⚙️  STEP 2: Creating Stored Procedures...');
+        logger.info('⚙️  STEP 2: Creating Stored Procedures...');
         await runSQL('procedures.sql');
 
         // 3. Run sample queries
-        console.log('\n\n📊 STEP 3: Running Sample Queries...\n');
+        logger.info('📊 STEP 3: Running Sample Queries...');
 
         // Sample 1: Students per department
         await runQuery(
@@ -128,14 +125,17 @@ async function main() {
              ORDER BY pg_total_relation_size('public.'||tablename) DESC`
         );
 
-        console.log('\n\n✅ All tests completed!\n');
+        logger.success('All tests completed!');
 
     } catch (error) {
-        console.error('❌ Fatal error:', error);
+        logger.error('Fatal error', error);
+        process.exitCode = 1;
     } finally {
         await pool.end();
-        console.log('👋 Database connection closed\n');
+        logger.info('👋 Database connection closed');
     }
 }
 
-main().catch(console.error);
+main()
+    .catch(error => logger.error('Fatal error', error))
+    .finally(() => logger.close());
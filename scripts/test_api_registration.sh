@@ -4,6 +4,7 @@
 # Tests the auto-registration endpoint with various scenarios
 
 API_URL=${1:-"http://localhost:3000"}
+API_KEY=${API_KEY:-""}  # key with students:write scope (npm run api-keys -- create ...)
 
 echo "=================================================="
 echo "Testing Auto-Registration API"
@@ -25,6 +26,7 @@ echo -e "\n"
 # Test 2: Valid Student Registration
 echo -e "${YELLOW}[Test 2] Valid Student Registration${NC}"
 curl -s -X POST "$API_URL/api/students" \
+  -H "X-API-Key: $API_KEY" \
   -H "Content-Type: application/json" \
   -d '{
     "firstName": "John",
@@ -40,6 +42,7 @@ echo -e "\n"
 # Test 3: Invalid Email
 echo -e "${YELLOW}[Test 3] Invalid Email${NC}"
 curl -s -X POST "$API_URL/api/students" \
+  -H "X-API-Key: $API_KEY" \
   -H "Content-Type: application/json" \
   -d '{
     "firstName": "Jane",
@@ -55,6 +58,7 @@ echo -e "\n"
 # Test 4: Invalid Year
 echo -e "${YELLOW}[Test 4] Invalid Year${NC}"
 curl -s -X POST "$API_URL/api/students" \
+  -H "X-API-Key: $API_KEY" \
   -H "Content-Type: application/json" \
   -d '{
     "firstName": "Bob",
@@ -70,6 +74,7 @@ echo -e "\n"
 # Test 5: Unknown Department
 echo -e "${YELLOW}[Test 5] Unknown Department${NC}"
 curl -s -X POST "$API_URL/api/students" \
+  -H "X-API-Key: $API_KEY" \
   -H "Content-Type: application/json" \
   -d '{
     "firstName": "Alice",
@@ -85,6 +90,7 @@ echo -e "\n"
 # Test 6: Duplicate Email
 echo -e "${YELLOW}[Test 6] Duplicate Email (should fail)${NC}"
 curl -s -X POST "$API_URL/api/students" \
+  -H "X-API-Key: $API_KEY" \
   -H "Content-Type: application/json" \
   -d '{
     "firstName": "John",
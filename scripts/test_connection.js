@@ -6,6 +6,7 @@ import 'dotenv/config';
 // - When your app gets many requests, Pool reuses connections efficiently
 // - Client is just ONE connection - if it's busy, other requests wait
 import pg from 'pg';
+import { logger } from '../etl/utils/logger.js';
 const { Pool } = pg;
 
 // STEP 3: Create the Connection Pool
@@ -36,22 +37,30 @@ async function testConnection() {
         const result = await pool.query('SELECT NOW() as current_time');
         // result.rows is an array of row objects
         // result.rows[0] is the first (and only) row
-        console.log('✅ Connected to PostgreSQL/NeonDB successfully!');
-        console.log('📅 Server time:', result.rows[0].current_time);
+        logger.success('Connected to PostgreSQL/NeonDB successfully!');
+        logger.info(`📅 Server time: ${result.rows[0].current_time.toISOString()}`);
 
     } catch (error) {
-        console.error('❌ Connection failed!');
-        console.error('Error:', error.message);
-        console.error('Full error:', error);
-        console.log('DATABASE_URL exists:', !!process.env.DATABASE_URL);
-        console.log('DATABASE_URL starts with:', process.env.DATABASE_URL?.substring(0, 30) + '...');
+        // Only the host: the rest of the URL holds the user and password
+        let databaseHost = null;
+        try {
+            databaseHost = new URL(process.env.DATABASE_URL).host;
+        } catch {
+            // missing or not a URL
+        }
+        logger.error('Connection failed!', error, {
+            databaseUrlSet: Boolean(process.env.DATABASE_URL),
+            databaseHost
+        });
+        process.exitCode = 1;
 
     } finally {
         // ALWAYS close the pool when done
         // This releases all connections back to NeonDB
         // If you don't do this, the script hangs forever
         await pool.end();
-        console.log('🔌 Connection pool closed.');
+        logger.info('🔌 Connection pool closed.');
+        await logger.close();
     }
 }
 
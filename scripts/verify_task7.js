@@ -8,13 +8,12 @@
 
 import 'dotenv/config';
 import pg from 'pg';
+import { logger } from '../etl/utils/logger.js';
 
 const { Pool } = pg;
 
 async function verify() {
-    console.log('\n' + '═'.repeat(60));
-    console.log('  TASK 7: VERIFICATION QUERIES');
-    console.log('═'.repeat(60) + '\n');
+    logger.section('TASK 7: VERIFICATION QUERIES');
 
     const pool = new Pool({
         connectionString: process.env.DATABASE_URL,
@@ -23,8 +22,7 @@ async function verify() {
 
     try {
         // Test 1: Materialized View - Top Artists by Revenue
-        console.log('📊 TEST 1: Materialized View - Artist Sales Summary');
-        console.log('-'.repeat(50));
+        logger.info('📊 TEST 1: Materialized View - Artist Sales Summary');
         try {
             const result = await pool.query(`
                 SELECT artist_name, total_albums, total_tracks, 
@@ -35,12 +33,11 @@ async function verify() {
             `);
             console.table(result.rows);
         } catch (e) {
-            console.log('⚠️ Could not query mv_artist_sales_summary');
+            logger.warn('Could not query mv_artist_sales_summary', { error: e.message });
         }
 
         // Test 2: Stored Procedure - Top Artists
-        console.log('\n📊 TEST 2: Stored Procedure - get_top_artists(5)');
-        console.log('-'.repeat(50));
+        logger.info('📊 TEST 2: Stored Procedure - get_top_artists(5)');
         try {
             const result = await pool.query('SELECT * FROM get_top_artists(5)');
             console.table(result.rows.map(r => ({
@@ -50,12 +47,11 @@ async function verify() {
                 revenue: parseFloat(r.total_revenue || 0).toFixed(2)
             })));
         } catch (e) {
-            console.log('⚠️ Error:', e.message);
+            logger.warn(`Error: ${e.message}`);
         }
 
         // Test 3: Genre Report
-        console.log('\n📊 TEST 3: Stored Procedure - get_genre_report()');
-        console.log('-'.repeat(50));
+        logger.info('📊 TEST 3: Stored Procedure - get_genre_report()');
         try {
             const result = await pool.query('SELECT * FROM get_genre_report() LIMIT 5');
             console.table(result.rows.map(r => ({
@@ -65,12 +61,11 @@ async function verify() {
                 revenue: parseFloat(r.total_revenue || 0).toFixed(2)
             })));
         } catch (e) {
-            console.log('⚠️ Error:', e.message);
+            logger.warn(`Error: ${e.message}`);
         }
 
         // Test 4: Happiness Threshold
-        console.log('\n📊 TEST 4: Stored Procedure - get_happiness_by_threshold(7.0)');
-        console.log('-'.repeat(50));
+        logger.info('📊 TEST 4: Stored Procedure - get_happiness_by_threshold(7.0)');
         try {
             const result = await pool.query('SELECT * FROM get_happiness_by_threshold(7.0)');
             console.table(result.rows.map(r => ({
@@ -79,12 +74,11 @@ async function verify() {
                 score: parseFloat(r.happiness_score || 0).toFixed(2)
             })));
         } catch (e) {
-            console.log('⚠️ Error:', e.message);
+            logger.warn(`Error: ${e.message}`);
         }
 
         // Test 5: Compare Countries
-        console.log('\n📊 TEST 5: Stored Procedure - compare_countries()');
-        console.log('-'.repeat(50));
+        logger.info('📊 TEST 5: Stored Procedure - compare_countries()');
         try {
             const result = await pool.query(`SELECT * FROM compare_countries('India', 'Finland')`);
             console.table(result.rows.map(r => ({
@@ -94,12 +88,11 @@ async function verify() {
                 diff: parseFloat(r.difference || 0).toFixed(2)
             })));
         } catch (e) {
-            console.log('⚠️ Error:', e.message);
+            logger.warn(`Error: ${e.message}`);
         }
 
         // Test 6: Monthly Revenue
-        console.log('\n📊 TEST 6: Stored Procedure - get_monthly_revenue_report(2009)');
-        console.log('-'.repeat(50));
+        logger.info('📊 TEST 6: Stored Procedure - get_monthly_revenue_report(2009)');
         try {
             const result = await pool.query('SELECT * FROM get_monthly_revenue_report(2009)');
             console.table(result.rows.map(r => ({
@@ -108,19 +101,20 @@ async function verify() {
                 revenue: parseFloat(r.total_revenue || 0).toFixed(2)
             })));
         } catch (e) {
-            console.log('⚠️ Error:', e.message);
+            logger.warn(`Error: ${e.message}`);
         }
 
         // Summary
-        console.log('\n' + '═'.repeat(60));
-        console.log('  ✅ VERIFICATION COMPLETE');
-        console.log('═'.repeat(60));
+        logger.section('✅ VERIFICATION COMPLETE');
 
     } catch (error) {
-        console.error('❌ Error:', error.message);
+        logger.error('Verification failed', error);
+        process.exitCode = 1;
     } finally {
         await pool.end();
     }
 }
 
-verify().catch(console.error);
+verify()
+    .catch(error => logger.error('Verification failed', error))
+    .finally(() => logger.close());
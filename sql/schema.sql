@@ -6,6 +6,22 @@
 -- =====================================================
 
 -- Drop tables if they exist (safe re-run during development)
+DROP TABLE IF EXISTS app_log CASCADE;
+DROP TABLE IF EXISTS etl_sheet_row CASCADE;
+DROP TABLE IF EXISTS etl_inbox_file CASCADE;
+DROP TABLE IF EXISTS etl_change_log CASCADE;
+DROP TABLE IF EXISTS etl_run CASCADE;
+DROP TABLE IF EXISTS etl_rejected_row CASCADE;
+DROP TABLE IF EXISTS etl_run_key CASCADE;
+DROP TABLE IF EXISTS digest_run CASCADE;
+DROP TABLE IF EXISTS digest_subscription CASCADE;
+DROP TABLE IF EXISTS webhook_delivery CASCADE;
+DROP TABLE IF EXISTS event_log CASCADE;
+DROP TABLE IF EXISTS webhook_subscription CASCADE;
+DROP TABLE IF EXISTS registration_queue CASCADE;
+DROP TABLE IF EXISTS idempotency_key CASCADE;
+DROP TABLE IF EXISTS api_key CASCADE;
+DROP TABLE IF EXISTS department_alias CASCADE;
 DROP TABLE IF EXISTS enrollment CASCADE;
 DROP TABLE IF EXISTS course CASCADE;
 DROP TABLE IF EXISTS student CASCADE;
@@ -20,6 +36,22 @@ CREATE TABLE department (
     department_head VARCHAR(100)
 );
 
+-- =====================================================
+-- Department Alias Table
+-- Alternate spellings/abbreviations ("cs", "comp sci") for a department
+-- Aliases are stored normalized: lowercase, punctuation collapsed to spaces
+-- =====================================================
+CREATE TABLE department_alias (
+    alias VARCHAR(100) PRIMARY KEY,
+    department_id INTEGER NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT fk_department_alias_department
+        FOREIGN KEY (department_id)
+        REFERENCES department(department_id)
+        ON DELETE CASCADE
+);
+
 -- =====================================================
 -- Student Table
 -- Constraint: DOB ensures minimum enrollment age of 16 years
@@ -85,14 +117,326 @@ CREATE TABLE enrollment (
         UNIQUE (student_id, course_id)
 );
 
+-- =====================================================
+-- Idempotency Key Table
+-- Stores the first response for each Idempotency-Key header
+-- so retried API requests are replayed instead of re-executed
+-- Keys are scoped to the caller's API key and the endpoint:
+-- api_key_id is 0 when API auth is disabled (development)
+-- =====================================================
+CREATE TABLE idempotency_key (
+    api_key_id INTEGER NOT NULL,
+    request_method VARCHAR(10) NOT NULL,
+    request_path VARCHAR(255) NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_hash CHAR(64) NOT NULL,
+    response_status INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+
+    PRIMARY KEY (api_key_id, request_method, request_path, idempotency_key)
+);
+
+-- =====================================================
+-- Registration Queue Table
+-- Outbox for POST /api/registrations/queue: rows are registered by the
+-- queue worker, retried with backoff until max attempts (status 'failed')
+-- client_key: per-row key from the client, so re-queueing a row is a no-op
+-- =====================================================
+CREATE TABLE registration_queue (
+    queue_id SERIAL PRIMARY KEY,
+    client_key VARCHAR(255) UNIQUE,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    student_id INTEGER REFERENCES student(student_id) ON DELETE SET NULL,
+    last_error TEXT,
+    queued_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT chk_registration_queue_status
+        CHECK (status IN ('queued', 'processing', 'registered', 'duplicate', 'invalid', 'failed'))
+);
+
+-- =====================================================
+-- Event Log Table
+-- Every published event (student.registered, student.rejected, etl.run.*),
+-- whether or not a webhook subscribes to it; read by the email digest
+-- =====================================================
+CREATE TABLE event_log (
+    event_id UUID PRIMARY KEY,
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- Webhook Subscription Table
+-- Endpoints notified of registration and ETL events
+-- (managed with scripts/manage_webhooks.js)
+-- events: event types, or '*' for all; secret signs every request (HMAC-SHA256)
+-- =====================================================
+CREATE TABLE webhook_subscription (
+    webhook_id SERIAL PRIMARY KEY,
+    url TEXT NOT NULL,
+    secret VARCHAR(100) NOT NULL,
+    events TEXT[] NOT NULL,
+    description VARCHAR(255),
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT chk_webhook_events_not_empty
+        CHECK (cardinality(events) > 0)
+);
+
+-- =====================================================
+-- Webhook Delivery Table
+-- Delivery log: one row per event and subscription, with the outcome of the
+-- last attempt; pending rows are retried with backoff until max attempts
+-- =====================================================
+CREATE TABLE webhook_delivery (
+    delivery_id BIGSERIAL PRIMARY KEY,
+    webhook_id INTEGER NOT NULL REFERENCES webhook_subscription(webhook_id) ON DELETE CASCADE,
+    event_id UUID NOT NULL REFERENCES event_log(event_id) ON DELETE CASCADE,
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    response_status INTEGER,
+    last_error TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMP,
+
+    CONSTRAINT chk_webhook_delivery_status
+        CHECK (status IN ('pending', 'sending', 'delivered', 'failed'))
+);
+
+-- =====================================================
+-- Digest Subscription Table
+-- Recipients of the registration error digest (scripts/manage_digest.js)
+-- department_id NULL: all departments, including rows with no known department
+-- =====================================================
+CREATE TABLE digest_subscription (
+    subscription_id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    department_id INTEGER REFERENCES department(department_id) ON DELETE CASCADE,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- Digest Run Table
+-- One row per digest sent; the next digest starts at period_end
+-- =====================================================
+CREATE TABLE digest_run (
+    digest_run_id SERIAL PRIMARY KEY,
+    period_start TIMESTAMP NOT NULL,
+    period_end TIMESTAMP NOT NULL,
+    transport VARCHAR(20) NOT NULL,
+    recipients INTEGER NOT NULL DEFAULT 0,
+    sent INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- API Key Table
+-- Hashed, scoped API keys (managed with scripts/manage_api_keys.js)
+-- =====================================================
+CREATE TABLE api_key (
+    api_key_id SERIAL PRIMARY KEY,
+    key_name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(20) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP
+);
+
+-- =====================================================
+-- ETL Rejected Row Table (quarantine)
+-- Rows skipped by the ETL transform step, kept for correction and replay
+-- status: pending -> corrected (CSV re-imported) -> replayed, or discarded
+-- =====================================================
+CREATE TABLE etl_rejected_row (
+    rejected_row_id SERIAL PRIMARY KEY,
+    run_id UUID NOT NULL,
+    entity VARCHAR(20) NOT NULL,
+    source_file VARCHAR(255) NOT NULL,
+    row_number INTEGER,
+    raw_data JSONB NOT NULL,
+    rule VARCHAR(100) NOT NULL,
+    error_message TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    corrected_data JSONB,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    replayed_at TIMESTAMP,
+
+    CONSTRAINT chk_rejected_row_entity
+        CHECK (entity IN ('department', 'course', 'student', 'enrollment')),
+
+    CONSTRAINT chk_rejected_row_status
+        CHECK (status IN ('pending', 'corrected', 'replayed', 'discarded', 'dry_run'))
+);
+
+-- =====================================================
+-- ETL Run Key Table
+-- Keys (email, course code, ...) accepted so far by a running ETL run, so
+-- duplicates are found across streamed batches without holding every key in
+-- memory. Unlogged: only needed while the run lasts; a run deletes its own
+-- keys when it finishes, along with any left by runs recorded in etl_run.
+-- A run killed before it was recorded leaves its keys behind:
+--   DELETE FROM etl_run_key WHERE run_id = '<run id>';
+-- =====================================================
+CREATE UNLOGGED TABLE etl_run_key (
+    run_id UUID NOT NULL,
+    entity VARCHAR(20) NOT NULL,
+    record_key TEXT NOT NULL,
+
+    PRIMARY KEY (run_id, entity, record_key)
+);
+
+-- =====================================================
+-- ETL Run Table
+-- One row per etl/index.js invocation (see scripts/etl_runs.js)
+-- source_files: [{ file, rows, bytes, sha256 }]
+-- phases:       [{ name, durationMs }]
+-- =====================================================
+CREATE TABLE etl_run (
+    run_id UUID PRIMARY KEY,
+    mode VARCHAR(30) NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    atomic BOOLEAN NOT NULL DEFAULT FALSE,      -- --atomic: one transaction for the whole load
+    dry_run BOOLEAN NOT NULL DEFAULT FALSE,     -- --dry-run: load rolled back, nothing kept
+    started_at TIMESTAMP NOT NULL,
+    finished_at TIMESTAMP,
+    duration_ms INTEGER,
+    source_files JSONB NOT NULL DEFAULT '[]',
+    phases JSONB NOT NULL DEFAULT '[]',
+    extracted_count INTEGER NOT NULL DEFAULT 0,
+    transformed_count INTEGER NOT NULL DEFAULT 0,
+    loaded_count INTEGER NOT NULL DEFAULT 0,
+    inserted_count INTEGER NOT NULL DEFAULT 0,
+    updated_count INTEGER NOT NULL DEFAULT 0,
+    unchanged_count INTEGER NOT NULL DEFAULT 0,
+    skipped_count INTEGER NOT NULL DEFAULT 0,
+    rejected_count INTEGER NOT NULL DEFAULT 0,
+    errors JSONB NOT NULL DEFAULT '[]',
+    report_file VARCHAR(500),
+
+    CONSTRAINT chk_etl_run_status
+        CHECK (status IN ('running', 'success', 'failed'))
+);
+
+-- =====================================================
+-- ETL Change Log Table
+-- What each run changed (npm run etl -- --change-log):
+-- one row per inserted record, one row per changed field of an update
+-- record_key: department name, course code, student email, or
+--             "student_id:course_id" for enrollments
+-- =====================================================
+CREATE TABLE etl_change_log (
+    change_id BIGSERIAL PRIMARY KEY,
+    run_id UUID NOT NULL,
+    entity VARCHAR(20) NOT NULL,
+    record_key VARCHAR(255) NOT NULL,
+    action VARCHAR(10) NOT NULL,
+    field VARCHAR(100),
+    old_value TEXT,
+    new_value TEXT,
+    changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT chk_change_log_action
+        CHECK (action IN ('insert', 'update'))
+);
+
+-- =====================================================
+-- ETL Inbox File Table
+-- Files picked up by the watch-folder daemon (npm run etl:watch), by content
+-- checksum: processed content is never run again, failed content may be retried
+-- pipeline: 'pending' or the source name (departments, courses, students, enrollments)
+-- =====================================================
+CREATE TABLE etl_inbox_file (
+    checksum CHAR(64) PRIMARY KEY,
+    file_name VARCHAR(255) NOT NULL,
+    pipeline VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'processing',
+    run_id UUID,
+    error_message TEXT,
+    received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+
+    CONSTRAINT chk_inbox_file_status
+        CHECK (status IN ('processing', 'processed', 'failed'))
+);
+
+-- =====================================================
+-- ETL Sheet Row Table
+-- Rows pulled from the Pending Registration sheet (npm run etl -- --pending-sheet),
+-- by row hash (SHA-256 of the row's student fields): a recorded row is skipped
+-- by later pulls until it is edited. Only rows that came out Registered or
+-- Invalid are recorded; rows whose load failed are pulled again.
+-- =====================================================
+CREATE TABLE etl_sheet_row (
+    row_hash CHAR(64) PRIMARY KEY,
+    row_number INT,
+    status VARCHAR(20) NOT NULL,
+    run_id UUID NOT NULL,
+    ingested_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT chk_sheet_row_status
+        CHECK (status IN ('Registered', 'Invalid'))
+);
+
+-- =====================================================
+-- Application Log Table
+-- Written by the "db" log sink (LOG_SINKS=...,db), warn and above by default
+-- context: runId / requestId / rowId and any other structured fields
+-- =====================================================
+CREATE TABLE app_log (
+    log_id BIGSERIAL PRIMARY KEY,
+    logged_at TIMESTAMP NOT NULL,
+    level VARCHAR(10) NOT NULL,
+    message TEXT NOT NULL,
+    context JSONB NOT NULL DEFAULT '{}'
+);
+
 -- =====================================================
 -- Indexes for Performance Optimization
 -- =====================================================
 CREATE INDEX idx_student_department ON student(department_id);
 CREATE INDEX idx_student_email ON student(student_email);
 CREATE INDEX idx_course_department ON course(department_id);
+CREATE INDEX idx_department_alias_department ON department_alias(department_id);
 CREATE INDEX idx_enrollment_student ON enrollment(student_id);
 CREATE INDEX idx_enrollment_course ON enrollment(course_id);
+CREATE INDEX idx_idempotency_key_created ON idempotency_key(created_at);
+CREATE INDEX idx_registration_queue_due ON registration_queue(status, next_attempt_at);
+CREATE INDEX idx_event_log_type_created ON event_log(event_type, created_at);
+CREATE INDEX idx_webhook_delivery_due ON webhook_delivery(status, next_attempt_at);
+CREATE INDEX idx_webhook_delivery_webhook ON webhook_delivery(webhook_id, created_at);
+CREATE INDEX idx_rejected_row_status ON etl_rejected_row(status, entity);
+CREATE INDEX idx_rejected_row_run ON etl_rejected_row(run_id);
+CREATE INDEX idx_rejected_row_created ON etl_rejected_row(created_at);
+CREATE INDEX idx_digest_run_period_end ON digest_run(period_end);
+CREATE INDEX idx_etl_run_started ON etl_run(started_at);
+CREATE INDEX idx_change_log_run ON etl_change_log(run_id);
+CREATE INDEX idx_change_log_record ON etl_change_log(entity, record_key);
+CREATE INDEX idx_inbox_file_received ON etl_inbox_file(received_at);
+CREATE INDEX idx_app_log_logged_at ON app_log(logged_at);
+CREATE INDEX idx_app_log_run ON app_log((context->>'runId'));
+CREATE INDEX idx_app_log_request ON app_log((context->>'requestId'));
+
+-- One subscription per email and department (and one "all departments" per email)
+CREATE UNIQUE INDEX uq_digest_subscription_department ON digest_subscription(email, department_id)
+    WHERE department_id IS NOT NULL;
+CREATE UNIQUE INDEX uq_digest_subscription_all ON digest_subscription(email)
+    WHERE department_id IS NULL;
 
 -- =====================================================
 -- End of schema.sql
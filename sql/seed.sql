@@ -15,6 +15,25 @@ VALUES
     ('Mechanical', 'Dr. Anil Verma'),
     ('Electrical Engineering', 'Dr. Priya Nair');
 
+-- =====================================================
+-- Insert Department Aliases (normalized: lowercase, no punctuation)
+-- =====================================================
+INSERT INTO department_alias (alias, department_id)
+SELECT a.alias, d.department_id
+FROM (VALUES
+    ('cs', 'Computer Science'),
+    ('comp sci', 'Computer Science'),
+    ('cse', 'Computer Science'),
+    ('ece', 'Electronics'),
+    ('ec', 'Electronics'),
+    ('mech', 'Mechanical'),
+    ('me', 'Mechanical'),
+    ('electrical', 'Electrical Engineering'),
+    ('ee', 'Electrical Engineering'),
+    ('eee', 'Electrical Engineering')
+) AS a(alias, department_name)
+JOIN department d ON d.department_name = a.department_name;
+
 -- =====================================================
 -- Insert Courses (using natural key course codes)
 -- =====================================================
@@ -0,0 +1,339 @@
+/**
+ * API Response Tests
+ * Mounts the Express app on a random port with a stubbed database pool and
+ * checks every response against the OpenAPI document (api/openapi.js)
+ *
+ * Run: npm test (no database or running API needed)
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Before the app is imported: auth.js and the logger read these once
+process.env.API_AUTH_DISABLED = 'false';
+process.env.LOG_LEVEL = 'error';
+process.env.LOG_SINKS = 'stdout';
+
+const { pool } = await import('../api/db.js');
+const { app } = await import('../api/app.js');
+const { hashApiKey } = await import('../api/utils/apiKeys.js');
+const { validateResponse } = await import('../api/utils/openapiValidator.js');
+
+const API_KEY = 's2db_test';
+
+const STUDENT_ROW = {
+    student_id: 42,
+    student_first_name: 'Ada',
+    student_last_name: 'Lovelace',
+    student_email: 'ada@example.com',
+    student_date_of_birth: new Date('2000-12-10'),
+    student_year: 2,
+    student_phone_number: '555-010-0000',
+    department_id: 1,
+    department_name: 'Computer Science'
+};
+
+const REGISTRATION = {
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    email: 'ada@example.com',
+    dateOfBirth: '2000-12-10',
+    department: 'Computer Science',
+    year: 2,
+    phoneNumber: '555-010-0000'
+};
+
+/**
+ * Stand-in for the pg pool: answers the statements the tested routes run
+ * and records them so tests can check side effects (webhook events)
+ */
+const db = {
+    queries: [],
+    insertedStudentId: 43,
+    existingEmails: new Set(),
+    insertErrors: new Map(),      // email -> error thrown by its INSERT
+    idempotencyKeys: new Map(),   // api_key_id|method|path|key -> idempotency_key row
+
+    async query(sql, params = []) {
+        db.queries.push({ sql, params });
+
+        if (/FROM api_key/.test(sql)) {
+            return params[0] === hashApiKey(API_KEY)
+                ? { rows: [{ api_key_id: 1, key_name: 'test', scopes: ['*'] }] }
+                : { rows: [] };
+        }
+        if (/^\s*UPDATE api_key/.test(sql)) return { rows: [] };
+        if (/SELECT department_id, department_name FROM department$/.test(sql)) {
+            return { rows: [{ department_id: 1, department_name: 'Computer Science' }] };
+        }
+        if (/FROM department_alias/.test(sql)) return { rows: [] };
+        if (/SELECT department_id FROM department WHERE/.test(sql)) {
+            return { rows: params[0] === 'Computer Science' ? [{ department_id: 1 }] : [] };
+        }
+        if (/^(BEGIN|COMMIT|ROLLBACK|SAVEPOINT|RELEASE)/.test(sql)) return { rows: [] };
+        if (/INSERT INTO student/.test(sql)) {
+            const email = params[2];
+            if (db.insertErrors.has(email)) throw db.insertErrors.get(email);
+            if (db.insertedStudentId === null || db.existingEmails.has(email)) return { rows: [] };
+            return { rows: [{ student_id: db.insertedStudentId++ }] };
+        }
+        if (/idempotency_key/.test(sql)) return idempotencyQuery(sql, params);
+        if (/INSERT INTO event_log/.test(sql)) return { rows: [] };
+        if (/SELECT COUNT\(\*\) FROM student/.test(sql)) return { rows: [{ count: '1' }] };
+        if (/FROM student s/.test(sql)) {
+            // Single lookups pass the id as the only parameter
+            const single = /WHERE s\.student_id = \$1/.test(sql);
+            return { rows: !single || params[0] === STUDENT_ROW.student_id ? [STUDENT_ROW] : [] };
+        }
+
+        throw new Error(`Unexpected query in test: ${sql.trim().split('\n')[0]}`);
+    }
+};
+
+/**
+ * The idempotency_key statements of api/middleware/idempotency.js
+ * (the first four parameters are always the key's scope)
+ */
+function idempotencyQuery(sql, params) {
+    const scope = params.slice(0, 4).join('|');
+    const row = db.idempotencyKeys.get(scope);
+
+    if (/^\s*DELETE/.test(sql)) {
+        // Expiry of stale keys is not modelled; the 5xx cleanup deletes the key
+        if (!/created_at </.test(sql)) db.idempotencyKeys.delete(scope);
+        return { rows: [] };
+    }
+    if (/^\s*INSERT/.test(sql)) {
+        if (row) return { rows: [] };
+        db.idempotencyKeys.set(scope, { request_hash: params[4], response_status: null, response_body: null });
+        return { rows: [{ idempotency_key: params[3] }] };
+    }
+    if (/^\s*UPDATE/.test(sql)) {
+        Object.assign(row, { response_status: params[4], response_body: JSON.parse(params[5]) });
+        return { rows: [] };
+    }
+    return { rows: row ? [row] : [] };
+}
+
+/**
+ * Event types queued through publishWebhookEvents since the test started
+ */
+function publishedEvents() {
+    return db.queries
+        .filter(({ sql }) => /INSERT INTO event_log/.test(sql))
+        .flatMap(({ params }) => JSON.parse(params[0]).map(row => row.event_type));
+}
+
+let server;
+let baseUrl;
+
+before(async () => {
+    pool.query = db.query;
+    pool.connect = async () => ({ query: db.query, release() {} });
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await pool.end();
+});
+
+beforeEach(() => {
+    db.queries = [];
+    db.insertedStudentId = 43;
+    db.existingEmails.clear();
+    db.insertErrors.clear();
+    db.idempotencyKeys.clear();
+});
+
+/**
+ * Send a request and assert the response matches the document
+ * @param {string} method
+ * @param {string} path - Path without the query string
+ * @param {Object} [options] - { query, body, headers, auth: false to send no key }
+ * @returns {Promise<{ status: number, headers: Headers, body: * }>}
+ */
+async function request(method, path, { query = {}, body, headers: extraHeaders = {}, auth = true } = {}) {
+    const headers = { ...extraHeaders };
+    if (auth) headers['X-API-Key'] = API_KEY;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const search = new URLSearchParams(query).toString();
+    const response = await fetch(`${baseUrl}${path}${search ? `?${search}` : ''}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const contentType = response.headers.get('content-type') ?? '';
+    const text = await response.text();
+    const parsed = contentType.startsWith('application/json') ? JSON.parse(text) : text;
+
+    const problems = validateResponse(method, path, response.status, contentType, parsed);
+    assert.deepEqual(problems, [], `${method} ${path} -> ${response.status} does not match the document`);
+
+    return { status: response.status, headers: response.headers, body: parsed };
+}
+
+describe('public routes', () => {
+    test('GET /health', async () => {
+        const { status } = await request('GET', '/health', { auth: false });
+        assert.equal(status, 200);
+    });
+
+    test('GET /api/openapi.json', async () => {
+        const { status, body } = await request('GET', '/api/openapi.json', { auth: false });
+        assert.equal(status, 200);
+        assert.equal(body.openapi, '3.0.3');
+    });
+});
+
+describe('authentication', () => {
+    test('a request without a key gets 401 before schema checks', async () => {
+        const { status, body } = await request('GET', '/api/students', { query: { limit: 0 }, auth: false });
+        assert.equal(status, 401);
+        assert.equal(body.error, 'Unauthorized: Missing API key');
+    });
+
+    test('an unknown key gets 401', async () => {
+        const response = await fetch(`${baseUrl}/api/students`, { headers: { 'X-API-Key': 's2db_wrong' } });
+        assert.equal(response.status, 401);
+    });
+});
+
+describe('GET /api/students', () => {
+    test('lists students', async () => {
+        const { status, body } = await request('GET', '/api/students', { query: { limit: 5 } });
+        assert.equal(status, 200);
+        assert.equal(body.data[0].dateOfBirth, '2000-12-10');
+        assert.deepEqual(body.pagination, { total: 1, limit: 5, offset: 0 });
+    });
+
+    test('rejects an out-of-range limit with field details', async () => {
+        const { status, body } = await request('GET', '/api/students', { query: { limit: 0 } });
+        assert.equal(status, 400);
+        assert.equal(body.details[0].path, 'query.limit');
+    });
+
+    test('GET /api/students/:id', async () => {
+        assert.equal((await request('GET', '/api/students/42')).status, 200);
+        assert.equal((await request('GET', '/api/students/7')).status, 404);
+    });
+});
+
+describe('POST /api/students', () => {
+    test('registers a student', async () => {
+        const { status, body } = await request('POST', '/api/students', { body: REGISTRATION });
+        assert.equal(status, 201);
+        assert.deepEqual(body.data, { studentId: 43, email: 'ada@example.com' });
+        assert.deepEqual(publishedEvents(), ['student.registered']);
+    });
+
+    test('an invalid registration gets 400 and a student.rejected event', async () => {
+        const { status, body } = await request('POST', '/api/students', { body: { ...REGISTRATION, year: 9 } });
+        assert.equal(status, 400);
+        assert.equal(body.details[0].path, 'body.year');
+        assert.deepEqual(publishedEvents(), ['student.rejected']);
+    });
+
+    test('a registered email gets 409', async () => {
+        db.insertedStudentId = null;
+        const { status } = await request('POST', '/api/students', { body: REGISTRATION });
+        assert.equal(status, 409);
+        assert.deepEqual(publishedEvents(), ['student.rejected']);
+    });
+});
+
+describe('POST /api/students/batch', () => {
+    test('reports each row, rolling back only the row that failed to its savepoint', async () => {
+        db.existingEmails.add('grace@example.com');
+        db.insertErrors.set('alan@example.com', new Error('value too long for type character varying(15)'));
+
+        const { status, body } = await request('POST', '/api/students/batch', {
+            body: {
+                students: [
+                    REGISTRATION,
+                    { ...REGISTRATION, email: 'bad@example.com', year: 9 },
+                    { ...REGISTRATION, email: 'grace@example.com' },
+                    { ...REGISTRATION, email: 'alan@example.com' },
+                    { ...REGISTRATION, email: 'edsger@example.com' }
+                ]
+            }
+        });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.summary, { total: 5, created: 2, duplicate: 1, invalid: 1, error: 1 });
+        assert.deepEqual(body.results.map(({ index, status: rowStatus, studentId }) => [index, rowStatus, studentId]), [
+            [0, 'created', 43],
+            [1, 'invalid', undefined],
+            [2, 'duplicate', undefined],
+            [3, 'error', undefined],
+            [4, 'created', 44]
+        ]);
+        assert.deepEqual(body.results[3].errors, ['value too long for type character varying(15)']);
+
+        const transaction = db.queries
+            .map(({ sql }) => sql)
+            .filter(sql => /^(BEGIN|COMMIT|ROLLBACK|SAVEPOINT|RELEASE)/.test(sql));
+        assert.deepEqual(transaction, [
+            'BEGIN',
+            'SAVEPOINT batch_row', 'RELEASE SAVEPOINT batch_row',
+            'SAVEPOINT batch_row', 'RELEASE SAVEPOINT batch_row',
+            'SAVEPOINT batch_row', 'ROLLBACK TO SAVEPOINT batch_row',
+            'SAVEPOINT batch_row', 'RELEASE SAVEPOINT batch_row',
+            'COMMIT'
+        ]);
+        assert.deepEqual(publishedEvents(), ['student.registered', 'student.rejected', 'student.rejected', 'student.registered']);
+    });
+});
+
+describe('POST /api/students with an Idempotency-Key', () => {
+    const headers = { 'Idempotency-Key': 'sheet-row-7' };
+    const studentInserts = () => db.queries.filter(({ sql }) => /INSERT INTO student/.test(sql)).length;
+
+    test('a retry with the same body replays the stored response', async () => {
+        const first = await request('POST', '/api/students', { body: REGISTRATION, headers });
+        const retry = await request('POST', '/api/students', { body: { ...REGISTRATION }, headers });
+
+        assert.equal(first.status, 201);
+        assert.equal(retry.status, 201);
+        assert.deepEqual(retry.body, first.body);
+        assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+        assert.equal(studentInserts(), 1);
+    });
+
+    test('the same key with a different body gets 422', async () => {
+        await request('POST', '/api/students', { body: REGISTRATION, headers });
+        const { status, body } = await request('POST', '/api/students', {
+            body: { ...REGISTRATION, email: 'grace@example.com' },
+            headers
+        });
+
+        assert.equal(status, 422);
+        assert.match(body.errors[0], /already used with a different request body/);
+        assert.equal(studentInserts(), 1);
+    });
+
+    test('a 5xx is not stored, so a retry with the same key runs again', async () => {
+        db.insertErrors.set(REGISTRATION.email, new Error('Connection terminated unexpectedly'));
+        const failed = await request('POST', '/api/students', { body: REGISTRATION, headers });
+        assert.equal(failed.status, 500);
+        assert.equal(db.idempotencyKeys.size, 0);
+
+        db.insertErrors.clear();
+        const retry = await request('POST', '/api/students', { body: REGISTRATION, headers });
+        assert.equal(retry.status, 201);
+        assert.equal(retry.headers.get('idempotent-replayed'), null);
+        assert.equal(studentInserts(), 2);
+    });
+});
+
+describe('reports', () => {
+    test('GET /api/reports', async () => {
+        const { status, body } = await request('GET', '/api/reports');
+        assert.equal(status, 200);
+        assert.ok(body.data.length > 0);
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * CSV Export Tests
+ * Escaping and the spreadsheet formula guard (api/utils/csv.js)
+ *
+ * Run: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse } from 'csv-parse/sync';
+import { stripFormulaGuard, toCSV } from '../api/utils/csv.js';
+
+describe('toCSV', () => {
+    test('text a spreadsheet would run as a formula gets a leading quote', () => {
+        const csv = toCSV([
+            { name: '=HYPERLINK("http://evil.example","click")' },
+            { name: '+1 555 0100' },
+            { name: '-Ada' },
+            { name: '@SUM(A1:A2)' },
+            { name: '\tTabbed' },
+            { name: 'Ada = Lovelace' }
+        ]);
+
+        assert.equal(csv, [
+            'name',
+            '"\'=HYPERLINK(""http://evil.example"",""click"")"',
+            "'+1 555 0100",
+            "'-Ada",
+            "'@SUM(A1:A2)",
+            "'\tTabbed",
+            'Ada = Lovelace',
+            ''
+        ].join('\r\n'));
+    });
+
+    test('numbers, dates and nulls are left alone', () => {
+        const csv = toCSV([{ credits: -3, born: new Date('2000-12-10T00:00:00Z'), phone: null }]);
+
+        assert.equal(csv, 'credits,born,phone\r\n-3,2000-12-10T00:00:00.000Z,\r\n');
+    });
+
+    test('guarded cells read back to the original text', () => {
+        const rows = [
+            { name: '=1+1', note: 'line one\nline two, "quoted"' },
+            { name: "'already quoted", note: '-' }
+        ];
+
+        const parsed = parse(toCSV(rows), { columns: true });
+        const restored = parsed.map(row => Object.fromEntries(
+            Object.entries(row).map(([column, value]) => [column, stripFormulaGuard(value)])
+        ));
+
+        assert.deepEqual(restored, rows);
+    });
+});
+
+describe('stripFormulaGuard', () => {
+    test('only removes a quote that guards a formula', () => {
+        assert.equal(stripFormulaGuard("'=SUM(A1)"), '=SUM(A1)');
+        assert.equal(stripFormulaGuard("'O'Brien"), "'O'Brien");
+        assert.equal(stripFormulaGuard(42), 42);
+    });
+});
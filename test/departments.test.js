@@ -0,0 +1,64 @@
+/**
+ * Department Resolver Tests
+ * Name/alias lookups and the "Did you mean" suggestions (etl/utils/departments.js)
+ *
+ * Run: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createDepartmentResolver,
+    editDistance,
+    normalizeDepartmentKey,
+    similarity
+} from '../etl/utils/departments.js';
+
+const resolver = createDepartmentResolver(
+    [
+        { department_id: 1, department_name: 'Computer Science' },
+        { department_id: 2, department_name: 'Electrical Engineering' },
+        { department_id: 3, department_name: 'Biology' }
+    ],
+    [
+        { department_id: 1, alias: 'CS' },
+        { department_id: 1, alias: 'Comp. Sci.' },
+        { department_id: 9, alias: 'Orphan' }
+    ]
+);
+
+describe('similarity', () => {
+    test('normalizes punctuation, case and spacing', () => {
+        assert.equal(normalizeDepartmentKey('  Comp. Sci. '), 'comp sci');
+        assert.equal(normalizeDepartmentKey(null), '');
+    });
+
+    test('is the best of edit distance and word overlap', () => {
+        assert.equal(editDistance('biolgy', 'biology'), 1);
+        assert.equal(similarity('biolgy', 'biology'), 1 - 1 / 7);
+        assert.equal(similarity('science computer', 'computer science'), 1);
+        assert.equal(similarity('electrical', 'electrical engineering'), 0.5);
+        assert.equal(similarity('', 'biology'), 0);
+    });
+});
+
+describe('createDepartmentResolver', () => {
+    test('resolves names and aliases, ignoring aliases of unknown departments', () => {
+        assert.deepEqual(resolver.resolve('comp sci'), { departmentId: 1, departmentName: 'Computer Science' });
+        assert.equal(resolver.resolveName('cs'), 'Computer Science');
+        assert.equal(resolver.resolveName('Orphan'), null);
+        assert.equal(resolver.aliasCount, 2);
+        assert.equal(resolver.size, 3);
+    });
+
+    test('suggests a department from a similarity of 0.5, never below', () => {
+        assert.equal(resolver.suggest('Biolgy'), 'Biology');
+        assert.equal(resolver.suggest('electrical'), 'Electrical Engineering');   // 0.5: shares one of two words
+        assert.equal(resolver.suggest('Bio'), null);                              // 0.43
+        assert.equal(resolver.suggest('Mechanical'), null);                       // 0.23
+    });
+
+    test('a suggestion is never used as the department', () => {
+        assert.equal(resolver.resolve('Biolgy'), null);
+    });
+});
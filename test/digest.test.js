@@ -0,0 +1,151 @@
+/**
+ * Registration Error Digest Tests
+ * Collecting a period's errors, per-department digests and their text and
+ * HTML rendering (api/utils/digest.js)
+ *
+ * Run: npm test
+ */
+
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    buildDigest,
+    collectDigestData,
+    digestSubject,
+    renderDigestHtml,
+    renderDigestText
+} from '../api/utils/digest.js';
+
+const SINCE = new Date('2026-03-01T00:00:00Z');
+const UNTIL = new Date('2026-03-02T00:00:00Z');
+
+const event = (type, at, data) => ({ event_type: type, created_at: new Date(at), data });
+
+/**
+ * Stand-in for the pg pool with one day of events and quarantined rows
+ */
+const db = {
+    async query(sql) {
+        if (/FROM department$/.test(sql)) {
+            return {
+                rows: [
+                    { department_id: 1, department_name: 'Computer Science' },
+                    { department_id: 2, department_name: 'Mathematics' }
+                ]
+            };
+        }
+        if (/FROM department_alias/.test(sql)) return { rows: [{ alias: 'CS', department_id: 1 }] };
+        if (/FROM event_log/.test(sql)) {
+            return {
+                rows: [
+                    event('student.registered', '2026-03-01T09:00:00Z',
+                        { email: 'ada@example.com', firstName: 'Ada', lastName: 'Lovelace', department: 'CS', source: 'api' }),
+                    event('student.rejected', '2026-03-01T10:30:00Z', {
+                        email: 'emmy@example.com', firstName: 'Emmy', lastName: 'Noether', department: 'Mathematics',
+                        source: 'batch', reason: 'invalid', errors: ['Year must be between 1 and 4 (got "9")']
+                    }),
+                    event('student.rejected', '2026-03-01T11:00:00Z', {
+                        email: 'ada@example.com', firstName: 'Ada', lastName: 'Lovelace', department: 'CS',
+                        source: 'queue', reason: 'duplicate', errors: ['Student with this email already exists']
+                    }),
+                    // Also quarantined in etl_rejected_row: not listed twice
+                    event('student.rejected', '2026-03-01T12:00:00Z', {
+                        email: 'x@example.com', department: 'Mathematics', source: 'etl', reason: 'invalid', errors: ['bad']
+                    })
+                ]
+            };
+        }
+        if (/FROM etl_rejected_row/.test(sql)) {
+            return {
+                rows: [
+                    {
+                        source_file: 'messy_students.csv', row_number: 14, created_at: new Date('2026-03-01T02:00:00Z'),
+                        raw_data: { first_name: '<script>', email: 'x@example.com', department: 'Mathematics' },
+                        rule: 'schema:dateOfBirth', error_message: 'Invalid date of birth'
+                    },
+                    {
+                        source_file: 'messy_students.csv', row_number: 20, created_at: new Date('2026-03-01T02:00:00Z'),
+                        raw_data: { email: 'ada@example.com', department: 'Underwater Basket Weaving' },
+                        rule: 'duplicate_email', error_message: 'Duplicate email "ada@example.com"'
+                    }
+                ]
+            };
+        }
+        throw new Error(`Unexpected query in test: ${sql.trim().split('\n')[0]}`);
+    }
+};
+
+let data;
+
+before(async () => {
+    data = await collectDigestData(db, { since: SINCE, until: UNTIL });
+});
+
+describe('buildDigest', () => {
+    test('counts errors per department, with aliases resolved and unknown departments apart', () => {
+        const digest = buildDigest(data);
+
+        assert.deepEqual(digest.totals, { registered: 1, rejected: 1, duplicates: 2, quarantined: 1, errors: 4 });
+        assert.deepEqual(digest.byDepartment, [
+            { department: '(unknown)', registered: 0, rejected: 0, duplicates: 1, quarantined: 0 },
+            { department: 'Computer Science', registered: 1, rejected: 0, duplicates: 1, quarantined: 0 },
+            { department: 'Mathematics', registered: 0, rejected: 1, duplicates: 0, quarantined: 1 }
+        ]);
+        assert.deepEqual(digest.byRule, [{ rule: 'schema:dateOfBirth', rows: 1 }]);
+    });
+
+    test('a department subscriber only sees that department', () => {
+        const digest = buildDigest(data, ['Computer Science']);
+
+        assert.deepEqual(digest.totals, { registered: 1, rejected: 0, duplicates: 1, quarantined: 0, errors: 1 });
+        assert.equal(digestSubject(digest),
+            'Registration errors - Computer Science: 0 rejected, 1 duplicates, 0 quarantined (2026-03-02)');
+    });
+});
+
+describe('rendering', () => {
+    test('the text digest lists every section', () => {
+        const text = renderDigestText(buildDigest(data, ['Mathematics']));
+
+        assert.equal(text, [
+            'Registration Error Digest',
+            '2026-03-01 00:00 UTC - 2026-03-02 00:00 UTC',
+            'Departments: Mathematics',
+            '',
+            'Registered:   0',
+            'Rejected:     1',
+            'Duplicates:   0',
+            'Quarantined:  1',
+            '',
+            'By department:',
+            '  Mathematics: 0 registered, 1 rejected, 0 duplicates, 1 quarantined',
+            '',
+            'Rejected registrations (1):',
+            '  - 2026-03-01 10:30 UTC  Emmy Noether <emmy@example.com>  [Mathematics, batch]',
+            '      Year must be between 1 and 4 (got "9")',
+            '',
+            'Quarantined ETL rows by rule:',
+            '  schema:dateOfBirth: 1',
+            '',
+            'Quarantined ETL rows (1):',
+            '  - 2026-03-01 02:00 UTC  <script> <x@example.com>  [Mathematics, messy_students.csv row 14]',
+            '      Invalid date of birth',
+            ''
+        ].join('\n'));
+    });
+
+    test('the HTML digest escapes student data', () => {
+        const html = renderDigestHtml(buildDigest(data, ['Mathematics']));
+
+        assert.ok(html.includes('&lt;script&gt; &lt;x@example.com&gt;'));
+        assert.ok(!html.includes('<script>'));
+        assert.ok(html.includes('Year must be between 1 and 4 (got &quot;9&quot;)'));
+    });
+
+    test('a quiet period says so', () => {
+        const digest = buildDigest({ since: SINCE, until: UNTIL, registrations: [], rejections: [], duplicates: [], quarantined: [] });
+
+        assert.match(renderDigestText(digest), /No registration errors in this period\.\n$/);
+        assert.match(renderDigestHtml(digest), /<p>No registration errors in this period\.<\/p>/);
+    });
+});
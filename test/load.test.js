@@ -0,0 +1,388 @@
+/**
+ * ETL Load Tests
+ * Runs etl/load.js against an in-memory stand-in for pg: COPY into staging,
+ * the merge into the target table and the bookkeeping tables
+ *
+ * Run: npm test (no database needed)
+ */
+
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Writable } from 'stream';
+import pg from 'pg';
+
+/**
+ * In-memory database: the student table, the rows of the current staging
+ * table and every statement run (with the connection it ran on)
+ */
+const db = {
+    students: new Map(),      // student_email -> row (COPY text values)
+    staging: [],
+    runKeys: new Set(),       // 'runId|entity|key' rows of etl_run_key
+    finishedRuns: new Set(),  // run_id of etl_run rows
+    sheetRows: new Map(),     // row_hash -> etl_sheet_row row
+    statements: [],
+    failMerge: null           // (stagedRows) => Error to throw from the merge, or null
+};
+
+const STUDENT_VALUES = [
+    'student_first_name',
+    'student_last_name',
+    'student_date_of_birth',
+    'student_year',
+    'student_phone_number',
+    'department_id'
+];
+
+const differs = (a, b) => STUDENT_VALUES.some(column => a[column] !== b[column]);
+
+/**
+ * COPY ... FROM STDIN: parse the text lines into staging rows
+ */
+function copyStream(sql) {
+    const columns = sql.match(/\(([^)]+)\)/)[1].split(', ');
+    let text = '';
+    return new Writable({
+        write(chunk, encoding, callback) {
+            text += chunk;
+            callback();
+        },
+        final(callback) {
+            for (const line of text.split('\n').filter(Boolean)) {
+                const values = line.split('\t');
+                db.staging.push(Object.fromEntries(columns.map((column, i) => [column, values[i] === '\\N' ? null : values[i]])));
+            }
+            callback();
+        }
+    });
+}
+
+function query(sql, params = [], via = 'pool') {
+    if (typeof sql === 'object') return copyStream(sql.text);
+
+    db.statements.push({ sql, params, via });
+    const result = rows => Promise.resolve({ rows, rowCount: rows.length });
+
+    if (/^\s*(BEGIN|COMMIT|ROLLBACK|SAVEPOINT|RELEASE)/.test(sql)) return result([]);
+    if (/CREATE TEMP TABLE/.test(sql)) {
+        db.staging = [];
+        return result([]);
+    }
+    if (/DROP TABLE etl_staging/.test(sql)) return result([]);
+    if (/INSERT INTO (etl_rejected_row|etl_change_log)/.test(sql)) return result([]);
+    if (/SELECT record_key FROM etl_run_key/.test(sql)) {
+        const [runId, entity, keys] = params;
+        return result(keys
+            .filter(key => db.runKeys.has(`${runId}|${entity}|${key}`))
+            .map(key => ({ record_key: key })));
+    }
+    if (/INSERT INTO etl_run_key/.test(sql)) {
+        const [runId, entity, keys] = params;
+        keys.forEach(key => db.runKeys.add(`${runId}|${entity}|${key}`));
+        return result([]);
+    }
+    if (/DELETE FROM etl_run_key/.test(sql)) {
+        const [runId] = params;
+        for (const runKey of db.runKeys) {
+            const keyRunId = runKey.split('|')[0];
+            if (keyRunId === runId || db.finishedRuns.has(keyRunId)) db.runKeys.delete(runKey);
+        }
+        return result([]);
+    }
+    if (/SELECT row_hash FROM etl_sheet_row/.test(sql)) {
+        const [hashes] = params;
+        return result(hashes.filter(hash => db.sheetRows.has(hash)).map(hash => ({ row_hash: hash })));
+    }
+    if (/INSERT INTO etl_sheet_row/.test(sql)) {
+        const [hashes, rowNumbers, statuses, runId] = params;
+        hashes.forEach((hash, i) => {
+            if (!db.sheetRows.has(hash)) {
+                db.sheetRows.set(hash, { row_number: rowNumbers[i], status: statuses[i], run_id: runId });
+            }
+        });
+        return result([]);
+    }
+    if (/SELECT to_jsonb\(t\) AS old_row/.test(sql)) {
+        return result(db.staging
+            .filter(row => db.students.has(row.student_email) && differs(db.students.get(row.student_email), row))
+            .map(row => ({ old_row: db.students.get(row.student_email), new_row: row })));
+    }
+    if (/INSERT INTO student \(/.test(sql)) {
+        const error = db.failMerge?.(db.staging);
+        if (error) return Promise.reject(error);
+
+        const merged = [];
+        for (const row of db.staging) {
+            const existing = db.students.get(row.student_email);
+            if (!existing || differs(existing, row)) {
+                db.students.set(row.student_email, row);
+                merged.push({ student_email: row.student_email, inserted: !existing });
+            }
+        }
+        return result(merged);
+    }
+
+    return Promise.reject(new Error(`Unexpected query in test: ${sql.trim().split('\n')[0]}`));
+}
+
+class FakePool {
+    query(sql, params) {
+        return query(sql, params);
+    }
+
+    async connect() {
+        return { query: (sql, params) => query(sql, params, 'client'), release() {} };
+    }
+
+    async end() {}
+}
+
+// load.js creates its pool from pg.Pool
+pg.Pool = FakePool;
+
+const { logger } = await import('../etl/utils/logger.js');
+const { createDepartmentResolver } = await import('../etl/utils/departments.js');
+const { studentKey, transformStudents } = await import('../etl/transform.js');
+const { EtlRun } = await import('../etl/utils/runReport.js');
+const load = await import('../etl/load.js');
+
+logger.setSinks([]);
+load.initConnection('postgres://test');
+
+/**
+ * A transformed student row
+ */
+function student(n, overrides = {}) {
+    return {
+        student_first_name: 'Ada',
+        student_last_name: `Student${n}`,
+        student_email: `s${n}@example.com`,
+        student_date_of_birth: '2000-01-01',
+        student_year: 2,
+        student_phone_number: '555-010-0000',
+        department_id: 1,
+        ...overrides
+    };
+}
+
+/**
+ * A check violation for staged rows with a year outside 1-4, as Postgres raises it
+ */
+function failOnBadYear(rows) {
+    const bad = rows.find(row => !['1', '2', '3', '4'].includes(row.student_year));
+    if (!bad) return null;
+    return Object.assign(new Error(`new row violates check constraint "chk_year" (${bad.student_email})`), { code: '23514' });
+}
+
+const statementsLike = pattern => db.statements.filter(({ sql }) => pattern.test(sql));
+
+const merges = () => db.statements.filter(({ sql }) => /INSERT INTO student \(/.test(sql)).length;
+
+beforeEach(() => {
+    db.students.clear();
+    db.staging = [];
+    db.runKeys.clear();
+    db.finishedRuns.clear();
+    db.sheetRows.clear();
+    db.statements = [];
+    db.failMerge = null;
+});
+
+describe('loadStudents', () => {
+    test('counts rows merged from staging as inserted, updated or unchanged', async () => {
+        await load.loadStudents([student(1), student(2), student(3)], { quiet: true });
+
+        const totals = await load.loadStudents([
+            student(1),
+            student(2, { student_year: 3 }),
+            student(4)
+        ], { batchSize: 2, quiet: true });
+
+        assert.equal(totals.loaded, 2);
+        assert.equal(totals.inserted, 1);
+        assert.equal(totals.updated, 1);
+        assert.equal(totals.unchanged, 1);
+        assert.equal(totals.failed, 0);
+        assert.equal(merges(), 3);
+    });
+
+    test('records inserts and the changed fields of updates, one change log row per field', async () => {
+        const first = await load.loadStudents([student(1)], { quiet: true });
+        assert.deepEqual(first.changes, [{ entity: 'student', key: 's1@example.com', action: 'insert', fields: [] }]);
+
+        const second = await load.loadStudents([
+            student(1, { student_year: 3, student_phone_number: '555-010-9999' })
+        ], { quiet: true });
+        assert.deepEqual(second.changes, [{
+            entity: 'student',
+            key: 's1@example.com',
+            action: 'update',
+            fields: [
+                { field: 'student_year', old: '2', new: '3' },
+                { field: 'student_phone_number', old: '555-010-0000', new: '555-010-9999' }
+            ]
+        }]);
+
+        assert.equal(await load.saveChangeLog('run-1', [...first.changes, ...second.changes]), 3);
+        const [, entities, keys, actions, fields, oldValues, newValues] = statementsLike(/INSERT INTO etl_change_log/)[0].params;
+        assert.deepEqual(entities, ['student', 'student', 'student']);
+        assert.deepEqual(keys, ['s1@example.com', 's1@example.com', 's1@example.com']);
+        assert.deepEqual(actions, ['insert', 'update', 'update']);
+        assert.deepEqual(fields, [null, 'student_year', 'student_phone_number']);
+        assert.deepEqual(oldValues, [null, '2', '555-010-0000']);
+        assert.deepEqual(newValues, [null, '3', '555-010-9999']);
+    });
+
+    test('a row that breaks its batch fails alone, with its own error', async () => {
+        db.failMerge = failOnBadYear;
+        const rows = Array.from({ length: 10 }, (_, i) => student(i, i === 3 || i === 8 ? { student_year: 9 } : {}));
+
+        const totals = await load.loadStudents(rows, { batchSize: 10, quiet: true });
+
+        assert.equal(totals.loaded, 8);
+        assert.equal(totals.failed, 2);
+        assert.deepEqual(totals.failedRows.map(row => row.key), ['s3@example.com', 's8@example.com']);
+        assert.match(totals.failedRows[0].error, /"chk_year" \(s3@example\.com\)/);
+        assert.match(totals.failedRows[1].error, /"chk_year" \(s8@example\.com\)/);
+        assert.equal(db.students.size, 8);
+    });
+
+    test('an error that is not about row data fails the whole batch without splitting', async () => {
+        db.failMerge = () => Object.assign(new Error('Connection terminated'), { code: '08006' });
+
+        const totals = await load.loadStudents([student(1), student(2), student(3)], { batchSize: 10, quiet: true });
+
+        assert.equal(merges(), 1);
+        assert.equal(totals.failed, 3);
+        assert.ok(totals.failedRows.every(row => row.error === 'Connection terminated'));
+    });
+});
+
+describe('load transaction', () => {
+    const rejection = {
+        entity: 'student',
+        sourceFile: 'students.csv',
+        rowNumber: 4,
+        row: { student_email: 'not-an-email' },
+        rule: 'invalid_email',
+        message: 'Invalid email'
+    };
+
+    test('batches run under a savepoint and roll back with the transaction', async () => {
+        await load.beginTransaction();
+        await load.loadStudents([student(1), student(2)], { batchSize: 1, quiet: true });
+        await load.rollbackTransaction();
+
+        assert.equal(statementsLike(/^SAVEPOINT etl_batch/).length, 2);
+        assert.equal(statementsLike(/^RELEASE SAVEPOINT etl_batch/).length, 2);
+        assert.deepEqual(statementsLike(/^(BEGIN|COMMIT|ROLLBACK)$/).map(({ sql }) => sql), ['BEGIN', 'ROLLBACK']);
+        assert.ok(statementsLike(/INSERT INTO student \(/).every(({ via }) => via === 'client'));
+    });
+
+    test('an atomic run is judged by its rejected and failed rows over the rows extracted', () => {
+        const run = new EtlRun('csv', { atomic: true, maxErrorRate: 0.05 });
+        Object.assign(logger.stats, { extracted: 200, failed: 3 });
+        run.rejected = 7;
+
+        assert.equal(run.errorRate, 0.05);
+        run.rejected = 8;
+        assert.ok(run.errorRate > run.maxErrorRate);
+    });
+
+    test('rejected rows are quarantined through the pool, outside the transaction', async () => {
+        await load.beginTransaction();
+        await load.saveRejectedRows('run-1', [rejection]);
+        await load.rollbackTransaction();
+
+        const [insert] = statementsLike(/INSERT INTO etl_rejected_row/);
+        assert.equal(insert.via, 'pool');
+        assert.equal(insert.params[7], 'pending');
+        assert.equal(insert.params[4], JSON.stringify(rejection.row));
+    });
+
+    test('rows rejected by a dry run are stored as dry_run so they are never replayed', async () => {
+        await load.saveRejectedRows('run-1', [rejection], { dryRun: true });
+
+        const [insert] = statementsLike(/INSERT INTO etl_rejected_row/);
+        assert.equal(insert.params[7], 'dry_run');
+    });
+});
+
+describe('run keys', () => {
+    const departmentMap = createDepartmentResolver([{ department_id: 1, department_name: 'Computer Science' }]);
+
+    /**
+     * A raw student row as extracted from a source file
+     */
+    const rawStudent = email => ({
+        first_name: 'Ada',
+        last_name: 'Lovelace',
+        email,
+        date_of_birth: '2000-01-01',
+        year: '2',
+        phone_number: '555-010-0000',
+        department: 'Computer Science'
+    });
+
+    /**
+     * Transform one streamed batch the way etl/index.js does
+     */
+    const transformBatch = (runId, rows, rejected) => load.transformWithRunKeys(runId, 'student', rows.map(studentKey),
+        seenEmails => transformStudents(rows, departmentMap, {
+            onReject: rejection => rejected.push(rejection),
+            seenEmails,
+            quiet: true
+        }));
+
+    test('a key accepted by an earlier batch is rejected as a duplicate in a later one', async () => {
+        const rejected = [];
+
+        const first = await transformBatch('run-1', [rawStudent('a@example.com'), rawStudent('b@example.com')], rejected);
+        const second = await transformBatch('run-1', [rawStudent('B@Example.com'), rawStudent('c@example.com')], rejected);
+
+        assert.deepEqual(first.map(row => row.student_email), ['a@example.com', 'b@example.com']);
+        assert.deepEqual(second.map(row => row.student_email), ['c@example.com']);
+        assert.deepEqual(rejected.map(({ index, rule }) => ({ index, rule })), [{ index: 0, rule: 'duplicate_email' }]);
+    });
+
+    test('keys are claimed per run and entity', async () => {
+        await load.claimKeys('run-1', 'student', ['a@example.com']);
+
+        assert.deepEqual([...await load.getClaimedKeys('run-1', 'student', ['a@example.com', null])], ['a@example.com']);
+        assert.equal((await load.getClaimedKeys('run-2', 'student', ['a@example.com'])).size, 0);
+        assert.equal((await load.getClaimedKeys('run-1', 'course', ['a@example.com'])).size, 0);
+    });
+
+    test('releasing a run drops its keys and those of finished runs, but not of runs still going', async () => {
+        await load.claimKeys('run-1', 'student', ['a@example.com']);
+        await load.claimKeys('run-finished', 'student', ['b@example.com']);
+        await load.claimKeys('run-going', 'student', ['c@example.com']);
+        db.finishedRuns.add('run-finished');
+
+        await load.releaseKeys('run-1');
+
+        assert.deepEqual([...db.runKeys], ['run-going|student|c@example.com']);
+    });
+});
+
+describe('sheet rows', () => {
+    test('rows are recorded once and found by hash', async () => {
+        await load.recordIngestedSheetRows('run-1', [
+            { hash: 'a'.repeat(64), row: 2, status: 'Registered' },
+            { hash: 'b'.repeat(64), row: 3, status: 'Invalid' }
+        ]);
+        await load.recordIngestedSheetRows('run-2', [{ hash: 'a'.repeat(64), row: 5, status: 'Registered' }]);
+
+        const found = await load.getIngestedSheetRows(['a'.repeat(64), 'c'.repeat(64)]);
+        assert.deepEqual([...found], ['a'.repeat(64)]);
+        assert.deepEqual(db.sheetRows.get('a'.repeat(64)), { row_number: 2, status: 'Registered', run_id: 'run-1' });
+        assert.ok(statementsLike(/etl_sheet_row/).every(({ via }) => via === 'pool'));
+    });
+
+    test('nothing is queried for no rows', async () => {
+        assert.equal((await load.getIngestedSheetRows([])).size, 0);
+        await load.recordIngestedSheetRows('run-1', []);
+
+        assert.equal(statementsLike(/etl_sheet_row/).length, 0);
+    });
+});
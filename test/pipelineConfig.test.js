@@ -0,0 +1,133 @@
+/**
+ * Pipeline Config Tests
+ * Config validation, column mapping and the CSV dialects a source can declare
+ * (etl/utils/pipelineConfig.js, streamed through etl/extract.js)
+ *
+ * Run: npm test
+ */
+
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createColumnMapper, normalizePipelineConfig } from '../etl/utils/pipelineConfig.js';
+import { streamSourceFile } from '../etl/extract.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-config-'));
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/**
+ * Write a fixture file and return its path
+ */
+function writeFixture(name, content, encoding = 'utf8') {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, content, encoding);
+    return filePath;
+}
+
+/**
+ * Drain a row stream into an array
+ */
+async function collect(rows) {
+    const collected = [];
+    for await (const row of rows) collected.push(row);
+    return collected;
+}
+
+describe('normalizePipelineConfig', () => {
+    test('fills in the CSV defaults and resolves files against the config directory', () => {
+        const config = normalizePipelineConfig({ sources: { students: { files: 'exports/students.csv' } } }, '/srv/etl');
+
+        assert.deepEqual(config, {
+            batchSize: null,
+            sources: {
+                students: {
+                    name: 'students',
+                    files: ['/srv/etl/exports/students.csv'],
+                    delimiter: ',',
+                    encoding: 'utf8',
+                    headerRow: 1,
+                    headerRows: 1,
+                    sheet: null,
+                    columns: null
+                }
+            }
+        });
+    });
+
+    test('reports every problem at once', () => {
+        assert.throws(() => normalizePipelineConfig({
+            batchSize: 0,
+            sources: {
+                students: { files: 'students.csv', delimiter: '', encoding: 'ebcdic', columns: { Mail: 'e_mail' } },
+                teachers: { files: 'teachers.csv' }
+            }
+        }), error => {
+            assert.match(error.message, /^Invalid pipeline config:/);
+            assert.match(error.message, /sources\.students\.delimiter must be a non-empty string/);
+            assert.match(error.message, /encoding "ebcdic" is not supported/);
+            assert.match(error.message, /"Mail" maps to unknown field "e_mail"/);
+            assert.match(error.message, /Unknown source "teachers"/);
+            assert.match(error.message, /batchSize must be a positive integer/);
+            return true;
+        });
+    });
+
+    test('a config without sources is refused', () => {
+        assert.throws(() => normalizePipelineConfig({ batchSize: 10 }), /must have a "sources" object/);
+    });
+});
+
+describe('createColumnMapper', () => {
+    const source = { columns: { 'E-mail Address': 'email', 'Given Name': 'firstName' } };
+
+    test('renames mapped columns and drops the rest', () => {
+        const mapRow = createColumnMapper(source, 'students.csv');
+
+        assert.deepEqual(mapRow({ 'E-mail Address': 'ada@example.com', 'Given Name': 'Ada', Notes: 'x' }),
+            { email: 'ada@example.com', firstName: 'Ada' });
+    });
+
+    test('fails on the first row when a mapped column is missing', () => {
+        const mapRow = createColumnMapper(source, 'students.csv');
+
+        assert.throws(() => mapRow({ Email: 'ada@example.com', 'Given Name': 'Ada' }),
+            /students\.csv: mapped column\(s\) "E-mail Address" not found \(columns: Email, Given Name\)/);
+    });
+
+    test('is the identity without a mapping', () => {
+        const row = { email: 'ada@example.com' };
+        assert.equal(createColumnMapper({ columns: null }, 'students.csv')(row), row);
+    });
+});
+
+describe('CSV dialects', () => {
+    test('semicolon-delimited latin1 export with the header on line 3', async () => {
+        const filePath = writeFixture('students_fall.csv', [
+            'Registrar export',
+            'Generated 2025-09-01',
+            'E-mail Address;Given Name;Notes',
+            'ana@example.com;Ana María;',
+            'jose@example.com;José;transfer'
+        ].join('\n'), 'latin1');
+
+        const [source] = Object.values(normalizePipelineConfig({
+            sources: {
+                students: {
+                    files: filePath,
+                    delimiter: ';',
+                    encoding: 'latin1',
+                    headerRow: 3,
+                    columns: { 'E-mail Address': 'email', 'Given Name': 'firstName' }
+                }
+            }
+        }).sources);
+
+        assert.deepEqual(await collect(streamSourceFile(filePath, source)), [
+            { email: 'ana@example.com', firstName: 'Ana María' },
+            { email: 'jose@example.com', firstName: 'José' }
+        ]);
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * Registration Queue Worker Tests
+ * Retry backoff, giving up and reclaiming rows of a crashed worker, with the
+ * registration_queue table kept in memory (api/workers/registrationQueue.js)
+ *
+ * Run: npm test
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+process.env.LOG_SINKS = 'stdout';
+
+const { pool } = await import('../api/db.js');
+const {
+    MAX_ATTEMPTS,
+    getRetryDelaySeconds,
+    processRegistrationQueue
+} = await import('../api/workers/registrationQueue.js');
+
+const REGISTRATION = {
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    email: 'ada@example.com',
+    dateOfBirth: '2000-12-10',
+    department: 'Computer Science',
+    year: 2,
+    phoneNumber: '555-010-0000'
+};
+
+/**
+ * Stand-in for the pg pool with registration_queue in memory
+ * (times are milliseconds; `now` only moves when a test moves it)
+ */
+const db = {
+    now: 0,
+    rows: [],
+    insertError: null,
+    nextStudentId: 43,
+
+    async query(sql, params = []) {
+        if (/^(BEGIN|COMMIT|ROLLBACK)/.test(sql)) return { rows: [] };
+        if (/FROM department$/.test(sql)) return { rows: [{ department_id: 1, department_name: 'Computer Science' }] };
+        if (/FROM department_alias/.test(sql)) return { rows: [] };
+        if (/INSERT INTO event_log/.test(sql)) return { rows: [] };
+        if (/INSERT INTO student/.test(sql)) {
+            if (db.insertError) throw db.insertError;
+            return { rows: [{ student_id: db.nextStudentId++ }] };
+        }
+
+        if (/SET status = 'processing'/.test(sql)) {
+            const [limit, staleSeconds] = params;
+            const due = db.rows.filter(row => (row.status === 'queued' && row.next_attempt_at <= db.now) ||
+                (row.status === 'processing' && row.updated_at < db.now - staleSeconds * 1000));
+            return {
+                rows: due.slice(0, limit).map(row => {
+                    Object.assign(row, { status: 'processing', attempts: row.attempts + 1, updated_at: db.now });
+                    return { queue_id: row.queue_id, payload: row.payload, attempts: row.attempts };
+                })
+            };
+        }
+        if (/SET status = 'queued'/.test(sql)) {
+            const [queueId, error, delaySeconds] = params;
+            Object.assign(queueRow(queueId), {
+                status: 'queued',
+                last_error: error,
+                next_attempt_at: db.now + delaySeconds * 1000,
+                updated_at: db.now
+            });
+            return { rows: [] };
+        }
+        if (/SET status = \$2/.test(sql)) {
+            const [queueId, status, studentId, error] = params;
+            Object.assign(queueRow(queueId), { status, student_id: studentId, last_error: error, updated_at: db.now });
+            return { rows: [] };
+        }
+
+        throw new Error(`Unexpected query in test: ${sql.trim().split('\n')[0]}`);
+    }
+};
+
+const queueRow = queueId => db.rows.find(row => row.queue_id === queueId);
+
+/**
+ * Add a queued registration
+ */
+function enqueue(overrides = {}) {
+    const row = {
+        queue_id: db.rows.length + 1,
+        payload: REGISTRATION,
+        status: 'queued',
+        attempts: 0,
+        next_attempt_at: db.now,
+        updated_at: db.now,
+        student_id: null,
+        last_error: null,
+        ...overrides
+    };
+    db.rows.push(row);
+    return row;
+}
+
+const seconds = n => n * 1000;
+
+before(() => {
+    pool.query = db.query;
+    pool.connect = async () => ({ query: db.query, release() {} });
+});
+
+after(() => pool.end());
+
+beforeEach(() => {
+    db.now = 0;
+    db.rows = [];
+    db.insertError = null;
+    db.nextStudentId = 43;
+});
+
+describe('getRetryDelaySeconds', () => {
+    test('is 30 seconds doubled per failed attempt, capped at 1 hour', () => {
+        assert.deepEqual([1, 2, 3, 4, 5, 6, 7, 8, 20].map(getRetryDelaySeconds),
+            [30, 60, 120, 240, 480, 960, 1920, 3600, 3600]);
+    });
+});
+
+describe('processRegistrationQueue', () => {
+    test('registers due rows', async () => {
+        const row = enqueue();
+
+        assert.deepEqual(await processRegistrationQueue(),
+            { claimed: 1, registered: 1, duplicate: 0, invalid: 0, queued: 0, failed: 0 });
+        assert.equal(row.status, 'registered');
+        assert.equal(row.student_id, 43);
+    });
+
+    test('a database error puts the row back with the backoff until the last attempt', async () => {
+        db.insertError = new Error('Connection terminated unexpectedly');
+        const row = enqueue();
+        const delays = [];
+
+        for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+            assert.equal((await processRegistrationQueue()).claimed, 1);
+            if (row.status === 'queued') {
+                delays.push((row.next_attempt_at - db.now) / 1000);
+
+                // Not claimed again before it is due
+                db.now = row.next_attempt_at - 1;
+                assert.equal((await processRegistrationQueue()).claimed, 0);
+                db.now = row.next_attempt_at;
+            }
+        }
+
+        assert.deepEqual(delays, [30, 60, 120, 240, 480, 960, 1920]);
+        assert.equal(row.status, 'failed');
+        assert.equal(row.attempts, MAX_ATTEMPTS);
+        assert.equal(row.last_error, 'Connection terminated unexpectedly');
+    });
+
+    test('rows left processing by a crashed worker are reclaimed after 5 minutes', async () => {
+        const crashed = enqueue({ status: 'processing', attempts: 1, updated_at: db.now });
+
+        db.now = seconds(299);
+        assert.equal((await processRegistrationQueue()).claimed, 0);
+
+        db.now = seconds(301);
+        assert.equal((await processRegistrationQueue()).registered, 1);
+        assert.equal(crashed.status, 'registered');
+        assert.equal(crashed.attempts, 2);
+    });
+});
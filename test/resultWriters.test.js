@@ -0,0 +1,165 @@
+/**
+ * Registration Result Writer Tests
+ * JSON file output, the Sheets API writer and the service account token
+ * provider, with a stubbed fetch (etl/utils/resultWriters.js)
+ *
+ * Run: npm test (no Google credentials needed)
+ */
+
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    createJsonResultWriter,
+    createResultWritersFromEnv,
+    createServiceAccountTokenProvider,
+    createSheetsResultWriter
+} from '../etl/utils/resultWriters.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'result-writers-'));
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const RESULTS = [
+    { row: 5, email: 'ada@example.com', status: 'Registered', studentId: 42, message: 'Student ID: 42' },
+    { row: 4, email: 'grace@example.com', status: 'Invalid', studentId: null, message: 'Year must be between 1 and 4' },
+    { row: null, email: 'nobody@example.com', status: 'Error', studentId: null, message: 'Connection lost' }
+];
+
+/**
+ * fetch() stand-in: answers from `routes` ({ 'GET <url part>': body }) and records every call
+ */
+function stubFetch(routes) {
+    const calls = [];
+    const fetch = async (url, options = {}) => {
+        const method = options.method || 'GET';
+        calls.push({ method, url, options });
+
+        const route = Object.keys(routes).find(key => {
+            const [routeMethod, part] = key.split(' ');
+            return routeMethod === method && url.includes(part);
+        });
+        const body = route ? routes[route] : { error: { message: 'not found' } };
+        return {
+            ok: Boolean(route),
+            status: route ? 200 : 404,
+            statusText: route ? 'OK' : 'Not Found',
+            json: async () => body
+        };
+    };
+    return { fetch, calls };
+}
+
+describe('createJsonResultWriter', () => {
+    test('writes the results for the Apps Script import menu', async () => {
+        const file = path.join(tmpDir, 'nested', 'results.json');
+        const writer = createJsonResultWriter({ file });
+
+        const outcome = await writer.write({ runId: 'run-1', generatedAt: '2025-09-01T00:00:00.000Z', results: RESULTS });
+
+        assert.deepEqual(outcome, { written: 3, unmatched: [], target: file });
+        const written = JSON.parse(fs.readFileSync(file, 'utf8'));
+        assert.equal(written.runId, 'run-1');
+        assert.equal(written.count, 3);
+        assert.deepEqual(written.results, RESULTS);
+    });
+});
+
+describe('createSheetsResultWriter', () => {
+    const sheetValues = {
+        values: [
+            ['firstName', 'email', 'Status', 'Error'],
+            ['Someone', 'someone@example.com', '', ''],
+            ['Ada', 'ADA@example.com ', '', '']
+        ]
+    };
+
+    test('updates Status and Error by email, falling back to the row number', async () => {
+        const { fetch, calls } = stubFetch({
+            'GET ?fields=sheets.properties': { sheets: [{ properties: { title: 'Pending Registration', sheetId: 7 } }] },
+            'GET /values/': sheetValues,
+            'POST :batchUpdate': {}
+        });
+        const writer = createSheetsResultWriter({ spreadsheetId: 'sheet-1', getAccessToken: async () => 'token-1', fetch });
+
+        const outcome = await writer.write({ results: RESULTS });
+
+        assert.equal(outcome.written, 2);
+        assert.deepEqual(outcome.unmatched.map(result => result.email), ['nobody@example.com']);
+        assert.ok(calls.every(({ options }) => options.headers.Authorization === 'Bearer token-1'));
+
+        const { requests } = JSON.parse(calls.at(-1).options.body);
+        const cells = requests.map(({ updateCells }) => ({
+            sheetId: updateCells.range.sheetId,
+            row: updateCells.range.startRowIndex,
+            column: updateCells.range.startColumnIndex,
+            value: updateCells.rows[0].values[0].userEnteredValue.stringValue
+        }));
+        assert.deepEqual(cells, [
+            { sheetId: 7, row: 2, column: 2, value: 'Registered' },
+            { sheetId: 7, row: 2, column: 3, value: 'Student ID: 42' },
+            { sheetId: 7, row: 3, column: 2, value: 'Invalid' },
+            { sheetId: 7, row: 3, column: 3, value: 'Year must be between 1 and 4' }
+        ]);
+        assert.deepEqual(requests[0].updateCells.rows[0].values[0].userEnteredFormat.backgroundColor,
+            { red: 212 / 255, green: 237 / 255, blue: 218 / 255 });
+    });
+
+    test('fails on a missing sheet', async () => {
+        const { fetch } = stubFetch({ 'GET ?fields=sheets.properties': { sheets: [] } });
+        const writer = createSheetsResultWriter({ spreadsheetId: 'sheet-1', getAccessToken: async () => 't', fetch });
+
+        await assert.rejects(writer.write({ results: RESULTS }), /Sheet "Pending Registration" not found in spreadsheet sheet-1/);
+    });
+
+    test('needs a spreadsheet id and credentials', () => {
+        assert.throws(() => createSheetsResultWriter({ getAccessToken: async () => 't' }), /GOOGLE_SHEETS_SPREADSHEET_ID/);
+        assert.throws(() => createSheetsResultWriter({ spreadsheetId: 'sheet-1' }), /GOOGLE_APPLICATION_CREDENTIALS/);
+    });
+});
+
+describe('createServiceAccountTokenProvider', () => {
+    test('signs a JWT bearer grant with the key and caches the token', async () => {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const keyFile = path.join(tmpDir, 'service-account.json');
+        fs.writeFileSync(keyFile, JSON.stringify({
+            client_email: 'etl@project.iam.gserviceaccount.com',
+            private_key: privateKey.export({ type: 'pkcs8', format: 'pem' })
+        }));
+        const { fetch, calls } = stubFetch({ 'POST oauth2.googleapis.com/token': { access_token: 'ya29.token', expires_in: 3600 } });
+
+        const getAccessToken = createServiceAccountTokenProvider(keyFile, { fetch });
+
+        assert.equal(await getAccessToken(), 'ya29.token');
+        assert.equal(await getAccessToken(), 'ya29.token');
+        assert.equal(calls.length, 1);
+
+        const form = calls[0].options.body;
+        assert.equal(form.get('grant_type'), 'urn:ietf:params:oauth:grant-type:jwt-bearer');
+        const [header, claims, signature] = form.get('assertion').split('.');
+        assert.ok(crypto.createVerify('RSA-SHA256').update(`${header}.${claims}`).verify(publicKey, signature, 'base64url'));
+        const decoded = JSON.parse(Buffer.from(claims, 'base64url').toString());
+        assert.equal(decoded.iss, 'etl@project.iam.gserviceaccount.com');
+        assert.equal(decoded.scope, 'https://www.googleapis.com/auth/spreadsheets');
+        assert.equal(decoded.exp - decoded.iat, 3600);
+    });
+});
+
+describe('createResultWritersFromEnv', () => {
+    test('builds the listed writers, none for an empty list', () => {
+        assert.deepEqual(createResultWritersFromEnv({}).map(writer => writer.name), ['json']);
+        assert.deepEqual(createResultWritersFromEnv({ ETL_RESULT_WRITERS: '' }), []);
+        assert.deepEqual(createResultWritersFromEnv({
+            ETL_RESULT_WRITERS: 'json, sheets',
+            GOOGLE_SHEETS_SPREADSHEET_ID: 'sheet-1',
+            GOOGLE_SHEETS_ACCESS_TOKEN: 'token'
+        }).map(writer => writer.name), ['json', 'sheets']);
+    });
+
+    test('rejects an unknown writer', () => {
+        assert.throws(() => createResultWritersFromEnv({ ETL_RESULT_WRITERS: 'csv' }), /Unknown result writer "csv"/);
+    });
+});
@@ -0,0 +1,232 @@
+/**
+ * Sheets Pull Connector Tests
+ * Pulling pending registrations from a published CSV and from the Sheets API
+ * values endpoint, served by a local stub server, and the row hashes used to
+ * skip rows already ingested (etl/sheets-registrations.js)
+ *
+ * Run: npm test (no Google credentials needed)
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+process.env.LOG_LEVEL = 'error';
+process.env.LOG_SINKS = 'stdout';
+
+const { pullPendingRegistrations, sheetRowHash, sheetSourceFromEnv } = await import('../etl/sheets-registrations.js');
+const { validatePendingRegistrations } = await import('../etl/pending-registrations.js');
+const { transformStudents } = await import('../etl/transform.js');
+const { createDepartmentResolver } = await import('../etl/utils/departments.js');
+
+const HEADERS = ['firstName', 'lastName', 'email', 'dateOfBirth', 'year', 'phoneNumber', 'department', 'Status', 'Error'];
+
+// The Pending Registration sheet: rows 2 to 6
+const SHEET = [
+    HEADERS,
+    ['Ada', 'Lovelace', 'ada@example.com', '2000-12-10', '2', '555-010-0000', 'Computer Science', '', ''],
+    ['Grace', 'Hopper', 'grace@example.com', '2001-12-09', '3', '555-010-0001', 'Computer Science', 'Registered', 'Student ID: 7'],
+    ['', '', '', '', '', '', '', '', ''],
+    ['Emmy', 'Noether, PhD', 'emmy@example.com', '2002-03-23', '9', '555-010-0002', 'Computer Science', 'Invalid', 'Year must be between 1 and 4 (got "9")'],
+    ['Alan', 'Turing', 'alan@example.com', '2003-06-23', '1', '555-010-0003', 'Comp Sci', '', '']
+];
+
+const toCsv = rows => rows
+    .map(cells => cells.map(cell => /[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell).join(','))
+    .join('\r\n');
+
+let requests = [];
+let baseUrl;
+
+/**
+ * Stub server: the published CSV at /pub.csv and the Sheets API under /v4/spreadsheets
+ */
+const server = http.createServer((req, res) => {
+    requests.push({ url: decodeURIComponent(req.url), authorization: req.headers.authorization });
+
+    if (req.url === '/pub.csv') {
+        res.writeHead(200, { 'Content-Type': 'text/csv' });
+        return res.end(toCsv(SHEET));
+    }
+    if (decodeURIComponent(req.url) === "/v4/spreadsheets/sheet-1/values/'Pending Registration'") {
+        if (req.headers.authorization !== 'Bearer test-token') {
+            res.writeHead(403, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ error: { message: 'The caller does not have permission' } }));
+        }
+        // The API leaves out trailing empty cells and rows
+        const values = SHEET.map(cells => {
+            const last = cells.findLastIndex(cell => cell !== '');
+            return cells.slice(0, last + 1);
+        });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ range: "'Pending Registration'!A1:I6", values }));
+    }
+    res.writeHead(404);
+    res.end('Not Found');
+});
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    requests = [];
+});
+
+describe('pullPendingRegistrations', () => {
+    test('reads the published CSV, skipping blank and Registered rows', async () => {
+        const students = await pullPendingRegistrations({ csvUrl: `${baseUrl}/pub.csv` });
+
+        assert.deepEqual(students.map(({ row, email }) => ({ row, email })), [
+            { row: 2, email: 'ada@example.com' },
+            { row: 5, email: 'emmy@example.com' },
+            { row: 6, email: 'alan@example.com' }
+        ]);
+        assert.deepEqual(students[1], {
+            firstName: 'Emmy',
+            lastName: 'Noether, PhD',
+            email: 'emmy@example.com',
+            dateOfBirth: '2002-03-23',
+            year: '9',
+            phoneNumber: '555-010-0002',
+            department: 'Computer Science',
+            row: 5
+        });
+    });
+
+    test('reads the Sheets API values with the access token', async () => {
+        const students = await pullPendingRegistrations({
+            spreadsheetId: 'sheet-1',
+            getAccessToken: async () => 'test-token',
+            apiUrl: `${baseUrl}/v4/spreadsheets`
+        });
+
+        assert.deepEqual(requests, [{
+            url: "/v4/spreadsheets/sheet-1/values/'Pending Registration'",
+            authorization: 'Bearer test-token'
+        }]);
+        assert.deepEqual(students.map(student => student.row), [2, 5, 6]);
+        // Trailing cells the API left out read as empty
+        assert.equal(students[0].department, 'Computer Science');
+    });
+
+    test('both sources give the same rows and hashes', async () => {
+        const fromCsv = await pullPendingRegistrations({ csvUrl: `${baseUrl}/pub.csv` });
+        const fromApi = await pullPendingRegistrations({
+            spreadsheetId: 'sheet-1',
+            getAccessToken: async () => 'test-token',
+            apiUrl: `${baseUrl}/v4/spreadsheets`
+        });
+
+        assert.deepEqual(fromApi, fromCsv);
+        assert.deepEqual(fromApi.map(sheetRowHash), fromCsv.map(sheetRowHash));
+    });
+
+    test('rows already ingested are left out', async () => {
+        const all = await pullPendingRegistrations({ csvUrl: `${baseUrl}/pub.csv` });
+        const asked = [];
+
+        const students = await pullPendingRegistrations({
+            csvUrl: `${baseUrl}/pub.csv`,
+            isIngested: async hashes => {
+                asked.push(...hashes);
+                return new Set([sheetRowHash(all[0])]);
+            }
+        });
+
+        assert.deepEqual(asked, all.map(sheetRowHash));
+        assert.deepEqual(students.map(student => student.email), ['emmy@example.com', 'alan@example.com']);
+    });
+
+    test('pulled rows go through validation and the student transform', async () => {
+        const students = await pullPendingRegistrations({ csvUrl: `${baseUrl}/pub.csv` });
+        const departmentMap = createDepartmentResolver(
+            [{ department_id: 1, department_name: 'Computer Science' }],
+            [{ department_id: 1, alias: 'Comp Sci' }]
+        );
+
+        const { valid, invalid } = validatePendingRegistrations(students);
+        assert.deepEqual(invalid.map(({ student, invalidFields }) => ({ row: student.row, invalidFields })),
+            [{ row: 5, invalidFields: ['year'] }]);
+
+        const clean = transformStudents(valid, departmentMap, { quiet: true });
+        assert.deepEqual(clean.map(({ student_email, student_year, department_id }) => ({ student_email, student_year, department_id })), [
+            { student_email: 'ada@example.com', student_year: 2, department_id: 1 },
+            { student_email: 'alan@example.com', student_year: 1, department_id: 1 }
+        ]);
+    });
+
+    test('an error response fails the pull', async () => {
+        await assert.rejects(pullPendingRegistrations({
+            spreadsheetId: 'sheet-1',
+            getAccessToken: async () => 'expired',
+            apiUrl: `${baseUrl}/v4/spreadsheets`
+        }), /^Error: Sheets API 403: .*The caller does not have permission/);
+
+        await assert.rejects(pullPendingRegistrations({ csvUrl: `${baseUrl}/missing.csv` }),
+            /^Error: Published sheet CSV 404: Not Found/);
+    });
+
+    test('the HTTP client can be swapped', async () => {
+        const urls = [];
+        const students = await pullPendingRegistrations({
+            csvUrl: 'https://docs.google.com/spreadsheets/d/e/x/pub?output=csv',
+            fetch: async url => {
+                urls.push(url);
+                return new Response(toCsv([HEADERS, SHEET[1]]));
+            }
+        });
+
+        assert.deepEqual(urls, ['https://docs.google.com/spreadsheets/d/e/x/pub?output=csv']);
+        assert.deepEqual(students.map(student => student.email), ['ada@example.com']);
+    });
+
+    test('a sheet to read is required', async () => {
+        await assert.rejects(pullPendingRegistrations({}), /PENDING_SHEET_CSV_URL or GOOGLE_SHEETS_SPREADSHEET_ID/);
+        await assert.rejects(pullPendingRegistrations({ spreadsheetId: 'sheet-1' }),
+            /GOOGLE_APPLICATION_CREDENTIALS or GOOGLE_SHEETS_ACCESS_TOKEN/);
+    });
+});
+
+describe('sheetRowHash', () => {
+    const [, ada] = SHEET;
+    const row = Object.fromEntries(HEADERS.map((header, i) => [header, ada[i]]));
+
+    test('depends on the student fields only', () => {
+        const hash = sheetRowHash(row);
+
+        assert.match(hash, /^[0-9a-f]{64}$/);
+        assert.equal(sheetRowHash({ ...row, row: 40, Status: 'Error', Error: 'Connection lost' }), hash);
+        assert.equal(sheetRowHash({ ...row, email: ' ada@example.com ' }), hash);
+        assert.notEqual(sheetRowHash({ ...row, year: '3' }), hash);
+    });
+});
+
+describe('sheetSourceFromEnv', () => {
+    test('the published CSV is preferred over the Sheets API', () => {
+        const source = sheetSourceFromEnv({
+            PENDING_SHEET_CSV_URL: 'https://example.com/pub.csv',
+            GOOGLE_SHEETS_SPREADSHEET_ID: 'sheet-1',
+            GOOGLE_SHEETS_ACCESS_TOKEN: 'test-token'
+        });
+
+        assert.equal(source.csvUrl, 'https://example.com/pub.csv');
+        assert.equal(source.getAccessToken, null);
+    });
+
+    test('otherwise the Sheets API settings of the result writer are used', async () => {
+        const source = sheetSourceFromEnv({
+            GOOGLE_SHEETS_SPREADSHEET_ID: 'sheet-1',
+            GOOGLE_SHEETS_SHEET_NAME: 'Intake',
+            GOOGLE_SHEETS_ACCESS_TOKEN: 'test-token'
+        });
+
+        assert.equal(source.csvUrl, null);
+        assert.equal(source.spreadsheetId, 'sheet-1');
+        assert.equal(source.sheetName, 'Intake');
+        assert.equal(await source.getAccessToken(), 'test-token');
+    });
+});
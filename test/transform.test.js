@@ -0,0 +1,112 @@
+/**
+ * Transform Tests
+ * Validation rules of the department and course catalogue transforms
+ * (etl/transform.js)
+ *
+ * Run: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { logger } from '../etl/utils/logger.js';
+import { createDepartmentResolver } from '../etl/utils/departments.js';
+import { transformCourses, transformDepartments } from '../etl/transform.js';
+
+logger.setSinks([]);
+
+const departmentMap = createDepartmentResolver(
+    [
+        { department_id: 1, department_name: 'Computer Science' },
+        { department_id: 2, department_name: 'Mathematics' }
+    ],
+    [{ department_id: 1, alias: 'CS' }]
+);
+
+/**
+ * Run a transform and collect { index, rule } of the rejected rows
+ */
+function run(transform, rows) {
+    const rejected = [];
+    const clean = transform(rows, departmentMap, {
+        onReject: ({ index, rule }) => rejected.push({ index, rule }),
+        quiet: true
+    });
+    return { clean, rejected };
+}
+
+describe('transformDepartments', () => {
+    test('keeps the stored spelling of known names and rejects aliases and duplicates', () => {
+        const { clean, rejected } = run(transformDepartments, [
+            { dept_id: '1', department_name: '  computer science ', head_name: 'Dr. Hopper' },
+            { dept_id: '2', department_name: 'CS', head_name: '' },
+            { dept_id: '3', department_name: 'Physics', head_name: 'Dr. Noether' },
+            { dept_id: '4', department_name: 'physics', head_name: 'Dr. Curie' },
+            { dept_id: '5', department_name: '', head_name: 'Nobody' },
+            { dept_id: '6', department_name: 'Biology', head_name: 'x'.repeat(101) }
+        ]);
+
+        assert.deepEqual(clean, [
+            { department_name: 'Computer Science', department_head: 'Dr. Hopper' },
+            { department_name: 'Physics', department_head: 'Dr. Noether' }
+        ]);
+        assert.deepEqual(rejected, [
+            { index: 1, rule: 'department_is_alias' },
+            { index: 3, rule: 'duplicate_department' },
+            { index: 4, rule: 'invalid_department_name' },
+            { index: 5, rule: 'invalid_department_head' }
+        ]);
+    });
+});
+
+describe('transformCourses', () => {
+    const course = overrides => ({
+        course_id: 'CS101',
+        course_name: 'Intro to Programming',
+        department: 'Computer Science',
+        credits: '3',
+        ...overrides
+    });
+
+    test('resolves department names and aliases to ids', () => {
+        const { clean } = run(transformCourses, [course(), course({ course_id: 'CS102', department: 'cs' })]);
+
+        assert.deepEqual(clean, [
+            { course_id: 'CS101', course_name: 'Intro to Programming', department_id: 1, course_credits: 3 },
+            { course_id: 'CS102', course_name: 'Intro to Programming', department_id: 1, course_credits: 3 }
+        ]);
+    });
+
+    test('enforces the schema: code up to 10 characters, a name, whole credits 1-4, a known department', () => {
+        const { clean, rejected } = run(transformCourses, [
+            course({ course_id: 'CS101ABCDEFG' }),
+            course({ course_name: ' ' }),
+            course({ credits: '0' }),
+            course({ credits: '5' }),
+            course({ credits: '2.5' }),
+            course({ department: 'Underwater Basket Weaving' }),
+            course({ credits: '4' }),
+            course()
+        ]);
+
+        assert.deepEqual(clean.map(row => row.course_credits), [4]);
+        assert.deepEqual(rejected.map(({ rule }) => rule), [
+            'invalid_course_id',
+            'invalid_course_name',
+            'invalid_credits',
+            'invalid_credits',
+            'invalid_credits',
+            'unknown_department',
+            'duplicate_course'
+        ]);
+    });
+
+    test('suggests the closest department for a misspelled one', () => {
+        const messages = [];
+        transformCourses([course({ department: 'Mathematcs' })], departmentMap, {
+            onReject: ({ message }) => messages.push(message),
+            quiet: true
+        });
+
+        assert.deepEqual(messages, ['Row CS101: Unknown department: "Mathematcs". Did you mean "Mathematics"?']);
+    });
+});
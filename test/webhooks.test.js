@@ -0,0 +1,110 @@
+/**
+ * Webhook Tests
+ * Request signing, the retry schedule and delivery bookkeeping, with a
+ * stubbed database and fetch (etl/utils/webhooks.js)
+ *
+ * Run: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { logger } from '../etl/utils/logger.js';
+import {
+    MAX_ATTEMPTS,
+    deliverWebhooks,
+    getWebhookRetryDelaySeconds,
+    publishWebhookEvents,
+    signWebhookPayload
+} from '../etl/utils/webhooks.js';
+
+logger.setSinks([]);
+
+/**
+ * Database stand-in: claimDeliveries returns `deliveries`, every query is recorded
+ */
+function stubDb(deliveries) {
+    const queries = [];
+    return {
+        queries,
+        async query(sql, params) {
+            queries.push({ sql, params });
+            return { rows: /WITH claimed AS/.test(sql) ? deliveries : [] };
+        }
+    };
+}
+
+const delivery = overrides => ({
+    delivery_id: 1,
+    webhook_id: 3,
+    event_id: 'evt_1',
+    event_type: 'student.registered',
+    payload: { id: 'evt_1', type: 'student.registered', createdAt: '2025-09-01T00:00:00.000Z', data: { studentId: 42 } },
+    attempts: 1,
+    url: 'https://hooks.example.com/sheet2db',
+    secret: 'whsec_test',
+    ...overrides
+});
+
+describe('signWebhookPayload', () => {
+    test('is the hex HMAC-SHA256 of "<t>.<body>" with the secret', () => {
+        // printf '%s' '1700000000.{"id":"evt_1","type":"student.registered"}' | openssl dgst -sha256 -hmac whsec_test
+        assert.equal(
+            signWebhookPayload('whsec_test', 1700000000, '{"id":"evt_1","type":"student.registered"}'),
+            't=1700000000,v1=ceab8adf1caefb79d81b00d23505ad121138a21a7ce1991d97bab2b18ba13683'
+        );
+    });
+});
+
+describe('getWebhookRetryDelaySeconds', () => {
+    test('doubles from 60 seconds and is capped at 6 hours', () => {
+        assert.deepEqual([1, 2, 3, 4, 8, 9, 20].map(getWebhookRetryDelaySeconds), [60, 120, 240, 480, 7680, 15360, 21600]);
+    });
+});
+
+describe('publishWebhookEvents', () => {
+    test('never throws: a failing database or an unknown event only logs a warning', async () => {
+        const failing = { query: async () => { throw new Error('relation "event_log" does not exist'); } };
+        const warnings = logger.logs.length;
+
+        assert.deepEqual(await publishWebhookEvents(failing, [{ type: 'student.registered', data: {} }]), []);
+        assert.deepEqual(await publishWebhookEvents(stubDb([]), [{ type: 'student.deleted', data: {} }]), []);
+
+        const logged = logger.logs.slice(warnings).filter(entry => entry.level === 'warn').map(entry => entry.msg);
+        assert.match(logged[0], /not queued \(student\.registered\): relation "event_log" does not exist/);
+        assert.match(logged[1], /Unknown webhook event "student\.deleted"/);
+    });
+});
+
+describe('deliverWebhooks', () => {
+    test('signs the exact body it sends', async () => {
+        const requests = [];
+        const fetch = async (url, options) => {
+            requests.push({ url, options });
+            return { ok: true, status: 204 };
+        };
+        const db = stubDb([delivery()]);
+
+        assert.deepEqual(await deliverWebhooks(db, { fetch }), { claimed: 1, delivered: 1, retrying: 0, failed: 0 });
+
+        const { headers, body } = requests[0].options;
+        const timestamp = Number(headers['X-Webhook-Signature'].match(/^t=(\d+),/)[1]);
+        assert.equal(headers['X-Webhook-Signature'], signWebhookPayload('whsec_test', timestamp, body));
+        assert.equal(headers['X-Webhook-Id'], 'evt_1');
+        assert.deepEqual(JSON.parse(body), delivery().payload);
+        assert.match(db.queries.at(-1).sql, /SET status = 'delivered'/);
+        assert.deepEqual(db.queries.at(-1).params, [1, 204]);
+    });
+
+    test('a failed attempt is rescheduled with the backoff, the last one is marked failed', async () => {
+        const fetch = async () => ({ ok: false, status: 503, text: async () => 'Service Unavailable' });
+        const db = stubDb([delivery({ delivery_id: 1, attempts: 3 }), delivery({ delivery_id: 2, attempts: MAX_ATTEMPTS })]);
+
+        assert.deepEqual(await deliverWebhooks(db, { fetch }), { claimed: 2, delivered: 0, retrying: 1, failed: 1 });
+
+        const updates = db.queries.slice(1).map(({ params }) => params);
+        assert.deepEqual(updates, [
+            [1, 'pending', 503, 'HTTP 503: Service Unavailable', 240],
+            [2, 'failed', 503, 'HTTP 503: Service Unavailable', 0]
+        ]);
+    });
+});